@@ -9,8 +9,8 @@ const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
 const rateLimit = require('express-rate-limit');
-// CSRF paketi kaldırıldı - modern güvenlik için helmet kullanıyoruz
 const path = require('path');
+const { warnIfTransactionsUnsupported } = require('./src/utils/transactions');
 
 // Express uygulamasını oluştur
 const app = express();
@@ -18,6 +18,7 @@ const app = express();
 // MongoDB bağlantısını kur
 const connectDB = async () => {
   try {
+    // İçe aktarma, nakil ve yıl devri transaction kullanır: replica set gerekir (bkz. README "Veritabanı")
     const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Öğrenci_Takip';
     
     const conn = await mongoose.connect(mongoURI, {
@@ -26,6 +27,9 @@ const connectDB = async () => {
     });
 
     console.log(`MongoDB Bağlandı: ${conn.connection.host}`);
+
+    // İçe aktarma, nakil ve yıl devri transaction kullanır; standalone sunucuda uyar
+    await warnIfTransactionsUnsupported();
     
     // Bağlantı olaylarını dinle
     mongoose.connection.on('error', (err) => {
@@ -133,8 +137,9 @@ app.use(session({
   name: 'ogrenciTakip.sid'
 }));
 
-// Modern güvenlik - helmet ve diğer middleware'ler yeterli
-// CSRF koruması yerine SameSite cookie'ler ve origin kontrolü kullanıyoruz
+// CSRF koruması - cookie ile kimlik doğrulayan değiştirici istekler token göndermeli
+const { issueCsrfToken, csrfProtection } = require('./src/middleware/csrf');
+app.use('/api', csrfProtection);
 
 // Statik dosyalar
 app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
@@ -144,50 +149,64 @@ app.use(express.static(path.join(__dirname, 'public')));
 const analytics = require('./src/middleware/analytics');
 app.use(analytics);
 
+// Değiştirici API isteklerini denetim kaydına yaz
+const { auditTrail } = require('./src/middleware/audit');
+app.use('/api', auditTrail);
+
 // Route'ları import et
 const authRoutes = require('./src/routes/auth');
 const teacherAuthRoutes = require('./src/routes/teacherAuth');
 const studentAuthRoutes = require('./src/routes/studentAuth');
+const twoFactorRoutes = require('./src/routes/twoFactor');
+const guardianAuthRoutes = require('./src/routes/guardianAuth');
+const sessionRoutes = require('./src/routes/sessions');
 const teacherDashboardRoutes = require('./src/routes/teacherDashboard');
 const studentDashboardRoutes = require('./src/routes/studentDashboard');
+const guardianDashboardRoutes = require('./src/routes/guardianDashboard');
 const userRoutes = require('./src/routes/users');
 const studentRoutes = require('./src/routes/students');
+const classroomRoutes = require('./src/routes/classrooms');
+const attendanceRoutes = require('./src/routes/attendance');
+const behaviourRoutes = require('./src/routes/behaviour');
+const timetableRoutes = require('./src/routes/timetable');
 const assignmentRoutes = require('./src/routes/assignments');
 const submissionRoutes = require('./src/routes/submissions');
+const rubricRoutes = require('./src/routes/rubrics');
+const extensionRoutes = require('./src/routes/extensions');
 const galleryRoutes = require('./src/routes/gallery');
 const newsRoutes = require('./src/routes/news');
 const announcementRoutes = require('./src/routes/announcements');
 const analyticsRoutes = require('./src/routes/analytics');
-const csrfTestRoutes = require('./src/routes/csrfTest');
 const adminRoutes = require('./src/routes/admin');
 
 // API Route'ları
 app.use('/api/auth', authRoutes);
 app.use('/api/auth/teacher', teacherAuthRoutes);
 app.use('/api/auth/student', studentAuthRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/guardian', guardianAuthRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
 app.use('/api/teacher', teacherDashboardRoutes);
 app.use('/api/student', studentDashboardRoutes);
+app.use('/api/guardian', guardianDashboardRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/students', studentRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/behaviour', behaviourRoutes);
+app.use('/api/timetable', timetableRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/submissions', submissionRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/extensions', extensionRoutes);
 app.use('/api/gallery', galleryRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/announcements', announcementRoutes);
 app.use('/api/analytics', analyticsRoutes);
-app.use('/api/csrf-test', csrfTestRoutes);
 app.use('/api/admin', adminRoutes);
 
 // CSRF token endpoint'i
-app.get('/api/csrf-token', (req, res) => {
-  // Modern uygulamalarda CSRF token yerine SameSite cookie'ler kullanıyoruz
-  // Ama frontend beklediği için dummy bir token dönelim
-  res.status(200).json({
-    success: true,
-    csrfToken: 'dummy-csrf-token', // SameSite cookie'ler CSRF koruması sağlıyor
-    message: 'CSRF token alındı (SameSite cookie koruması aktif)'
-  });
-});
+app.get('/api/csrf-token', issueCsrfToken);
 
 // Sağlık kontrolü endpoint'i
 app.get('/api/health', (req, res) => {
@@ -276,12 +295,21 @@ app.get('*', (req, res) => {
         auth: '/api/auth',
         teacherAuth: '/api/auth/teacher',
         studentAuth: '/api/auth/student',
+        guardianAuth: '/api/auth/guardian',
+        sessions: '/api/auth/sessions',
         teacherDashboard: '/api/teacher',
         studentDashboard: '/api/student',
+        guardianDashboard: '/api/guardian',
         users: '/api/users',
         students: '/api/students',
+        classrooms: '/api/classrooms',
+        attendance: '/api/attendance',
+        behaviour: '/api/behaviour',
+        timetable: '/api/timetable',
         assignments: '/api/assignments',
         submissions: '/api/submissions',
+        rubrics: '/api/rubrics',
+        extensions: '/api/extensions',
         gallery: '/api/gallery',
         news: '/api/news',
         analytics: '/api/analytics',
@@ -87,6 +87,7 @@ class CSRFManager {
 
   /**
    * Form submit için token ekle
+   * Sadece urlencoded formlarda çalışır; enctype="multipart/form-data" formlar fetch ile header'da göndermelidir
    */
   async addTokenToForm(formElement) {
     await this.ensureToken();
@@ -177,13 +178,14 @@ async function examples() {
   try {
     await csrfManager.ensureToken();
     
+    // Multipart isteklerde token gövdede değil X-CSRF-Token header'ında gönderilmelidir
     const formData = new FormData();
-    formData.append('_csrf', csrfManager.token);
     formData.append('title', 'Galeri Başlığı');
     formData.append('image', fileInput.files[0]);
     
     const response = await fetch('/api/gallery', {
       method: 'POST',
+      headers: { 'X-CSRF-Token': csrfManager.token },
       body: formData,
       credentials: 'include'
     });
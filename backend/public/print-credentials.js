@@ -0,0 +1,9 @@
+// Öğrenci giriş kartları sayfası (utils/initialPassword.js renderCredentialSlips)
+// CSP satır içi olay işleyicilerini engellediği için yazdırma bu dosyadan başlatılır
+document.addEventListener('DOMContentLoaded', () => {
+  const button = document.getElementById('print-button');
+  if (button) {
+    button.addEventListener('click', () => window.print());
+  }
+  window.print();
+});
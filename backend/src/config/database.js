@@ -3,6 +3,7 @@ require('dotenv').config();
 
 const connectDB = async () => {
   try {
+    // İçe aktarma, nakil ve yıl devri transaction kullanır: replica set gerekir (bkz. README "Veritabanı")
     const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Öğrenci_Takip';
     
     const conn = await mongoose.connect(mongoURI, {
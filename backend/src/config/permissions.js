@@ -0,0 +1,111 @@
+/**
+ * Yetki Tanımları
+ * Sistemdeki tüm yetkiler ve rollerin varsayılan yetkileri.
+ * Rol yetkileri Role koleksiyonundan değiştirilebilir; kayıt yoksa bu varsayılanlar kullanılır.
+ */
+
+const PERMISSIONS = {
+  // Kullanıcı (öğretmen/admin) yönetimi
+  'users:read': 'Kullanıcıları görüntüleme',
+  'users:write': 'Kullanıcı bilgilerini ve rollerini değiştirme',
+  'users:delete': 'Kullanıcı silme',
+
+  // Öğrenci yönetimi
+  'students:read': 'Öğrencileri görüntüleme',
+  'students:all': 'Tüm öğrencilere erişim (sorumlu/sınıf/ders öğretmeni kapsamı uygulanmaz)',
+  'students:write': 'Öğrenci ekleme ve güncelleme',
+  'students:delete': 'Öğrenci silme',
+  'students:credentials': 'Öğrenci şifresini sıfırlama',
+  'students:assign-teachers': 'Öğrencilere derse özel öğretmen atama',
+  'students:transfer': 'Öğrenci nakli, okuldan ayrılış ve öğrenci dışa aktarma paketi',
+  'guardians:invite': 'Öğrencinin velisine davet gönderme',
+
+  // Sınıflar
+  'classrooms:read': 'Sınıfları ve sınıf listelerini görüntüleme',
+  'classrooms:write': 'Sınıf oluşturma, güncelleme ve öğrenci kaydı yönetimi',
+  'academic-years:manage': 'Eğitim yılı devri (sınıf geçirme, mezuniyet, arşivleme) ve geri alma',
+  'timetable:manage': 'Haftalık ders programını düzenleme',
+
+  // Yoklama
+  'attendance:take': 'Derse girdiği sınıflarda yoklama alma',
+  'attendance:read': 'Devamsızlık kayıtlarını ve raporlarını görüntüleme',
+
+  // Davranış kayıtları
+  'behaviour:read': 'Öğrenci davranış kayıtlarını ve sınıf sıralamalarını görüntüleme',
+  'behaviour:write': 'Davranış kaydı girme ve kendi kayıtlarını silme',
+  'behaviour:manage': 'Tüm davranış kayıtlarını silme',
+
+  // Notlar ve ödevler
+  'grades:read': 'Öğrenci notlarını görüntüleme',
+  'grades:publish': 'Not verme ve teslim notlandırma',
+  'assignments:read': 'Ödevleri görüntüleme',
+  'assignments:write': 'Ödev oluşturma, güncelleme ve atama',
+  'submissions:read': 'Ödev teslimlerini görüntüleme',
+  'submissions:submit': 'Ödev teslim etme',
+
+  // İçerik
+  'announcements:write': 'Duyuru oluşturma ve kendi duyurularını yönetme',
+  'announcements:moderate': 'Tüm duyuruları düzenleme ve silme',
+  'news:write': 'Haber oluşturma ve kendi haberlerini yönetme',
+  'news:moderate': 'Tüm haberleri ve yorumları düzenleme ve silme',
+  'gallery:write': 'Galeri oluşturma ve kendi galerilerini yönetme',
+  'gallery:moderate': 'Tüm galerileri düzenleme ve silme',
+  'content:interact': 'Yorum yapma ve beğenme',
+
+  // Paneller
+  'portal:teacher': 'Öğretmen paneline erişim',
+  'portal:student': 'Öğrenci paneline erişim',
+  'portal:guardian': 'Veli paneline erişim (sadece kendi çocukları)',
+
+  // Sistem
+  'analytics:read': 'Detaylı site istatistiklerini görüntüleme',
+  'audit:read': 'Denetim kayıtlarını görüntüleme ve dışa aktarma',
+  'account:two-factor': 'İki adımlı doğrulama kullanma',
+  'settings:manage': 'Güvenlik politikaları ve rol yetkilerini yönetme'
+};
+
+// Tüm yetkiler anlamına gelen joker karakter
+const ALL_PERMISSIONS = '*';
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: [ALL_PERMISSIONS],
+  teacher: [
+    'students:read',
+    'students:write',
+    'students:delete',
+    'students:credentials',
+    'guardians:invite',
+    'classrooms:read',
+    'attendance:take',
+    'attendance:read',
+    'behaviour:read',
+    'behaviour:write',
+    'grades:read',
+    'grades:publish',
+    'assignments:read',
+    'assignments:write',
+    'submissions:read',
+    'announcements:write',
+    'news:write',
+    'gallery:write',
+    'content:interact',
+    'portal:teacher',
+    'analytics:read',
+    'account:two-factor'
+  ],
+  student: [
+    'submissions:submit',
+    'gallery:write',
+    'content:interact',
+    'portal:student'
+  ],
+  guardian: [
+    'portal:guardian'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
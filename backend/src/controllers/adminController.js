@@ -6,6 +6,22 @@
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const Student = require('../models/Student');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginSession = require('../models/LoginSession');
+const mongoose = require('mongoose');
+const { revokeAllSessions, revokeSession } = require('../utils/jwtHelper');
+const { getActiveSessions, findUserSession, revokeUserSessions } = require('../utils/sessions');
+const { TWO_FACTOR_POLICY_KEY, TWO_FACTOR_ROLES, getRequiredRoles } = require('../utils/twoFactor');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { getRolePermissionMap, getPermissionsForRole, clearPermissionCache } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { toCsv, sendCsv } = require('../utils/csv');
+
+// CSV dışa aktarımında en fazla satır sayısı
+const AUDIT_EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 10000;
 
 // @desc    Tüm kullanıcıları getir
 // @route   GET /api/admin/users
@@ -83,6 +99,8 @@ const updateUser = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = user.toObject();
+
   // Güncellenebilir alanlar
   if (userType !== undefined) user.userType = userType;
   if (isActive !== undefined) user.isActive = isActive;
@@ -94,6 +112,22 @@ const updateUser = asyncHandler(async (req, res) => {
 
   const updatedUser = await user.save();
 
+  await recordAudit(req, {
+    action: 'user.update',
+    targetType: 'User',
+    targetId: updatedUser._id,
+    before,
+    after: updatedUser
+  });
+
+  // Deaktif edilen kullanıcının tüm oturumlarını sonlandır
+  if (isActive !== undefined && !updatedUser.isActive) {
+    await revokeAllSessions(updatedUser._id, 'deactivated');
+  } else if (before.userType !== updatedUser.userType) {
+    // Rolü değişen kullanıcı eski yetkileriyle oturum yenileyemesin, yeniden giriş yapmalı
+    await revokeAllSessions(updatedUser._id, 'role_changed');
+  }
+
   res.json({
     success: true,
     message: 'Kullanıcı başarıyla güncellendi',
@@ -129,11 +163,19 @@ const deleteUser = asyncHandler(async (req, res) => {
     });
   }
 
-  await User.findByIdAndDelete(req.params.id);
+  // Kullanıcı geri dönüşüm kutusuna taşınır, saklama süresi sonunda kalıcı silinir
+  await user.softDelete(req.user._id);
+
+  await recordAudit(req, {
+    action: 'user.delete',
+    targetType: 'User',
+    targetId: user._id,
+    before: user
+  });
 
   res.json({
     success: true,
-    message: 'Kullanıcı başarıyla silindi'
+    message: 'Kullanıcı geri dönüşüm kutusuna taşındı'
   });
 });
 
@@ -179,11 +221,33 @@ const bulkUserAction = asyncHandler(async (req, res) => {
       });
   }
 
+  const previousUsers = await User.find({ _id: { $in: userIds } }).select(Object.keys(updateQuery).join(' '));
+
   const result = await User.updateMany(
     { _id: { $in: userIds } },
     updateQuery
   );
 
+  // Her kullanıcı için ayrı kayıt (hedefe göre sorgulanabilmesi için)
+  await Promise.all(previousUsers.map(previous => recordAudit(req, {
+    action: `user.bulk.${action}`,
+    targetType: 'User',
+    targetId: previous._id,
+    before: { ...previous.toObject(), _id: undefined },
+    after: updateQuery,
+    metadata: { userCount: userIds.length }
+  })));
+
+  if (action === 'deactivate') {
+    await Promise.all(userIds.map(id => revokeAllSessions(id, 'deactivated')));
+  } else if (action === 'changeRole') {
+    // Sadece rolü gerçekten değişen kullanıcıların oturumları sonlandırılır
+    const changedIds = previousUsers
+      .filter(previous => previous.userType !== value)
+      .map(previous => previous._id);
+    await Promise.all(changedIds.map(id => revokeAllSessions(id, 'role_changed')));
+  }
+
   res.json({
     success: true,
     message,
@@ -201,6 +265,7 @@ const getSystemStats = asyncHandler(async (req, res) => {
     totalStudents,
     totalAdmins,
     activeUsers,
+    activeLockouts,
     recentUsers
   ] = await Promise.all([
     User.countDocuments(),
@@ -208,6 +273,7 @@ const getSystemStats = asyncHandler(async (req, res) => {
     User.countDocuments({ userType: 'student' }),
     User.countDocuments({ userType: 'admin' }),
     User.countDocuments({ isActive: true }),
+    LoginThrottle.countDocuments({ lockedUntil: { $gt: new Date() } }),
     User.find()
       .select('name surname email userType createdAt')
       .sort({ createdAt: -1 })
@@ -226,16 +292,535 @@ const getSystemStats = asyncHandler(async (req, res) => {
         active: activeUsers,
         inactive: totalUsers - activeUsers
       },
+      security: {
+        activeLockouts
+      },
       recentUsers
     }
   });
 });
 
+// @desc    İki adımlı doğrulama politikasını getir
+// @route   GET /api/admin/security/two-factor
+// @access  Özel (Admin only)
+const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const requiredRoles = await getRequiredRoles();
+
+  const [admins, adminsEnrolled] = await Promise.all([
+    User.countDocuments({ userType: 'admin' }),
+    User.countDocuments({ userType: 'admin', 'twoFactor.enabled': true })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      requiredRoles,
+      availableRoles: TWO_FACTOR_ROLES,
+      enrollment: {
+        admins,
+        adminsEnrolled
+      }
+    }
+  });
+});
+
+// @desc    İki adımlı doğrulama politikasını güncelle
+// @route   PUT /api/admin/security/two-factor
+// @access  Özel (Admin only)
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles) || !requiredRoles.every(role => TWO_FACTOR_ROLES.includes(role))) {
+    return res.status(400).json({
+      success: false,
+      message: `Zorunlu roller şunlardan oluşmalıdır: ${TWO_FACTOR_ROLES.join(', ')}`
+    });
+  }
+
+  const previousRoles = await getRequiredRoles();
+  const setting = await Setting.setValue(TWO_FACTOR_POLICY_KEY, requiredRoles, req.user._id);
+
+  await recordAudit(req, {
+    action: 'settings.two-factor.update',
+    targetType: 'Setting',
+    targetId: TWO_FACTOR_POLICY_KEY,
+    before: { requiredRoles: previousRoles },
+    after: { requiredRoles: setting.value }
+  });
+
+  res.json({
+    success: true,
+    message: 'İki adımlı doğrulama politikası güncellendi',
+    data: {
+      requiredRoles: setting.value
+    }
+  });
+});
+
+// @desc    Kullanıcının 2FA kaydını sıfırla (cihaz kaybı vb.)
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Özel (Admin only)
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'Kullanıcı bulunamadı'
+    });
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  await recordAudit(req, {
+    action: 'user.two-factor.reset',
+    targetType: 'User',
+    targetId: user._id
+  });
+
+  // Eski cihazla açılmış oturumları da sonlandır
+  await revokeAllSessions(user._id, 'admin_revoked');
+
+  res.json({
+    success: true,
+    message: 'Kullanıcının iki adımlı doğrulama kaydı sıfırlandı'
+  });
+});
+
+// @desc    Rolleri ve yetkilerini getir
+// @route   GET /api/admin/roles
+// @access  Özel (settings:manage)
+const getRoles = asyncHandler(async (req, res) => {
+  const [map, customRoles] = await Promise.all([
+    getRolePermissionMap(),
+    Role.find().populate('updatedBy', 'name surname').lean()
+  ]);
+
+  const roles = Object.keys(map).map(name => {
+    const custom = customRoles.find(role => role.name === name);
+
+    return {
+      name,
+      permissions: map[name],
+      isCustomized: Boolean(custom),
+      isDefault: Boolean(DEFAULT_ROLE_PERMISSIONS[name]),
+      description: custom ? custom.description : undefined,
+      updatedBy: custom ? custom.updatedBy : undefined,
+      updatedAt: custom ? custom.updatedAt : undefined
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      roles,
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+// @desc    Rolün yetkilerini güncelle
+// @route   PUT /api/admin/roles/:name
+// @access  Özel (settings:manage)
+const updateRolePermissions = asyncHandler(async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const { permissions, description } = req.body;
+
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Yetkiler dizi olarak gönderilmelidir'
+    });
+  }
+
+  const invalid = permissions.filter(permission => permission !== ALL_PERMISSIONS && !PERMISSIONS[permission]);
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Geçersiz yetki: ${invalid.join(', ')}`
+    });
+  }
+
+  // Admin rolünün yetki yönetimini kaybetmesi sistemi kilitler
+  if (name === 'admin' && !permissions.includes(ALL_PERMISSIONS) && !permissions.includes('settings:manage')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Admin rolünden yetki yönetimi kaldırılamaz'
+    });
+  }
+
+  const previousPermissions = await getPermissionsForRole(name);
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { permissions: [...new Set(permissions)], description, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  clearPermissionCache();
+
+  await recordAudit(req, {
+    action: 'role.update',
+    targetType: 'Role',
+    targetId: name,
+    before: { permissions: previousPermissions },
+    after: { permissions: role.permissions }
+  });
+
+  res.json({
+    success: true,
+    message: 'Rol yetkileri güncellendi',
+    data: role
+  });
+});
+
+// @desc    Rolün yetkilerini varsayılana döndür
+// @route   DELETE /api/admin/roles/:name
+// @access  Özel (settings:manage)
+const resetRolePermissions = asyncHandler(async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const role = await Role.findOneAndDelete({ name });
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bu rol için özelleştirilmiş yetki bulunamadı'
+    });
+  }
+
+  clearPermissionCache();
+
+  await recordAudit(req, {
+    action: 'role.reset',
+    targetType: 'Role',
+    targetId: name,
+    before: { permissions: role.permissions },
+    after: { permissions: DEFAULT_ROLE_PERMISSIONS[name] || [] }
+  });
+
+  res.json({
+    success: true,
+    message: DEFAULT_ROLE_PERMISSIONS[name]
+      ? 'Rol yetkileri varsayılana döndürüldü'
+      : 'Rol silindi'
+  });
+});
+
+const AUDIT_FILTER_FIELDS = ['user', 'target', 'targetType', 'action', 'from', 'to'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Denetim kaydı sorgu filtresini oluştur
+// Geçersiz parametrede hata mesajı döner
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  // Tekrarlanan parametreler (?action=a&action=b) dizi, köşeli parantezli olanlar nesne olarak gelir
+  const invalidField = AUDIT_FILTER_FIELDS.find(field => query[field] !== undefined && typeof query[field] !== 'string');
+  if (invalidField) {
+    return { error: `Geçersiz filtre değeri: ${invalidField}` };
+  }
+
+  if (query.user) {
+    if (!mongoose.Types.ObjectId.isValid(query.user)) {
+      return { error: 'Geçersiz kullanıcı ID' };
+    }
+    filter.actor = query.user;
+  }
+
+  if (query.target) {
+    filter.targetId = query.target;
+  }
+
+  if (query.targetType) {
+    filter.targetType = query.targetType;
+  }
+
+  // 'student.' gibi bir önekle biten değer o gruptaki tüm işlemleri getirir
+  if (query.action) {
+    filter.action = query.action.endsWith('.')
+      ? { $regex: `^${query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : query.action;
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return { error: 'Geçersiz tarih aralığı' };
+    }
+    if (from) filter.createdAt.$gte = from;
+    // Sadece tarih verilen bitiş o günün tamamını kapsar
+    if (to && DATE_ONLY.test(query.to)) {
+      filter.createdAt.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    } else if (to) {
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  return { filter };
+};
+
+// @desc    Denetim kayıtlarını sorgula
+// @route   GET /api/admin/audit-logs
+// @access  Özel (audit:read)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { filter, error } = buildAuditFilter(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name surname email studentNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: logs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Denetim kayıtlarını CSV olarak dışa aktar
+// @route   GET /api/admin/audit-logs/export
+// @access  Özel (audit:read)
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const { filter, error } = buildAuditFilter(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const logs = await AuditLog.find(filter)
+    .populate('actor', 'name surname email studentNumber')
+    .sort({ createdAt: -1 })
+    .limit(AUDIT_EXPORT_LIMIT)
+    .lean();
+
+  const actorName = (log) => log.actor && log.actor.name ? `${log.actor.name} ${log.actor.surname}` : '';
+
+  const csv = toCsv(logs, [
+    { header: 'Tarih', value: log => log.createdAt },
+    { header: 'Kullanıcı', value: actorName },
+    { header: 'Kullanıcı ID', value: log => log.actor && (log.actor._id || log.actor) },
+    { header: 'Rol', value: log => log.actorRole },
+    { header: 'İşlem', value: log => log.action },
+    { header: 'Hedef Tipi', value: log => log.targetType },
+    { header: 'Hedef ID', value: log => log.targetId },
+    { header: 'Önce', value: log => log.changes && JSON.stringify(log.changes.before) },
+    { header: 'Sonra', value: log => log.changes && JSON.stringify(log.changes.after) },
+    { header: 'Ek Bilgi', value: log => log.metadata && JSON.stringify(log.metadata) },
+    { header: 'Yöntem', value: log => log.method },
+    { header: 'Adres', value: log => log.path },
+    { header: 'IP', value: log => log.ip }
+  ]);
+
+  const date = new Date().toISOString().slice(0, 10);
+  sendCsv(res, `denetim-kayitlari-${date}.csv`, csv);
+});
+
+// @desc    Giriş kilitlerini ve başarısız deneme sayaçlarını getir
+// @route   GET /api/admin/security/lockouts
+// @access  Özel (users:read)
+const getLoginLockouts = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  // Varsayılan olarak yalnızca aktif kilitler, ?all=true ile tüm sayaçlar
+  if (req.query.all !== 'true') {
+    filter.lockedUntil = { $gt: new Date() };
+  }
+
+  if (['account', 'ip'].includes(req.query.scope)) {
+    filter.scope = req.query.scope;
+  }
+
+  const [records, recentEvents] = await Promise.all([
+    LoginThrottle.find(filter)
+      .sort({ lockedUntil: -1, updatedAt: -1 })
+      .limit(200),
+    AuditLog.find({ action: { $in: ['auth.lockout', 'auth.unlock'] } })
+      .populate('actor', 'name surname email')
+      .sort({ createdAt: -1 })
+      .limit(50)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      records,
+      recentEvents
+    }
+  });
+});
+
+// @desc    Giriş kilidini kaldır (sayaç sıfırlanır)
+// @route   DELETE /api/admin/security/lockouts/:id
+// @access  Özel (users:write)
+const unlockLogin = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz kayıt ID'
+    });
+  }
+
+  const record = await LoginThrottle.findByIdAndDelete(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Kilit kaydı bulunamadı'
+    });
+  }
+
+  await recordAudit(req, {
+    action: 'auth.unlock',
+    targetType: 'LoginThrottle',
+    targetId: record._id,
+    metadata: {
+      scope: record.scope,
+      key: record.key,
+      lockedUntil: record.lockedUntil
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Giriş kilidi kaldırıldı'
+  });
+});
+
+// @desc    Kullanıcının açık oturumlarını getir (öğretmen, öğrenci veya veli)
+// @route   GET /api/admin/users/:id/sessions
+// @access  Özel (users:read)
+const getUserSessions = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz kullanıcı ID'
+    });
+  }
+
+  const sessions = await getActiveSessions(req.params.id);
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+});
+
+// @desc    Kullanıcının tek bir oturumunu sonlandır
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @access  Özel (users:write)
+const revokeUserSession = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz kullanıcı veya oturum ID'
+    });
+  }
+
+  const session = await findUserSession(req.params.id, req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Oturum bulunamadı'
+    });
+  }
+
+  await revokeSession(session.family, 'admin_revoked');
+
+  await recordAudit(req, {
+    action: 'session.revoke',
+    targetType: session.userModel,
+    targetId: session.user,
+    metadata: {
+      session: session._id,
+      device: session.device,
+      browser: session.browser && session.browser.name,
+      ip: session.ip
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Oturum sonlandırıldı'
+  });
+});
+
+// @desc    Kullanıcının tüm oturumlarını sonlandır
+// @route   DELETE /api/admin/users/:id/sessions
+// @access  Özel (users:write)
+const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz kullanıcı ID'
+    });
+  }
+
+  // Hesap öğrenci veya veli de olabilir, hedef tipi oturum kaydından okunur
+  const lastSession = await LoginSession.findOne({ user: req.params.id }).select('userModel');
+  const count = await revokeUserSessions(req.params.id, 'admin_revoked');
+
+  await recordAudit(req, {
+    action: 'session.revoke-all',
+    targetType: lastSession ? lastSession.userModel : 'User',
+    targetId: req.params.id,
+    metadata: { count }
+  });
+
+  res.json({
+    success: true,
+    message: `${count} oturum sonlandırıldı`,
+    data: { count }
+  });
+});
+
 module.exports = {
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
   bulkUserAction,
-  getSystemStats
+  getSystemStats,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+  getAuditLogs,
+  exportAuditLogs,
+  getLoginLockouts,
+  unlockLogin,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
 }; 
\ No newline at end of file
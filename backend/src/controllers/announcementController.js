@@ -2,12 +2,25 @@ const Announcement = require('../models/Announcement');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const { validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
+const { resolveClassroom } = require('../utils/classrooms');
 
 // Helper function for error handling
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Sınıfa yönelik duyurunun hedef sınıfını Classroom kaydına çöz
+// targetClassroom (ID) veya targetClass ("9-A") kabul edilir; hata statusCode taşır
+const resolveTargetClassroom = ({ targetClassroom, targetClass }) => {
+  if (!targetClassroom && !targetClass) {
+    const error = new Error('Sınıfa yönelik duyurular için hedef sınıf gereklidir');
+    error.statusCode = 400;
+    return Promise.reject(error);
+  }
+  return resolveClassroom({ classroom: targetClassroom, className: targetClass });
+};
+
 // @desc    Tüm duyuruları getir (public)
 // @route   GET /api/announcements
 // @access  Public
@@ -101,17 +114,34 @@ const createAnnouncement = asyncHandler(async (req, res) => {
   }
 
   const { 
-    title, content, targetAudience, targetClass, 
+    title, content, targetAudience, 
     priority, expiryDate, tags 
   } = req.body;
 
+  // Sınıfa yönelik duyurular Classroom kaydı üzerinden hedeflenir
+  let classroom;
+  if (targetAudience === 'class') {
+    try {
+      classroom = await resolveTargetClassroom(req.body);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  }
+
   // Duyuru oluştur
   const announcement = await Announcement.create({
     title,
     content,
     author: req.user._id,
     targetAudience: targetAudience || 'all',
-    targetClass,
+    targetClass: classroom ? classroom.name : undefined,
+    targetClassroom: classroom ? classroom._id : undefined,
     priority: priority || 'medium',
     expiryDate,
     tags: tags || []
@@ -140,8 +170,8 @@ const updateAnnouncement = asyncHandler(async (req, res) => {
     });
   }
 
-  // Yetki kontrolü: Sadece duyuru sahibi veya admin güncelleyebilir
-  if (announcement.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Yetki kontrolü: Sadece duyuru sahibi veya moderasyon yetkisi olan güncelleyebilir
+  if (announcement.author.toString() !== req.user._id.toString() && !hasPermission(req, 'announcements:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu duyuruyu güncelleme yetkiniz yok'
@@ -149,7 +179,7 @@ const updateAnnouncement = asyncHandler(async (req, res) => {
   }
 
   // Güncellenebilir alanlar
-  const allowedFields = ['title', 'content', 'targetAudience', 'targetClass', 'priority', 'expiryDate', 'tags', 'isActive'];
+  const allowedFields = ['title', 'content', 'targetAudience', 'priority', 'expiryDate', 'tags', 'isActive'];
   const updateData = {};
   
   allowedFields.forEach(field => {
@@ -158,6 +188,33 @@ const updateAnnouncement = asyncHandler(async (req, res) => {
     }
   });
 
+  // Hedef kitle veya sınıf değiştiyse hedef sınıf yeniden çözülür
+  const targetAudience = req.body.targetAudience || announcement.targetAudience;
+  const targetChanged = req.body.targetAudience !== undefined ||
+    req.body.targetClass !== undefined ||
+    req.body.targetClassroom !== undefined;
+
+  if (targetChanged && targetAudience === 'class') {
+    try {
+      const classroom = await resolveTargetClassroom({
+        targetClassroom: req.body.targetClassroom || (req.body.targetClass ? undefined : announcement.targetClassroom),
+        targetClass: req.body.targetClass || announcement.targetClass
+      });
+      updateData.targetClass = classroom.name;
+      updateData.targetClassroom = classroom._id;
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  } else if (targetChanged) {
+    updateData.$unset = { targetClass: 1, targetClassroom: 1 };
+  }
+
   const updatedAnnouncement = await Announcement.findByIdAndUpdate(
     req.params.id,
     updateData,
@@ -184,8 +241,8 @@ const deleteAnnouncement = asyncHandler(async (req, res) => {
     });
   }
 
-  // Yetki kontrolü: Sadece duyuru sahibi veya admin silebilir
-  if (announcement.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Yetki kontrolü: Sadece duyuru sahibi veya moderasyon yetkisi olan silebilir
+  if (announcement.author.toString() !== req.user._id.toString() && !hasPermission(req, 'announcements:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu duyuruyu silme yetkiniz yok'
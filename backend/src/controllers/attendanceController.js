@@ -0,0 +1,429 @@
+/**
+ * Attendance Controller
+ * Sınıf ve ders saati bazında yoklama, öğrenci devamsızlık özetleri ve raporları
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const Attendance = require('../models/Attendance');
+const Classroom = require('../models/Classroom');
+const Enrollment = require('../models/Enrollment');
+const Setting = require('../models/Setting');
+const { recordAudit } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { findAccessibleStudent } = require('../utils/teacherAccess');
+const { EXPORT_FORMATS, sendTable } = require('../utils/tableExport');
+const {
+  ATTENDANCE_POLICY_KEY,
+  getAttendancePolicy,
+  parseAttendanceDate,
+  termForDate,
+  getAttendanceTotals,
+  getStudentAcademicYear,
+  getStudentAttendanceSummary
+} = require('../utils/attendance');
+const { findSlotForPeriod } = require('../utils/timetable');
+
+const STUDENT_FIELDS = 'name surname studentNumber';
+
+const STATUS_LABELS = {
+  present: 'Var',
+  absent: 'Yok',
+  late: 'Geç',
+  excused: 'İzinli',
+  medical: 'Raporlu'
+};
+
+const WARNING_LABELS = {
+  warning: 'Sınıra yaklaştı',
+  limit: 'Sınır aşıldı'
+};
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Sınıfın yoklamasına erişim: classrooms:write yetkisi veya sınıfın sınıf/ders öğretmeni
+const canAccessClassroom = (req, classroom) => hasPermission(req, 'classrooms:write') ||
+  classroom.hasTeacher(req.user._id);
+
+// Sınıfa aktif kayıtlı öğrenciler (ada göre sıralı)
+const getEnrolledStudents = async (classroomId) => {
+  const enrollments = await Enrollment.find({ classroom: classroomId, status: 'active' })
+    .populate('student', STUDENT_FIELDS);
+
+  return enrollments
+    .map(enrollment => enrollment.student)
+    .filter(Boolean)
+    .sort((a, b) => `${a.name} ${a.surname}`.localeCompare(`${b.name} ${b.surname}`, 'tr'));
+};
+
+// @desc    Yoklama al veya aynı ders saatinin yoklamasını düzelt
+// @route   POST /api/attendance
+// @access  Özel (attendance:take, sınıfın sınıf veya ders öğretmeni)
+// Listede olmayan kayıtlı öğrenciler "present" sayılır
+const takeAttendance = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const classroom = await Classroom.findById(req.body.classroom);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  if (!canAccessClassroom(req, classroom)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu sınıfın yoklamasını alma yetkiniz yok'
+    });
+  }
+
+  if (!classroom.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pasif sınıf için yoklama alınamaz'
+    });
+  }
+
+  const date = parseAttendanceDate(req.body.date);
+  if (date > new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'İleri bir tarih için yoklama alınamaz'
+    });
+  }
+
+  const enrolledIds = new Set((await Enrollment.find({ classroom: classroom._id, status: 'active' })
+    .distinct('student')).map(id => id.toString()));
+
+  const given = new Map((req.body.records || []).map(record => [record.student, record]));
+  const outside = [...given.keys()].filter(id => !enrolledIds.has(id));
+
+  if (outside.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Bazı öğrenciler bu sınıfa kayıtlı değil',
+      data: { students: outside }
+    });
+  }
+
+  const records = [...enrolledIds].map(id => {
+    const record = given.get(id);
+    return {
+      student: id,
+      status: record ? record.status : 'present',
+      note: record && record.note ? record.note : undefined
+    };
+  });
+
+  const policy = await getAttendancePolicy();
+  const period = req.body.period;
+  // Ders belirtilmezse ders programındaki o saatin dersi kullanılır
+  const slot = req.body.subject ? null : await findSlotForPeriod(classroom._id, date, period);
+  const subject = req.body.subject || (slot ? slot.subject : undefined);
+  let attendance = await Attendance.findOne({ classroom: classroom._id, date, period });
+  const before = attendance ? attendance.toObject() : null;
+
+  if (attendance) {
+    attendance.records = records;
+    attendance.subject = subject || attendance.subject;
+    attendance.updatedBy = req.user._id;
+    await attendance.save();
+  } else {
+    attendance = await Attendance.create({
+      classroom: classroom._id,
+      academicYear: classroom.academicYear,
+      term: termForDate(date, policy),
+      date,
+      period,
+      subject,
+      teacher: req.user._id,
+      records
+    });
+  }
+
+  await recordAudit(req, {
+    action: before ? 'attendance.update' : 'attendance.take',
+    targetType: 'Attendance',
+    targetId: attendance._id,
+    before,
+    after: attendance,
+    metadata: {
+      classroom: classroom.name,
+      date: req.body.date,
+      period
+    }
+  });
+
+  const absent = records.filter(record => record.status !== 'present').length;
+
+  res.status(before ? 200 : 201).json({
+    success: true,
+    message: before
+      ? `${classroom.name} ${period}. ders yoklaması güncellendi`
+      : `${classroom.name} ${period}. ders yoklaması alındı (${absent} devamsız)`,
+    data: attendance
+  });
+});
+
+// @desc    Sınıfın bir gündeki yoklamalarını ve öğrenci listesini getir
+// @route   GET /api/attendance/classrooms/:classroomId?date=YYYY-MM-DD
+// @access  Özel (attendance:read, sınıfın sınıf veya ders öğretmeni)
+const getClassroomAttendance = asyncHandler(async (req, res) => {
+  const classroom = await Classroom.findById(req.params.classroomId);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  if (!canAccessClassroom(req, classroom)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu sınıfın yoklamalarını görüntüleme yetkiniz yok'
+    });
+  }
+
+  const date = req.query.date
+    ? parseAttendanceDate(req.query.date)
+    : parseAttendanceDate(new Date().toISOString().slice(0, 10));
+
+  if (!date) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tarih YYYY-AA-GG biçiminde olmalıdır'
+    });
+  }
+
+  const [students, sessions] = await Promise.all([
+    getEnrolledStudents(classroom._id),
+    Attendance.find({ classroom: classroom._id, date })
+      .populate('teacher', 'name surname')
+      .sort({ period: 1 })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      classroom: {
+        _id: classroom._id,
+        name: classroom.name,
+        academicYear: classroom.academicYear
+      },
+      date: date.toISOString().slice(0, 10),
+      students,
+      sessions
+    }
+  });
+});
+
+// @desc    Öğrencinin devamsızlık özetini getir
+// @route   GET /api/attendance/students/:studentId/summary?academicYear=2024-2025
+// @access  Özel (attendance:read, öğrenciye erişimi olan öğretmenler)
+const getStudentSummary = asyncHandler(async (req, res) => {
+  const result = await findAccessibleStudent(req.user, req.params.studentId, STUDENT_FIELDS);
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı'
+    });
+  }
+
+  const { student } = result;
+  const academicYear = req.query.academicYear || await getStudentAcademicYear(student);
+  const summary = await getStudentAttendanceSummary(student._id, academicYear);
+
+  res.json({
+    success: true,
+    data: {
+      student: {
+        _id: student._id,
+        name: student.name,
+        surname: student.surname,
+        studentNumber: student.studentNumber
+      },
+      ...summary
+    }
+  });
+});
+
+// @desc    Sınıfın devamsızlık raporu (öğrenci bazında toplamlar ve uyarılar)
+// @route   GET /api/attendance/report?classroom=ID&term=1|2&format=json|csv|xlsx|pdf
+// @access  Özel (attendance:read, sınıfın sınıf veya ders öğretmeni)
+const getAttendanceReport = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+
+  if (format !== 'json' && !EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz format (json, csv, xlsx veya pdf)'
+    });
+  }
+
+  const term = req.query.term ? parseInt(req.query.term) : undefined;
+  if (term !== undefined && ![1, 2].includes(term)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dönem 1 veya 2 olmalıdır'
+    });
+  }
+
+  const classroom = req.query.classroom ? await Classroom.findById(req.query.classroom) : null;
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  if (!canAccessClassroom(req, classroom)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu sınıfın devamsızlık raporunu görüntüleme yetkiniz yok'
+    });
+  }
+
+  const students = await getEnrolledStudents(classroom._id);
+  const [policy, totals] = await Promise.all([
+    getAttendancePolicy(),
+    getAttendanceTotals(students.map(student => student._id), {
+      academicYear: classroom.academicYear,
+      term
+    })
+  ]);
+
+  const rows = students.map(student => {
+    const entry = totals.get(student._id.toString());
+    const selected = term ? entry.terms[term] : entry.total;
+    return {
+      student: {
+        _id: student._id,
+        name: student.name,
+        surname: student.surname,
+        studentNumber: student.studentNumber
+      },
+      ...selected,
+      yearUnexcusedDays: entry.total.unexcusedDays,
+      warning: entry.warning
+    };
+  });
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: {
+        classroom: {
+          _id: classroom._id,
+          name: classroom.name,
+          academicYear: classroom.academicYear
+        },
+        term: term || null,
+        policy: {
+          maxUnexcusedDays: policy.maxUnexcusedDays,
+          warningDays: policy.warningDays
+        },
+        students: rows
+      }
+    });
+  }
+
+  const periodColumns = Object.keys(STATUS_LABELS)
+    .filter(status => status !== 'present')
+    .map(status => ({ header: `${STATUS_LABELS[status]} (ders)`, value: row => row.periods[status] }));
+
+  await sendTable(res, {
+    format,
+    filename: `devamsizlik-${classroom.name}-${term ? `${term}-donem` : classroom.academicYear}`,
+    title: `Devamsızlık Raporu - ${classroom.name} ${classroom.academicYear}${term ? ` ${term}. Dönem` : ''}`,
+    rows,
+    columns: [
+      { header: 'Öğrenci No', value: row => row.student.studentNumber },
+      { header: 'Ad', value: row => row.student.name },
+      { header: 'Soyad', value: row => row.student.surname },
+      { header: 'Özürsüz (gün)', value: row => row.unexcusedDays },
+      { header: 'Özürlü (gün)', value: row => row.excusedDays },
+      ...periodColumns,
+      { header: 'Uyarı', value: row => WARNING_LABELS[row.warning] || '' }
+    ]
+  });
+});
+
+// @desc    Devamsızlık politikasını getir
+// @route   GET /api/attendance/policy
+// @access  Özel (attendance:read)
+const getPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getAttendancePolicy()
+  });
+});
+
+// @desc    Devamsızlık politikasını güncelle (sınır, uyarı eşiği, 2. dönem başlangıcı)
+// @route   PUT /api/attendance/policy
+// @access  Özel (settings:manage)
+const updatePolicy = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const before = await getAttendancePolicy();
+  const policy = { ...before };
+
+  ['maxUnexcusedDays', 'warningDays', 'secondTermStart'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      policy[field] = req.body[field];
+    }
+  });
+
+  if (policy.warningDays > policy.maxUnexcusedDays) {
+    return res.status(400).json({
+      success: false,
+      message: 'Uyarı eşiği devamsızlık sınırından büyük olamaz'
+    });
+  }
+
+  await Setting.setValue(ATTENDANCE_POLICY_KEY, policy, req.user._id);
+
+  await recordAudit(req, {
+    action: 'settings.attendance.update',
+    targetType: 'Setting',
+    targetId: ATTENDANCE_POLICY_KEY,
+    before,
+    after: policy
+  });
+
+  res.json({
+    success: true,
+    message: 'Devamsızlık politikası güncellendi',
+    data: policy
+  });
+});
+
+module.exports = {
+  takeAttendance,
+  getClassroomAttendance,
+  getStudentSummary,
+  getAttendanceReport,
+  getPolicy,
+  updatePolicy
+};
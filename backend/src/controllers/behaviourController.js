@@ -0,0 +1,256 @@
+/**
+ * Behaviour Controller
+ * Öğrenci davranış kayıtları, sınıf sıralamaları ve not + davranış zaman çizelgesi
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const BehaviourEntry = require('../models/BehaviourEntry');
+const Classroom = require('../models/Classroom');
+const { recordAudit } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { findAccessibleStudent, canTeachSubject } = require('../utils/teacherAccess');
+const { getStudentAcademicYear } = require('../utils/attendance');
+const {
+  notifyGuardians,
+  getBehaviourTotals,
+  getClassroomLeaderboard,
+  buildTimeline
+} = require('../utils/behaviour');
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendStudentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Öğrenci bulunamadı veya bu öğrenci size ait değil'
+});
+
+// @desc    Davranış kaydı ekle (isteğe bağlı veli bildirimi)
+// @route   POST /api/behaviour
+// @access  Özel (behaviour:write, öğrenciye erişimi olan öğretmen)
+const createEntry = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const result = await findAccessibleStudent(req.user, req.body.student, 'name surname isActive parentInfo');
+  if (!result) {
+    return sendStudentNotFound(res);
+  }
+
+  const { student } = result;
+  if (!student.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pasif öğrenci için davranış kaydı girilemez'
+    });
+  }
+
+  const { type, category, points, description, date, subject, notifyGuardian } = req.body;
+
+  const entry = new BehaviourEntry({
+    student: student._id,
+    classroom: student.classroom,
+    academicYear: await getStudentAcademicYear(student),
+    type,
+    category,
+    points,
+    description,
+    date: date || new Date(),
+    subject,
+    teacher: req.user._id,
+    guardianNotification: { requested: Boolean(notifyGuardian) }
+  });
+  await entry.save();
+
+  // Bildirim hatası kaydı geri almaz, sadece bildirim gönderilmemiş olarak kalır
+  if (notifyGuardian) {
+    try {
+      entry.guardianNotification.recipients = await notifyGuardians(entry, student, req.user);
+      if (entry.guardianNotification.recipients > 0) {
+        entry.guardianNotification.sentAt = new Date();
+      }
+      await entry.save();
+    } catch (error) {
+      console.error('Davranış bildirimi gönderilemedi:', error.message);
+    }
+  }
+
+  await recordAudit(req, {
+    action: 'behaviour.create',
+    targetType: 'Student',
+    targetId: student._id,
+    after: entry
+  });
+
+  res.status(201).json({
+    success: true,
+    message: entry.guardianNotification.requested && !entry.guardianNotification.sentAt
+      ? 'Davranış kaydı eklendi, veliye bildirim gönderilemedi'
+      : 'Davranış kaydı eklendi',
+    data: entry
+  });
+});
+
+// @desc    Öğrencinin davranış kayıtları ve puan özeti
+// @route   GET /api/behaviour/students/:studentId?academicYear=&type=
+// @access  Özel (behaviour:read, öğrenciye erişimi olan öğretmen)
+const getStudentEntries = asyncHandler(async (req, res) => {
+  const result = await findAccessibleStudent(req.user, req.params.studentId, 'name surname studentNumber');
+  if (!result) {
+    return sendStudentNotFound(res);
+  }
+
+  const { student } = result;
+  const academicYear = req.query.academicYear || await getStudentAcademicYear(student);
+  const filter = { student: student._id, academicYear };
+  if (BehaviourEntry.TYPES.includes(req.query.type)) {
+    filter.type = req.query.type;
+  }
+
+  const [entries, totals] = await Promise.all([
+    BehaviourEntry.find(filter)
+      .populate('teacher', 'name surname')
+      .sort({ date: -1 }),
+    getBehaviourTotals([student._id], { academicYear })
+  ]);
+
+  res.json({
+    success: true,
+    count: entries.length,
+    data: {
+      student: {
+        id: student._id,
+        ad: student.name,
+        soyad: student.surname,
+        numara: student.studentNumber
+      },
+      academicYear,
+      ...totals.get(student._id.toString()),
+      entries
+    }
+  });
+});
+
+// @desc    Öğrencinin notları ve davranış kayıtlarından birleşik zaman çizelgesi
+// @route   GET /api/behaviour/students/:studentId/timeline
+// @access  Özel (behaviour:read, grades:read)
+const getStudentTimeline = asyncHandler(async (req, res) => {
+  const result = await findAccessibleStudent(req.user, req.params.studentId, 'name surname studentNumber grades');
+  if (!result) {
+    return sendStudentNotFound(res);
+  }
+
+  const { student, access } = result;
+  await student.populate('grades.teacher', 'name surname');
+
+  // Ders öğretmeni sadece kendi derslerinin notlarını görür
+  const grades = student.grades.filter(grade => canTeachSubject(access, grade.subject));
+  const entries = await BehaviourEntry.find({ student: student._id })
+    .populate('teacher', 'name surname');
+
+  res.json({
+    success: true,
+    data: {
+      student: {
+        id: student._id,
+        ad: student.name,
+        soyad: student.surname,
+        numara: student.studentNumber
+      },
+      timeline: buildTimeline(grades, entries)
+    }
+  });
+});
+
+// @desc    Sınıfın davranış puanı sıralaması (sınıfın eğitim yılı)
+// @route   GET /api/behaviour/classrooms/:classroomId/leaderboard
+// @access  Özel (behaviour:read, sınıfın sınıf veya ders öğretmeni)
+const getLeaderboard = asyncHandler(async (req, res) => {
+  const classroom = await Classroom.findById(req.params.classroomId);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  if (!hasPermission(req, 'classrooms:write') && !classroom.hasTeacher(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu sınıfın sıralamasını görme yetkiniz yok'
+    });
+  }
+
+  const rows = await getClassroomLeaderboard(classroom);
+
+  res.json({
+    success: true,
+    count: rows.length,
+    data: {
+      classroom: {
+        id: classroom._id,
+        name: classroom.name,
+        academicYear: classroom.academicYear
+      },
+      leaderboard: rows
+    }
+  });
+});
+
+// @desc    Davranış kaydını sil
+// @route   DELETE /api/behaviour/:id
+// @access  Özel (kaydı giren öğretmen veya behaviour:manage)
+const deleteEntry = asyncHandler(async (req, res) => {
+  const entry = await BehaviourEntry.findById(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Davranış kaydı bulunamadı'
+    });
+  }
+
+  if (entry.teacher.toString() !== req.user._id.toString() && !hasPermission(req, 'behaviour:manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu kaydı silme yetkiniz yok'
+    });
+  }
+
+  await entry.deleteOne();
+
+  await recordAudit(req, {
+    action: 'behaviour.delete',
+    targetType: 'Student',
+    targetId: entry.student,
+    before: entry
+  });
+
+  res.json({
+    success: true,
+    message: 'Davranış kaydı silindi'
+  });
+});
+
+module.exports = {
+  createEntry,
+  getStudentEntries,
+  getStudentTimeline,
+  getLeaderboard,
+  deleteEntry
+};
@@ -0,0 +1,447 @@
+/**
+ * Classroom Controller
+ * Sınıf/şube yönetimi ve sınıf üyeliği (öğrenci kayıtları)
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const Classroom = require('../models/Classroom');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Assignment = require('../models/Assignment');
+const Announcement = require('../models/Announcement');
+const User = require('../models/User');
+const TimetableSlot = require('../models/TimetableSlot');
+const { recordAudit } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { getCurrentAcademicYear, enrollStudent, withdrawStudent } = require('../utils/classrooms');
+
+const TEACHER_FIELDS = 'name surname email';
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Sınıfların aktif öğrenci sayıları
+const countStudents = async (classroomIds) => {
+  const counts = await Enrollment.aggregate([
+    { $match: { classroom: { $in: classroomIds }, status: 'active' } },
+    { $group: { _id: '$classroom', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+// Sınıf öğretmeni ve ders öğretmenlerinin gerçekten öğretmen olduğunu doğrula
+// Hatalıysa mesaj döner
+const checkTeachers = async ({ homeroomTeacher, subjectTeachers }) => {
+  const ids = [
+    ...(homeroomTeacher ? [homeroomTeacher] : []),
+    ...(subjectTeachers || []).map(entry => entry.teacher)
+  ].map(id => id.toString());
+
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) {
+    return null;
+  }
+
+  const count = await User.countDocuments({ _id: { $in: unique }, userType: 'teacher' });
+  return count === unique.length ? null : 'Seçilen öğretmenlerden bazıları bulunamadı';
+};
+
+// Sınıf listesi yönetimi: classrooms:write yetkisi veya sınıfın sınıf öğretmeni
+const canManageMembers = (req, classroom) => hasPermission(req, 'classrooms:write') ||
+  (classroom.homeroomTeacher && classroom.homeroomTeacher.toString() === req.user._id.toString());
+
+// @desc    Sınıfları getir
+// @route   GET /api/classrooms
+// @access  Özel (classrooms:read)
+// academicYear verilmezse güncel eğitim yılı, "all" ise tüm yıllar
+const getClassrooms = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.academicYear !== 'all') {
+    filter.academicYear = req.query.academicYear || await getCurrentAcademicYear();
+  }
+
+  if (req.query.gradeLevel) {
+    filter.gradeLevel = parseInt(req.query.gradeLevel);
+  }
+
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+
+  // mine=true: öğretmenin sınıf veya ders öğretmeni olduğu sınıflar
+  if (req.query.mine === 'true') {
+    filter.$or = [
+      { homeroomTeacher: req.user._id },
+      { 'subjectTeachers.teacher': req.user._id }
+    ];
+  }
+
+  const classrooms = await Classroom.find(filter)
+    .populate('homeroomTeacher', TEACHER_FIELDS)
+    .populate('subjectTeachers.teacher', TEACHER_FIELDS)
+    .sort({ academicYear: -1, gradeLevel: 1, section: 1 });
+
+  const counts = await countStudents(classrooms.map(classroom => classroom._id));
+
+  res.json({
+    success: true,
+    count: classrooms.length,
+    data: classrooms.map(classroom => ({
+      ...classroom.toObject(),
+      studentCount: counts.get(classroom._id.toString()) || 0
+    }))
+  });
+});
+
+// @desc    Sınıf detayını getir
+// @route   GET /api/classrooms/:id
+// @access  Özel (classrooms:read)
+const getClassroom = asyncHandler(async (req, res) => {
+  const classroom = await Classroom.findById(req.params.id)
+    .populate('homeroomTeacher', TEACHER_FIELDS)
+    .populate('subjectTeachers.teacher', TEACHER_FIELDS);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  const counts = await countStudents([classroom._id]);
+
+  res.json({
+    success: true,
+    data: {
+      ...classroom.toObject(),
+      studentCount: counts.get(classroom._id.toString()) || 0
+    }
+  });
+});
+
+// @desc    Yeni sınıf oluştur
+// @route   POST /api/classrooms
+// @access  Özel (classrooms:write)
+const createClassroom = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const { gradeLevel, section, homeroomTeacher, subjectTeachers } = req.body;
+  const academicYear = req.body.academicYear || await getCurrentAcademicYear();
+
+  const teacherError = await checkTeachers({ homeroomTeacher, subjectTeachers });
+  if (teacherError) {
+    return res.status(400).json({
+      success: false,
+      message: teacherError
+    });
+  }
+
+  const existing = await Classroom.findOne({
+    academicYear,
+    gradeLevel,
+    section: String(section).toLocaleUpperCase('tr-TR')
+  });
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: `${existing.name} sınıfı ${academicYear} eğitim yılında zaten tanımlı`
+    });
+  }
+
+  const classroom = await Classroom.create({
+    gradeLevel,
+    section,
+    academicYear,
+    homeroomTeacher,
+    subjectTeachers,
+    createdBy: req.user._id
+  });
+
+  await recordAudit(req, {
+    action: 'classroom.create',
+    targetType: 'Classroom',
+    targetId: classroom._id,
+    after: classroom
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Sınıf oluşturuldu',
+    data: classroom
+  });
+});
+
+// @desc    Sınıfı güncelle (seviye, şube, öğretmenler, durum)
+// @route   PUT /api/classrooms/:id
+// @access  Özel (classrooms:write)
+const updateClassroom = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  const teacherError = await checkTeachers(req.body);
+  if (teacherError) {
+    return res.status(400).json({
+      success: false,
+      message: teacherError
+    });
+  }
+
+  const before = classroom.toObject();
+  const previousName = classroom.name;
+
+  ['gradeLevel', 'section', 'homeroomTeacher', 'subjectTeachers', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      classroom[field] = req.body[field];
+    }
+  });
+
+  await classroom.save();
+
+  // Sınıf adı değiştiyse eski serbest metin alanları da güncellenir
+  if (classroom.name !== previousName) {
+    await Promise.all([
+      Student.updateMany({ classroom: classroom._id }, { class: classroom.name }),
+      Assignment.updateMany({ classroom: classroom._id }, { class: classroom.name }),
+      Announcement.updateMany({ targetClassroom: classroom._id }, { targetClass: classroom.name })
+    ]);
+  }
+
+  await recordAudit(req, {
+    action: 'classroom.update',
+    targetType: 'Classroom',
+    targetId: classroom._id,
+    before,
+    after: classroom
+  });
+
+  res.json({
+    success: true,
+    message: 'Sınıf güncellendi',
+    data: classroom
+  });
+});
+
+// @desc    Sınıfı sil (kayıtlı öğrencisi olmayan sınıflar)
+// @route   DELETE /api/classrooms/:id
+// @access  Özel (classrooms:write)
+const deleteClassroom = asyncHandler(async (req, res) => {
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  const activeCount = await Enrollment.countDocuments({ classroom: classroom._id, status: 'active' });
+  if (activeCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Sınıfta ${activeCount} kayıtlı öğrenci var, önce öğrencileri başka sınıfa aktarın veya sınıfı pasif yapın`
+    });
+  }
+
+  await classroom.deleteOne();
+  await TimetableSlot.deleteMany({ classroom: classroom._id });
+
+  await recordAudit(req, {
+    action: 'classroom.delete',
+    targetType: 'Classroom',
+    targetId: classroom._id,
+    before: classroom
+  });
+
+  res.json({
+    success: true,
+    message: 'Sınıf silindi'
+  });
+});
+
+// @desc    Sınıfın öğrencilerini getir
+// @route   GET /api/classrooms/:id/students
+// @access  Özel (classrooms:read)
+// history=true ise sınıftan ayrılmış öğrencilerin kayıtları da döner
+const getClassroomStudents = asyncHandler(async (req, res) => {
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  const filter = { classroom: classroom._id };
+  if (req.query.history !== 'true') {
+    filter.status = 'active';
+  }
+
+  const enrollments = await Enrollment.find(filter)
+    .populate('student', 'name surname studentNumber class teacher isActive')
+    .sort({ status: 1, startDate: 1 });
+
+  res.json({
+    success: true,
+    count: enrollments.length,
+    data: enrollments
+  });
+});
+
+// @desc    Öğrencileri sınıfa kaydet (başka sınıftaysa nakil olarak işlenir)
+// @route   POST /api/classrooms/:id/students
+// @access  Özel (classrooms:write veya sınıf öğretmeni)
+const addClassroomStudents = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  if (!canManageMembers(req, classroom)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu sınıfın öğrenci listesini değiştirme yetkiniz yok'
+    });
+  }
+
+  if (!classroom.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pasif sınıfa öğrenci kaydedilemez'
+    });
+  }
+
+  const { studentIds } = req.body;
+  const students = await Student.find({ _id: { $in: studentIds } });
+
+  if (students.length !== studentIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bazı öğrenciler bulunamadı'
+    });
+  }
+
+  const enrolled = [];
+  for (const student of students) {
+    const previousClassroom = student.classroom;
+    const enrollment = await enrollStudent(student, classroom, { createdBy: req.user._id });
+    if (enrollment) {
+      enrolled.push({ student: student._id, previousClassroom });
+    }
+  }
+
+  await recordAudit(req, {
+    action: 'classroom.enroll',
+    targetType: 'Classroom',
+    targetId: classroom._id,
+    metadata: {
+      classroom: classroom.name,
+      academicYear: classroom.academicYear,
+      enrolled
+    }
+  });
+
+  res.json({
+    success: true,
+    message: `${enrolled.length} öğrenci ${classroom.name} sınıfına kaydedildi`,
+    data: {
+      enrolled: enrolled.length,
+      alreadyEnrolled: students.length - enrolled.length
+    }
+  });
+});
+
+// @desc    Öğrencinin sınıf kaydını sonlandır
+// @route   DELETE /api/classrooms/:id/students/:studentId
+// @access  Özel (classrooms:write veya sınıf öğretmeni)
+const removeClassroomStudent = asyncHandler(async (req, res) => {
+  const [classroom, student] = await Promise.all([
+    Classroom.findById(req.params.id),
+    Student.findById(req.params.studentId)
+  ]);
+
+  if (!classroom || !student) {
+    return res.status(404).json({
+      success: false,
+      message: classroom ? 'Öğrenci bulunamadı' : 'Sınıf bulunamadı'
+    });
+  }
+
+  if (!canManageMembers(req, classroom)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Bu sınıfın öğrenci listesini değiştirme yetkiniz yok'
+    });
+  }
+
+  const removed = await withdrawStudent(student, classroom, { endedBy: req.user._id });
+
+  if (removed === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bu sınıfa kayıtlı değil'
+    });
+  }
+
+  await recordAudit(req, {
+    action: 'classroom.withdraw',
+    targetType: 'Student',
+    targetId: student._id,
+    metadata: {
+      classroom: classroom._id,
+      className: classroom.name,
+      academicYear: classroom.academicYear
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Öğrencinin sınıf kaydı sonlandırıldı'
+  });
+});
+
+module.exports = {
+  getClassrooms,
+  getClassroom,
+  createClassroom,
+  updateClassroom,
+  deleteClassroom,
+  getClassroomStudents,
+  addClassroomStudents,
+  removeClassroomStudent
+};
@@ -0,0 +1,450 @@
+/**
+ * Extension Controller
+ * Öğrenciye özel teslim tarihleri (ek süre) ve öğrencilerin ek süre talepleri
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const Assignment = require('../models/Assignment');
+const ExtensionRequest = require('../models/ExtensionRequest');
+const Student = require('../models/Student');
+const Submission = require('../models/Submission');
+const { recordAudit } = require('../utils/audit');
+const {
+  setDueDateOverride,
+  removeDueDateOverride,
+  notifyTeacherOfRequest,
+  notifyDecision
+} = require('../utils/extensions');
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Ödevin öğretmeni veya admin mi?
+const canManageAssignment = (user, assignment) => user.userType === 'admin' ||
+  (assignment.teacher._id || assignment.teacher).toString() === user._id.toString();
+
+const isTargetStudent = (assignment, studentId) => assignment.targetStudents
+  .some(id => id.toString() === studentId.toString());
+
+// Öğretmenin yönetebileceği ödev; yoksa 404, yetki yoksa 403 yanıtı gönderir ve null döner
+const findManagedAssignment = async (req, res, id) => {
+  const assignment = await Assignment.findById(id);
+
+  if (!assignment) {
+    res.status(404).json({
+      success: false,
+      message: 'Ödev bulunamadı'
+    });
+    return null;
+  }
+
+  if (!canManageAssignment(req.user, assignment)) {
+    res.status(403).json({
+      success: false,
+      message: 'Bu ödevin teslim tarihlerini yönetme yetkiniz yok'
+    });
+    return null;
+  }
+
+  return assignment;
+};
+
+// ============ ÖĞRENCİ ============
+
+// @desc    Ödev için ek süre talep et
+// @route   POST /api/student/assignments/:id/extension-requests
+// @access  Özel (portal:student)
+const requestExtension = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const studentId = req.user._id;
+  const assignment = await Assignment.findOne({
+    _id: req.params.id,
+    targetStudents: studentId
+  }).populate('teacher', 'name surname email');
+
+  if (!assignment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ödev bulunamadı veya size atanmamış'
+    });
+  }
+
+  if (assignment.readOnlyStudents.some(id => id.toString() === studentId.toString())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Nakil nedeniyle bu ödev için ek süre talep edemezsiniz'
+    });
+  }
+
+  // İade edilen teslimlerde yeniden teslim tarihi iadede belirlenir
+  const submission = await Submission.exists({ assignment: assignment._id, student: studentId });
+  if (submission) {
+    return res.status(400).json({
+      success: false,
+      message: 'Teslim edilmiş ödev için ek süre talep edilemez'
+    });
+  }
+
+  const currentDueDate = assignment.getDueDateFor(studentId);
+  if (req.body.requestedDueDate <= currentDueDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'İstenen tarih mevcut teslim tarihinden sonra olmalıdır'
+    });
+  }
+
+  const pending = await ExtensionRequest.exists({
+    assignment: assignment._id,
+    student: studentId,
+    status: 'pending'
+  });
+  if (pending) {
+    return res.status(409).json({
+      success: false,
+      message: 'Bu ödev için bekleyen bir ek süre talebiniz var'
+    });
+  }
+
+  const request = await ExtensionRequest.create({
+    assignment: assignment._id,
+    student: studentId,
+    reason: req.body.reason,
+    requestedDueDate: req.body.requestedDueDate
+  });
+
+  // Bildirim hatası talebi geri almaz
+  try {
+    await notifyTeacherOfRequest(request, assignment, req.user);
+  } catch (error) {
+    console.error('Ek süre talebi bildirimi gönderilemedi:', error.message);
+  }
+
+  await recordAudit(req, {
+    action: 'extension.request',
+    targetType: 'Assignment',
+    targetId: assignment._id,
+    after: request
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Ek süre talebiniz öğretmeninize iletildi',
+    data: request
+  });
+});
+
+// @desc    Öğrencinin ek süre talepleri
+// @route   GET /api/student/extension-requests?status=
+// @access  Özel (portal:student)
+const getMyExtensionRequests = asyncHandler(async (req, res) => {
+  const filter = { student: req.user._id };
+  if (ExtensionRequest.STATUSES.includes(req.query.status)) {
+    filter.status = req.query.status;
+  }
+
+  const requests = await ExtensionRequest.find(filter)
+    .populate('assignment', 'title subject dueDate')
+    .populate('decidedBy', 'name surname')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Bekleyen ek süre talebini geri çek
+// @route   DELETE /api/student/extension-requests/:id
+// @access  Özel (portal:student)
+const cancelMyExtensionRequest = asyncHandler(async (req, res) => {
+  const request = await ExtensionRequest.findOne({
+    _id: req.params.id,
+    student: req.user._id
+  });
+
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ek süre talebi bulunamadı'
+    });
+  }
+
+  if (request.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: 'Sadece bekleyen talepler geri çekilebilir'
+    });
+  }
+
+  request.status = 'cancelled';
+  await request.save();
+
+  res.json({
+    success: true,
+    message: 'Ek süre talebi geri çekildi',
+    data: request
+  });
+});
+
+// ============ ÖĞRETMEN ============
+
+// @desc    Öğretmenin ödevlerine gelen ek süre talepleri (admin tümünü görür)
+// @route   GET /api/extensions/requests?status=pending&assignment=
+// @access  Özel (assignments:write)
+const getExtensionRequests = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (ExtensionRequest.STATUSES.includes(req.query.status)) {
+    filter.status = req.query.status;
+  }
+
+  if (req.user.userType !== 'admin') {
+    const assignmentFilter = { teacher: req.user._id };
+    if (req.query.assignment) {
+      assignmentFilter._id = req.query.assignment;
+    }
+    filter.assignment = { $in: await Assignment.find(assignmentFilter).distinct('_id') };
+  } else if (req.query.assignment) {
+    filter.assignment = req.query.assignment;
+  }
+
+  const requests = await ExtensionRequest.find(filter)
+    .populate('assignment', 'title subject class dueDate')
+    .populate('student', 'name surname studentNumber class')
+    .populate('decidedBy', 'name surname')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Ek süre talebini onayla veya reddet (öğrenci ve velilere bildirilir)
+// @route   PATCH /api/extensions/requests/:id
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+// Onayda dueDate verilmezse öğrencinin istediği tarih kullanılır
+const reviewExtensionRequest = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const request = await ExtensionRequest.findById(req.params.id);
+
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ek süre talebi bulunamadı'
+    });
+  }
+
+  const assignment = await findManagedAssignment(req, res, request.assignment);
+  if (!assignment) {
+    return;
+  }
+
+  if (request.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: 'Bu talep için daha önce karar verildi'
+    });
+  }
+
+  const { decision, note } = req.body;
+  const grantedDueDate = req.body.dueDate || request.requestedDueDate;
+
+  if (decision === 'approved' && grantedDueDate <= assignment.getDueDateFor(request.student)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verilen tarih mevcut teslim tarihinden sonra olmalıdır'
+    });
+  }
+
+  request.status = decision;
+  request.decisionNote = note;
+  request.decidedBy = req.user._id;
+  request.decidedAt = new Date();
+
+  if (decision === 'approved') {
+    request.grantedDueDate = grantedDueDate;
+    setDueDateOverride(assignment, request.student, {
+      dueDate: grantedDueDate,
+      reason: request.reason,
+      userId: req.user._id,
+      requestId: request._id
+    });
+    await assignment.save();
+  }
+
+  await request.save();
+
+  // Bildirim hatası kararı geri almaz
+  try {
+    const student = await Student.findById(request.student).select('name surname email');
+    request.notificationRecipients = await notifyDecision(request, assignment, student);
+    await request.save();
+  } catch (error) {
+    console.error('Ek süre kararı bildirimi gönderilemedi:', error.message);
+  }
+
+  await recordAudit(req, {
+    action: decision === 'approved' ? 'extension.approve' : 'extension.deny',
+    targetType: 'Assignment',
+    targetId: assignment._id,
+    after: request,
+    metadata: { student: request.student }
+  });
+
+  res.json({
+    success: true,
+    message: decision === 'approved' ? 'Ek süre talebi onaylandı' : 'Ek süre talebi reddedildi',
+    data: request
+  });
+});
+
+// @desc    Ödevde öğrenciye özel teslim tarihleri
+// @route   GET /api/extensions/assignments/:assignmentId
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+const getAssignmentExtensions = asyncHandler(async (req, res) => {
+  const assignment = await findManagedAssignment(req, res, req.params.assignmentId);
+  if (!assignment) {
+    return;
+  }
+
+  await assignment.populate([
+    { path: 'dueDateOverrides.student', select: 'name surname studentNumber' },
+    { path: 'dueDateOverrides.grantedBy', select: 'name surname' }
+  ]);
+
+  res.json({
+    success: true,
+    count: assignment.dueDateOverrides.length,
+    data: {
+      assignment: {
+        id: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.dueDate
+      },
+      overrides: assignment.dueDateOverrides
+    }
+  });
+});
+
+// @desc    Öğrenciye doğrudan ek süre ver veya verilen ek süreyi değiştir
+// @route   PUT /api/extensions/assignments/:assignmentId/students/:studentId
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+const setStudentExtension = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const assignment = await findManagedAssignment(req, res, req.params.assignmentId);
+  if (!assignment) {
+    return;
+  }
+
+  const { studentId } = req.params;
+  if (!isTargetStudent(assignment, studentId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Öğrenci bu ödeve atanmamış'
+    });
+  }
+
+  if (req.body.dueDate <= assignment.dueDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Ek süre tarihi ödevin teslim tarihinden sonra olmalıdır'
+    });
+  }
+
+  const before = assignment.dueDateOverrides.find(item => item.student.toString() === studentId);
+  setDueDateOverride(assignment, studentId, {
+    dueDate: req.body.dueDate,
+    reason: req.body.reason,
+    userId: req.user._id
+  });
+  await assignment.save();
+
+  await recordAudit(req, {
+    action: 'extension.grant',
+    targetType: 'Assignment',
+    targetId: assignment._id,
+    before: before ? before.toObject() : null,
+    after: { student: studentId, dueDate: req.body.dueDate, reason: req.body.reason }
+  });
+
+  res.json({
+    success: true,
+    message: 'Öğrenciye ek süre verildi',
+    data: {
+      student: studentId,
+      dueDate: assignment.getDueDateFor(studentId)
+    }
+  });
+});
+
+// @desc    Öğrenciye verilen ek süreyi kaldır (ödevin teslim tarihi geçerli olur)
+// @route   DELETE /api/extensions/assignments/:assignmentId/students/:studentId
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+const removeStudentExtension = asyncHandler(async (req, res) => {
+  const assignment = await findManagedAssignment(req, res, req.params.assignmentId);
+  if (!assignment) {
+    return;
+  }
+
+  const { studentId } = req.params;
+  const before = assignment.dueDateOverrides.find(item => item.student.toString() === studentId);
+
+  if (!removeDueDateOverride(assignment, studentId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrencinin bu ödevde ek süresi yok'
+    });
+  }
+  await assignment.save();
+
+  await recordAudit(req, {
+    action: 'extension.revoke',
+    targetType: 'Assignment',
+    targetId: assignment._id,
+    before: before.toObject()
+  });
+
+  res.json({
+    success: true,
+    message: 'Ek süre kaldırıldı',
+    data: {
+      student: studentId,
+      dueDate: assignment.dueDate
+    }
+  });
+});
+
+module.exports = {
+  requestExtension,
+  getMyExtensionRequests,
+  cancelMyExtensionRequest,
+  getExtensionRequests,
+  reviewExtensionRequest,
+  getAssignmentExtensions,
+  setStudentExtension,
+  removeStudentExtension
+};
@@ -6,6 +6,7 @@
 const asyncHandler = require('express-async-handler');
 const { validationResult } = require('express-validator');
 const Gallery = require('../models/Gallery');
+const { hasPermission } = require('../utils/permissions');
 const { deleteFile, processFileInfo } = require('../middleware/upload');
 
 // @desc    Tüm galerileri getir
@@ -210,7 +211,7 @@ const updateGallery = asyncHandler(async (req, res) => {
   }
 
   // Yetki kontrolü - kullanıcı kendi galerisini güncelleyebilir ya da admin olabilir
-  if (gallery.uploadedBy.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+  if (gallery.uploadedBy.toString() !== req.user._id.toString() && !hasPermission(req, 'gallery:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu galeriyi güncelleme yetkiniz yok'
@@ -279,7 +280,7 @@ const deleteImage = asyncHandler(async (req, res) => {
   }
 
   // Yetki kontrolü
-  if (gallery.uploadedBy.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+  if (gallery.uploadedBy.toString() !== req.user._id.toString() && !hasPermission(req, 'gallery:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu galeriden resim silme yetkiniz yok'
@@ -330,24 +331,19 @@ const deleteGallery = asyncHandler(async (req, res) => {
   }
 
   // Yetki kontrolü
-  if (gallery.uploadedBy.toString() !== req.user._id.toString() && req.user.userType !== 'admin') {
+  if (gallery.uploadedBy.toString() !== req.user._id.toString() && !hasPermission(req, 'gallery:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu galeriyi silme yetkiniz yok'
     });
   }
 
-  // Tüm resimleri diskten sil
-  gallery.images.forEach(image => {
-    deleteFile(image.path);
-  });
-
-  // Galeriyi sil
-  await Gallery.findByIdAndDelete(req.params.id);
+  // Galeri geri dönüşüm kutusuna taşınır; resimler kalıcı silmede diskten kaldırılır
+  await gallery.softDelete(req.user._id);
 
   res.json({
     success: true,
-    message: 'Galeri başarıyla silindi'
+    message: 'Galeri geri dönüşüm kutusuna taşındı'
   });
 });
 
@@ -0,0 +1,405 @@
+/**
+ * Guardian Controller
+ * Veli daveti, veli girişi ve sadece okunabilir veli portalı
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const Guardian = require('../models/Guardian');
+const Student = require('../models/Student');
+const Announcement = require('../models/Announcement');
+const GuardianInvitation = require('../models/GuardianInvitation');
+const { sendTokenResponse } = require('../utils/jwtHelper');
+const {
+  sendGuardianInvitation,
+  findPendingInvitation,
+  markInvitationAccepted
+} = require('../utils/guardianInvitation');
+const { getAssignmentsWithStatus, buildGradeReport } = require('../utils/studentPortal');
+const { teacherStudentScope } = require('../utils/teacherAccess');
+const { getStudentAcademicYear, getStudentAttendanceSummary } = require('../utils/attendance');
+
+// Doğrulama hatalarını yanıtla
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Girilen bilgilerde hata var',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Öğretmen sadece sorumlu veya sınıf öğretmeni olduğu öğrenciye erişebilir
+const findManagedStudent = async (req, studentId) => Student.findOne({
+  _id: studentId,
+  ...await teacherStudentScope(req.user, { fullOnly: true })
+});
+
+// @desc    Öğrencinin velisine portal daveti gönder
+// @route   POST /api/teacher/students/:id/guardian-invitation
+// @access  Özel (guardians:invite)
+const inviteGuardian = asyncHandler(async (req, res) => {
+  const student = await findManagedStudent(req, req.params.id);
+
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı veya bu öğrenci size ait değil'
+    });
+  }
+
+  const email = student.parentInfo && student.parentInfo.parentEmail;
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Öğrencinin kayıtlı veli e-posta adresi yok'
+    });
+  }
+
+  const invitation = await sendGuardianInvitation({ student, email, invitedBy: req.user });
+
+  res.status(201).json({
+    success: true,
+    message: 'Veli daveti gönderildi',
+    data: {
+      email,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+// @desc    Öğrenciye bağlı velileri ve bekleyen daveti getir
+// @route   GET /api/teacher/students/:id/guardians
+// @access  Özel (students:read)
+const getStudentGuardians = asyncHandler(async (req, res) => {
+  const student = await findManagedStudent(req, req.params.id);
+
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı veya bu öğrenci size ait değil'
+    });
+  }
+
+  const [guardians, pendingInvitation] = await Promise.all([
+    Guardian.find({ students: student._id }).select('name surname email phone isActive lastLogin'),
+    GuardianInvitation.findOne({
+      student: student._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('email expiresAt createdAt')
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      guardians,
+      pendingInvitation
+    }
+  });
+});
+
+// @desc    Davet bilgilerini getir (kabul ekranı için)
+// @route   GET /api/auth/guardian/invitations/:token
+// @access  Genel (geçerli davet token'ı gerekli)
+const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findPendingInvitation(req.params.token);
+
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Davet bağlantısı geçersiz veya süresi dolmuş'
+    });
+  }
+
+  const [student, existingGuardian] = await Promise.all([
+    Student.findById(invitation.student).select('name surname'),
+    Guardian.exists({ email: invitation.email })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      email: invitation.email,
+      student: student ? { name: student.name, surname: student.surname } : null,
+      accountExists: Boolean(existingGuardian),
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+// @desc    Daveti kabul et (yeni hesap oluştur veya mevcut hesaba bağla)
+// @route   POST /api/auth/guardian/invitations/:token/accept
+// @access  Genel (geçerli davet token'ı gerekli)
+const acceptInvitation = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const invitation = await findPendingInvitation(req.params.token);
+
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Davet bağlantısı geçersiz veya süresi dolmuş'
+    });
+  }
+
+  const { name, surname, phone, password } = req.body;
+  let guardian = await Guardian.findOne({ email: invitation.email }).select('+password');
+
+  // Mevcut hesaba bağlamak için şifre doğrulanmalı
+  if (guardian) {
+    if (!guardian.isActive || !(await guardian.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Bu e-posta ile kayıtlı veli hesabının şifresi hatalı'
+      });
+    }
+  } else if (!name || !surname) {
+    return res.status(400).json({
+      success: false,
+      message: 'Yeni hesap için ad ve soyad gereklidir'
+    });
+  }
+
+  const isNewAccount = !guardian;
+
+  if (isNewAccount) {
+    guardian = new Guardian({
+      name,
+      surname,
+      phone,
+      email: invitation.email,
+      password
+    });
+  }
+
+  const studentAdded = !guardian.hasStudent(invitation.student);
+  if (studentAdded) {
+    guardian.students.push(invitation.student);
+  }
+  guardian.lastLogin = new Date();
+
+  // Önce hesap kaydedilir; kayıt başarısız olursa davet kullanılmamış kalır
+  try {
+    await guardian.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bu e-posta ile kayıtlı bir veli hesabı zaten var'
+      });
+    }
+    throw error;
+  }
+
+  // Davet en son ve atomik olarak işaretlenir; bu arada kullanılmış veya iptal edilmişse bağlantı geri alınır
+  const accepted = await markInvitationAccepted(invitation, guardian._id);
+
+  if (!accepted) {
+    if (isNewAccount) {
+      await Guardian.deleteOne({ _id: guardian._id });
+    } else if (studentAdded) {
+      await Guardian.updateOne({ _id: guardian._id }, { $pull: { students: invitation.student } });
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: 'Davet bağlantısı zaten kullanılmış'
+    });
+  }
+
+  await sendTokenResponse(guardian, isNewAccount ? 201 : 200, res, 'guardian');
+});
+
+// @desc    Veli girişi
+// @route   POST /api/auth/guardian/login
+// @access  Genel
+const login = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { email, password } = req.body;
+  const guardian = await Guardian.findOne({ email }).select('+password');
+
+  if (!guardian || !(await guardian.matchPassword(password))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Geçersiz e-posta veya şifre'
+    });
+  }
+
+  if (!guardian.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Hesabınız deaktif durumda'
+    });
+  }
+
+  guardian.lastLogin = new Date();
+  await guardian.save();
+
+  await sendTokenResponse(guardian, 200, res, 'guardian');
+});
+
+// Velinin kendi çocuğu değilse 404 döner (başka öğrencinin varlığı da sızdırılmaz)
+const requireOwnChild = (req, res) => {
+  if (!req.user.hasStudent(req.params.studentId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı'
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Velinin çocuklarını getir
+// @route   GET /api/guardian/children
+// @access  Özel (portal:guardian)
+const getChildren = asyncHandler(async (req, res) => {
+  const children = await Student.find({ _id: { $in: req.user.students }, isActive: true })
+    .select('name surname studentNumber class avatar teacher')
+    .populate('teacher', 'name surname email');
+
+  res.json({
+    success: true,
+    count: children.length,
+    data: children
+  });
+});
+
+// @desc    Çocuğun ödevlerini teslim durumlarıyla getir
+// @route   GET /api/guardian/children/:studentId/assignments
+// @access  Özel (portal:guardian)
+const getChildAssignments = asyncHandler(async (req, res) => {
+  if (!requireOwnChild(req, res)) return;
+
+  const { data, totalCount, page, limit } = await getAssignmentsWithStatus(req.params.studentId, req.query);
+
+  res.json({
+    success: true,
+    count: data.length,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
+    currentPage: page,
+    data
+  });
+});
+
+// @desc    Çocuğun notlarını getir
+// @route   GET /api/guardian/children/:studentId/grades
+// @access  Özel (portal:guardian)
+const getChildGrades = asyncHandler(async (req, res) => {
+  if (!requireOwnChild(req, res)) return;
+
+  const report = await buildGradeReport(req.params.studentId);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Çocuğun devamsızlık özetini getir
+// @route   GET /api/guardian/children/:studentId/attendance
+// @access  Özel (portal:guardian)
+const getChildAttendance = asyncHandler(async (req, res) => {
+  if (!requireOwnChild(req, res)) return;
+
+  const student = await Student.findById(req.params.studentId).select('classroom');
+
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı'
+    });
+  }
+
+  const academicYear = req.query.academicYear || await getStudentAcademicYear(student);
+
+  res.json({
+    success: true,
+    data: await getStudentAttendanceSummary(student._id, academicYear)
+  });
+});
+
+// @desc    Velinin görebileceği duyuruları getir (genel, öğrenci ve çocukların sınıfları)
+// @route   GET /api/guardian/announcements
+// @access  Özel (portal:guardian)
+const getAnnouncements = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const children = { _id: { $in: req.user.students } };
+  const [classrooms, classes] = await Promise.all([
+    Student.distinct('classroom', children),
+    Student.distinct('class', children)
+  ]);
+
+  const filter = {
+    isActive: true,
+    publishDate: { $lte: new Date() },
+    $and: [
+      {
+        $or: [
+          { expiryDate: { $exists: false } },
+          { expiryDate: null },
+          { expiryDate: { $gte: new Date() } }
+        ]
+      },
+      {
+        $or: [
+          { targetAudience: { $in: ['all', 'students'] } },
+          { targetAudience: 'class', targetClassroom: { $in: classrooms } },
+          // Sınıf kaydına taşınmamış eski duyurular
+          { targetAudience: 'class', targetClassroom: { $exists: false }, targetClass: { $in: classes } }
+        ]
+      }
+    ]
+  };
+
+  const [announcements, totalCount] = await Promise.all([
+    Announcement.find(filter)
+      .select('-comments -likes')
+      .populate('author', 'name surname')
+      .sort({ publishDate: -1, priority: -1 })
+      .skip(skip)
+      .limit(limit),
+    Announcement.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: announcements.length,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
+    currentPage: page,
+    data: announcements
+  });
+});
+
+module.exports = {
+  inviteGuardian,
+  getStudentGuardians,
+  getInvitation,
+  acceptInvitation,
+  login,
+  getChildren,
+  getChildAssignments,
+  getChildGrades,
+  getChildAttendance,
+  getAnnouncements
+};
@@ -6,6 +6,7 @@
 const asyncHandler = require('express-async-handler');
 const { validationResult } = require('express-validator');
 const News = require('../models/News');
+const { hasPermission } = require('../utils/permissions');
 const { deleteFile, processFileInfo } = require('../middleware/upload');
 
 // @desc    Tüm haberleri getir
@@ -215,7 +216,7 @@ const updateNews = asyncHandler(async (req, res) => {
   }
 
   // Yetki kontrolü
-  if (news.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (news.author.toString() !== req.user._id.toString() && !hasPermission(req, 'news:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu haberi güncelleme yetkiniz yok'
@@ -295,24 +296,19 @@ const deleteNews = asyncHandler(async (req, res) => {
   }
 
   // Yetki kontrolü
-  if (news.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (news.author.toString() !== req.user._id.toString() && !hasPermission(req, 'news:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu haberi silme yetkiniz yok'
     });
   }
 
-  // Kapak fotoğrafını sil
-  if (news.featuredImage && news.featuredImage.path) {
-    deleteFile(news.featuredImage.path);
-  }
-
-  // Haberi sil
-  await News.findByIdAndDelete(req.params.id);
+  // Haber geri dönüşüm kutusuna taşınır; kapak fotoğrafı kalıcı silmede kaldırılır
+  await news.softDelete(req.user._id);
 
   res.json({
     success: true,
-    message: 'Haber başarıyla silindi'
+    message: 'Haber geri dönüşüm kutusuna taşındı'
   });
 });
 
@@ -393,8 +389,8 @@ const deleteComment = asyncHandler(async (req, res) => {
 
   const comment = news.comments[commentIndex];
 
-  // Yetki kontrolü (yorum sahibi veya admin)
-  if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Yetki kontrolü (yorum sahibi veya moderasyon yetkisi olan)
+  if (comment.user.toString() !== req.user._id.toString() && !hasPermission(req, 'news:moderate')) {
     return res.status(403).json({
       success: false,
       message: 'Bu yorumu silme yetkiniz yok'
@@ -0,0 +1,259 @@
+/**
+ * Recycle Bin Controller
+ * Silinen kayıtların listelenmesi, geri yüklenmesi, kalıcı silinmesi ve saklama süresi ayarı
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const Setting = require('../models/Setting');
+const { recordAudit } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { teacherStudentScope } = require('../utils/teacherAccess');
+const {
+  RETENTION_SETTING,
+  RECYCLE_BIN_TYPES,
+  getRetentionDays,
+  purgeDocument
+} = require('../utils/recycleBin');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Kullanıcının bu tipteki silinmiş kayıtlar için erişim filtresi, yetkisi yoksa null
+// Öğretmenler sadece tam yetkili oldukları öğrencileri, yazarlar sadece kendi içeriklerini görür
+const accessFilter = async (req, type) => {
+  const config = RECYCLE_BIN_TYPES[type];
+
+  if (hasPermission(req, config.permission)) {
+    return type === 'students' ? teacherStudentScope(req.user, { fullOnly: true }) : {};
+  }
+
+  if (config.ownPermission && hasPermission(req, config.ownPermission)) {
+    return { [config.ownerField]: req.user._id };
+  }
+
+  return null;
+};
+
+// :type ve erişimi doğrula; hata varsa yanıtı gönderip null döner
+const resolveAccess = async (req, res) => {
+  if (!RECYCLE_BIN_TYPES[req.params.type]) {
+    res.status(404).json({
+      success: false,
+      message: 'Geçersiz kayıt tipi'
+    });
+    return null;
+  }
+
+  const filter = await accessFilter(req, req.params.type);
+  if (!filter) {
+    res.status(403).json({
+      success: false,
+      message: 'Bu işlem için yetkiniz yok'
+    });
+    return null;
+  }
+
+  return filter;
+};
+
+// Tek bir silinmiş kaydı bul; yoksa 404 gönderip null döner
+const findDeleted = async (req, res, filter) => {
+  const { model } = RECYCLE_BIN_TYPES[req.params.type];
+  const doc = await model.findOne({ ...filter, _id: req.params.id, deletedAt: { $ne: null } });
+
+  if (!doc) {
+    res.status(404).json({
+      success: false,
+      message: 'Kayıt geri dönüşüm kutusunda bulunamadı'
+    });
+  }
+
+  return doc;
+};
+
+// @desc    Geri dönüşüm kutusu özeti (erişilebilen tiplerde kayıt sayıları)
+// @route   GET /api/admin/recycle-bin
+// @access  Özel (tip bazında silme/moderasyon yetkisi)
+const getRecycleBinSummary = asyncHandler(async (req, res) => {
+  const counts = {};
+
+  for (const [type, { model }] of Object.entries(RECYCLE_BIN_TYPES)) {
+    const filter = await accessFilter(req, type);
+    if (filter) {
+      counts[type] = await model.countDocuments({ ...filter, deletedAt: { $ne: null } });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      retentionDays: await getRetentionDays(),
+      counts
+    }
+  });
+});
+
+// @desc    Geri dönüşüm kutusundaki kayıtları getir
+// @route   GET /api/admin/recycle-bin/:type
+// @access  Özel (tip bazında silme/moderasyon yetkisi)
+const getDeletedRecords = asyncHandler(async (req, res) => {
+  const filter = await resolveAccess(req, res);
+  if (!filter) {
+    return;
+  }
+
+  const { model, select, label } = RECYCLE_BIN_TYPES[req.params.type];
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = { ...filter, deletedAt: { $ne: null } };
+
+  const [docs, total, retentionDays] = await Promise.all([
+    model.find(query)
+      .select(`${select} deletedAt deletedBy`)
+      .populate('deletedBy', 'name surname')
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    model.countDocuments(query),
+    getRetentionDays()
+  ]);
+
+  res.json({
+    success: true,
+    count: docs.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    retentionDays,
+    data: docs.map(doc => ({
+      ...doc.toObject(),
+      label: label(doc),
+      purgeAt: new Date(doc.deletedAt.getTime() + retentionDays * DAY_MS)
+    }))
+  });
+});
+
+// @desc    Kaydı geri dönüşüm kutusundan geri yükle
+// @route   POST /api/admin/recycle-bin/:type/:id/restore
+// @access  Özel (tip bazında silme/moderasyon yetkisi)
+const restoreRecord = asyncHandler(async (req, res) => {
+  const filter = await resolveAccess(req, res);
+  if (!filter) {
+    return;
+  }
+
+  const doc = await findDeleted(req, res, filter);
+  if (!doc) {
+    return;
+  }
+
+  const { model, label } = RECYCLE_BIN_TYPES[req.params.type];
+  await doc.restore();
+
+  await recordAudit(req, {
+    action: `${model.modelName.toLowerCase()}.restore`,
+    targetType: model.modelName,
+    targetId: doc._id,
+    metadata: { label: label(doc) }
+  });
+
+  res.json({
+    success: true,
+    message: 'Kayıt geri yüklendi',
+    data: doc
+  });
+});
+
+// @desc    Kaydı saklama süresini beklemeden kalıcı olarak sil
+// @route   DELETE /api/admin/recycle-bin/:type/:id
+// @access  Özel (tip bazında silme/moderasyon yetkisi)
+const purgeRecord = asyncHandler(async (req, res) => {
+  const filter = await resolveAccess(req, res);
+  if (!filter) {
+    return;
+  }
+
+  const doc = await findDeleted(req, res, filter);
+  if (!doc) {
+    return;
+  }
+
+  const { model, label } = RECYCLE_BIN_TYPES[req.params.type];
+  await purgeDocument(req.params.type, doc);
+
+  await recordAudit(req, {
+    action: `${model.modelName.toLowerCase()}.purge`,
+    targetType: model.modelName,
+    targetId: doc._id,
+    before: doc,
+    metadata: { label: label(doc) }
+  });
+
+  res.json({
+    success: true,
+    message: 'Kayıt kalıcı olarak silindi'
+  });
+});
+
+// @desc    Saklama süresini getir
+// @route   GET /api/admin/recycle-bin/settings
+// @access  Özel (settings:manage)
+const getRecycleBinSettings = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      retentionDays: await getRetentionDays()
+    }
+  });
+});
+
+// @desc    Saklama süresini güncelle
+// @route   PUT /api/admin/recycle-bin/settings
+// @access  Özel (settings:manage)
+const updateRecycleBinSettings = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const before = await getRetentionDays();
+  await Setting.setValue(RETENTION_SETTING, req.body.retentionDays, req.user._id);
+
+  await recordAudit(req, {
+    action: 'settings.recycle-bin.update',
+    targetType: 'Setting',
+    before: { retentionDays: before },
+    after: { retentionDays: req.body.retentionDays }
+  });
+
+  res.json({
+    success: true,
+    message: 'Geri dönüşüm kutusu saklama süresi güncellendi',
+    data: {
+      retentionDays: req.body.retentionDays
+    }
+  });
+});
+
+module.exports = {
+  getRecycleBinSummary,
+  getDeletedRecords,
+  restoreRecord,
+  purgeRecord,
+  getRecycleBinSettings,
+  updateRecycleBinSettings
+};
@@ -0,0 +1,176 @@
+/**
+ * Rollover Controller
+ * Eğitim yılı devri: önizleme, uygulama, geçmiş ve geri alma
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const YearRollover = require('../models/YearRollover');
+const { recordAudit } = require('../utils/audit');
+const {
+  buildRolloverPlan,
+  summarizePlan,
+  applyRolloverPlan,
+  rollbackRollover: rollback
+} = require('../utils/rollover');
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const planOptions = (body) => ({
+  fromYear: body.fromYear,
+  toYear: body.toYear,
+  mapping: body.mapping,
+  finalGrade: body.finalGrade
+});
+
+// @desc    Eğitim yılı devrini önizle (değişiklik yapılmaz)
+// @route   POST /api/admin/rollover/preview
+// @access  Özel (academic-years:manage)
+const previewRollover = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  let plan;
+  try {
+    plan = await buildRolloverPlan(planOptions(req.body));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    data: summarizePlan(plan)
+  });
+});
+
+// @desc    Eğitim yılı devrini uygula
+// @route   POST /api/admin/rollover
+// @access  Özel (academic-years:manage)
+const applyRollover = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  let rollover;
+  try {
+    rollover = await applyRolloverPlan(await buildRolloverPlan(planOptions(req.body)), req.user._id);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'academic-year.rollover',
+    targetType: 'YearRollover',
+    targetId: rollover._id,
+    metadata: {
+      fromYear: rollover.fromYear,
+      toYear: rollover.toYear,
+      mapping: rollover.mapping,
+      summary: rollover.summary
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${rollover.fromYear} eğitim yılı ${rollover.toYear} yılına devredildi`,
+    data: {
+      _id: rollover._id,
+      fromYear: rollover.fromYear,
+      toYear: rollover.toYear,
+      summary: rollover.summary,
+      rollbackUntil: rollover.rollbackUntil
+    }
+  });
+});
+
+// @desc    Yapılan devirleri getir
+// @route   GET /api/admin/rollover
+// @access  Özel (academic-years:manage)
+const getRollovers = asyncHandler(async (req, res) => {
+  const rollovers = await YearRollover.find()
+    .select('-students -assignmentsArchived')
+    .populate('performedBy', 'name surname')
+    .populate('rolledBackBy', 'name surname')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: rollovers.length,
+    data: rollovers
+  });
+});
+
+// @desc    Devri geri al (geri alma süresi içinde)
+// @route   POST /api/admin/rollover/:id/rollback
+// @access  Özel (academic-years:manage)
+const rollbackRollover = asyncHandler(async (req, res) => {
+  const rollover = await YearRollover.findById(req.params.id);
+
+  if (!rollover) {
+    return res.status(404).json({
+      success: false,
+      message: 'Devir kaydı bulunamadı'
+    });
+  }
+
+  try {
+    await rollback(rollover, req.user._id);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'academic-year.rollback',
+    targetType: 'YearRollover',
+    targetId: rollover._id,
+    metadata: {
+      fromYear: rollover.fromYear,
+      toYear: rollover.toYear,
+      students: rollover.students.length
+    }
+  });
+
+  res.json({
+    success: true,
+    message: `${rollover.fromYear} eğitim yılı devri geri alındı`
+  });
+});
+
+module.exports = {
+  previewRollover,
+  applyRollover,
+  getRollovers,
+  rollbackRollover
+};
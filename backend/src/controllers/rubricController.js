@@ -0,0 +1,209 @@
+/**
+ * Rubric Controller
+ * Tekrar kullanılabilir değerlendirme rubrikleri (ölçütler, performans seviyeleri ve puanlar)
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const Rubric = require('../models/Rubric');
+const { recordAudit } = require('../utils/audit');
+const { canUseRubric, canEditRubric } = require('../utils/rubrics');
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// İstekten ölçütleri al (sadece izin verilen alanlar)
+const pickCriteria = (criteria) => criteria.map(criterion => ({
+  title: criterion.title,
+  description: criterion.description,
+  levels: criterion.levels.map(level => ({
+    title: level.title,
+    description: level.description,
+    points: level.points
+  }))
+}));
+
+// @desc    Kullanılabilir rubrikleri getir (kendi rubrikleri ve paylaşılanlar)
+// @route   GET /api/rubrics?subject=&mine=true
+// @access  Özel (assignments:read)
+const getRubrics = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.mine === 'true') {
+    filter.owner = req.user._id;
+  } else if (req.user.userType !== 'admin') {
+    filter.$or = [{ owner: req.user._id }, { isShared: true }];
+  }
+
+  if (req.query.subject) {
+    filter.subject = req.query.subject;
+  }
+
+  const rubrics = await Rubric.find(filter)
+    .populate('owner', 'name surname')
+    .sort({ updatedAt: -1 });
+
+  res.json({
+    success: true,
+    count: rubrics.length,
+    data: rubrics
+  });
+});
+
+// @desc    Rubrik detayı
+// @route   GET /api/rubrics/:id
+// @access  Özel (assignments:read)
+const getRubric = asyncHandler(async (req, res) => {
+  const rubric = await Rubric.findById(req.params.id).populate('owner', 'name surname');
+
+  if (!rubric || !canUseRubric(req.user, rubric)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rubrik bulunamadı'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: rubric
+  });
+});
+
+// @desc    Yeni rubrik oluştur
+// @route   POST /api/rubrics
+// @access  Özel (assignments:write)
+const createRubric = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const rubric = await Rubric.create({
+    title: req.body.title,
+    description: req.body.description,
+    subject: req.body.subject,
+    criteria: pickCriteria(req.body.criteria),
+    isShared: Boolean(req.body.isShared),
+    owner: req.user._id
+  });
+
+  await recordAudit(req, {
+    action: 'rubric.create',
+    targetType: 'Rubric',
+    targetId: rubric._id,
+    after: rubric
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Rubrik oluşturuldu',
+    data: rubric
+  });
+});
+
+// @desc    Rubriği güncelle (ödevlere eklenmiş kopyalar değişmez)
+// @route   PUT /api/rubrics/:id
+// @access  Özel (assignments:write, rubrik sahibi veya admin)
+const updateRubric = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const rubric = await Rubric.findById(req.params.id);
+
+  if (!rubric || !canUseRubric(req.user, rubric)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rubrik bulunamadı'
+    });
+  }
+
+  if (!canEditRubric(req.user, rubric)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Sadece kendi rubriklerinizi düzenleyebilirsiniz'
+    });
+  }
+
+  const before = rubric.toObject();
+  ['title', 'description', 'subject']
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => {
+      rubric[field] = req.body[field];
+    });
+  if (req.body.isShared !== undefined) {
+    rubric.isShared = Boolean(req.body.isShared);
+  }
+  if (req.body.criteria) {
+    rubric.criteria = pickCriteria(req.body.criteria);
+  }
+  await rubric.save();
+
+  await recordAudit(req, {
+    action: 'rubric.update',
+    targetType: 'Rubric',
+    targetId: rubric._id,
+    before,
+    after: rubric
+  });
+
+  res.json({
+    success: true,
+    message: 'Rubrik güncellendi',
+    data: rubric
+  });
+});
+
+// @desc    Rubriği sil (ödevlere eklenmiş kopyalar korunur)
+// @route   DELETE /api/rubrics/:id
+// @access  Özel (assignments:write, rubrik sahibi veya admin)
+const deleteRubric = asyncHandler(async (req, res) => {
+  const rubric = await Rubric.findById(req.params.id);
+
+  if (!rubric || !canUseRubric(req.user, rubric)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rubrik bulunamadı'
+    });
+  }
+
+  if (!canEditRubric(req.user, rubric)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Sadece kendi rubriklerinizi silebilirsiniz'
+    });
+  }
+
+  await rubric.deleteOne();
+
+  await recordAudit(req, {
+    action: 'rubric.delete',
+    targetType: 'Rubric',
+    targetId: rubric._id,
+    before: rubric
+  });
+
+  res.json({
+    success: true,
+    message: 'Rubrik silindi'
+  });
+});
+
+module.exports = {
+  getRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric
+};
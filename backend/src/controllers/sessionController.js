@@ -0,0 +1,85 @@
+/**
+ * Session Controller
+ * Kullanıcının açık oturumlarını (cihazlarını) listeleme ve sonlandırma
+ */
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { revokeSession, clearAuthCookies } = require('../utils/jwtHelper');
+const { getActiveSessions, findUserSession, revokeUserSessions } = require('../utils/sessions');
+
+// @desc    Açık oturumlarımı getir
+// @route   GET /api/auth/sessions
+// @access  Özel
+const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await getActiveSessions(req.user._id, req.sessionFamily);
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+});
+
+// @desc    Tek bir oturumu sonlandır
+// @route   DELETE /api/auth/sessions/:id
+// @access  Özel
+const revokeMySession = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz oturum ID'
+    });
+  }
+
+  const session = await findUserSession(req.user._id, req.params.id);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Oturum bulunamadı'
+    });
+  }
+
+  await revokeSession(session.family, 'user_revoked');
+
+  // Kullanıcı bu cihazdaki oturumu kapattıysa cookie'leri de temizle
+  const isCurrent = session.family === req.sessionFamily;
+  if (isCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: isCurrent ? 'Bu cihazdaki oturum sonlandırıldı' : 'Oturum sonlandırıldı',
+    data: { current: isCurrent }
+  });
+});
+
+// @desc    Diğer tüm oturumları sonlandır (?includeCurrent=true ile bu oturum da)
+// @route   DELETE /api/auth/sessions
+// @access  Özel
+const revokeMySessions = asyncHandler(async (req, res) => {
+  const includeCurrent = req.query.includeCurrent === 'true';
+  const count = await revokeUserSessions(
+    req.user._id,
+    'user_revoked',
+    includeCurrent ? undefined : req.sessionFamily
+  );
+
+  if (includeCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: `${count} oturum sonlandırıldı`,
+    data: { count }
+  });
+});
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  revokeMySessions
+};
@@ -8,6 +8,14 @@ const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { toStudentAssignment, getAssignmentsWithStatus, buildGradeReport } = require('../utils/studentPortal');
+const { getStudentAcademicYear, getStudentAttendanceSummary } = require('../utils/attendance');
+const { getBehaviourTotals, getStudentBehaviourSummary } = require('../utils/behaviour');
+const BehaviourEntry = require('../models/BehaviourEntry');
+const ExtensionRequest = require('../models/ExtensionRequest');
+const { fillRubric } = require('../utils/rubrics');
+const { canResubmit, applyResubmission } = require('../utils/resubmissions');
+const { getLatePolicy, evaluateLateness, assertSubmissionAccepted } = require('../utils/latePolicy');
 
 // @desc    Öğrenci dashboard bilgilerini getir
 // @route   GET /api/student/dashboard
@@ -18,7 +26,7 @@ const getDashboard = asyncHandler(async (req, res) => {
   // Öğrenci bilgilerini getir
   const student = await Student.findById(studentId)
     .populate('ogretmenId', 'ad soyad email telefon brans')
-    .select('ad soyad numara sinif email telefon ortalamaNot verilenOdevler notlar');
+    .select('ad soyad numara sinif email telefon ortalamaNot verilenOdevler notlar classroom');
 
   if (!student) {
     return res.status(404).json({
@@ -47,17 +55,15 @@ const getDashboard = asyncHandler(async (req, res) => {
   const stats = {
     totalAssignments: assignments.length,
     completedAssignments: submissions.filter(s => s.status === 'submitted' || s.status === 'graded').length,
-    pendingAssignments: assignments.filter(a => a.dueDate > new Date()).length,
+    pendingAssignments: assignments.filter(a => a.getDueDateFor(studentId) > new Date()).length,
     lateSubmissions: submissions.filter(s => s.isLate).length,
     averageGrade: student.ortalamaNot || 0,
     totalGrades: student.notlar ? student.notlar.length : 0
   };
 
-  // Yaklaşan ödevler (7 gün içinde)
-  const upcomingDeadlines = assignments.filter(a => {
-    const daysLeft = Math.ceil((new Date(a.dueDate) - new Date()) / (1000 * 60 * 60 * 24));
-    return daysLeft <= 7 && daysLeft > 0;
-  });
+  // Yaklaşan ödevler (7 gün içinde, öğrenciye verilen ek süre dahil)
+  const studentAssignments = assignments.map(a => toStudentAssignment(a, studentId));
+  const upcomingDeadlines = studentAssignments.filter(a => a.daysRemaining <= 7 && a.daysRemaining > 0);
 
   // Son notlar (5 tane)
   const recentGrades = student.notlar 
@@ -66,6 +72,13 @@ const getDashboard = asyncHandler(async (req, res) => {
         .slice(0, 5)
     : [];
 
+  // Devamsızlık özeti (sınıra yaklaşınca warning alanı dolar) ve davranış puanı
+  const academicYear = await getStudentAcademicYear(student);
+  const [attendance, behaviour] = await Promise.all([
+    getStudentAttendanceSummary(student._id, academicYear),
+    getStudentBehaviourSummary(student._id, academicYear)
+  ]);
+
   res.status(200).json({
     success: true,
     data: {
@@ -82,10 +95,12 @@ const getDashboard = asyncHandler(async (req, res) => {
         ogretmeni: student.ogretmenId
       },
       stats,
-      assignments,
+      assignments: studentAssignments,
       submissions,
       upcomingDeadlines,
-      recentGrades
+      recentGrades,
+      attendance,
+      behaviour
     }
   });
 });
@@ -94,61 +109,15 @@ const getDashboard = asyncHandler(async (req, res) => {
 // @route   GET /api/student/assignments
 // @access  Özel (Student)
 const getMyAssignments = asyncHandler(async (req, res) => {
-  const studentId = req.user._id;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-
-  // Filtreleme seçenekleri
-  const filter = { targetStudents: studentId };
-  
-  if (req.query.subject) {
-    filter.subject = req.query.subject;
-  }
-
-  if (req.query.status) {
-    if (req.query.status === 'pending') {
-      filter.dueDate = { $gte: new Date() };
-    } else if (req.query.status === 'overdue') {
-      filter.dueDate = { $lt: new Date() };
-    }
-  }
-
-  const assignments = await Assignment.find(filter)
-    .populate('teacher', 'name surname email')
-    .sort({ dueDate: 1 })
-    .skip(skip)
-    .limit(limit);
-
-  // Her ödev için teslim durumunu kontrol et
-  const assignmentsWithStatus = await Promise.all(
-    assignments.map(async (assignment) => {
-      const submission = await Submission.findOne({
-        assignment: assignment._id,
-        student: studentId
-      });
-
-      return {
-        ...assignment.toObject(),
-        submissionStatus: submission ? submission.status : 'not_submitted',
-        submissionDate: submission ? submission.submittedAt : null,
-        isLate: submission ? submission.isLate : false,
-        grade: submission ? submission.grade : null,
-        isOverdue: new Date() > assignment.dueDate,
-        daysRemaining: Math.ceil((new Date(assignment.dueDate) - new Date()) / (1000 * 60 * 60 * 24))
-      };
-    })
-  );
-
-  const totalAssignments = await Assignment.countDocuments(filter);
+  const { data, totalCount, page, limit } = await getAssignmentsWithStatus(req.user._id, req.query);
 
   res.status(200).json({
     success: true,
-    count: assignments.length,
-    totalCount: totalAssignments,
-    totalPages: Math.ceil(totalAssignments / limit),
+    count: data.length,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
     currentPage: page,
-    data: assignmentsWithStatus
+    data
   });
 });
 
@@ -172,19 +141,39 @@ const getAssignmentDetail = asyncHandler(async (req, res) => {
     });
   }
 
-  // Öğrencinin bu ödev için teslimini kontrol et
-  const submission = await Submission.findOne({
-    assignment: assignmentId,
-    student: studentId
-  });
+  // Öğrencinin bu ödev için teslimini ve son ek süre talebini kontrol et
+  const [submission, extensionRequest] = await Promise.all([
+    Submission.findOne({
+      assignment: assignmentId,
+      student: studentId
+    }),
+    ExtensionRequest.findOne({ assignment: assignmentId, student: studentId })
+      .select('-student')
+      .sort({ createdAt: -1 })
+  ]);
+
+  const latePolicy = getLatePolicy(assignment);
+  const lateness = evaluateLateness(latePolicy, assignment.getDueDateFor(studentId));
 
   const assignmentDetail = {
-    ...assignment.toObject(),
+    // Teslim tarihi, isOverdue ve daysRemaining öğrenciye verilen ek süreyi içerir
+    ...toStudentAssignment(assignment, studentId),
+    extensionRequest,
+    // Rubrik ölçütleri; notlandırılmışsa seçilen seviyeler, ölçüt puanları ve yorumlarla
+    rubric: assignment.rubric ? fillRubric(assignment.rubric, submission ? submission.rubricScores : []) : null,
     submissionStatus: submission ? submission.status : 'not_submitted',
     submission: submission || null,
-    isOverdue: new Date() > assignment.dueDate,
-    daysRemaining: Math.ceil((new Date(assignment.dueDate) - new Date()) / (1000 * 60 * 60 * 24)),
-    canSubmit: !submission || (submission && assignment.allowLateSubmission && submission.resubmissionAllowed)
+    // Geç teslim politikası ve şu an teslim edilirse uygulanacak kesinti
+    latePolicy,
+    lateness,
+    canSubmit: submission ? canResubmit(submission) : lateness.accepted,
+    // Deneme bilgisi; iade edilmişse öğretmen yorumu ve yeniden teslim tarihi
+    attempts: {
+      current: submission ? submission.attempt : 0,
+      max: assignment.maxAttempts,
+      returnComment: submission ? submission.returnComment : undefined,
+      resubmissionDeadline: submission ? submission.resubmissionDeadline : undefined
+    }
   };
 
   res.status(200).json({
@@ -224,45 +213,61 @@ const submitAssignment = asyncHandler(async (req, res) => {
     });
   }
 
+  // Nakil sonrası sadece görüntülenebilen ödevler
+  if (assignment.readOnlyStudents.some(id => id.toString() === studentId.toString())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Nakil nedeniyle bu ödeve teslim yapamazsınız'
+    });
+  }
+
   // Mevcut teslimi kontrol et
   const existingSubmission = await Submission.findOne({
     assignment: assignmentId,
     student: studentId
   });
 
-  // Eğer zaten teslim edilmişse ve yeniden teslime izin verilmiyorsa
-  if (existingSubmission && !assignment.allowLateSubmission) {
-    return res.status(400).json({
-      success: false,
-      message: 'Bu ödev zaten teslim edilmiş ve yeniden teslime izin verilmiyor'
-    });
-  }
+  // Yüklenen dosyalar
+  const files = (req.files || []).map(file => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    path: file.path,
+    size: file.size,
+    mimeType: file.mimetype
+  }));
 
-  // Yeni teslim oluştur veya mevcut teslimi güncelle
+  // Yeni teslim oluştur veya iade edilen teslimi yeniden teslim et
   let submission;
-  
-  if (existingSubmission && existingSubmission.resubmissionAllowed) {
-    // Yeniden teslim
-    existingSubmission.content = content;
-    existingSubmission.submittedAt = new Date();
-    existingSubmission.resubmissionCount += 1;
-    existingSubmission.status = new Date() > assignment.dueDate ? 'late' : 'submitted';
-    
-    // Dosyalar varsa ekle
-    if (req.files && req.files.length > 0) {
-      const newFiles = req.files.map(file => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        size: file.size,
-        mimeType: file.mimetype
-      }));
-      existingSubmission.files.push(...newFiles);
+
+  if (existingSubmission) {
+    // Yeniden teslim: önceki deneme ve dosyaları versiyon geçmişinde saklanır
+    try {
+      applyResubmission(existingSubmission, { content, files });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
     }
 
     submission = await existingSubmission.save();
   } else {
-    // İlk teslim
+    // İlk teslim; teslim tarihi (öğrenciye verilen ek süre dahil) geçmişse ödevin geç teslim politikası uygulanır
+    try {
+      assertSubmissionAccepted(assignment, assignment.getDueDateFor(studentId));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
     const submissionData = {
       assignment: assignmentId,
       student: studentId,
@@ -271,14 +276,8 @@ const submitAssignment = asyncHandler(async (req, res) => {
     };
 
     // Dosyalar varsa ekle
-    if (req.files && req.files.length > 0) {
-      submissionData.files = req.files.map(file => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        size: file.size,
-        mimeType: file.mimetype
-      }));
+    if (files.length > 0) {
+      submissionData.files = files;
     }
 
     submission = await Submission.create(submissionData);
@@ -351,11 +350,26 @@ const getMySubmissions = asyncHandler(async (req, res) => {
 // @route   GET /api/student/grades
 // @access  Özel (Student)
 const getMyGrades = asyncHandler(async (req, res) => {
-  const studentId = req.user._id;
+  const report = await buildGradeReport(req.user._id);
 
-  const student = await Student.findById(studentId)
-    .select('ad soyad numara notlar ortalamaNot')
-    .populate('notlar.ogretmenId', 'ad soyad');
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Öğrencinin devamsızlık özetini getir
+// @route   GET /api/student/attendance
+// @access  Özel (Student)
+const getMyAttendance = asyncHandler(async (req, res) => {
+  const student = await Student.findById(req.user._id).select('classroom');
 
   if (!student) {
     return res.status(404).json({
@@ -364,42 +378,42 @@ const getMyGrades = asyncHandler(async (req, res) => {
     });
   }
 
-  // Notları ders bazında gruplandır
-  const gradesBySubject = {};
-  student.notlar.forEach(grade => {
-    if (!gradesBySubject[grade.ders]) {
-      gradesBySubject[grade.ders] = [];
-    }
-    gradesBySubject[grade.ders].push(grade);
-  });
+  const academicYear = req.query.academicYear || await getStudentAcademicYear(student);
 
-  // Her ders için ortalama hesapla
-  const subjectAverages = Object.keys(gradesBySubject).map(subject => {
-    const grades = gradesBySubject[subject];
-    const average = grades.reduce((sum, grade) => sum + grade.not, 0) / grades.length;
-    return {
-      ders: subject,
-      ortalama: Math.round(average * 100) / 100,
-      notSayisi: grades.length,
-      sonNot: grades.sort((a, b) => new Date(b.tarih) - new Date(a.tarih))[0]
-    };
+  res.status(200).json({
+    success: true,
+    data: await getStudentAttendanceSummary(student._id, academicYear)
   });
+});
+
+// @desc    Öğrencinin davranış kayıtlarını getir
+// @route   GET /api/student/behaviour
+// @access  Özel (Student)
+const getMyBehaviour = asyncHandler(async (req, res) => {
+  const student = await Student.findById(req.user._id).select('classroom');
+
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğrenci bulunamadı'
+    });
+  }
+
+  const academicYear = req.query.academicYear || await getStudentAcademicYear(student);
+  const [totals, entries] = await Promise.all([
+    getBehaviourTotals([student._id], { academicYear }),
+    BehaviourEntry.find({ student: student._id, academicYear })
+      .select('-guardianNotification')
+      .populate('teacher', 'name surname')
+      .sort({ date: -1 })
+  ]);
 
   res.status(200).json({
     success: true,
     data: {
-      student: {
-        id: student._id,
-        ad: student.ad,
-        soyad: student.soyad,
-        tamAd: student.tamAd,
-        numara: student.numara,
-        ortalamaNot: student.ortalamaNot
-      },
-      allGrades: student.notlar.sort((a, b) => new Date(b.tarih) - new Date(a.tarih)),
-      gradesBySubject,
-      subjectAverages,
-      totalGrades: student.notlar.length
+      academicYear,
+      ...totals.get(student._id.toString()),
+      entries
     }
   });
 });
@@ -434,5 +448,7 @@ module.exports = {
   submitAssignment,
   getMySubmissions,
   getMyGrades,
+  getMyAttendance,
+  getMyBehaviour,
   getProfile
 }; 
\ No newline at end of file
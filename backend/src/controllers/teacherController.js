@@ -6,6 +6,40 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const Assignment = require('../models/Assignment');
 const { validationResult, body } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const { assignInitialPassword, renderCredentialSlips } = require('../utils/initialPassword');
+const { prepareImport, summarizeReport, commitImport } = require('../utils/studentImport');
+const { buildStudentFilter } = require('../utils/roster');
+const { hasPermission } = require('../utils/permissions');
+const {
+  normalizeClassName,
+  resolveClassroom,
+  startEnrollment,
+  enrollStudent,
+  getClassroomTargets,
+  getCurrentAcademicYear,
+  applyAcademicYearFilter
+} = require('../utils/classrooms');
+const { getAttendanceTotals, getStudentAcademicYear } = require('../utils/attendance');
+const { getStudentBehaviourSummary } = require('../utils/behaviour');
+const { dueDateWarnings } = require('../utils/timetable');
+const { pickLatePolicy } = require('../utils/latePolicy');
+const {
+  teacherStudentScope,
+  findAccessibleStudent,
+  canTeachSubject,
+  findStudentsOutsideSubject
+} = require('../utils/teacherAccess');
+const { uniqueConflictMessage } = require('../utils/recycleBin');
+
+// Formdaki sınav türlerinin Student.grades.examType karşılıkları
+const EXAM_TYPES = {
+  yazili: 'written',
+  sozlu: 'oral',
+  proje: 'project',
+  odev: 'homework',
+  performans: 'performance'
+};
 
 // @desc    Öğretmen dashboard bilgilerini getir
 // @route   GET /api/teacher/dashboard
@@ -41,6 +75,24 @@ const getDashboard = asyncHandler(async (req, res) => {
     .limit(5)
     .select('ad soyad numara sinif createdAt');
 
+  // Özürsüz devamsızlığı sınıra yaklaşan veya sınırı aşan öğrenciler
+  const scopedStudents = await Student.find({ ...(await teacherStudentScope(req.user)), isActive: true })
+    .select('name surname studentNumber class');
+  const attendanceTotals = await getAttendanceTotals(scopedStudents.map(s => s._id), {
+    academicYear: await getCurrentAcademicYear()
+  });
+
+  const attendanceWarnings = scopedStudents
+    .map(s => ({ student: s, totals: attendanceTotals.get(s._id.toString()) }))
+    .filter(({ totals }) => totals.warning)
+    .map(({ student, totals }) => ({
+      student,
+      unexcusedDays: totals.total.unexcusedDays,
+      excusedDays: totals.total.excusedDays,
+      warning: totals.warning
+    }))
+    .sort((a, b) => b.unexcusedDays - a.unexcusedDays);
+
   res.status(200).json({
     success: true,
     data: {
@@ -54,7 +106,8 @@ const getDashboard = asyncHandler(async (req, res) => {
       stats,
       students,
       assignments,
-      recentStudents
+      recentStudents,
+      attendanceWarnings
     }
   });
 });
@@ -63,29 +116,13 @@ const getDashboard = asyncHandler(async (req, res) => {
 // @route   GET /api/teacher/students
 // @access  Özel (Teacher/Admin)
 const getMyStudents = asyncHandler(async (req, res) => {
-  const teacherId = req.user._id;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  // Filtreleme seçenekleri
-  const filter = { teacher: teacherId };
-  
-  if (req.query.class) {
-    filter.class = req.query.class;
-  }
-  
-  if (req.query.active !== undefined) {
-    filter.isActive = req.query.active === 'true';
-  }
-
-  if (req.query.search) {
-    filter.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } },
-      { surname: { $regex: req.query.search, $options: 'i' } },
-      { studentNumber: { $regex: req.query.search, $options: 'i' } }
-    ];
-  }
+  // Filtreleme seçenekleri (dışa aktarma ile ortak)
+  // Öğretmen sorumlu, sınıf veya ders öğretmeni olduğu öğrencileri görür
+  const filter = await buildStudentFilter(req.query, req.user);
 
   const students = await Student.find(filter)
     .select('name surname studentNumber class email phone isActive averageGrade createdAt')
@@ -126,21 +163,38 @@ const addStudent = asyncHandler(async (req, res) => {
   } = req.body;
 
   // Öğrenci numarasının benzersiz olup olmadığını kontrol et
-  const existingStudent = await Student.findOne({ studentNumber });
+  const existingStudent = await Student.findOne({ studentNumber }).withDeleted();
   if (existingStudent) {
     return res.status(400).json({
       success: false,
-      message: 'Bu öğrenci numarası zaten kullanılıyor'
+      message: uniqueConflictMessage(existingStudent, 'Bu öğrenci numarası zaten kullanılıyor')
     });
   }
 
+  // Sınıf bilgisi Classroom kaydına çözülür (classroom ID veya "9-A" gibi sınıf adı)
+  let classroom;
+  try {
+    classroom = await resolveClassroom(
+      { classroom: req.body.classroom, className: studentClass },
+      { create: hasPermission(req, 'classrooms:write'), createdBy: teacherId }
+    );
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
   // Öğrenci oluştur
-  const student = await Student.create({
+  const student = new Student({
     name,
     surname,
     studentNumber,
-    password,
-    class: studentClass,
+    class: classroom.name,
+    classroom: classroom._id,
     teacher: teacherId,
     email,
     phone,
@@ -149,6 +203,11 @@ const addStudent = asyncHandler(async (req, res) => {
     parentInfo
   });
 
+  // Şifre girilmediyse yazdırılabilir bir ilk şifre üretilir
+  const initialPassword = assignInitialPassword(student, password);
+  await student.save();
+  await startEnrollment(student._id, classroom, { createdBy: teacherId });
+
   res.status(201).json({
     success: true,
     message: 'Öğrenci başarıyla eklendi',
@@ -159,7 +218,121 @@ const addStudent = asyncHandler(async (req, res) => {
       fullName: student.fullName,
       studentNumber: student.studentNumber,
       class: student.class,
-      slug: student.slug
+      classroom: student.classroom,
+      slug: student.slug,
+      mustChangePassword: true,
+      // Sadece sistem ürettiyse bir kez gösterilir
+      initialPassword: password ? undefined : initialPassword
+    }
+  });
+});
+
+// @desc    CSV/XLSX dosyasından toplu öğrenci içe aktar
+// @route   POST /api/teacher/students/import
+// @access  Özel (Teacher/Admin)
+// mode=dry-run (varsayılan) sadece satır raporu döner, mode=commit tüm satırları tek seferde ekler
+const importStudents = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Lütfen bir CSV veya XLSX dosyası yükleyin'
+    });
+  }
+
+  const mode = req.body.mode || 'dry-run';
+  if (!['dry-run', 'commit'].includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Geçersiz mod (dry-run veya commit)'
+    });
+  }
+
+  let mapping;
+  try {
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sütun eşlemesi geçerli bir JSON olmalıdır'
+    });
+  }
+
+  const options = {
+    teacherId: req.user._id,
+    mapping,
+    generatePasswords: req.body.generatePasswords === 'true',
+    canCreateClassrooms: hasPermission(req, 'classrooms:write')
+  };
+
+  let report;
+  try {
+    report = await prepareImport(req.file, options);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  const summary = summarizeReport(report);
+
+  if (mode === 'dry-run') {
+    return res.json({
+      success: true,
+      message: `${summary.valid}/${summary.total} satır içe aktarılmaya hazır`,
+      dryRun: true,
+      data: summary
+    });
+  }
+
+  // Kayıt modunda hatalı satır varsa hiçbir öğrenci eklenmez
+  if (summary.invalid > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${summary.invalid} satırda hata var, hiçbir öğrenci eklenmedi`,
+      data: summary
+    });
+  }
+
+  let created;
+  try {
+    created = await commitImport(report, options);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'student.import',
+    targetType: 'Student',
+    metadata: {
+      fileName: req.file.originalname,
+      count: created.length,
+      generatedPasswords: options.generatePasswords
+    }
+  });
+
+  // Üretilen şifreler kaydedilmediği için bu yanıt önbelleğe alınmamalı
+  res.set('Cache-Control', 'no-store');
+
+  if (options.generatePasswords && req.body.format === 'html') {
+    return res.type('html').send(renderCredentialSlips(created));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} öğrenci içe aktarıldı`,
+    data: {
+      count: created.length,
+      students: created
     }
   });
 });
@@ -171,10 +344,10 @@ const updateStudent = asyncHandler(async (req, res) => {
   const teacherId = req.user._id;
   const studentId = req.params.id;
 
-  // Öğrencinin bu öğretmene ait olup olmadığını kontrol et
+  // Profil işlemlerini sadece sorumlu öğretmen ve sınıf öğretmeni yapabilir
   const student = await Student.findOne({ 
     _id: studentId, 
-    teacher: teacherId 
+    ...await teacherStudentScope(req.user, { fullOnly: true })
   });
 
   if (!student) {
@@ -184,8 +357,27 @@ const updateStudent = asyncHandler(async (req, res) => {
     });
   }
 
+  // Sınıf değişikliği nakil kaydı olarak işlenir
+  let classroom;
+  if (req.body.classroom || req.body.class) {
+    try {
+      classroom = await resolveClassroom(
+        { classroom: req.body.classroom, className: req.body.class },
+        { create: hasPermission(req, 'classrooms:write'), createdBy: teacherId }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  }
+
   // Güncelleme verilerini hazırla
-  const allowedFields = ['name', 'surname', 'email', 'phone', 'class', 'address', 'parentInfo', 'isActive'];
+  const allowedFields = ['name', 'surname', 'email', 'phone', 'address', 'parentInfo', 'isActive'];
   const updateData = {};
   
   allowedFields.forEach(field => {
@@ -198,7 +390,11 @@ const updateStudent = asyncHandler(async (req, res) => {
     studentId,
     updateData,
     { new: true, runValidators: true }
-  ).select('name surname studentNumber class email phone isActive');
+  ).select('name surname studentNumber class classroom email phone isActive');
+
+  if (classroom) {
+    await enrollStudent(updatedStudent, classroom, { createdBy: teacherId });
+  }
 
   res.status(200).json({
     success: true,
@@ -211,13 +407,12 @@ const updateStudent = asyncHandler(async (req, res) => {
 // @route   DELETE /api/teacher/students/:id
 // @access  Özel (Teacher/Admin)
 const deleteStudent = asyncHandler(async (req, res) => {
-  const teacherId = req.user._id;
   const studentId = req.params.id;
 
-  // Öğrencinin bu öğretmene ait olup olmadığını kontrol et
+  // Öğrenciyi sadece sorumlu öğretmen ve sınıf öğretmeni silebilir
   const student = await Student.findOne({ 
     _id: studentId, 
-    teacher: teacherId 
+    ...await teacherStudentScope(req.user, { fullOnly: true })
   });
 
   if (!student) {
@@ -227,12 +422,19 @@ const deleteStudent = asyncHandler(async (req, res) => {
     });
   }
 
-  // Öğrenciyi sil
-  await Student.findByIdAndDelete(studentId);
+  // Öğrenci geri dönüşüm kutusuna taşınır, saklama süresi sonunda kalıcı silinir
+  await student.softDelete(req.user._id);
+
+  await recordAudit(req, {
+    action: 'student.delete',
+    targetType: 'Student',
+    targetId: student._id,
+    before: student
+  });
 
   res.status(200).json({
     success: true,
-    message: 'Öğrenci başarıyla silindi'
+    message: 'Öğrenci geri dönüşüm kutusuna taşındı'
   });
 });
 
@@ -254,43 +456,52 @@ const addGradeToStudent = asyncHandler(async (req, res) => {
   const studentId = req.params.id;
   const { ders, not, aciklama, sinavTuru } = req.body;
 
-  // Öğrencinin bu öğretmene ait olup olmadığını kontrol et
-  const student = await Student.findOne({ 
-    _id: studentId, 
-    ogretmenId: teacherId 
-  });
+  // Ders öğretmeni sadece kendi dersinden not verebilir
+  const result = await findAccessibleStudent(req.user, studentId);
 
-  if (!student) {
+  if (!result) {
     return res.status(404).json({
       success: false,
       message: 'Öğrenci bulunamadı veya bu öğrenci size ait değil'
     });
   }
 
-  // Not ekle
-  await student.notEkle(ders, not, aciklama, teacherId, sinavTuru);
+  const { student, access } = result;
+  if (!canTeachSubject(access, ders)) {
+    return res.status(403).json({
+      success: false,
+      message: `Bu öğrenciye sadece şu derslerden not verebilirsiniz: ${access.subjects.join(', ')}`
+    });
+  }
 
-  // Güncellenmiş öğrenciyi getir
-  const updatedStudent = await Student.findById(studentId)
-    .select('ad soyad numara notlar ortalamaNot');
+  // Not ekle
+  await student.addGrade(ders, not, aciklama, teacherId, EXAM_TYPES[sinavTuru]);
+  const newGrade = student.grades[student.grades.length - 1];
+
+  await recordAudit(req, {
+    action: 'student.grade.add',
+    targetType: 'Student',
+    targetId: student._id,
+    after: { grade: newGrade.toObject() }
+  });
 
   res.status(201).json({
     success: true,
     message: 'Not başarıyla eklendi',
     data: {
       student: {
-        id: updatedStudent._id,
-        ad: updatedStudent.ad,
-        soyad: updatedStudent.soyad,
-        numara: updatedStudent.numara,
-        ortalamaNot: updatedStudent.ortalamaNot
+        id: student._id,
+        ad: student.name,
+        soyad: student.surname,
+        numara: student.studentNumber,
+        ortalamaNot: student.averageGrade
       },
       newGrade: {
         ders,
         not,
         aciklama,
         sinavTuru,
-        tarih: new Date()
+        tarih: newGrade.date
       }
     }
   });
@@ -300,35 +511,42 @@ const addGradeToStudent = asyncHandler(async (req, res) => {
 // @route   GET /api/teacher/students/:id/grades
 // @access  Özel (Teacher/Admin)
 const getStudentGrades = asyncHandler(async (req, res) => {
-  const teacherId = req.user._id;
-  const studentId = req.params.id;
+  const result = await findAccessibleStudent(req.user, req.params.id, 'name surname studentNumber grades');
 
-  // Öğrencinin bu öğretmene ait olup olmadığını kontrol et
-  const student = await Student.findOne({ 
-    _id: studentId, 
-    ogretmenId: teacherId 
-  }).select('ad soyad numara notlar ortalamaNot')
-    .populate('notlar.ogretmenId', 'ad soyad');
-
-  if (!student) {
+  if (!result) {
     return res.status(404).json({
       success: false,
       message: 'Öğrenci bulunamadı veya bu öğrenci size ait değil'
     });
   }
 
+  const { student, access } = result;
+  await student.populate('grades.teacher', 'name surname');
+
+  // Ders öğretmeni sadece kendi derslerinin notlarını görür
+  const grades = student.grades
+    .filter(grade => canTeachSubject(access, grade.subject))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  // Davranış puanı ve son kayıtlar (güncel eğitim yılı)
+  const behaviour = hasPermission(req, 'behaviour:read')
+    ? await getStudentBehaviourSummary(student._id, await getStudentAcademicYear(student))
+    : undefined;
+
   res.status(200).json({
     success: true,
     data: {
       student: {
         id: student._id,
-        ad: student.ad,
-        soyad: student.soyad,
-        tamAd: student.tamAd,
-        numara: student.numara,
-        ortalamaNot: student.ortalamaNot
+        ad: student.name,
+        soyad: student.surname,
+        tamAd: student.fullName,
+        numara: student.studentNumber,
+        ortalamaNot: student.averageGrade
       },
-      grades: student.notlar.sort((a, b) => new Date(b.tarih) - new Date(a.tarih))
+      subjects: access.full ? undefined : access.subjects,
+      grades,
+      behaviour
     }
   });
 });
@@ -351,22 +569,39 @@ const createAssignment = asyncHandler(async (req, res) => {
   const { 
     title, description, subject, class: sinif, 
     dueDate, instructions, maxScore, allowLateSubmission,
-    studentIds, priority 
+    maxAttempts, studentIds, priority 
   } = req.body;
 
-  // Seçilen öğrencilerin bu öğretmene ait olup olmadığını kontrol et
-  if (studentIds && studentIds.length > 0) {
-    const studentsCheck = await Student.find({
-      _id: { $in: studentIds },
-      ogretmenId: teacherId
-    });
+  // Hedef sınıf güncel eğitim yılındaki Classroom kaydına çözülür
+  let classroom;
+  try {
+    classroom = await resolveClassroom({ classroom: req.body.classroom, className: sinif });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
 
-    if (studentsCheck.length !== studentIds.length) {
+  let targetStudents = studentIds || [];
+
+  // Seçilen öğrencilere bu dersten ödev verme yetkisi olmalı
+  if (targetStudents.length > 0) {
+    const denied = await findStudentsOutsideSubject(req.user, targetStudents, subject);
+
+    if (denied.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Bazı öğrenciler size ait değil'
+        message: `Bazı öğrencilere ${subject} dersinden ödev veremezsiniz`,
+        studentIds: denied
       });
     }
+  } else {
+    // Öğrenci seçilmediyse sınıfa kayıtlı öğrencilere atanır
+    targetStudents = await getClassroomTargets(classroom, req.user, subject);
   }
 
   // Ödev oluştur
@@ -375,24 +610,28 @@ const createAssignment = asyncHandler(async (req, res) => {
     description,
     subject,
     teacher: teacherId,
-    targetStudents: studentIds || [],
-    class: sinif,
+    targetStudents,
+    class: classroom.name,
+    classroom: classroom._id,
+    academicYear: classroom.academicYear,
     dueDate,
     instructions,
     maxScore: maxScore || 100,
     allowLateSubmission: allowLateSubmission || false,
+    maxAttempts,
+    latePolicy: pickLatePolicy(req.body.latePolicy),
     priority: priority || 'medium'
   });
 
   // Öğrencilere ödev ata
-  if (studentIds && studentIds.length > 0) {
+  if (targetStudents.length > 0) {
     await Student.updateMany(
-      { _id: { $in: studentIds } },
+      { _id: { $in: targetStudents } },
       { 
         $push: { 
-          verilenOdevler: {
-            odevId: assignment._id,
-            bitisTarihi: dueDate
+          assignments: {
+            assignmentId: assignment._id,
+            dueDate
           }
         }
       }
@@ -407,7 +646,8 @@ const createAssignment = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     message: 'Ödev başarıyla oluşturuldu',
-    data: populatedAssignment
+    data: populatedAssignment,
+    warnings: await dueDateWarnings(classroom._id, dueDate)
   });
 });
 
@@ -428,7 +668,7 @@ const getMyAssignments = asyncHandler(async (req, res) => {
   }
 
   if (req.query.class) {
-    filter.class = req.query.class;
+    filter.class = normalizeClassName(req.query.class) || req.query.class;
   }
 
   if (req.query.status) {
@@ -439,6 +679,9 @@ const getMyAssignments = asyncHandler(async (req, res) => {
     }
   }
 
+  // Geçmiş yılların arşivlenmiş ödevleri sadece academicYear ile listelenir
+  applyAcademicYearFilter(filter, req.query);
+
   const assignments = await Assignment.find(filter)
     .populate('targetStudents', 'name surname studentNumber')
     .populate('teacher', 'name surname')
@@ -478,8 +721,16 @@ const updateAssignment = asyncHandler(async (req, res) => {
     });
   }
 
+  // Rubrikli ödevde maksimum puan rubriğin toplam puanından az olamaz
+  if (req.body.maxScore !== undefined && assignment.rubric && req.body.maxScore < assignment.rubric.maxPoints) {
+    return res.status(400).json({
+      success: false,
+      message: `Maksimum puan rubriğin toplam puanından (${assignment.rubric.maxPoints}) az olamaz`
+    });
+  }
+
   // Güncelleme verilerini hazırla
-  const allowedFields = ['title', 'description', 'instructions', 'dueDate', 'maxScore', 'allowLateSubmission', 'priority', 'isActive'];
+  const allowedFields = ['title', 'description', 'instructions', 'dueDate', 'maxScore', 'allowLateSubmission', 'maxAttempts', 'priority', 'isActive'];
   const updateData = {};
   
   allowedFields.forEach(field => {
@@ -487,6 +738,9 @@ const updateAssignment = asyncHandler(async (req, res) => {
       updateData[field] = req.body[field];
     }
   });
+  if (req.body.latePolicy) {
+    updateData.latePolicy = pickLatePolicy(req.body.latePolicy, assignment.latePolicy);
+  }
 
   const updatedAssignment = await Assignment.findByIdAndUpdate(
     assignmentId,
@@ -530,16 +784,14 @@ const assignToStudents = asyncHandler(async (req, res) => {
     });
   }
 
-  // Seçilen öğrencilerin bu öğretmene ait olup olmadığını kontrol et
-  const students = await Student.find({
-    _id: { $in: studentIds },
-    ogretmenId: teacherId
-  });
+  // Seçilen öğrencilere bu dersten ödev verme yetkisi olmalı
+  const denied = await findStudentsOutsideSubject(req.user, studentIds, assignment.subject);
 
-  if (students.length !== studentIds.length) {
+  if (denied.length > 0) {
     return res.status(400).json({
       success: false,
-      message: 'Bazı öğrenciler size ait değil'
+      message: `Bazı öğrencilere ${assignment.subject} dersinden ödev veremezsiniz`,
+      studentIds: denied
     });
   }
 
@@ -556,9 +808,9 @@ const assignToStudents = asyncHandler(async (req, res) => {
       { _id: { $in: newStudentIds } },
       { 
         $push: { 
-          verilenOdevler: {
-            odevId: assignment._id,
-            bitisTarihi: assignment.dueDate
+          assignments: {
+            assignmentId: assignment._id,
+            dueDate: assignment.dueDate
           }
         }
       }
@@ -580,6 +832,7 @@ module.exports = {
   getDashboard,
   getMyStudents,
   addStudent,
+  importStudents,
   updateStudent,
   deleteStudent,
   addGradeToStudent,
@@ -0,0 +1,400 @@
+/**
+ * Timetable Controller
+ * Haftalık ders programı: ders saatleri, çakışma kontrolü, sınıf/öğretmen haftası ve iCalendar
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const TimetableSlot = require('../models/TimetableSlot');
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { recordAudit } = require('../utils/audit');
+const { getCurrentAcademicYear } = require('../utils/classrooms');
+const {
+  PERIODS_SETTING,
+  getPeriodTimes,
+  findSlotConflicts,
+  listConflicts,
+  getWeek,
+  buildTimetableCalendar,
+  sendCalendar
+} = require('../utils/timetable');
+
+// Doğrulama hatalarını 400 yanıtına çevir
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Girilen bilgilerde hata var',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const SLOT_FIELDS = ['classroom', 'day', 'period', 'subject', 'teacher', 'room'];
+
+// Ders kaydını doğrula: sınıf aktif, öğretmen aktif, ders saati tanımlı ve çakışma yok
+// Hata varsa yanıtı gönderip false döner
+const checkSlot = async (req, res, slot) => {
+  const [classroom, teacher, periodTimes] = await Promise.all([
+    Classroom.findById(slot.classroom),
+    User.findOne({ _id: slot.teacher, userType: { $in: ['teacher', 'admin'] }, isActive: true }),
+    getPeriodTimes()
+  ]);
+
+  if (!classroom || !classroom.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Aktif sınıf bulunamadı'
+    });
+    return false;
+  }
+
+  if (!teacher) {
+    res.status(404).json({
+      success: false,
+      message: 'Öğretmen bulunamadı'
+    });
+    return false;
+  }
+
+  if (slot.period > periodTimes.length) {
+    res.status(400).json({
+      success: false,
+      message: `Ders saati tanımlı ders saatlerinden (${periodTimes.length}) fazla olamaz`
+    });
+    return false;
+  }
+
+  slot.academicYear = classroom.academicYear;
+  const conflicts = await findSlotConflicts(slot);
+
+  if (conflicts.length > 0) {
+    res.status(409).json({
+      success: false,
+      message: 'Ders programında çakışma var',
+      data: { conflicts }
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @desc    Ders programına ders ekle
+// @route   POST /api/timetable
+// @access  Özel (timetable:manage)
+const createSlot = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const slot = new TimetableSlot({
+    classroom: req.body.classroom,
+    day: req.body.day,
+    period: req.body.period,
+    subject: req.body.subject,
+    teacher: req.body.teacher,
+    room: req.body.room || undefined,
+    createdBy: req.user._id
+  });
+
+  if (!await checkSlot(req, res, slot)) {
+    return;
+  }
+
+  await slot.save();
+  await slot.populate([
+    { path: 'classroom', select: 'name academicYear' },
+    { path: 'teacher', select: 'name surname' }
+  ]);
+
+  await recordAudit(req, {
+    action: 'timetable.create',
+    targetType: 'TimetableSlot',
+    targetId: slot._id,
+    after: slot
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Ders programa eklendi',
+    data: slot
+  });
+});
+
+// @desc    Ders programındaki dersi güncelle
+// @route   PUT /api/timetable/:id
+// @access  Özel (timetable:manage)
+const updateSlot = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const slot = await TimetableSlot.findById(req.params.id);
+
+  if (!slot) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ders bulunamadı'
+    });
+  }
+
+  const before = slot.toObject();
+  SLOT_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => {
+      slot[field] = field === 'room' ? req.body.room || undefined : req.body[field];
+    });
+
+  if (!await checkSlot(req, res, slot)) {
+    return;
+  }
+
+  await slot.save();
+
+  await recordAudit(req, {
+    action: 'timetable.update',
+    targetType: 'TimetableSlot',
+    targetId: slot._id,
+    before,
+    after: slot
+  });
+
+  res.json({
+    success: true,
+    message: 'Ders güncellendi',
+    data: slot
+  });
+});
+
+// @desc    Dersi programdan kaldır
+// @route   DELETE /api/timetable/:id
+// @access  Özel (timetable:manage)
+const deleteSlot = asyncHandler(async (req, res) => {
+  const slot = await TimetableSlot.findById(req.params.id);
+
+  if (!slot) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ders bulunamadı'
+    });
+  }
+
+  await slot.deleteOne();
+
+  await recordAudit(req, {
+    action: 'timetable.delete',
+    targetType: 'TimetableSlot',
+    targetId: slot._id,
+    before: slot
+  });
+
+  res.json({
+    success: true,
+    message: 'Ders programdan kaldırıldı'
+  });
+});
+
+// @desc    Eğitim yılındaki öğretmen ve derslik çakışmaları
+// @route   GET /api/timetable/conflicts?academicYear=2024-2025
+// @access  Özel (timetable:manage)
+const getConflicts = asyncHandler(async (req, res) => {
+  const academicYear = req.query.academicYear || await getCurrentAcademicYear();
+  const conflicts = await listConflicts(academicYear);
+
+  res.json({
+    success: true,
+    count: conflicts.length,
+    academicYear,
+    data: conflicts
+  });
+});
+
+// Sınıfı bul; yoksa 404 gönderip null döner
+const findClassroom = async (req, res) => {
+  const classroom = await Classroom.findById(req.params.classroomId);
+
+  if (!classroom) {
+    res.status(404).json({
+      success: false,
+      message: 'Sınıf bulunamadı'
+    });
+  }
+
+  return classroom;
+};
+
+// @desc    Sınıfın haftalık ders programı
+// @route   GET /api/timetable/classrooms/:classroomId
+// @access  Özel (classrooms:read)
+const getClassroomTimetable = asyncHandler(async (req, res) => {
+  const classroom = await findClassroom(req, res);
+  if (!classroom) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      classroom: {
+        id: classroom._id,
+        name: classroom.name,
+        academicYear: classroom.academicYear
+      },
+      ...await getWeek({ classroom: classroom._id })
+    }
+  });
+});
+
+// @desc    Sınıfın ders programını iCalendar (.ics) olarak indir
+// @route   GET /api/timetable/classrooms/:classroomId/ical
+// @access  Özel (classrooms:read)
+const exportClassroomTimetable = asyncHandler(async (req, res) => {
+  const classroom = await findClassroom(req, res);
+  if (!classroom) {
+    return;
+  }
+
+  const { slots } = await getWeek({ classroom: classroom._id });
+  const content = await buildTimetableCalendar(`${classroom.name} Ders Programı`, slots, classroom.academicYear);
+
+  sendCalendar(res, `ders-programi-${classroom.name}`, content);
+});
+
+// @desc    Öğretmenin haftalık ders programı
+// @route   GET /api/timetable/teachers/:teacherId?academicYear=2024-2025
+// @access  Özel (classrooms:read)
+const getTeacherTimetable = asyncHandler(async (req, res) => {
+  const teacher = await User.findById(req.params.teacherId).select('name surname');
+
+  if (!teacher) {
+    return res.status(404).json({
+      success: false,
+      message: 'Öğretmen bulunamadı'
+    });
+  }
+
+  const academicYear = req.query.academicYear || await getCurrentAcademicYear();
+
+  res.json({
+    success: true,
+    data: {
+      teacher,
+      academicYear,
+      ...await getWeek({ teacher: teacher._id, academicYear })
+    }
+  });
+});
+
+// Giriş yapan öğrencinin sınıfının veya öğretmenin güncel yıldaki dersleri
+const myWeekFilter = async (user) => {
+  if (user.userType === 'student') {
+    const classroom = user.classroom ? await Classroom.findById(user.classroom).select('academicYear') : null;
+    return classroom
+      ? { filter: { classroom: classroom._id }, academicYear: classroom.academicYear }
+      : { filter: null, academicYear: await getCurrentAcademicYear() };
+  }
+
+  const academicYear = await getCurrentAcademicYear();
+  return { filter: { teacher: user._id, academicYear }, academicYear };
+};
+
+// @desc    Haftam: öğrencinin sınıfının veya öğretmenin ders programı
+// @route   GET /api/student/timetable, GET /api/teacher/timetable
+// @access  Özel (portal:student veya portal:teacher)
+const getMyTimetable = asyncHandler(async (req, res) => {
+  const { filter, academicYear } = await myWeekFilter(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      academicYear,
+      ...(filter ? await getWeek(filter) : { periods: await getPeriodTimes(), days: [], slots: [] })
+    }
+  });
+});
+
+// @desc    Haftamı iCalendar (.ics) olarak indir
+// @route   GET /api/student/timetable/ical, GET /api/teacher/timetable/ical
+// @access  Özel (portal:student veya portal:teacher)
+const exportMyTimetable = asyncHandler(async (req, res) => {
+  const { filter, academicYear } = await myWeekFilter(req.user);
+  const { slots } = filter ? await getWeek(filter) : { slots: [] };
+  const content = await buildTimetableCalendar('Ders Programım', slots, academicYear);
+
+  sendCalendar(res, 'ders-programim', content);
+});
+
+// @desc    Ders saatlerinin başlangıç ve bitiş saatleri
+// @route   GET /api/timetable/periods
+// @access  Özel
+const getPeriods = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getPeriodTimes()
+  });
+});
+
+// @desc    Ders saatlerini güncelle
+// @route   PUT /api/timetable/periods
+// @access  Özel (settings:manage)
+const updatePeriods = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) {
+    return;
+  }
+
+  const periods = req.body.periods.map(({ start, end }) => ({ start, end }));
+  const overlapping = periods.some((period, index) => period.start >= period.end ||
+    (index > 0 && period.start < periods[index - 1].end));
+
+  if (overlapping) {
+    return res.status(400).json({
+      success: false,
+      message: 'Ders saatleri sıralı olmalı ve birbiriyle çakışmamalıdır'
+    });
+  }
+
+  const scheduled = await TimetableSlot.countDocuments({ period: { $gt: periods.length } });
+  if (scheduled > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Programda ${periods.length}. ders saatinden sonra ${scheduled} ders var, önce bu dersleri kaldırın`
+    });
+  }
+
+  const before = await getPeriodTimes();
+  await Setting.setValue(PERIODS_SETTING, periods, req.user._id);
+
+  await recordAudit(req, {
+    action: 'settings.timetable.update',
+    targetType: 'Setting',
+    before: { periods: before },
+    after: { periods }
+  });
+
+  res.json({
+    success: true,
+    message: 'Ders saatleri güncellendi',
+    data: periods
+  });
+});
+
+module.exports = {
+  createSlot,
+  updateSlot,
+  deleteSlot,
+  getConflicts,
+  getClassroomTimetable,
+  exportClassroomTimetable,
+  getTeacherTimetable,
+  getMyTimetable,
+  exportMyTimetable,
+  getPeriods,
+  updatePeriods
+};
@@ -0,0 +1,244 @@
+/**
+ * Two-Factor Controller
+ * TOTP tabanlı iki adımlı doğrulama kurulumu ve giriş doğrulaması
+ */
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { sendTokenResponse, verifyMfaToken } = require('../utils/jwtHelper');
+const { generateSecret, buildOtpauthUrl } = require('../utils/totp');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Doğrulama hatalarını yanıtla
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Girilen bilgilerde hata var',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    2FA durumunu getir
+// @route   GET /api/auth/2fa/status
+// @access  Özel (Teacher/Admin)
+const getStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(req.user.userType),
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+    }
+  });
+});
+
+// @desc    2FA kurulumunu başlat (gizli anahtar ve QR URI üret)
+// @route   POST /api/auth/2fa/setup
+// @access  Özel (Teacher/Admin) veya giriş sırasında MFA token'ı
+const setup = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'İki adımlı doğrulama zaten etkin'
+    });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Kimlik doğrulayıcı uygulamanızla QR kodu tarayın ve üretilen kodu onaylayın',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    }
+  });
+});
+
+// @desc    Kurulumu kodla onayla ve 2FA'yı etkinleştir
+// @route   POST /api/auth/2fa/enable
+// @access  Özel (Teacher/Admin) veya giriş sırasında MFA token'ı
+const enable = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Önce iki adımlı doğrulama kurulumunu başlatın'
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code, 'pendingSecret')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Doğrulama kodu hatalı'
+    });
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: req.mfaPending
+      ? 'İki adımlı doğrulama etkinleştirildi, girişi tamamlamak için yeni bir kod ile doğrulayın'
+      : 'İki adımlı doğrulama etkinleştirildi',
+    data: {
+      // Kurtarma kodları sadece bu yanıtta gösterilir
+      recoveryCodes
+    }
+  });
+});
+
+// @desc    Girişin ikinci adımı: kod veya kurtarma kodu ile doğrula
+// @route   POST /api/auth/2fa/verify
+// @access  Genel (MFA token'ı gerekli)
+const verifyLogin = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { mfaToken, code, recoveryCode } = req.body;
+  const decoded = verifyMfaToken(mfaToken);
+
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: 'Doğrulama oturumunun süresi dolmuş, lütfen tekrar giriş yapın'
+    });
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Kullanıcı bulunamadı veya deaktif'
+    });
+  }
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Önce iki adımlı doğrulamayı etkinleştirmelisiniz',
+      enrollmentRequired: true
+    });
+  }
+
+  const isValid = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : user.verifyTwoFactorCode(code);
+
+  if (!isValid) {
+    return res.status(401).json({
+      success: false,
+      message: 'Doğrulama kodu hatalı'
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  await sendTokenResponse(user, 200, res, decoded.userType);
+});
+
+// @desc    2FA'yı devre dışı bırak
+// @route   POST /api/auth/2fa/disable
+// @access  Özel (Teacher/Admin)
+const disable = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  if (await isTwoFactorRequired(req.user.userType)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Rolünüz için iki adımlı doğrulama zorunludur'
+    });
+  }
+
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'İki adımlı doğrulama zaten kapalı'
+    });
+  }
+
+  const isPasswordMatch = await user.matchPassword(req.body.password);
+  if (!isPasswordMatch || !user.verifyTwoFactorCode(req.body.code)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Şifre veya doğrulama kodu hatalı'
+    });
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'İki adımlı doğrulama devre dışı bırakıldı'
+  });
+});
+
+// @desc    Kurtarma kodlarını yeniden üret
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Özel (Teacher/Admin)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'İki adımlı doğrulama etkin değil'
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Doğrulama kodu hatalı'
+    });
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Yeni kurtarma kodları oluşturuldu, eski kodlar geçersiz',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  verifyLogin,
+  disable,
+  regenerateRecoveryCodes
+};
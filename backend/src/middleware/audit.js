@@ -0,0 +1,84 @@
+/**
+ * Denetim Kaydı Middleware'i
+ * Başarılı her değiştirici istek (POST/PUT/PATCH/DELETE) için kayıt düşer.
+ * Route içinde recordAudit ile ayrıntılı (önce/sonra) kayıt yazıldıysa tekrar yazmaz.
+ *
+ * Genel kayıt sadece işlemi ve hedef ID'sini tutar, değişiklik farkı içermez. Fark şu yollarla yazılır:
+ *  - Route/controller içinde recordAudit (öğrenci, ödev, teslim, sınıf, kullanıcı yönetimi vb.)
+ *  - Route'a eklenen auditSnapshot(Model): kayıt işlemden önce ve sonra yüklenir
+ *    (haber, galeri, duyuru, kullanıcı profili güncelleme ve silme)
+ * İkisi de olmayan route'ların kaydında changes alanı bulunmaz.
+ */
+
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Kaydın işlemden önceki durumunu yükler; auditTrail işlem sonrası durumu yükleyip farkı yazar
+// Geri dönüşüm kutusuna taşınan kayıtlar da yüklenir (silmede deletedAt farkı görünür)
+// örn. router.put('/:id', protect, auditSnapshot(News), updateNews)
+const auditSnapshot = (Model, param = 'id') => async (req, res, next) => {
+  const id = req.params[param];
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next();
+  }
+
+  const load = () => {
+    const query = Model.findById(id);
+    return query.withDeleted ? query.withDeleted() : query;
+  };
+
+  try {
+    req.auditSnapshot = {
+      targetType: Model.modelName,
+      load,
+      before: await load()
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    // Kimliği belirsiz istekler ve başarısız işlemler kaydedilmez
+    if (!req.user || req.auditRecorded || res.statusCode >= 400) {
+      return;
+    }
+
+    const routePath = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl;
+    const entry = {
+      action: `${req.method} ${routePath}`,
+      targetId: req.params && req.params.id,
+      statusCode: res.statusCode
+    };
+
+    const snapshot = req.auditSnapshot;
+    if (!snapshot || !snapshot.before) {
+      recordAudit(req, entry);
+      return;
+    }
+
+    snapshot.load()
+      .then(after => recordAudit(req, {
+        ...entry,
+        targetType: snapshot.targetType,
+        before: snapshot.before,
+        after
+      }))
+      .catch(error => console.error('Denetim kaydı yazılamadı:', error.message));
+  });
+
+  next();
+};
+
+module.exports = {
+  auditTrail,
+  auditSnapshot
+};
@@ -1,163 +1,201 @@
+/**
+ * Kimlik Doğrulama ve Yetkilendirme Middleware'i
+ * Tüm route'lar tek bir doğrulama hattı (protect) ve yetki kontrolü (requirePermission) kullanır
+ */
+
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Student = require('../models/Student');
+const Guardian = require('../models/Guardian');
+const { isSessionActive, verifyMfaToken, getAccountUserType } = require('../utils/jwtHelper');
+const { getPermissionsForRole, hasPermission } = require('../utils/permissions');
+
+// Standart kimlik doğrulama hata yanıtı
+const authError = (res, status, message, code) => {
+  return res.status(status).json({
+    success: false,
+    message,
+    code
+  });
+};
 
-// Route'ları koru - JWT token doğrulaması
-const protect = async (req, res, next) => {
-  let token;
+// Şifresini değiştirmesi gereken öğrencinin erişebileceği route'lar
+const PASSWORD_CHANGE_ROUTES = [
+  'GET /api/auth/me',
+  'GET /api/auth/student/me',
+  'PUT /api/auth/update-password',
+  'PUT /api/auth/student/updatepassword',
+  'POST /api/auth/logout',
+  'POST /api/auth/student/logout'
+];
+
+const isPasswordChangeRoute = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/\/$/, '');
+  return PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${path}`);
+};
 
-  // Header'larda token kontrolü
+// İstekten token'ı al (önce header, sonra cookie)
+const getTokenFromRequest = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
   }
-  // Cookie'lerde token kontrolü
-  else if (req.cookies.token) {
-    token = req.cookies.token;
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
   }
+  return null;
+};
+
+// Token'daki kullanıcı tipine göre doğru modelden kullanıcıyı getir
+const loadUser = async (decoded) => {
+  if (decoded.userType === 'student') {
+    return Student.findById(decoded.id).populate('teacher', 'name surname email phone');
+  }
+  if (decoded.userType === 'teacher' || decoded.userType === 'admin') {
+    return User.findById(decoded.id);
+  }
+  if (decoded.userType === 'guardian') {
+    return Guardian.findById(decoded.id);
+  }
+  return null;
+};
+
+// Doğrulanmış kullanıcıyı isteğe bağla
+// Yetkiler token'daki tipten değil hesabın veritabanındaki güncel tipinden belirlenir
+const attachUser = async (req, user) => {
+  const userType = getAccountUserType(user);
+  user.userType = userType;
+  req.user = user;
+  req.permissions = await getPermissionsForRole(userType);
+  // Öğrenci erişim kapsamı (utils/teacherAccess) kullanıcı üzerinden yetkilere bakar
+  user.permissions = req.permissions;
+};
+
+// Route'ları koru - JWT token doğrulaması
+const protect = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
 
-  // Token'ın var olduğundan emin ol
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Erişim reddedildi. Lütfen giriş yapın.'
-    });
+    return authError(res, 401, 'Erişim reddedildi. Lütfen giriş yapın.', 'NO_TOKEN');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return authError(res, 401, 'Token süresi dolmuş', 'TOKEN_EXPIRED');
+    }
+    return authError(res, 401, 'Geçersiz token', 'TOKEN_MALFORMED');
   }
 
   try {
-    // Token'ı doğrula
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Token'dan kullanıcıyı al
-    let user;
-    if (decoded.userType === 'student') {
-      user = await Student.findById(decoded.id).select('-password');
-      user.userType = 'student';
-    } else if (decoded.userType === 'teacher' || decoded.userType === 'admin') {
-      user = await User.findById(decoded.id).select('-password');
-      user.userType = decoded.userType || 'teacher';
+    // Oturum çıkış veya deaktivasyon ile iptal edilmiş olabilir
+    if (!(await isSessionActive(decoded))) {
+      return authError(res, 401, 'Oturum sonlandırılmış, lütfen tekrar giriş yapın', 'SESSION_REVOKED');
     }
 
+    const user = await loadUser(decoded);
+
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Kullanıcı bulunamadı'
-      });
+      return authError(res, 401, 'Kullanıcı bulunamadı', 'USER_NOT_FOUND');
     }
 
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Hesap deaktif durumda'
-      });
+      return authError(res, 401, 'Hesabınız deaktif durumda', 'ACCOUNT_DEACTIVATED');
     }
 
-    req.user = user;
+    // Öğretmenin belirlediği şifreyle giriş yapan öğrenci önce kendi şifresini belirlemeli
+    if (user.mustChangePassword && !isPasswordChangeRoute(req)) {
+      return authError(res, 403, 'Devam etmeden önce şifrenizi değiştirmelisiniz', 'PASSWORD_CHANGE_REQUIRED');
+    }
+
+    await attachUser(req, user);
+    // Oturum yönetiminde isteği yapan oturumu tanımak için
+    req.sessionFamily = decoded.fam;
     next();
   } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: 'Geçersiz token'
-    });
+    next(error);
   }
 };
 
-// Belirli rollere erişim ver
-const authorize = (...roles) => {
+// Belirtilen yetkilerin tamamını gerektir (protect'ten sonra kullanılır)
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Erişim reddedildi'
-      });
+      return authError(res, 401, 'Önce giriş yapmalısınız', 'NOT_AUTHENTICATED');
     }
 
-    const userRole = req.user.userType || req.user.role;
-    
-    if (!roles.includes(userRole)) {
+    const missing = permissions.filter(permission => !hasPermission(req, permission));
+
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: 'Bu işlem için yetkiniz yok'
+        message: 'Bu işlem için yetkiniz yok',
+        code: 'INSUFFICIENT_PERMISSION',
+        requiredPermissions: missing
       });
     }
+
     next();
   };
 };
 
-// Kullanıcının kaynağa sahip olup olmadığını veya admin olup olmadığını kontrol et
-const ownershipOrAdmin = (resourceField = 'user') => {
-  return async (req, res, next) => {
+// İsteğe bağlı kimlik doğrulama - token yoksa veya geçersizse hata vermez
+const optionalAuth = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+
+  if (token) {
     try {
-      const userRole = req.user.userType || req.user.role;
-      
-      // Admin her şeye erişebilir
-      if (userRole === 'admin') {
-        return next();
-      }
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Öğrenciler için kaynak sahipliği kontrolü
-      if (userRole === 'student') {
-        // Öğrenciler sadece kendi kaynaklarına erişebilir
-        if (req.params.id && req.params.id !== req.user._id.toString()) {
-          return res.status(403).json({
-            success: false,
-            message: 'Bu kaynağa erişim yetkiniz yok'
-          });
-        }
-      }
+      if (await isSessionActive(decoded)) {
+        const user = await loadUser(decoded);
 
-      // Öğretmenler için, sahip oldukları veya öğrencilerinin kaynaklarına erişebilirler
-      if (userRole === 'teacher') {
-        // Öğretmenler kendi kaynaklarına ve öğrencilerinin kaynaklarına erişebilir
-        // Bu, kaynak türüne göre bireysel route handler'larda işlenecek
+        if (user && user.isActive) {
+          await attachUser(req, user);
+        }
       }
-
-      next();
     } catch (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Yetkilendirme hatası'
-      });
+      // İsteğe bağlı kimlik doğrulama için token hatalarını yoksay
     }
-  };
+  }
+
+  next();
 };
 
-// İsteğe bağlı kimlik doğrulama - token yoksa hata vermez
-const optionalAuth = async (req, res, next) => {
-  let token;
+// 2FA kurulumu için: normal oturum veya giriş sırasında verilen MFA token'ını kabul et
+const protectOrMfaPending = async (req, res, next) => {
+  const mfaToken = req.headers['x-mfa-token'] || (req.body && req.body.mfaToken);
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.token) {
-    token = req.cookies.token;
+  if (!mfaToken) {
+    return protect(req, res, next);
   }
 
-  if (token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      let user;
-      if (decoded.userType === 'student') {
-        user = await Student.findById(decoded.id).select('-password');
-        user.userType = 'student';
-      } else if (decoded.userType === 'teacher' || decoded.userType === 'admin') {
-        user = await User.findById(decoded.id).select('-password');
-        user.userType = decoded.userType || 'teacher';
-      }
+  try {
+    const decoded = verifyMfaToken(mfaToken);
 
-      if (user && user.isActive) {
-        req.user = user;
-      }
-    } catch (error) {
-      // İsteğe bağlı kimlik doğrulama için token hatalarını yoksay
+    if (!decoded) {
+      return authError(res, 401, 'Doğrulama oturumunun süresi dolmuş, lütfen tekrar giriş yapın', 'MFA_TOKEN_INVALID');
     }
-  }
 
-  next();
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive) {
+      return authError(res, 401, 'Kullanıcı bulunamadı veya deaktif', 'USER_NOT_FOUND');
+    }
+
+    await attachUser(req, user);
+    req.mfaPending = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
   protect,
-  authorize,
-  ownershipOrAdmin,
-  optionalAuth
-}; 
\ No newline at end of file
+  requirePermission,
+  optionalAuth,
+  protectOrMfaPending,
+  getTokenFromRequest
+};
@@ -0,0 +1,89 @@
+/**
+ * CSRF Koruması (double-submit)
+ * Tarayıcıya httpOnly bir gizli anahtar cookie'si verilir, /api/csrf-token bu anahtardan
+ * türetilmiş token'ı döner. Cookie ile kimlik doğrulayan her değiştirici istek token'ı
+ * X-CSRF-Token header'ında geri göndermelidir. _csrf gövde alanı sadece JSON ve
+ * urlencoded formlarda okunur: kontrol multer'dan önce çalıştığı için multipart
+ * (dosya yükleme) isteklerinde gövde henüz boştur, bu isteklerde header zorunludur.
+ * Bearer token kullanan API istemcileri cookie taşımadığı için muaftır.
+ */
+
+const Tokens = require('csrf');
+
+const tokens = new Tokens();
+
+const CSRF_SECRET_COOKIE = 'csrfSecret';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Gizli anahtar cookie'si tarayıcı oturumu boyunca yaşar
+const secretCookieOptions = () => {
+  const options = {
+    httpOnly: true,
+    sameSite: 'lax'
+  };
+
+  if (process.env.NODE_ENV === 'production') {
+    options.secure = true;
+  }
+
+  return options;
+};
+
+// Hata, csrfErrorHandler tarafından standart yanıta çevrilir
+const csrfError = (message) => {
+  const error = new Error(message);
+  error.code = 'EBADCSRFTOKEN';
+  return error;
+};
+
+// İstek kimliğini cookie ile mi doğruluyor
+const usesCookieAuth = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return false;
+  }
+  return Boolean(req.cookies && (req.cookies.token || req.cookies.refreshToken));
+};
+
+// @desc    CSRF token'ı üret (gizli anahtar yoksa oluşturulur)
+// @route   GET /api/csrf-token
+// @access  Genel
+const issueCsrfToken = (req, res) => {
+  let secret = req.cookies && req.cookies[CSRF_SECRET_COOKIE];
+
+  if (!secret) {
+    secret = tokens.secretSync();
+    res.cookie(CSRF_SECRET_COOKIE, secret, secretCookieOptions());
+  }
+
+  res.status(200).json({
+    success: true,
+    csrfToken: tokens.create(secret),
+    message: 'CSRF token alındı'
+  });
+};
+
+// Cookie ile kimlik doğrulayan değiştirici istekleri doğrula
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !usesCookieAuth(req)) {
+    return next();
+  }
+
+  const secret = req.cookies[CSRF_SECRET_COOKIE];
+  // Multipart gövdesi bu noktada ayrıştırılmamıştır; req.body._csrf sadece JSON/urlencoded isteklerde dolu olur
+  const token = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+
+  if (!secret || !token) {
+    return next(csrfError('CSRF token eksik'));
+  }
+
+  if (!tokens.verify(secret, token)) {
+    return next(csrfError('CSRF token geçersiz'));
+  }
+
+  next();
+};
+
+module.exports = {
+  issueCsrfToken,
+  csrfProtection
+};
@@ -0,0 +1,80 @@
+/**
+ * Giriş Denemesi Sınırlama Middleware'i
+ * Global rate limit development'ta kapalıdır ve tek bir hesaba yönelik yavaş denemeleri
+ * yakalayamaz; bu middleware tüm giriş route'larında ortamdan bağımsız çalışır.
+ * Deneme, kimlik bilgileri doğrulanmadan önce atomik olarak başarısız sayılır (eşzamanlı
+ * denemeler kilidi aşamaz); 2xx yanıtta hesap sayacı sıfırlanır, 401 dışındaki diğer
+ * yanıtlarda deneme geri alınır.
+ */
+
+const {
+  checkLoginAllowed,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  recordLoginSuccess
+} = require('../utils/loginThrottle');
+const { verifyMfaToken } = require('../utils/jwtHelper');
+
+// getAccountKey: istekten hesap anahtarını üretir (örn. req => `student:${req.body.studentNumber}`)
+const loginThrottle = (getAccountKey) => {
+  return async (req, res, next) => {
+    try {
+      const accountKey = getAccountKey(req);
+      const block = await checkLoginAllowed(accountKey, req.ip);
+      const attempt = block ? null : await reserveLoginAttempt(req, accountKey);
+      const rejection = block || attempt.block;
+
+      if (rejection) {
+        res.set('Retry-After', String(rejection.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: rejection.message,
+          code: rejection.code,
+          retryAfter: rejection.retryAfter
+        });
+      }
+
+      res.on('finish', () => {
+        let update;
+        if (res.statusCode === 401) {
+          update = recordLoginFailure(req, attempt);
+        } else if (res.statusCode >= 200 && res.statusCode < 300) {
+          update = recordLoginSuccess(req, accountKey);
+        } else {
+          update = releaseLoginAttempt(req, accountKey);
+        }
+
+        update.catch(error => console.error('Giriş sayacı güncellenemedi:', error.message));
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Hesap anahtarı üreticileri
+const byEmail = (prefix) => (req) => {
+  const email = req.body && req.body.email;
+  return email ? `${prefix}:${String(email).toLowerCase()}` : null;
+};
+
+const byStudentNumber = (field = 'studentNumber') => (req) => {
+  const studentNumber = req.body && req.body[field];
+  return studentNumber ? `student:${String(studentNumber).trim()}` : null;
+};
+
+// İki adımlı doğrulamada kod denemeleri kullanıcı bazında sayılır
+const byMfaToken = (req) => {
+  const decoded = req.body && req.body.mfaToken ? verifyMfaToken(req.body.mfaToken) : null;
+  return decoded ? `twoFactor:${decoded.id}` : null;
+};
+
+module.exports = {
+  loginThrottle,
+  byEmail,
+  byStudentNumber,
+  byMfaToken
+};
@@ -158,6 +158,26 @@ const uploadSubmissions = multer({
   }
 });
 
+// Toplu içe aktarma (CSV/XLSX) konfigürasyonu
+// Dosya diske yazılmaz, içerik bellekte ayrıştırılır
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+const uploadImport = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (IMPORT_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Desteklenmeyen dosya türü. Sadece CSV ve XLSX dosyaları kabul edilir.'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  }
+});
+
 // Hata yönetimi middleware
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -215,6 +235,23 @@ const deleteFile = (filePath) => {
   }
 };
 
+const SUBMISSIONS_DIR = path.resolve('public/uploads/submissions');
+
+// Teslim kaydındaki dosya yolunu çöz; yol teslim yükleme klasörü dışındaysa null
+// Kayıttaki path alanına güvenilmez, sunucudaki başka dosyalar (örn. .env) okunmamalıdır
+const resolveSubmissionFile = (filePath) => {
+  if (!filePath) {
+    return null;
+  }
+
+  const resolved = path.resolve(filePath);
+  return resolved.startsWith(SUBMISSIONS_DIR + path.sep) ? resolved : null;
+};
+
+// ZIP içindeki klasör ve dosya adlarında kullanılamayan karakterleri temizle
+// Yol ayırıcıları kaldırıldığı için ../ ile arşiv dışına yazılamaz
+const safeArchiveName = value => String(value || '').replace(/[\\/:*?"<>|]/g, '_').trim();
+
 // Dosya bilgilerini düzenleme fonksiyonu
 const processFileInfo = (file) => {
   return {
@@ -232,8 +269,11 @@ module.exports = {
   uploadNews,
   uploadAvatar,
   uploadSubmissions,
+  uploadImport,
   handleMulterError,
   deleteFile,
+  resolveSubmissionFile,
+  safeArchiveName,
   processFileInfo,
   createUploadDirs
 }; 
\ No newline at end of file
@@ -287,7 +287,76 @@ const validateNewsUpdate = [
     .withMessage('Resim alt metni maksimum 100 karakter olabilir')
 ];
 
+// Öğrenci ekleme doğrulama kuralları (tekli ekleme ve toplu içe aktarma)
+const validateStudent = [
+  body('name', 'İsim gereklidir').notEmpty().trim().escape(),
+  body('surname', 'Soyisim gereklidir').notEmpty().trim().escape(),
+  body('studentNumber', 'Öğrenci numarası gereklidir')
+    .notEmpty()
+    .trim()
+    .matches(/^[0-9]+$/)
+    .withMessage('Öğrenci numarası sadece rakam içermelidir'),
+  body('password', 'Şifre en az 6 karakter olmalıdır').optional().isLength({ min: 6 }),
+  body('classroom').optional().isMongoId().withMessage('Geçersiz sınıf ID formatı'),
+  body('class', 'Sınıf bilgisi gereklidir')
+    .if((value, { req }) => !req.body.classroom)
+    .notEmpty()
+    .trim()
+    .escape(),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Geçerli bir e-posta adresi giriniz')
+    .normalizeEmail(),
+  body('phone')
+    .optional()
+    .matches(/^[0-9]{10,11}$/)
+    .withMessage('Geçerli bir telefon numarası giriniz'),
+  body('address').optional().trim().escape(),
+  body('birthDate').optional().isISO8601().toDate(),
+  body('parentInfo.motherName').optional().trim().escape(),
+  body('parentInfo.fatherName').optional().trim().escape(),
+  body('parentInfo.parentPhone')
+    .optional()
+    .matches(/^[0-9]{10,11}$/)
+    .withMessage('Geçerli bir veli telefon numarası giriniz'),
+  body('parentInfo.parentEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Geçerli bir veli e-posta adresi giriniz')
+    .normalizeEmail()
+];
+
+// Ödev geç teslim politikası doğrulama kuralları (oluşturma ve güncelleme)
+const validateLatePolicy = [
+  body('latePolicy.mode')
+    .optional()
+    .isIn(['hard_close', 'grace', 'penalty'])
+    .withMessage('Geçersiz geç teslim politikası'),
+  body('latePolicy.graceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Ek süre 0-10080 dakika arasında olmalıdır')
+    .toInt(),
+  body('latePolicy.penaltyPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Kesinti oranı 0-100 arasında olmalıdır')
+    .toFloat(),
+  body('latePolicy.penaltyUnit')
+    .optional()
+    .isIn(['day', 'hour'])
+    .withMessage('Kesinti birimi gün veya saat olmalıdır'),
+  body('latePolicy.maxPenaltyPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Kesinti üst sınırı 0-100 arasında olmalıdır')
+    .toFloat()
+];
+
 module.exports = {
+  validateStudent,
+  validateLatePolicy,
   validateGallery,
   validateNews,
   validateComment,
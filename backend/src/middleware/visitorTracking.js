@@ -365,6 +365,8 @@ const cleanupOldRecords = async () => {
 setInterval(cleanupOldRecords, 24 * 60 * 60 * 1000); // 24 saat
 
 module.exports = {
+  analyzeUserAgent,
+  getLocationInfo,
   trackOnlineUser,
   trackVisitor,
   getOnlineStats,
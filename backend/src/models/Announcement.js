@@ -27,6 +27,11 @@ const announcementSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // targetAudience 'class' ise hedef sınıf; targetClass bu sınıfın adıyla senkron tutulur
+  targetClassroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -111,6 +116,7 @@ announcementSchema.virtual('isExpired').get(function() {
 announcementSchema.index({ publishDate: -1 });
 announcementSchema.index({ author: 1 });
 announcementSchema.index({ targetAudience: 1, targetClass: 1 });
+announcementSchema.index({ targetClassroom: 1 });
 announcementSchema.index({ isActive: 1, publishDate: -1 });
 
 // Middleware: Görüntüleme sayısını artır
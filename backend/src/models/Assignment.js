@@ -1,5 +1,65 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const Rubric = require('./Rubric');
+
+// Ödeve eklenen rubriğin kopyası; rubrik sonradan değişse de verilen notların ölçütleri korunur
+const assignmentRubricSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Rubric'
+  },
+  title: String,
+  criteria: [Rubric.criterionSchema]
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+assignmentRubricSchema.virtual('maxPoints').get(function() {
+  return this.criteria.reduce((total, criterion) => total + criterion.maxPoints, 0);
+});
+
+// Geç teslim politikası
+// hard_close: son tarihten sonra teslim alınmaz
+// grace: son tarihten sonra graceMinutes boyunca cezasız teslim alınır, sonra kapanır
+// penalty: graceMinutes sonrasında her gün/saat için penaltyPercent kesinti, en fazla maxPenaltyPercent
+const latePolicySchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: {
+      values: ['hard_close', 'grace', 'penalty'],
+      message: 'Geçersiz geç teslim politikası'
+    },
+    default: 'hard_close'
+  },
+  graceMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Ek süre negatif olamaz'],
+    max: [10080, 'Ek süre en fazla 7 gün olabilir']
+  },
+  penaltyPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Kesinti oranı 0\'dan küçük olamaz'],
+    max: [100, 'Kesinti oranı 100\'den büyük olamaz']
+  },
+  penaltyUnit: {
+    type: String,
+    enum: {
+      values: ['day', 'hour'],
+      message: 'Kesinti birimi gün veya saat olmalıdır'
+    },
+    default: 'day'
+  },
+  maxPenaltyPercent: {
+    type: Number,
+    default: 100,
+    min: [0, 'Kesinti üst sınırı 0\'dan küçük olamaz'],
+    max: [100, 'Kesinti üst sınırı 100\'den büyük olamaz']
+  }
+}, { _id: false });
 
 const assignmentSchema = new mongoose.Schema({
   title: {
@@ -33,11 +93,58 @@ const assignmentSchema = new mongoose.Schema({
     required: [true, 'Sınıf bilgisi gereklidir'],
     trim: true
   },
+  // Hedef sınıf; class alanı sınıfın adıyla senkron tutulur
+  classroom: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Classroom'
+  },
+  // Ödevin ait olduğu eğitim yılı; yıl devrinde arşivlenen ödevlerde archivedAt dolar
+  academicYear: {
+    type: String
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Nakil sonrası ödevi görebilen ama teslim edemeyen öğrenciler
+  readOnlyStudents: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student'
+  }],
 
   dueDate: {
     type: Date,
     required: [true, 'Teslim tarihi gereklidir']
   },
+  // Öğrenciye özel teslim tarihleri (ek süre); ödevin dueDate'i diğer öğrenciler için geçerli kalır
+  dueDateOverrides: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Student',
+      required: [true, 'Öğrenci gereklidir']
+    },
+    dueDate: {
+      type: Date,
+      required: [true, 'Ek süre tarihi gereklidir']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Ek süre açıklaması 500 karakterden fazla olamaz']
+    },
+    grantedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Ek süre talebiyle verildiyse ilgili talep
+    request: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'ExtensionRequest'
+    }
+  }],
   assignedDate: {
     type: Date,
     default: Date.now
@@ -62,10 +169,20 @@ const assignmentSchema = new mongoose.Schema({
     default: 100,
     min: [1, 'Maksimum puan en az 1 olmalıdır']
   },
+  rubric: assignmentRubricSchema,
   allowLateSubmission: {
     type: Boolean,
     default: false
   },
+  // Politika girilmemiş eski ödevlerde allowLateSubmission geçerlidir (bkz. utils/latePolicy)
+  latePolicy: latePolicySchema,
+  // İade edilen teslimler dahil en fazla teslim denemesi
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'Deneme sayısı en az 1 olmalıdır'],
+    max: [10, 'Deneme sayısı en fazla 10 olabilir']
+  },
   status: {
     type: String,
     enum: ['active', 'completed', 'cancelled'],
@@ -90,15 +207,27 @@ const assignmentSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Öğrencinin teslim tarihi: ek süre verildiyse öğrenciye özel tarih, yoksa ödevin tarihi
+assignmentSchema.methods.getDueDateFor = function(studentId) {
+  if (!studentId || !this.dueDateOverrides) {
+    return this.dueDate;
+  }
+
+  const id = (studentId._id || studentId).toString();
+  const override = this.dueDateOverrides.find(item => item.student.toString() === id);
+  return override ? override.dueDate : this.dueDate;
+};
+
+// Virtual'lar $locals.student atanmışsa o öğrencinin teslim tarihini kullanır
 // Check if assignment is overdue
 assignmentSchema.virtual('isOverdue').get(function() {
-  return new Date() > this.dueDate;
+  return new Date() > this.getDueDateFor(this.$locals.student);
 });
 
 // Days remaining until due date
 assignmentSchema.virtual('daysRemaining').get(function() {
   const now = new Date();
-  const dueDate = new Date(this.dueDate);
+  const dueDate = new Date(this.getDueDateFor(this.$locals.student));
   const diffTime = dueDate - now;
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   return diffDays;
@@ -122,7 +251,10 @@ assignmentSchema.virtual('submissions', {
 
 // Index for better performance
 assignmentSchema.index({ teacher: 1, class: 1, grade: 1 });
+assignmentSchema.index({ classroom: 1 });
+assignmentSchema.index({ academicYear: 1, archivedAt: 1 });
 assignmentSchema.index({ dueDate: 1 });
+assignmentSchema.index({ 'dueDateOverrides.student': 1 });
 assignmentSchema.index({ slug: 1 });
 
 module.exports = mongoose.model('Assignment', assignmentSchema); 
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused', 'medical'];
+
+// Bir sınıfın belirli bir gün ve ders saatindeki yoklaması
+const attendanceSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Sınıf gereklidir']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Eğitim yılı gereklidir']
+  },
+  // Dönem (1 veya 2), yoklama tarihinden hesaplanır
+  term: {
+    type: Number,
+    enum: [1, 2],
+    required: [true, 'Dönem gereklidir']
+  },
+  // Gün başlangıcı (UTC 00:00)
+  date: {
+    type: Date,
+    required: [true, 'Yoklama tarihi gereklidir']
+  },
+  period: {
+    type: Number,
+    required: [true, 'Ders saati gereklidir'],
+    min: [1, 'Ders saati 1\'den küçük olamaz'],
+    max: [12, 'Ders saati 12\'den büyük olamaz']
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Ders adı 50 karakterden fazla olamaz']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Yoklamayı alan öğretmen gereklidir']
+  },
+  records: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: [true, 'Öğrenci gereklidir']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ATTENDANCE_STATUSES,
+        message: 'Geçersiz yoklama durumu'
+      },
+      default: 'present'
+    },
+    note: {
+      type: String,
+      maxlength: [200, 'Açıklama 200 karakterden fazla olamaz']
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Aynı sınıf, gün ve ders saati için tek yoklama
+attendanceSchema.index({ classroom: 1, date: 1, period: 1 }, { unique: true });
+attendanceSchema.index({ 'records.student': 1, academicYear: 1, term: 1 });
+
+attendanceSchema.statics.STATUSES = ATTENDANCE_STATUSES;
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Yetkili işlemlerin değiştirilemez kaydı (sadece ekleme yapılabilir)
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'actorModel'
+  },
+  actorModel: {
+    type: String,
+    enum: ['User', 'Student', 'Guardian']
+  },
+  actorRole: {
+    type: String
+  },
+  // Örn. 'submission.grade', 'student.delete', 'http.put'
+  action: {
+    type: String,
+    required: [true, 'İşlem adı gereklidir'],
+    trim: true
+  },
+  targetType: {
+    type: String
+  },
+  targetId: {
+    type: String
+  },
+  // Sadece değişen alanlar tutulur
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Kayıtlar oluşturulduktan sonra güncellenemez veya silinemez
+const rejectMutation = function(next) {
+  next(new Error('Denetim kayıtları değiştirilemez veya silinemez'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], rejectMutation);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// İndeksler
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const BEHAVIOUR_TYPES = ['positive', 'negative'];
+
+const BEHAVIOUR_CATEGORIES = [
+  'participation',
+  'helpfulness',
+  'leadership',
+  'achievement',
+  'responsibility',
+  'disruption',
+  'lateness',
+  'homework',
+  'respect',
+  'conflict',
+  'other'
+];
+
+// Öğrencinin olumlu veya olumsuz davranış kaydı
+// points işaretlidir: olumlu kayıtlar pozitif, olumsuz kayıtlar negatif tutulur
+const behaviourEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Öğrenci gereklidir']
+  },
+  // Kayıt anındaki sınıf ve eğitim yılı (sınıf sıralamaları için)
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Eğitim yılı gereklidir']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: BEHAVIOUR_TYPES,
+      message: 'Davranış türü olumlu veya olumsuz olmalıdır'
+    },
+    required: [true, 'Davranış türü gereklidir']
+  },
+  category: {
+    type: String,
+    enum: {
+      values: BEHAVIOUR_CATEGORIES,
+      message: 'Geçersiz davranış kategorisi'
+    },
+    required: [true, 'Davranış kategorisi gereklidir']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Puan gereklidir'],
+    min: [-10, 'Puan -10\'dan küçük olamaz'],
+    max: [10, 'Puan 10\'dan büyük olamaz']
+  },
+  description: {
+    type: String,
+    required: [true, 'Açıklama gereklidir'],
+    trim: true,
+    maxlength: [500, 'Açıklama 500 karakterden fazla olamaz']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Ders adı 50 karakterden fazla olamaz']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Kaydı giren öğretmen gereklidir']
+  },
+  // Veliye e-posta ile bildirildiyse gönderim zamanı ve alıcı sayısı
+  guardianNotification: {
+    requested: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: Date,
+    recipients: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Puanın işaretini türe göre düzelt
+behaviourEntrySchema.pre('validate', function(next) {
+  if (typeof this.points === 'number') {
+    const points = Math.abs(this.points);
+    this.points = this.type === 'negative' ? -points : points;
+  }
+  next();
+});
+
+behaviourEntrySchema.index({ student: 1, date: -1 });
+behaviourEntrySchema.index({ classroom: 1, academicYear: 1 });
+
+behaviourEntrySchema.statics.TYPES = BEHAVIOUR_TYPES;
+behaviourEntrySchema.statics.CATEGORIES = BEHAVIOUR_CATEGORIES;
+
+module.exports = mongoose.model('BehaviourEntry', behaviourEntrySchema);
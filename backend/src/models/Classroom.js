@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Sınıf/şube: "9-A" gibi bir sınıfın belirli bir eğitim yılındaki kaydı
+const classroomSchema = new mongoose.Schema({
+  gradeLevel: {
+    type: Number,
+    required: [true, 'Sınıf seviyesi gereklidir'],
+    min: [1, 'Sınıf seviyesi 1\'den küçük olamaz'],
+    max: [12, 'Sınıf seviyesi 12\'den büyük olamaz']
+  },
+  section: {
+    type: String,
+    required: [true, 'Şube gereklidir'],
+    trim: true,
+    uppercase: true,
+    maxlength: [3, 'Şube 3 karakterden fazla olamaz']
+  },
+  // Seviye ve şubeden üretilir (örn. "9-A"); Student.class ve Assignment.class ile aynı biçimdedir
+  name: {
+    type: String,
+    trim: true
+  },
+  // "2024-2025" biçiminde
+  academicYear: {
+    type: String,
+    required: [true, 'Eğitim yılı gereklidir'],
+    match: [/^\d{4}-\d{4}$/, 'Eğitim yılı 2024-2025 biçiminde olmalıdır']
+  },
+  homeroomTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  subjectTeachers: [{
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Ders öğretmeni gereklidir']
+    },
+    subject: {
+      type: String,
+      required: [true, 'Ders adı gereklidir'],
+      trim: true,
+      maxlength: [50, 'Ders adı 50 karakterden fazla olamaz']
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// "9A", "9-A", "9/a", "9. A" gibi yazımları { gradeLevel, section } olarak çöz
+// Çözülemezse null döner
+classroomSchema.statics.parseName = function(value) {
+  const match = String(value || '')
+    .trim()
+    .match(/^(\d{1,2})\s*[-/.]?\s*([A-Za-zÇĞİÖŞÜçğıöşü]{1,3})$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const gradeLevel = parseInt(match[1], 10);
+  if (gradeLevel < 1 || gradeLevel > 12) {
+    return null;
+  }
+
+  return {
+    gradeLevel,
+    section: match[2].toLocaleUpperCase('tr-TR')
+  };
+};
+
+classroomSchema.statics.formatName = function(gradeLevel, section) {
+  return `${gradeLevel}-${String(section).toLocaleUpperCase('tr-TR')}`;
+};
+
+classroomSchema.pre('validate', function(next) {
+  if (this.section) {
+    this.section = this.section.toLocaleUpperCase('tr-TR');
+  }
+  this.name = this.constructor.formatName(this.gradeLevel, this.section);
+  next();
+});
+
+// Bir öğretmen sınıfta sınıf öğretmeni veya ders öğretmeni mi?
+classroomSchema.methods.hasTeacher = function(userId) {
+  const id = userId.toString();
+  return (this.homeroomTeacher && this.homeroomTeacher.toString() === id) ||
+    this.subjectTeachers.some(entry => (entry.teacher._id || entry.teacher).toString() === id);
+};
+
+classroomSchema.index({ academicYear: 1, gradeLevel: 1, section: 1 }, { unique: true });
+classroomSchema.index({ academicYear: 1, name: 1 });
+classroomSchema.index({ homeroomTeacher: 1 });
+classroomSchema.index({ 'subjectTeachers.teacher': 1 });
+
+module.exports = mongoose.model('Classroom', classroomSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Öğrencinin bir sınıftaki kayıt dönemi; sınıf değişikliklerinin geçmişi buradan izlenir
+const enrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Öğrenci gereklidir']
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Sınıf gereklidir']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Eğitim yılı gereklidir']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'transferred', 'withdrawn', 'completed'],
+    default: 'active'
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Bir öğrencinin aynı eğitim yılında tek aktif kaydı olabilir
+enrollmentSchema.index(
+  { student: 1, academicYear: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+enrollmentSchema.index({ classroom: 1, status: 1 });
+enrollmentSchema.index({ student: 1, startDate: -1 });
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
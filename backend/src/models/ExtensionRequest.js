@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const EXTENSION_STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
+
+// Öğrencinin bir ödev için ek süre talebi
+// Onaylanan talep ödevin dueDateOverrides listesine öğrenciye özel teslim tarihi olarak işlenir
+const extensionRequestSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Ödev gereklidir']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Öğrenci gereklidir']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Talep gerekçesi gereklidir'],
+    trim: true,
+    maxlength: [500, 'Talep gerekçesi 500 karakterden fazla olamaz']
+  },
+  requestedDueDate: {
+    type: Date,
+    required: [true, 'İstenen teslim tarihi gereklidir']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: EXTENSION_STATUSES,
+      message: 'Geçersiz talep durumu'
+    },
+    default: 'pending'
+  },
+  // Öğretmenin kararı; onayda verilen tarih istenen tarihten farklı olabilir
+  grantedDueDate: {
+    type: Date
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Karar açıklaması 500 karakterden fazla olamaz']
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  // Karar bildiriminin gönderildiği adres sayısı
+  notificationRecipients: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+extensionRequestSchema.index({ assignment: 1, student: 1, status: 1 });
+extensionRequestSchema.index({ student: 1, createdAt: -1 });
+
+extensionRequestSchema.statics.STATUSES = EXTENSION_STATUSES;
+
+module.exports = mongoose.model('ExtensionRequest', extensionRequestSchema);
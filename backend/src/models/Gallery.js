@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const softDelete = require('./plugins/softDelete');
 
 const gallerySchema = new mongoose.Schema({
   title: {
@@ -100,4 +101,7 @@ gallerySchema.index({ uploadedBy: 1 });
 gallerySchema.index({ isPublic: 1, isActive: 1 });
 gallerySchema.index({ slug: 1 });
 
+// Silinen kayıtlar geri dönüşüm kutusunda tutulur
+gallerySchema.plugin(softDelete);
+
 module.exports = mongoose.model('Gallery', gallerySchema); 
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Veli hesabı - bir veya daha fazla öğrenciye bağlıdır, portala sadece okuma erişimi vardır
+const guardianSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'İsim gereklidir'],
+    trim: true,
+    maxlength: [50, 'İsim 50 karakterden fazla olamaz']
+  },
+  surname: {
+    type: String,
+    required: [true, 'Soyisim gereklidir'],
+    trim: true,
+    maxlength: [50, 'Soyisim 50 karakterden fazla olamaz']
+  },
+  email: {
+    type: String,
+    required: [true, 'E-posta gereklidir'],
+    unique: true,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Geçerli bir e-posta adresi giriniz'
+    ]
+  },
+  password: {
+    type: String,
+    required: [true, 'Şifre gereklidir'],
+    minlength: [6, 'Şifre en az 6 karakter olmalıdır'],
+    select: false
+  },
+  phone: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^[0-9]{10,11}$/.test(v);
+      },
+      message: 'Geçerli bir telefon numarası giriniz'
+    }
+  },
+  // Velinin görebileceği öğrenciler (sadece davet kabulüyle eklenir)
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Tam ad sanal alanı
+guardianSchema.virtual('fullName').get(function() {
+  return `${this.name} ${this.surname}`;
+});
+
+// Kaydetmeden önce şifreyi bcrypt ile hashle
+guardianSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Şifre karşılaştırma metodu
+guardianSchema.methods.matchPassword = async function(enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// Veli bu öğrenciye bağlı mı
+guardianSchema.methods.hasStudent = function(studentId) {
+  return this.students.some(id => id.toString() === studentId.toString());
+};
+
+// İndeksler
+guardianSchema.index({ students: 1 });
+
+module.exports = mongoose.model('Guardian', guardianSchema);
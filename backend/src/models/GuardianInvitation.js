@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Öğretmenin veliye gönderdiği tek kullanımlık davet
+const guardianInvitationSchema = new mongoose.Schema({
+  // Token'ın kendisi saklanmaz, sadece SHA-256 özeti tutulur
+  tokenHash: {
+    type: String,
+    required: [true, 'Token özeti gereklidir'],
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Student',
+    required: [true, 'Öğrenci referansı gereklidir']
+  },
+  email: {
+    type: String,
+    required: [true, 'E-posta gereklidir'],
+    lowercase: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Davet eden kullanıcı gereklidir']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Süresi dolmadan yeni davet gönderilirse eskisi iptal edilir
+  revokedAt: {
+    type: Date
+  },
+  guardian: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Guardian'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ham token'ın özetini üret
+guardianInvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// İndeksler
+guardianInvitationSchema.index({ student: 1, createdAt: -1 });
+// Kayıtlar 30 gün sonra otomatik silinir
+guardianInvitationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('GuardianInvitation', guardianInvitationSchema);
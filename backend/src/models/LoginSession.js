@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Her giriş bir oturumdur; oturum, yenileme token ailesiyle (RefreshToken.family) eşleşir.
+// Oturumun geçerliliği token ailesinden okunur, bu kayıt cihaz ve konum bilgisini tutar.
+const loginSessionSchema = new mongoose.Schema({
+  family: {
+    type: String,
+    required: [true, 'Token ailesi gereklidir'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'userModel',
+    required: [true, 'Kullanıcı referansı gereklidir']
+  },
+  userModel: {
+    type: String,
+    enum: ['User', 'Student', 'Guardian'],
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['teacher', 'admin', 'student', 'guardian'],
+    required: true
+  },
+  device: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+    default: 'unknown'
+  },
+  browser: {
+    name: String,
+    version: String
+  },
+  os: {
+    name: String,
+    version: String
+  },
+  location: {
+    country: String,
+    region: String,
+    city: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Son yenileme token'ı ile birlikte sona erer
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// İndeksler
+loginSessionSchema.index({ user: 1, lastActiveAt: -1 });
+// Süresi dolan oturum kayıtları MongoDB tarafından otomatik silinir
+loginSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginSession', loginSessionSchema);
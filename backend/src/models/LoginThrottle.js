@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Hesap veya IP bazında başarısız giriş sayacı
+const loginThrottleSchema = new mongoose.Schema({
+  // Örn. 'account' + 'student:12345' veya 'ip' + '10.0.0.1'
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: [true, 'Sayaç anahtarı gereklidir']
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lastIp: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Art arda kilitlenme sayısı (kilit süresi her seferinde uzar)
+  lockCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Kayıt şu an kilitli mi
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+loginThrottleSchema.set('toJSON', { virtuals: true });
+
+// İndeksler
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+// Hareketsiz sayaçlar 7 gün sonra otomatik silinir
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const softDelete = require('./plugins/softDelete');
 
 const newsSchema = new mongoose.Schema({
   title: {
@@ -124,4 +125,7 @@ newsSchema.index({ isPublished: 1, publishDate: -1 });
 newsSchema.index({ slug: 1 });
 newsSchema.index({ isPinned: -1, publishDate: -1 });
 
+// Silinen kayıtlar geri dönüşüm kutusunda tutulur
+newsSchema.plugin(softDelete);
+
 module.exports = mongoose.model('News', newsSchema); 
\ No newline at end of file
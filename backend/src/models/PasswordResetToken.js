@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  // Token'ın kendisi saklanmaz, sadece SHA-256 özeti tutulur
+  tokenHash: {
+    type: String,
+    required: [true, 'Token özeti gereklidir'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'userModel',
+    required: [true, 'Kullanıcı referansı gereklidir']
+  },
+  userModel: {
+    type: String,
+    enum: ['User', 'Student'],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  requestedIp: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ham token'ın özetini üret
+passwordResetTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// İndeksler
+passwordResetTokenSchema.index({ user: 1, createdAt: -1 });
+// Kayıtlar 24 saat sonra otomatik silinir (hız sınırı penceresi için yeterli)
+passwordResetTokenSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  // Token'ın kendisi saklanmaz, sadece SHA-256 özeti tutulur
+  tokenHash: {
+    type: String,
+    required: [true, 'Token özeti gereklidir'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'userModel',
+    required: [true, 'Kullanıcı referansı gereklidir']
+  },
+  userModel: {
+    type: String,
+    enum: ['User', 'Student', 'Guardian'],
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['teacher', 'admin', 'student', 'guardian'],
+    required: true
+  },
+  // Aynı girişten türeyen tüm token'lar aynı aileyi paylaşır
+  family: {
+    type: String,
+    required: [true, 'Token ailesi gereklidir']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse_detected', 'deactivated', 'admin_revoked', 'password_reset', 'user_revoked', 'role_changed', 'password_changed']
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Token aktif mi (iptal edilmemiş ve süresi dolmamış)
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Ham token'ın özetini üret
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Bir token ailesinin tamamını iptal et
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Kullanıcının tüm oturumlarını iptal et
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Ailede en az bir geçerli token var mı (erişim token'ı kontrolü için)
+refreshTokenSchema.statics.isFamilyActive = async function(family) {
+  const token = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+// İndeksler
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Süresi dolan kayıtlar MongoDB tarafından otomatik silinir
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
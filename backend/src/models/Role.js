@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+
+// Rol bazlı yetki tanımları (varsayılanları config/permissions.js içindedir)
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rol adı gereklidir'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(values) {
+        return values.every(value => value === ALL_PERMISSIONS || PERMISSIONS[value]);
+      },
+      message: 'Geçersiz yetki tanımı'
+    }
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Açıklama 200 karakterden fazla olamaz']
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
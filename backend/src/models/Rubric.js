@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Ölçüt altındaki performans seviyesi (örn. "Mükemmel - 10 puan")
+const levelSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Seviye adı gereklidir'],
+    trim: true,
+    maxlength: [50, 'Seviye adı 50 karakterden fazla olamaz']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Seviye açıklaması 300 karakterden fazla olamaz']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Seviye puanı gereklidir'],
+    min: [0, 'Seviye puanı 0\'dan küçük olamaz']
+  }
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Ölçüt adı gereklidir'],
+    trim: true,
+    maxlength: [100, 'Ölçüt adı 100 karakterden fazla olamaz']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Ölçüt açıklaması 500 karakterden fazla olamaz']
+  },
+  levels: {
+    type: [levelSchema],
+    validate: {
+      validator: levels => levels.length >= 2 && levels.length <= 6,
+      message: 'Her ölçütte 2-6 performans seviyesi olmalıdır'
+    }
+  }
+});
+
+// Ölçütün alabileceği en yüksek puan
+criterionSchema.virtual('maxPoints').get(function() {
+  return Math.max(0, ...this.levels.map(level => level.points));
+});
+
+// Ödevlere eklenebilen, tekrar kullanılabilir değerlendirme ölçeği
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rubrik adı gereklidir'],
+    trim: true,
+    maxlength: [100, 'Rubrik adı 100 karakterden fazla olamaz']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Açıklama 500 karakterden fazla olamaz']
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Ders adı 50 karakterden fazla olamaz']
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: criteria => criteria.length >= 1 && criteria.length <= 20,
+      message: 'Rubrikte 1-20 ölçüt olmalıdır'
+    }
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Rubrik sahibi gereklidir']
+  },
+  // Paylaşılan rubrikleri tüm öğretmenler kendi ödevlerinde kullanabilir
+  isShared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Rubrikten alınabilecek en yüksek toplam puan
+rubricSchema.virtual('maxPoints').get(function() {
+  return this.criteria.reduce((total, criterion) => total + criterion.maxPoints, 0);
+});
+
+rubricSchema.index({ owner: 1 });
+rubricSchema.index({ isShared: 1, subject: 1 });
+
+rubricSchema.statics.criterionSchema = criterionSchema;
+
+module.exports = mongoose.model('Rubric', rubricSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Sistem genelinde veritabanından yönetilen ayarlar (anahtar/değer)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Ayar anahtarı gereklidir'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Açıklama 200 karakterden fazla olamaz']
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Ayarı getir, kayıt yoksa varsayılan değeri döndür
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Ayarı oluştur veya güncelle
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
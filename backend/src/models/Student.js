@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const slugify = require('slugify');
+const softDelete = require('./plugins/softDelete');
 
 const studentSchema = new mongoose.Schema({
   name: {
@@ -33,6 +34,14 @@ const studentSchema = new mongoose.Schema({
     minlength: [6, 'Şifre en az 6 karakter olmalıdır'],
     select: false // Şifreyi varsayılan sorgularda getirme
   },
+  // Şifre öğretmen tarafından belirlendiyse öğrenci kendi şifresini belirleyene kadar true
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -86,6 +95,10 @@ const studentSchema = new mongoose.Schema({
       type: String,
       enum: ['written', 'oral', 'project', 'homework', 'performance'],
       default: 'written'
+    },
+    // Yıl devrinde arşivlendiği eğitim yılı
+    academicYear: {
+      type: String
     }
   }],
   email: {
@@ -106,6 +119,34 @@ const studentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Sınıf bilgisi 20 karakterden fazla olamaz']
   },
+  // Güncel sınıf kaydı; class alanı bu sınıfın adıyla senkron tutulur
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  // Öğrenciye özel ders öğretmenleri (sınıfın ders öğretmenlerine ek olarak, örn. seçmeli dersler)
+  // Sorumlu öğretmen (teacher) tüm derslerde yetkilidir
+  subjectTeachers: [{
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Ders öğretmeni gereklidir']
+    },
+    subject: {
+      type: String,
+      required: [true, 'Ders adı gereklidir'],
+      trim: true,
+      maxlength: [50, 'Ders adı 50 karakterden fazla olamaz']
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   address: {
     type: String,
     maxlength: [200, 'Adres 200 karakterden fazla olamaz']
@@ -143,6 +184,11 @@ const studentSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Yıl devrinde mezun edilen öğrenciler (hesap pasif yapılır)
+  graduation: {
+    academicYear: String,
+    date: Date
+  },
   lastLogin: {
     type: Date
   },
@@ -280,6 +326,11 @@ studentSchema.index({ teacher: 1 });
 studentSchema.index({ slug: 1 });
 studentSchema.index({ isActive: 1 });
 studentSchema.index({ class: 1 });
+studentSchema.index({ classroom: 1 });
+studentSchema.index({ 'subjectTeachers.teacher': 1 });
 studentSchema.index({ 'grades.subject': 1 });
 
+// Silinen kayıtlar geri dönüşüm kutusunda tutulur
+studentSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Student', studentSchema); 
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Öğrencinin öğretmen/sınıf değişikliği veya okuldan ayrılışı
+// Eski öğretmen ve sınıf adları, öğrencinin geçmiş not ve teslimlerinin bağlamı için saklanır
+const studentTransferSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Öğrenci gereklidir']
+  },
+  // internal: okul içi (öğretmen ve/veya sınıf), school: okuldan ayrılış
+  type: {
+    type: String,
+    enum: ['internal', 'school'],
+    required: true
+  },
+  fromTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  toTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fromClassroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  toClassroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  fromClass: String,
+  toClass: String,
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Nakil tarihi gereklidir']
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Nakil nedeni 500 karakterden fazla olamaz']
+  },
+  destinationSchool: {
+    type: String,
+    maxlength: [200, 'Okul adı 200 karakterden fazla olamaz']
+  },
+  // Teslim edilmemiş ödevlere uygulanan politika
+  assignmentPolicy: {
+    type: String,
+    enum: {
+      values: ['carry_over', 'cancel', 'read_only'],
+      message: 'Geçersiz ödev politikası'
+    },
+    required: true
+  },
+  assignments: [{
+    _id: false,
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assignment'
+    },
+    title: String,
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+studentTransferSchema.index({ student: 1, effectiveDate: -1 });
+
+module.exports = mongoose.model('StudentTransfer', studentTransferSchema);
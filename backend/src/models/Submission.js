@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const { getLatePolicy, evaluateLateness } = require('../utils/latePolicy');
+
+const fileSchema = {
+  filename: String,
+  originalName: String,
+  path: String,
+  size: Number,
+  mimeType: String,
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+const rubricScoreSchema = {
+  _id: false,
+  criterion: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Ölçüt gereklidir']
+  },
+  level: {
+    type: mongoose.Schema.ObjectId
+  },
+  points: {
+    type: Number,
+    required: [true, 'Ölçüt puanı gereklidir'],
+    min: [0, 'Ölçüt puanı 0\'dan az olamaz']
+  },
+  comment: {
+    type: String,
+    maxlength: [300, 'Ölçüt yorumu 300 karakterden fazla olamaz']
+  }
+};
+
+// Notlandırmada uygulanan geç teslim kesintisi; score = rawScore - points
+const latePenaltySchema = {
+  _id: false,
+  percent: Number,
+  points: Number,
+  minutesLate: Number,
+  // Politikadan hesaplanan oran; öğretmen değiştirdiyse percent'ten farklıdır
+  calculatedPercent: Number,
+  overridden: {
+    type: Boolean,
+    default: false
+  },
+  overriddenBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: [300, 'Kesinti açıklaması 300 karakterden fazla olamaz']
+  }
+};
 
 const submissionSchema = new mongoose.Schema({
   assignment: {
@@ -15,17 +70,7 @@ const submissionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  files: [{
-    filename: String,
-    originalName: String,
-    path: String,
-    size: Number,
-    mimeType: String,
-    uploadDate: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  files: [fileSchema],
   content: {
     type: String,
     maxlength: [2000, 'İçerik 2000 karakterden fazla olamaz']
@@ -43,6 +88,12 @@ const submissionSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Puan 0\'dan az olamaz']
   },
+  // Kesinti öncesi puan
+  rawScore: {
+    type: Number,
+    min: [0, 'Puan 0\'dan az olamaz']
+  },
+  latePenalty: latePenaltySchema,
   gradedAt: {
     type: Date
   },
@@ -54,6 +105,8 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Geri bildirim 1000 karakterden fazla olamaz']
   },
+  // Rubrikle notlandırmada ölçüt bazında puanlar; score bunların toplamıdır
+  rubricScores: [rubricScoreSchema],
   teacherNotes: {
     type: String,
     maxlength: [500, 'Öğretmen notları 500 karakterden fazla olamaz']
@@ -65,6 +118,51 @@ const submissionSchema = new mongoose.Schema({
   resubmissionCount: {
     type: Number,
     default: 0
+  },
+  // Güncel deneme numarası (ilk teslim 1)
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  // Öğretmenin iadesi: yorum ve yeniden teslim için son tarih
+  returnedAt: Date,
+  returnedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  returnComment: {
+    type: String,
+    maxlength: [1000, 'İade açıklaması 1000 karakterden fazla olamaz']
+  },
+  resubmissionDeadline: Date,
+  // Önceki denemeler (içerik, dosyalar, not ve iade bilgileriyle); dosyalar silinmez
+  versions: [{
+    _id: false,
+    attempt: Number,
+    content: String,
+    files: [fileSchema],
+    submissionDate: Date,
+    isLate: Boolean,
+    score: Number,
+    rawScore: Number,
+    latePenalty: latePenaltySchema,
+    rubricScores: [rubricScoreSchema],
+    feedback: String,
+    gradedAt: Date,
+    gradedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    returnedAt: Date,
+    returnedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    returnComment: String
+  }],
+  // Yıl devrinde arşivlendiği eğitim yılı
+  academicYear: {
+    type: String
   }
 }, {
   timestamps: true,
@@ -72,12 +170,12 @@ const submissionSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Check if submission was late
+// Check if submission was late (öğrenciye özel teslim tarihi ve politikadaki ek süre dahil)
 submissionSchema.pre('save', async function(next) {
   if (this.isNew) {
     // Get the assignment to check due date
     const assignment = await mongoose.model('Assignment').findById(this.assignment);
-    if (assignment && this.submissionDate > assignment.dueDate) {
+    if (assignment && evaluateLateness(getLatePolicy(assignment), assignment.getDueDateFor(this.student), this.submissionDate).isLate) {
       this.isLate = true;
       this.status = 'late';
     }
@@ -87,7 +185,7 @@ submissionSchema.pre('save', async function(next) {
 
 // Update status when graded
 submissionSchema.pre('save', function(next) {
-  if (this.score !== undefined && this.gradedAt && this.status !== 'late') {
+  if (this.score !== undefined && this.gradedAt && !['late', 'returned'].includes(this.status)) {
     this.status = 'graded';
   }
   next();
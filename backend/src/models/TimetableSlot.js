@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Haftanın günleri: 1 = Pazartesi ... 7 = Pazar (ISO 8601)
+const TIMETABLE_DAYS = [1, 2, 3, 4, 5, 6, 7];
+
+// Haftalık ders programında bir sınıfın bir gün ve ders saatindeki dersi
+// Ders saatlerinin başlangıç/bitiş saatleri timetable.periods ayarından gelir
+const timetableSlotSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Sınıf gereklidir']
+  },
+  // Sınıfın eğitim yılı (çakışma kontrolü aynı yıl içinde yapılır)
+  academicYear: {
+    type: String,
+    required: [true, 'Eğitim yılı gereklidir']
+  },
+  day: {
+    type: Number,
+    required: [true, 'Gün gereklidir'],
+    enum: {
+      values: TIMETABLE_DAYS,
+      message: 'Gün 1 (Pazartesi) ile 7 (Pazar) arasında olmalıdır'
+    }
+  },
+  period: {
+    type: Number,
+    required: [true, 'Ders saati gereklidir'],
+    min: [1, 'Ders saati 1\'den küçük olamaz'],
+    max: [12, 'Ders saati 12\'den büyük olamaz']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Ders adı gereklidir'],
+    trim: true,
+    maxlength: [50, 'Ders adı 50 karakterden fazla olamaz']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Öğretmen gereklidir']
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Derslik adı 30 karakterden fazla olamaz']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Bir sınıfın aynı gün ve ders saatinde tek dersi olabilir
+timetableSlotSchema.index({ classroom: 1, day: 1, period: 1 }, { unique: true });
+timetableSlotSchema.index({ academicYear: 1, teacher: 1, day: 1, period: 1 });
+timetableSlotSchema.index({ academicYear: 1, room: 1, day: 1, period: 1 });
+
+timetableSlotSchema.statics.DAYS = TIMETABLE_DAYS;
+
+module.exports = mongoose.model('TimetableSlot', timetableSlotSchema);
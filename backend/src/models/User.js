@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const slugify = require('slugify');
+const crypto = require('crypto');
+const { verifyCode } = require('../utils/totp');
+const softDelete = require('./plugins/softDelete');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -69,6 +72,35 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // İki adımlı doğrulama (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Kurulum tamamlanana kadar bekleyen gizli anahtar
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Kurtarma kodlarının SHA-256 özetleri
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Aynı kodun tekrar kullanılmasını engellemek için son kullanılan zaman adımı
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -110,6 +142,47 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Kurtarma kodu özeti
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// TOTP kodunu doğrula (twoFactor.secret ve lastUsedStep seçilmiş olmalı)
+userSchema.methods.verifyTwoFactorCode = function(code, useSecret = 'secret') {
+  const step = verifyCode(this.twoFactor[useSecret], code);
+
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Kurtarma kodunu kullan (tek kullanımlık)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hash)) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+  return true;
+};
+
+// Yeni kurtarma kodları üret, düz metin kodları döndür (sadece bir kez gösterilir)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
 // Bu öğretmene atanan öğrencileri getir (sanal)
 userSchema.virtual('students', {
   ref: 'Student',
@@ -118,4 +191,7 @@ userSchema.virtual('students', {
   justOne: false
 });
 
+// Silinen kayıtlar geri dönüşüm kutusunda tutulur
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Eğitim yılı devri; geri alma için yapılan her değişikliğin önceki hali saklanır
+const yearRolloverSchema = new mongoose.Schema({
+  fromYear: {
+    type: String,
+    required: [true, 'Kapanan eğitim yılı gereklidir']
+  },
+  toYear: {
+    type: String,
+    required: [true, 'Yeni eğitim yılı gereklidir']
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'rolled_back'],
+    default: 'applied'
+  },
+  // Sınıf seviyesi eşlemesi; toGrade boşsa o seviye mezun edilir
+  mapping: [{
+    _id: false,
+    fromGrade: Number,
+    toGrade: Number
+  }],
+  students: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    action: {
+      type: String,
+      enum: ['promoted', 'retained', 'graduated']
+    },
+    previousEnrollment: mongoose.Schema.Types.ObjectId,
+    newEnrollment: mongoose.Schema.Types.ObjectId,
+    previousClassroom: mongoose.Schema.Types.ObjectId,
+    previousClass: String,
+    previousIsActive: Boolean
+  }],
+  classroomsCreated: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  }],
+  classroomsClosed: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  }],
+  assignmentsArchived: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  }],
+  // Devirden önceki academicYear.current ayarı
+  previousCurrentYear: String,
+  summary: {
+    promoted: Number,
+    retained: Number,
+    graduated: Number,
+    classroomsCreated: Number,
+    assignmentsArchived: Number,
+    submissionsArchived: Number,
+    gradesArchived: Number
+  },
+  rollbackUntil: {
+    type: Date,
+    required: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Bir eğitim yılı tek kez devredilebilir (geri alınanlar hariç)
+yearRolloverSchema.index(
+  { fromYear: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+
+module.exports = mongoose.model('YearRollover', yearRolloverSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Geri dönüşüm kutusu (soft delete) eklentisi
+ * Silinen kayıtlar deletedAt ile işaretlenir ve varsayılan olarak tüm sorgulardan gizlenir.
+ * Silinmiş kayıtları sorgulamak için filtrede deletedAt açıkça belirtilir,
+ * örn. Student.find({ deletedAt: { $ne: null } })
+ * Silinmiş ve silinmemiş kayıtlar birlikte withDeleted() ile sorgulanır; silinen kayıtlar
+ * benzersiz alanlarını (öğrenci numarası, e-posta) korur, yeni kayıtta çakışma buna göre denetlenir.
+ * deleteOne, deleteMany ve findOneAndDelete filtrelenmez: kayıtları kalıcı olarak siler ve
+ * geri dönüşüm kutusundaki kayıtlara da uygulanır (kalıcı silme bu yolla yapılır).
+ */
+
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+// Pipeline'ın başında olması gereken aşamalar
+const FIRST_STAGE_OPERATORS = ['$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats', '$documents'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  // Filtrede deletedAt yoksa silinmiş kayıtları hariç tut (null, alanın olmadığı kayıtları da kapsar)
+  schema.pre(QUERY_OPERATIONS, function() {
+    if (this.getFilter().deletedAt === undefined && !this.getOptions().withDeleted) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // $geoNear, $search gibi aşamalar pipeline'ın ilk aşaması olmak zorundadır; filtre onlardan sonra eklenir
+  // ($geoNear'ın kendi query filtresine eklenir)
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+
+    if (first && first.$match && first.$match.deletedAt !== undefined) {
+      return;
+    }
+
+    if (first && first.$geoNear) {
+      if (!first.$geoNear.query || first.$geoNear.query.deletedAt === undefined) {
+        first.$geoNear.query = { ...first.$geoNear.query, deletedAt: null };
+      }
+    } else if (first && FIRST_STAGE_OPERATORS.some(operator => first[operator])) {
+      pipeline.splice(1, 0, { $match: { deletedAt: null } });
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // örn. Student.findOne({ studentNumber }).withDeleted()
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDelete;
@@ -11,43 +11,221 @@ const {
   updateUser,
   deleteUser,
   bulkUserAction,
-  getSystemStats
+  getSystemStats,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+  getAuditLogs,
+  exportAuditLogs,
+  getLoginLockouts,
+  unlockLogin,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
 } = require('../controllers/adminController');
+const {
+  previewRollover,
+  applyRollover,
+  getRollovers,
+  rollbackRollover
+} = require('../controllers/rolloverController');
+const {
+  getRecycleBinSummary,
+  getDeletedRecords,
+  restoreRecord,
+  purgeRecord,
+  getRecycleBinSettings,
+  updateRecycleBinSettings
+} = require('../controllers/recycleBinController');
+const { body } = require('express-validator');
 
-const { verifyToken, adminOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
 
-// Tüm route'lar admin yetkisi gerektirir
-router.use(verifyToken);
-router.use(adminOnly);
+// Tüm route'lar giriş gerektirir, yetkiler route bazında tanımlanır
+router.use(protect);
 
 // @route   GET /api/admin/stats
 // @desc    Sistem istatistikleri
-// @access  Özel (Admin only)
-router.get('/stats', getSystemStats);
+// @access  Özel (users:read)
+router.get('/stats', requirePermission('users:read'), getSystemStats);
 
 // @route   GET /api/admin/users
 // @desc    Tüm kullanıcıları getir (sayfalama ve filtreleme ile)
-// @access  Özel (Admin only)
-router.get('/users', getAllUsers);
+// @access  Özel (users:read)
+router.get('/users', requirePermission('users:read'), getAllUsers);
 
 // @route   GET /api/admin/users/:id
 // @desc    Kullanıcı detayını getir
-// @access  Özel (Admin only)
-router.get('/users/:id', getUserById);
+// @access  Özel (users:read)
+router.get('/users/:id', requirePermission('users:read'), getUserById);
 
 // @route   PUT /api/admin/users/:id
 // @desc    Kullanıcı bilgilerini güncelle (rol değiştirme dahil)
-// @access  Özel (Admin only)
-router.put('/users/:id', updateUser);
+// @access  Özel (users:write)
+router.put('/users/:id', requirePermission('users:write'), updateUser);
 
 // @route   DELETE /api/admin/users/:id
 // @desc    Kullanıcıyı sil
-// @access  Özel (Admin only)
-router.delete('/users/:id', deleteUser);
+// @access  Özel (users:delete)
+router.delete('/users/:id', requirePermission('users:delete'), deleteUser);
 
 // @route   POST /api/admin/users/bulk-action
 // @desc    Toplu kullanıcı işlemleri
-// @access  Özel (Admin only)
-router.post('/users/bulk-action', bulkUserAction);
+// @access  Özel (users:write)
+router.post('/users/bulk-action', requirePermission('users:write'), bulkUserAction);
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Kullanıcının 2FA kaydını sıfırla
+// @access  Özel (users:write)
+router.delete('/users/:id/two-factor', requirePermission('users:write'), resetUserTwoFactor);
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    Kullanıcının açık oturumları (her kullanıcı tipi için)
+// @access  Özel (users:read)
+router.get('/users/:id/sessions', requirePermission('users:read'), getUserSessions);
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Kullanıcının tüm oturumlarını sonlandır
+// @access  Özel (users:write)
+router.delete('/users/:id/sessions', requirePermission('users:write'), revokeAllUserSessions);
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Kullanıcının tek bir oturumunu sonlandır
+// @access  Özel (users:write)
+router.delete('/users/:id/sessions/:sessionId', requirePermission('users:write'), revokeUserSession);
+
+// @route   GET /api/admin/security/two-factor
+// @desc    İki adımlı doğrulama politikasını getir
+// @access  Özel (settings:manage)
+router.get('/security/two-factor', requirePermission('settings:manage'), getTwoFactorPolicy);
+
+// @route   PUT /api/admin/security/two-factor
+// @desc    İki adımlı doğrulama politikasını güncelle (örn. admin rolü için zorunlu)
+// @access  Özel (settings:manage)
+router.put('/security/two-factor', requirePermission('settings:manage'), updateTwoFactorPolicy);
+
+// @route   GET /api/admin/security/lockouts
+// @desc    Giriş kilitleri ve son kilitlenme olayları (?all=true ile tüm sayaçlar)
+// @access  Özel (users:read)
+router.get('/security/lockouts', requirePermission('users:read'), getLoginLockouts);
+
+// @route   DELETE /api/admin/security/lockouts/:id
+// @desc    Hesap veya IP kilidini kaldır
+// @access  Özel (users:write)
+router.delete('/security/lockouts/:id', requirePermission('users:write'), unlockLogin);
+
+// @route   GET /api/admin/roles
+// @desc    Rolleri ve yetkilerini getir
+// @access  Özel (settings:manage)
+router.get('/roles', requirePermission('settings:manage'), getRoles);
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Rolün yetkilerini güncelle (kayıt yoksa oluşturulur)
+// @access  Özel (settings:manage)
+router.put('/roles/:name', requirePermission('settings:manage'), updateRolePermissions);
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Rolün yetkilerini varsayılana döndür
+// @access  Özel (settings:manage)
+router.delete('/roles/:name', requirePermission('settings:manage'), resetRolePermissions);
+
+// @route   GET /api/admin/audit-logs
+// @desc    Denetim kayıtlarını sorgula (user, target, targetType, action, from, to)
+// @access  Özel (audit:read)
+router.get('/audit-logs', requirePermission('audit:read'), getAuditLogs);
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Denetim kayıtlarını CSV olarak indir (aynı filtreler)
+// @access  Özel (audit:read)
+router.get('/audit-logs/export', requirePermission('audit:read'), exportAuditLogs);
+
+// Devir önizleme ve uygulamada ortak kurallar
+// mapping: [{ fromGrade, toGrade }], toGrade null ise o seviye mezun olur
+const rolloverRules = [
+  body('fromYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Eğitim yılı 2024-2025 biçiminde olmalıdır'),
+  body('toYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Eğitim yılı 2024-2025 biçiminde olmalıdır'),
+  body('finalGrade')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Son sınıf seviyesi 1-12 arasında olmalıdır')
+    .toInt(),
+  body('mapping')
+    .optional()
+    .isArray({ max: 12 })
+    .withMessage('Sınıf eşlemesi dizi olmalıdır'),
+  body('mapping.*.fromGrade')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Sınıf seviyesi 1-12 arasında olmalıdır')
+    .toInt(),
+  body('mapping.*.toGrade')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Yeni sınıf seviyesi 1-12 arasında olmalıdır')
+    .toInt()
+];
+
+// @route   GET /api/admin/rollover
+// @desc    Eğitim yılı devirlerinin geçmişi
+// @access  Özel (academic-years:manage)
+router.get('/rollover', requirePermission('academic-years:manage'), getRollovers);
+
+// @route   POST /api/admin/rollover/preview
+// @desc    Devir önizlemesi (sınıf geçişleri, mezunlar, arşivlenecek kayıtlar); değişiklik yapılmaz
+// @access  Özel (academic-years:manage)
+router.post('/rollover/preview', requirePermission('academic-years:manage'), rolloverRules, previewRollover);
+
+// @route   POST /api/admin/rollover
+// @desc    Eğitim yılı devrini uygula
+// @access  Özel (academic-years:manage)
+router.post('/rollover', requirePermission('academic-years:manage'), rolloverRules, applyRollover);
+
+// @route   POST /api/admin/rollover/:id/rollback
+// @desc    Devri geri al (ROLLOVER_ROLLBACK_DAYS gün içinde)
+// @access  Özel (academic-years:manage)
+router.post('/rollover/:id/rollback', requirePermission('academic-years:manage'), rollbackRollover);
+
+// @route   GET /api/admin/recycle-bin
+// @desc    Geri dönüşüm kutusu özeti (erişilebilen tiplerde kayıt sayıları)
+// @access  Özel (tip bazında yetki controller'da kontrol edilir)
+router.get('/recycle-bin', getRecycleBinSummary);
+
+// @route   GET /api/admin/recycle-bin/settings
+// @desc    Silinen kayıtların saklama süresini getir
+// @access  Özel (settings:manage)
+router.get('/recycle-bin/settings', requirePermission('settings:manage'), getRecycleBinSettings);
+
+// @route   PUT /api/admin/recycle-bin/settings
+// @desc    Silinen kayıtların saklama süresini güncelle (gün)
+// @access  Özel (settings:manage)
+router.put('/recycle-bin/settings', requirePermission('settings:manage'), [
+  body('retentionDays')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Saklama süresi 1-365 gün arasında olmalıdır')
+    .toInt()
+], updateRecycleBinSettings);
+
+// @route   GET /api/admin/recycle-bin/:type
+// @desc    Silinen kayıtları getir (students, users, news, gallery)
+// @access  Özel (tip bazında yetki controller'da kontrol edilir)
+router.get('/recycle-bin/:type', getDeletedRecords);
+
+// @route   POST /api/admin/recycle-bin/:type/:id/restore
+// @desc    Kaydı geri yükle
+// @access  Özel (tip bazında yetki controller'da kontrol edilir)
+router.post('/recycle-bin/:type/:id/restore', restoreRecord);
+
+// @route   DELETE /api/admin/recycle-bin/:type/:id
+// @desc    Kaydı kalıcı olarak sil (dosyalarıyla birlikte)
+// @access  Özel (tip bazında yetki controller'da kontrol edilir)
+router.delete('/recycle-bin/:type/:id', purgeRecord);
 
 module.exports = router; 
\ No newline at end of file
@@ -17,19 +17,21 @@ const {
   getDashboardStats
 } = require('../controllers/analyticsController');
 
-const { verifyToken, teacherOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Public routes - herkese açık istatistikler
 router.get('/online', getOnlineUsers);
 router.get('/site-stats', getSiteStats);
 router.get('/today', getTodayStats);
 
-// Teacher/Admin only routes - detaylı istatistikler
-router.get('/weekly', teacherOnly, getWeeklyStats);
-router.get('/monthly', teacherOnly, getMonthlyStats);
-router.get('/popular-pages', teacherOnly, getPopularPages);
-router.get('/referrers', teacherOnly, getReferrerStats);
-router.get('/online-details', teacherOnly, getOnlineDetails);
-router.get('/dashboard', teacherOnly, getDashboardStats);
+// Detaylı istatistikler - analytics:read yetkisi gerekli
+const canReadAnalytics = [protect, requirePermission('analytics:read')];
+
+router.get('/weekly', canReadAnalytics, getWeeklyStats);
+router.get('/monthly', canReadAnalytics, getMonthlyStats);
+router.get('/popular-pages', canReadAnalytics, getPopularPages);
+router.get('/referrers', canReadAnalytics, getReferrerStats);
+router.get('/online-details', canReadAnalytics, getOnlineDetails);
+router.get('/dashboard', canReadAnalytics, getDashboardStats);
 
 module.exports = router; 
\ No newline at end of file
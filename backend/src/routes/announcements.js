@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { verifyToken, teacherOnly } = require('../middleware/verifyToken');
+const Announcement = require('../models/Announcement');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditSnapshot } = require('../middleware/audit');
 const {
   getAnnouncements,
   getAnnouncementById,
@@ -26,12 +28,12 @@ router.get('/', getAnnouncements);
 router.get('/:id', getAnnouncementById);
 
 // Protected routes
-router.use(verifyToken);
+router.use(protect);
 
 // @desc    Yeni duyuru oluştur
 // @route   POST /api/announcements
-// @access  Özel (Teacher/Admin)
-router.post('/', teacherOnly, [
+// @access  Özel (announcements:write)
+router.post('/', requirePermission('announcements:write'), [
   body('title', 'Başlık gereklidir')
     .notEmpty()
     .trim()
@@ -52,6 +54,10 @@ router.post('/', teacherOnly, [
     .optional()
     .trim()
     .escape(),
+  body('targetClassroom')
+    .optional()
+    .isMongoId()
+    .withMessage('Geçersiz sınıf ID formatı'),
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
@@ -69,8 +75,8 @@ router.post('/', teacherOnly, [
 
 // @desc    Duyuru güncelle
 // @route   PUT /api/announcements/:id
-// @access  Özel (Teacher/Admin - Sadece kendi duyuruları)
-router.put('/:id', teacherOnly, [
+// @access  Özel (announcements:write - kendi duyuruları, announcements:moderate - tümü)
+router.put('/:id', requirePermission('announcements:write'), auditSnapshot(Announcement), [
   body('title')
     .optional()
     .trim()
@@ -87,6 +93,14 @@ router.put('/:id', teacherOnly, [
     .optional()
     .isIn(['all', 'students', 'teachers', 'class'])
     .withMessage('Geçersiz hedef kitle'),
+  body('targetClass')
+    .optional()
+    .trim()
+    .escape(),
+  body('targetClassroom')
+    .optional()
+    .isMongoId()
+    .withMessage('Geçersiz sınıf ID formatı'),
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
@@ -99,13 +113,13 @@ router.put('/:id', teacherOnly, [
 
 // @desc    Duyuru sil
 // @route   DELETE /api/announcements/:id
-// @access  Özel (Teacher/Admin - Sadece kendi duyuruları)
-router.delete('/:id', teacherOnly, deleteAnnouncement);
+// @access  Özel (announcements:write - kendi duyuruları, announcements:moderate - tümü)
+router.delete('/:id', requirePermission('announcements:write'), auditSnapshot(Announcement), deleteAnnouncement);
 
 // @desc    Duyuruya yorum ekle
 // @route   POST /api/announcements/:id/comments
-// @access  Özel (User)
-router.post('/:id/comments', [
+// @access  Özel (content:interact)
+router.post('/:id/comments', requirePermission('content:interact'), [
   body('content', 'Yorum içeriği gereklidir')
     .notEmpty()
     .trim()
@@ -116,13 +130,13 @@ router.post('/:id/comments', [
 
 // @desc    Duyuruyu beğen/beğenme
 // @route   POST /api/announcements/:id/like
-// @access  Özel (User)
-router.post('/:id/like', toggleLike);
+// @access  Özel (content:interact)
+router.post('/:id/like', requirePermission('content:interact'), toggleLike);
 
 // Teacher routes
 // @desc    Öğretmenin duyurularını getir
 // @route   GET /api/teacher/announcements
-// @access  Özel (Teacher)
-router.get('/teacher/my-announcements', teacherOnly, getMyAnnouncements);
+// @access  Özel (announcements:write)
+router.get('/teacher/my-announcements', requirePermission('announcements:write'), getMyAnnouncements);
 
 module.exports = router; 
\ No newline at end of file
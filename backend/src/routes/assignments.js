@@ -1,14 +1,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Assignment = require('../models/Assignment');
-const { verifyToken, teacherOnly } = require('../middleware/verifyToken');
+const Rubric = require('../models/Rubric');
+const Submission = require('../models/Submission');
+const Student = require('../models/Student');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  normalizeClassName,
+  resolveClassroom,
+  getClassroomTargets,
+  applyAcademicYearFilter
+} = require('../utils/classrooms');
+const { findStudentsOutsideSubject } = require('../utils/teacherAccess');
+const { dueDateWarnings } = require('../utils/timetable');
+const { canUseRubric, snapshotRubric } = require('../utils/rubrics');
+const { recordAudit } = require('../utils/audit');
+const { pickLatePolicy } = require('../utils/latePolicy');
+const { streamSubmissionsArchive } = require('../utils/submissionArchive');
+const { validateLatePolicy } = require('../middleware/validation');
 
 const router = express.Router();
 
 // @desc    Tüm ödevleri listele
 // @route   GET /api/assignments
-// @access  Öğretmen ve Admin
-router.get('/', verifyToken, teacherOnly, async (req, res, next) => {
+// @access  Özel (assignments:read)
+router.get('/', protect, requirePermission('assignments:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -35,11 +51,19 @@ router.get('/', verifyToken, teacherOnly, async (req, res, next) => {
       query.subject = req.query.subject;
     }
 
+    // Sınıf filtresi ("9a" ile "9-A" aynı sınıfı gösterir)
+    if (req.query.class) {
+      query.class = normalizeClassName(req.query.class) || req.query.class;
+    }
+
     // Durum filtresi
     if (req.query.status) {
       query.status = req.query.status;
     }
 
+    // Geçmiş yılların arşivlenmiş ödevleri sadece academicYear ile listelenir
+    applyAcademicYearFilter(query, req.query);
+
     const assignments = await Assignment.find(query)
       .populate('teacher', 'name surname')
       .populate('targetStudents', 'name surname studentNumber')
@@ -63,8 +87,8 @@ router.get('/', verifyToken, teacherOnly, async (req, res, next) => {
 
 // @desc    Ödev detayını getir
 // @route   GET /api/assignments/:id
-// @access  Öğretmen ve Admin
-router.get('/:id', verifyToken, teacherOnly, async (req, res, next) => {
+// @access  Özel (assignments:read)
+router.get('/:id', protect, requirePermission('assignments:read'), async (req, res, next) => {
   try {
     let query = { _id: req.params.id };
     
@@ -100,17 +124,90 @@ router.get('/:id', verifyToken, teacherOnly, async (req, res, next) => {
   }
 });
 
+// @desc    Ödevin tüm teslimlerini ZIP olarak indir (öğrenci klasörleri ve teslimler.csv)
+// @route   GET /api/assignments/:id/submissions/download?ungraded=true&classroom=&class=
+// @access  Özel (submissions:read)
+router.get('/:id/submissions/download', protect, requirePermission('submissions:read'), async (req, res, next) => {
+  try {
+    let query = { _id: req.params.id };
+
+    // Öğretmen sadece kendi ödevlerinin teslimlerini indirebilir
+    if (req.user.userType === 'teacher') {
+      query.teacher = req.user._id;
+    }
+
+    const assignment = await Assignment.findOne(query);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ödev bulunamadı'
+      });
+    }
+
+    const filter = { assignment: assignment._id };
+
+    // Sadece notlandırılmamış teslimler
+    if (req.query.ungraded === 'true') {
+      filter.gradedAt = { $exists: false };
+    }
+
+    // Seçilen sınıftaki öğrencilerin teslimleri (sınıf ID'si veya adı)
+    if (req.query.classroom || req.query.class) {
+      const studentFilter = { _id: { $in: assignment.targetStudents } };
+      if (req.query.classroom) {
+        studentFilter.classroom = req.query.classroom;
+      } else {
+        studentFilter.class = normalizeClassName(req.query.class) || req.query.class;
+      }
+      filter.student = { $in: await Student.find(studentFilter).distinct('_id') };
+    }
+
+    // Silinmiş öğrencilerin teslimleri populate sonrası öğrencisiz kalır
+    const submissions = (await Submission.find(filter)
+      .populate('student', 'name surname studentNumber class')
+      .sort({ submissionDate: 1 })
+      .lean())
+      .filter(submission => submission.student);
+
+    if (submissions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'İndirilecek teslim bulunamadı'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'assignment.submissions-download',
+      targetType: 'Assignment',
+      targetId: assignment._id,
+      metadata: {
+        count: submissions.length,
+        ungraded: req.query.ungraded === 'true',
+        classroom: req.query.classroom || req.query.class
+      }
+    });
+
+    await streamSubmissionsArchive(res, assignment, submissions);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Yeni ödev oluştur
 // @route   POST /api/assignments
-// @access  Öğretmen ve Admin
-router.post('/', verifyToken, teacherOnly, [
+// @access  Özel (assignments:write)
+router.post('/', protect, requirePermission('assignments:write'), [
   body('title', 'Ödev başlığı gereklidir').notEmpty().trim().escape(),
   body('description', 'Ödev açıklaması gereklidir').notEmpty().trim(),
   body('subject', 'Ders konusu gereklidir').notEmpty().trim().escape(),
-  body('class', 'Sınıf bilgisi gereklidir').notEmpty().trim().escape(),
+  body('classroom').optional().isMongoId().withMessage('Geçersiz sınıf ID formatı'),
+  body('class', 'Sınıf bilgisi gereklidir').if((value, { req }) => !req.body.classroom).notEmpty().trim().escape(),
   body('dueDate', 'Teslim tarihi gereklidir').isISO8601().withMessage('Geçerli bir tarih giriniz'),
   body('targetStudents').optional().isArray().withMessage('Hedef öğrenciler bir dizi olmalıdır'),
-  body('maxScore').optional().isNumeric().withMessage('Maksimum puan sayısal olmalıdır')
+  body('maxScore').optional().isNumeric().withMessage('Maksimum puan sayısal olmalıdır'),
+  body('maxAttempts').optional().isInt({ min: 1, max: 10 }).withMessage('Deneme hakkı 1-10 arasında olmalıdır').toInt(),
+  ...validateLatePolicy
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -122,7 +219,7 @@ router.post('/', verifyToken, teacherOnly, [
       });
     }
 
-    const { title, description, subject, class: className, dueDate, targetStudents, maxScore, instructions } = req.body;
+    const { title, description, subject, class: className, dueDate, targetStudents, maxScore, maxAttempts, instructions } = req.body;
 
     // Teslim tarihi gelecekte olmalı
     if (new Date(dueDate) <= new Date()) {
@@ -132,15 +229,50 @@ router.post('/', verifyToken, teacherOnly, [
       });
     }
 
+    // Hedef sınıf güncel eğitim yılındaki Classroom kaydına çözülür
+    let classroom;
+    try {
+      classroom = await resolveClassroom({ classroom: req.body.classroom, className });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Seçilen öğrencilere bu dersten ödev verme yetkisi olmalı
+    if (targetStudents && targetStudents.length > 0) {
+      const denied = await findStudentsOutsideSubject(req.user, targetStudents, subject);
+      if (denied.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Bazı öğrencilere ${subject} dersinden ödev veremezsiniz`,
+          studentIds: denied
+        });
+      }
+    }
+
+    // Öğrenci seçilmediyse sınıfa kayıtlı öğrencilere atanır
+    const students = targetStudents && targetStudents.length > 0
+      ? targetStudents
+      : await getClassroomTargets(classroom, req.user, subject);
+
     // Ödev oluştur
     const assignment = await Assignment.create({
       title,
       description,
       subject,
-      class: className,
+      class: classroom.name,
+      classroom: classroom._id,
+      academicYear: classroom.academicYear,
       dueDate,
-      targetStudents,
+      targetStudents: students,
       maxScore: maxScore || 100,
+      maxAttempts,
+      latePolicy: pickLatePolicy(req.body.latePolicy),
       instructions,
       teacher: req.user._id
     });
@@ -153,7 +285,8 @@ router.post('/', verifyToken, teacherOnly, [
     res.status(201).json({
       success: true,
       message: 'Ödev başarıyla oluşturuldu',
-      assignment: populatedAssignment
+      assignment: populatedAssignment,
+      warnings: await dueDateWarnings(classroom._id, dueDate)
     });
   } catch (error) {
     next(error);
@@ -162,14 +295,16 @@ router.post('/', verifyToken, teacherOnly, [
 
 // @desc    Ödev güncelle
 // @route   PUT /api/assignments/:id
-// @access  Öğretmen ve Admin
-router.put('/:id', verifyToken, teacherOnly, [
+// @access  Özel (assignments:write)
+router.put('/:id', protect, requirePermission('assignments:write'), [
   body('title').optional().trim().escape(),
   body('description').optional().trim(),
   body('subject').optional().trim().escape(),
   body('dueDate').optional().isISO8601().withMessage('Geçerli bir tarih giriniz'),
   body('targetStudents').optional().isArray().withMessage('Hedef öğrenciler bir dizi olmalıdır'),
   body('maxScore').optional().isNumeric().withMessage('Maksimum puan sayısal olmalıdır'),
+  body('maxAttempts').optional().isInt({ min: 1, max: 10 }).withMessage('Deneme hakkı 1-10 arasında olmalıdır').toInt(),
+  ...validateLatePolicy,
   body('status').optional().isIn(['active', 'completed', 'cancelled']).withMessage('Geçersiz durum')
 ], async (req, res, next) => {
   try {
@@ -198,7 +333,7 @@ router.put('/:id', verifyToken, teacherOnly, [
       });
     }
 
-    const { title, description, subject, dueDate, targetStudents, maxScore, instructions, status } = req.body;
+    const { title, description, subject, dueDate, targetStudents, maxScore, maxAttempts, instructions, status } = req.body;
 
     // Teslim tarihi güncelleniyorsa gelecekte olmalı
     if (dueDate && new Date(dueDate) <= new Date()) {
@@ -208,6 +343,26 @@ router.put('/:id', verifyToken, teacherOnly, [
       });
     }
 
+    // Hedef öğrenciler değişiyorsa bu dersten ödev verme yetkisi olmalı
+    if (targetStudents && targetStudents.length > 0) {
+      const denied = await findStudentsOutsideSubject(req.user, targetStudents, subject || assignment.subject);
+      if (denied.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Bazı öğrencilere ${subject || assignment.subject} dersinden ödev veremezsiniz`,
+          studentIds: denied
+        });
+      }
+    }
+
+    // Rubrikli ödevde maksimum puan rubriğin toplam puanından az olamaz
+    if (maxScore && assignment.rubric && maxScore < assignment.rubric.maxPoints) {
+      return res.status(400).json({
+        success: false,
+        message: `Maksimum puan rubriğin toplam puanından (${assignment.rubric.maxPoints}) az olamaz`
+      });
+    }
+
     // Güncelleme verilerini hazırla
     const updateData = {};
     if (title) updateData.title = title;
@@ -216,6 +371,8 @@ router.put('/:id', verifyToken, teacherOnly, [
     if (dueDate) updateData.dueDate = dueDate;
     if (targetStudents) updateData.targetStudents = targetStudents;
     if (maxScore) updateData.maxScore = maxScore;
+    if (maxAttempts) updateData.maxAttempts = maxAttempts;
+    if (req.body.latePolicy) updateData.latePolicy = pickLatePolicy(req.body.latePolicy, assignment.latePolicy);
     if (instructions) updateData.instructions = instructions;
     if (status) updateData.status = status;
 
@@ -235,10 +392,143 @@ router.put('/:id', verifyToken, teacherOnly, [
   }
 });
 
+// Ödeve rubrikle verilmiş not var mı? (rubrik değiştirilemez)
+const hasRubricGrades = (assignmentId) => Submission.exists({
+  assignment: assignmentId,
+  'rubricScores.0': { $exists: true }
+});
+
+// @desc    Ödeve rubrik ekle veya değiştir (rubriğin o anki kopyası eklenir)
+// @route   PUT /api/assignments/:id/rubric
+// @access  Özel (assignments:write)
+router.put('/:id/rubric', protect, requirePermission('assignments:write'), [
+  body('rubricId', 'Rubrik gereklidir').isMongoId().withMessage('Geçersiz rubrik ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const query = { _id: req.params.id };
+
+    // Öğretmen sadece kendi ödevlerine rubrik ekleyebilir
+    if (req.user.userType === 'teacher') {
+      query.teacher = req.user._id;
+    }
+
+    const [assignment, rubric] = await Promise.all([
+      Assignment.findOne(query),
+      Rubric.findById(req.body.rubricId)
+    ]);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ödev bulunamadı'
+      });
+    }
+
+    if (!rubric || !canUseRubric(req.user, rubric)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubrik bulunamadı'
+      });
+    }
+
+    if (rubric.maxPoints > assignment.maxScore) {
+      return res.status(400).json({
+        success: false,
+        message: `Rubriğin toplam puanı (${rubric.maxPoints}) ödevin maksimum puanını (${assignment.maxScore}) aşıyor`
+      });
+    }
+
+    if (await hasRubricGrades(assignment._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Rubrikle notlandırılmış teslimler olduğu için rubrik değiştirilemez'
+      });
+    }
+
+    const before = assignment.rubric ? assignment.rubric.toObject() : null;
+    assignment.rubric = snapshotRubric(rubric);
+    await assignment.save();
+
+    await recordAudit(req, {
+      action: 'assignment.rubric.attach',
+      targetType: 'Assignment',
+      targetId: assignment._id,
+      before,
+      after: assignment.rubric,
+      metadata: { rubric: rubric._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rubrik ödeve eklendi',
+      assignment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Ödevden rubriği kaldır
+// @route   DELETE /api/assignments/:id/rubric
+// @access  Özel (assignments:write)
+router.delete('/:id/rubric', protect, requirePermission('assignments:write'), async (req, res, next) => {
+  try {
+    const query = { _id: req.params.id };
+
+    // Öğretmen sadece kendi ödevlerinden rubrik kaldırabilir
+    if (req.user.userType === 'teacher') {
+      query.teacher = req.user._id;
+    }
+
+    const assignment = await Assignment.findOne(query);
+
+    if (!assignment || !assignment.rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ödev veya ödeve eklenmiş rubrik bulunamadı'
+      });
+    }
+
+    if (await hasRubricGrades(assignment._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Rubrikle notlandırılmış teslimler olduğu için rubrik kaldırılamaz'
+      });
+    }
+
+    const before = assignment.rubric.toObject();
+    assignment.rubric = undefined;
+    await assignment.save();
+
+    await recordAudit(req, {
+      action: 'assignment.rubric.detach',
+      targetType: 'Assignment',
+      targetId: assignment._id,
+      before
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rubrik ödevden kaldırıldı'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Ödev sil
 // @route   DELETE /api/assignments/:id
-// @access  Öğretmen ve Admin
-router.delete('/:id', verifyToken, teacherOnly, async (req, res, next) => {
+// @access  Özel (assignments:write)
+router.delete('/:id', protect, requirePermission('assignments:write'), async (req, res, next) => {
   try {
     let query = { _id: req.params.id };
     
@@ -269,8 +559,8 @@ router.delete('/:id', verifyToken, teacherOnly, async (req, res, next) => {
 
 // @desc    Ödev durumunu güncelle
 // @route   PATCH /api/assignments/:id/status
-// @access  Öğretmen ve Admin
-router.patch('/:id/status', verifyToken, teacherOnly, [
+// @access  Özel (assignments:write)
+router.patch('/:id/status', protect, requirePermission('assignments:write'), [
   body('status', 'Durum gereklidir').isIn(['active', 'completed', 'cancelled']).withMessage('Geçersiz durum')
 ], async (req, res, next) => {
   try {
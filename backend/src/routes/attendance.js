@@ -0,0 +1,97 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission } = require('../middleware/auth');
+const Attendance = require('../models/Attendance');
+const { parseAttendanceDate } = require('../utils/attendance');
+const {
+  takeAttendance,
+  getClassroomAttendance,
+  getStudentSummary,
+  getAttendanceReport,
+  getPolicy,
+  updatePolicy
+} = require('../controllers/attendanceController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Yoklama al veya düzelt
+// @route   POST /api/attendance
+// @access  Özel (attendance:take, sınıfın sınıf veya ders öğretmeni)
+router.post('/', requirePermission('attendance:take'), [
+  body('classroom', 'Sınıf gereklidir')
+    .isMongoId()
+    .withMessage('Geçersiz sınıf ID'),
+  body('date', 'Yoklama tarihi gereklidir')
+    .custom(value => parseAttendanceDate(value) !== null)
+    .withMessage('Tarih YYYY-AA-GG biçiminde olmalıdır'),
+  body('period', 'Ders saati gereklidir')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Ders saati 1-12 arasında olmalıdır')
+    .toInt(),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Ders adı 50 karakterden fazla olamaz')
+    .escape(),
+  body('records')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Yoklama kayıtları dizi olmalıdır'),
+  body('records.*.student')
+    .isMongoId()
+    .withMessage('Geçersiz öğrenci ID'),
+  body('records.*.status')
+    .isIn(Attendance.STATUSES)
+    .withMessage(`Yoklama durumu şunlardan biri olmalıdır: ${Attendance.STATUSES.join(', ')}`),
+  body('records.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Açıklama 200 karakterden fazla olamaz')
+    .escape()
+], takeAttendance);
+
+// @desc    Devamsızlık raporu (JSON veya CSV/XLSX/PDF)
+// @route   GET /api/attendance/report?classroom=ID&term=1|2&format=json
+// @access  Özel (attendance:read)
+router.get('/report', requirePermission('attendance:read'), getAttendanceReport);
+
+// @desc    Devamsızlık politikasını getir
+// @route   GET /api/attendance/policy
+// @access  Özel (attendance:read)
+router.get('/policy', requirePermission('attendance:read'), getPolicy);
+
+// @desc    Devamsızlık politikasını güncelle
+// @route   PUT /api/attendance/policy
+// @access  Özel (settings:manage)
+router.put('/policy', requirePermission('settings:manage'), [
+  body('maxUnexcusedDays')
+    .optional()
+    .isInt({ min: 1, max: 180 })
+    .withMessage('Devamsızlık sınırı 1-180 gün arasında olmalıdır')
+    .toInt(),
+  body('warningDays')
+    .optional()
+    .isInt({ min: 1, max: 180 })
+    .withMessage('Uyarı eşiği 1-180 gün arasında olmalıdır')
+    .toInt(),
+  body('secondTermStart')
+    .optional()
+    .matches(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+    .withMessage('İkinci dönem başlangıcı AA-GG biçiminde olmalıdır')
+], updatePolicy);
+
+// @desc    Sınıfın bir gündeki yoklamaları
+// @route   GET /api/attendance/classrooms/:classroomId?date=YYYY-MM-DD
+// @access  Özel (attendance:read)
+router.get('/classrooms/:classroomId', requirePermission('attendance:read'), getClassroomAttendance);
+
+// @desc    Öğrencinin devamsızlık özeti
+// @route   GET /api/attendance/students/:studentId/summary
+// @access  Özel (attendance:read)
+router.get('/students/:studentId/summary', requirePermission('attendance:read'), getStudentSummary);
+
+module.exports = router;
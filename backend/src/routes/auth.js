@@ -3,8 +3,21 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Student = require('../models/Student');
-const { sendTokenResponse } = require('../utils/jwtHelper');
-const { protect, authorize } = require('../middleware/auth');
+const Guardian = require('../models/Guardian');
+const {
+  sendTokenResponse,
+  setAuthCookies,
+  clearAuthCookies,
+  rotateRefreshToken,
+  logoutSession,
+  isSessionActive,
+  revokeAllSessions
+} = require('../utils/jwtHelper');
+const { requestPasswordReset, resetPasswordWithToken } = require('../utils/passwordReset');
+const { getLoginChallenge } = require('../utils/twoFactor');
+const { protect } = require('../middleware/auth');
+const { loginThrottle, byEmail, byStudentNumber } = require('../middleware/loginThrottle');
+const { uniqueConflictMessage } = require('../utils/recycleBin');
 
 const router = express.Router();
 
@@ -32,11 +45,11 @@ router.post('/register', [
     const { name, surname, email, password, role, phone, department } = req.body;
 
     // Kullanıcının var olup olmadığını kontrol et
-    const existingUser = await User.findOne({ email });
+    const existingUser = await User.findOne({ email }).withDeleted();
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'Bu email adresi zaten kullanılıyor'
+        message: uniqueConflictMessage(existingUser, 'Bu email adresi zaten kullanılıyor')
       });
     }
 
@@ -55,7 +68,7 @@ router.post('/register', [
     user.lastLogin = new Date();
     await user.save();
 
-    sendTokenResponse(user, 201, res, user.role);
+    await sendTokenResponse(user, 201, res, user.role);
   } catch (error) {
     next(error);
   }
@@ -67,7 +80,7 @@ router.post('/register', [
 router.post('/login', [
   body('email', 'Geçerli bir email adresi giriniz').isEmail().normalizeEmail(),
   body('password', 'Şifre gereklidir').notEmpty()
-], async (req, res, next) => {
+], loginThrottle(byEmail('user')), async (req, res, next) => {
   try {
     // Validation errors check
     const errors = validationResult(req);
@@ -108,11 +121,25 @@ router.post('/login', [
       });
     }
 
+    const userType = user.userType || user.role || 'teacher';
+
+    // İki adımlı doğrulama gerekiyorsa oturum açmadan önce kod iste
+    const challenge = await getLoginChallenge(user, userType);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        message: challenge.enrollmentRequired
+          ? 'Hesabınız için iki adımlı doğrulama kurulumu zorunludur'
+          : 'İki adımlı doğrulama kodu gerekli',
+        data: challenge
+      });
+    }
+
     // Son giriş tarihini güncelle
     user.lastLogin = new Date();
     await user.save();
 
-    sendTokenResponse(user, 200, res, user.role);
+    await sendTokenResponse(user, 200, res, userType);
   } catch (error) {
     next(error);
   }
@@ -124,7 +151,7 @@ router.post('/login', [
 router.post('/student-login', [
   body('studentNumber', 'Öğrenci numarası gereklidir').notEmpty().trim(),
   body('password', 'Şifre gereklidir').notEmpty()
-], async (req, res, next) => {
+], loginThrottle(byStudentNumber()), async (req, res, next) => {
   try {
     // Validation errors check
     const errors = validationResult(req);
@@ -169,7 +196,7 @@ router.post('/student-login', [
     student.lastLogin = new Date();
     await student.save();
 
-    sendTokenResponse(student, 200, res, 'student');
+    await sendTokenResponse(student, 200, res, 'student');
   } catch (error) {
     next(error);
   }
@@ -185,6 +212,8 @@ router.get('/me', protect, async (req, res, next) => {
 
     if (userType === 'student') {
       user = await Student.findById(req.user._id).populate('teacher', 'name surname');
+    } else if (userType === 'guardian') {
+      user = await Guardian.findById(req.user._id).populate('students', 'name surname studentNumber class');
     } else {
       user = await User.findById(req.user._id);
     }
@@ -202,6 +231,8 @@ router.get('/me', protect, async (req, res, next) => {
         slug: user.slug,
         studentNumber: user.studentNumber, // for students
         teacher: user.teacher, // for students
+        students: user.students, // for guardians
+        mustChangePassword: Boolean(user.mustChangePassword), // for students
         phone: user.phone,
         lastLogin: user.lastLogin
       }
@@ -211,19 +242,55 @@ router.get('/me', protect, async (req, res, next) => {
   }
 });
 
-// @desc    Kullanıcı çıkışı / cookie temizle
+// @desc    Erişim token'ını yenile (yenileme token'ı döndürülür)
+// @route   POST /api/auth/refresh
+// @access  Genel (geçerli yenileme token'ı gerekli)
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { token, refreshToken, userType } = await rotateRefreshToken(
+      req.cookies.refreshToken || req.body.refreshToken,
+      req
+    );
+
+    setAuthCookies(res, token, refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token yenilendi',
+      data: {
+        token,
+        refreshToken,
+        userType
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+});
+
+// @desc    Kullanıcı çıkışı / oturumu iptal et ve cookie temizle
 // @route   POST /api/auth/logout
 // @access  Özel
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-
-  res.status(200).json({
-    success: true,
-    message: 'Başarıyla çıkış yapıldı'
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await logoutSession(req);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Başarıyla çıkış yapıldı'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // @desc    Şifre güncelle
@@ -250,6 +317,8 @@ router.put('/update-password', protect, [
     let user;
     if (userType === 'student') {
       user = await Student.findById(req.user._id).select('+password');
+    } else if (userType === 'guardian') {
+      user = await Guardian.findById(req.user._id).select('+password');
     } else {
       user = await User.findById(req.user._id).select('+password');
     }
@@ -263,12 +332,101 @@ router.put('/update-password', protect, [
       });
     }
 
+    // Zorunlu değişiklikte öğretmenin bildiği şifre tekrar kullanılamaz
+    if (user.mustChangePassword) {
+      if (currentPassword === newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Yeni şifre mevcut şifreden farklı olmalıdır'
+        });
+      }
+      user.mustChangePassword = false;
+      user.passwordChangedAt = new Date();
+    }
+
     user.password = newPassword;
     await user.save();
 
+    // Eski şifreyle açılmış tüm oturumları sonlandır; bu istek için yeni oturum açılır
+    await revokeAllSessions(user._id, 'password_changed');
+
+    await sendTokenResponse(user, 200, res, userType);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Şifremi unuttum - sıfırlama bağlantısı gönder (öğretmen/admin)
+// @route   POST /api/auth/forgot-password
+// @access  Genel
+router.post('/forgot-password', [
+  body('email', 'Geçerli bir email adresi giriniz').isEmail().normalizeEmail()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Hesabın var olup olmadığı yanıttan anlaşılmamalı
+    if (user && user.isActive) {
+      // Gönderim arka planda yapılır; yanıt süresi hesabın varlığını ele vermemeli
+      requestPasswordReset({
+        account: user,
+        userModel: 'User',
+        email: user.email,
+        req
+      }).catch(error => console.error('Şifre sıfırlama e-postası gönderilemedi:', error.message));
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Şifre başarıyla güncellendi'
+      message: 'Bu email adresine kayıtlı bir hesap varsa şifre sıfırlama bağlantısı gönderildi'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Token ile şifre sıfırla (öğretmen/admin)
+// @route   POST /api/auth/reset-password/:token
+// @access  Genel
+router.post('/reset-password/:token', [
+  body('password', 'Şifre en az 6 karakter olmalıdır').isLength({ min: 6 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const user = await resetPasswordWithToken({
+      token: req.params.token,
+      Model: User,
+      userModel: 'User',
+      newPassword: req.body.password
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Şifre sıfırlama bağlantısı geçersiz veya süresi dolmuş'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Şifreniz başarıyla sıfırlandı, yeni şifrenizle giriş yapabilirsiniz'
     });
   } catch (error) {
     next(error);
@@ -298,10 +456,19 @@ router.get('/check', async (req, res) => {
   try {
     const jwt = require('jsonwebtoken');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!(await isSessionActive(decoded))) {
+      return res.status(200).json({
+        success: true,
+        authenticated: false
+      });
+    }
     
     let user;
     if (decoded.userType === 'student') {
       user = await Student.findById(decoded.id);
+    } else if (decoded.userType === 'guardian') {
+      user = await Guardian.findById(decoded.id);
     } else {
       user = await User.findById(decoded.id);
     }
@@ -0,0 +1,80 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission } = require('../middleware/auth');
+const BehaviourEntry = require('../models/BehaviourEntry');
+const {
+  createEntry,
+  getStudentEntries,
+  getStudentTimeline,
+  getLeaderboard,
+  deleteEntry
+} = require('../controllers/behaviourController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Davranış kaydı ekle
+// @route   POST /api/behaviour
+// @access  Özel (behaviour:write)
+router.post('/', requirePermission('behaviour:write'), [
+  body('student', 'Öğrenci gereklidir')
+    .isMongoId()
+    .withMessage('Geçersiz öğrenci ID'),
+  body('type')
+    .isIn(BehaviourEntry.TYPES)
+    .withMessage('Davranış türü olumlu (positive) veya olumsuz (negative) olmalıdır'),
+  body('category')
+    .isIn(BehaviourEntry.CATEGORIES)
+    .withMessage(`Kategori şunlardan biri olmalıdır: ${BehaviourEntry.CATEGORIES.join(', ')}`),
+  body('points', 'Puan gereklidir')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Puan 1-10 arasında olmalıdır')
+    .toInt(),
+  // Açıklama ham saklanır; veli e-postasının HTML'inde kaçırılır
+  body('description', 'Açıklama gereklidir')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Açıklama 500 karakterden fazla olamaz'),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Ders adı 50 karakterden fazla olamaz')
+    .escape(),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Geçerli bir tarih giriniz')
+    .toDate()
+    .custom(value => {
+      if (value > new Date()) {
+        throw new Error('Davranış tarihi ileri bir tarih olamaz');
+      }
+      return true;
+    }),
+  body('notifyGuardian').optional().isBoolean().toBoolean()
+], createEntry);
+
+// @desc    Sınıfın davranış puanı sıralaması
+// @route   GET /api/behaviour/classrooms/:classroomId/leaderboard
+// @access  Özel (behaviour:read)
+router.get('/classrooms/:classroomId/leaderboard', requirePermission('behaviour:read'), getLeaderboard);
+
+// @desc    Öğrencinin davranış kayıtları
+// @route   GET /api/behaviour/students/:studentId
+// @access  Özel (behaviour:read)
+router.get('/students/:studentId', requirePermission('behaviour:read'), getStudentEntries);
+
+// @desc    Öğrencinin not ve davranış zaman çizelgesi
+// @route   GET /api/behaviour/students/:studentId/timeline
+// @access  Özel (behaviour:read, grades:read)
+router.get('/students/:studentId/timeline', requirePermission('behaviour:read', 'grades:read'), getStudentTimeline);
+
+// @desc    Davranış kaydını sil
+// @route   DELETE /api/behaviour/:id
+// @access  Özel (behaviour:write; kaydı giren öğretmen veya behaviour:manage)
+router.delete('/:id', requirePermission('behaviour:write'), deleteEntry);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getClassrooms,
+  getClassroom,
+  createClassroom,
+  updateClassroom,
+  deleteClassroom,
+  getClassroomStudents,
+  addClassroomStudents,
+  removeClassroomStudent
+} = require('../controllers/classroomController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Sınıf oluşturma ve güncellemede ortak kurallar
+const classroomRules = (optional) => {
+  const field = (name, message) => (optional ? body(name).optional() : body(name, message));
+
+  return [
+    field('gradeLevel', 'Sınıf seviyesi gereklidir')
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Sınıf seviyesi 1-12 arasında olmalıdır')
+      .toInt(),
+    field('section', 'Şube gereklidir')
+      .trim()
+      .matches(/^[A-Za-zÇĞİÖŞÜçğıöşü]{1,3}$/)
+      .withMessage('Şube 1-3 harften oluşmalıdır'),
+    body('academicYear')
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage('Eğitim yılı 2024-2025 biçiminde olmalıdır'),
+    body('homeroomTeacher')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Geçersiz sınıf öğretmeni ID'),
+    body('subjectTeachers')
+      .optional()
+      .isArray()
+      .withMessage('Ders öğretmenleri dizi olmalıdır'),
+    body('subjectTeachers.*.teacher')
+      .isMongoId()
+      .withMessage('Geçersiz ders öğretmeni ID'),
+    body('subjectTeachers.*.subject')
+      .trim()
+      .notEmpty()
+      .withMessage('Ders adı gereklidir')
+      .isLength({ max: 50 })
+      .withMessage('Ders adı 50 karakterden fazla olamaz')
+      .escape(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @desc    Sınıfları getir (varsayılan olarak güncel eğitim yılı)
+// @route   GET /api/classrooms
+// @access  Özel (classrooms:read)
+router.get('/', requirePermission('classrooms:read'), getClassrooms);
+
+// @desc    Yeni sınıf oluştur
+// @route   POST /api/classrooms
+// @access  Özel (classrooms:write)
+router.post('/', requirePermission('classrooms:write'), classroomRules(false), createClassroom);
+
+// @desc    Sınıf detayını getir
+// @route   GET /api/classrooms/:id
+// @access  Özel (classrooms:read)
+router.get('/:id', requirePermission('classrooms:read'), getClassroom);
+
+// @desc    Sınıfı güncelle
+// @route   PUT /api/classrooms/:id
+// @access  Özel (classrooms:write)
+router.put('/:id', requirePermission('classrooms:write'), classroomRules(true), updateClassroom);
+
+// @desc    Sınıfı sil
+// @route   DELETE /api/classrooms/:id
+// @access  Özel (classrooms:write)
+router.delete('/:id', requirePermission('classrooms:write'), deleteClassroom);
+
+// @desc    Sınıfın öğrencilerini getir
+// @route   GET /api/classrooms/:id/students
+// @access  Özel (classrooms:read)
+router.get('/:id/students', requirePermission('classrooms:read'), getClassroomStudents);
+
+// @desc    Öğrencileri sınıfa kaydet
+// @route   POST /api/classrooms/:id/students
+// @access  Özel (classrooms:write veya sınıf öğretmeni)
+router.post('/:id/students', requirePermission('classrooms:read'), [
+  body('studentIds', 'Öğrenci ID\'leri gereklidir')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('1-200 arası öğrenci seçmelisiniz'),
+  body('studentIds.*').isMongoId().withMessage('Geçersiz öğrenci ID formatı')
+], addClassroomStudents);
+
+// @desc    Öğrencinin sınıf kaydını sonlandır
+// @route   DELETE /api/classrooms/:id/students/:studentId
+// @access  Özel (classrooms:write veya sınıf öğretmeni)
+router.delete('/:id/students/:studentId', requirePermission('classrooms:read'), removeClassroomStudent);
+
+module.exports = router;
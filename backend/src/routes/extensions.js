@@ -0,0 +1,68 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getExtensionRequests,
+  reviewExtensionRequest,
+  getAssignmentExtensions,
+  setStudentExtension,
+  removeStudentExtension
+} = require('../controllers/extensionController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Gerekçe ve karar notları ham saklanır; e-posta HTML'inde utils/html ile kaçırılır
+router.use(requirePermission('assignments:write'));
+
+// @desc    Öğretmenin ödevlerine gelen ek süre talepleri
+// @route   GET /api/extensions/requests?status=pending&assignment=
+// @access  Özel (assignments:write)
+router.get('/requests', getExtensionRequests);
+
+// @desc    Ek süre talebini onayla veya reddet
+// @route   PATCH /api/extensions/requests/:id
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+router.patch('/requests/:id', [
+  body('decision')
+    .isIn(['approved', 'denied'])
+    .withMessage('Karar onay (approved) veya ret (denied) olmalıdır'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Geçerli bir tarih giriniz')
+    .toDate(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Karar açıklaması 500 karakterden fazla olamaz')
+], reviewExtensionRequest);
+
+// @desc    Ödevde öğrenciye özel teslim tarihleri
+// @route   GET /api/extensions/assignments/:assignmentId
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+router.get('/assignments/:assignmentId', getAssignmentExtensions);
+
+// @desc    Öğrenciye ek süre ver veya değiştir
+// @route   PUT /api/extensions/assignments/:assignmentId/students/:studentId
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+router.put('/assignments/:assignmentId/students/:studentId', [
+  body('dueDate', 'Ek süre tarihi gereklidir')
+    .isISO8601()
+    .withMessage('Geçerli bir tarih giriniz')
+    .toDate(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Ek süre açıklaması 500 karakterden fazla olamaz')
+], setStudentExtension);
+
+// @desc    Öğrenciye verilen ek süreyi kaldır
+// @route   DELETE /api/extensions/assignments/:assignmentId/students/:studentId
+// @access  Özel (assignments:write, ödevin öğretmeni veya admin)
+router.delete('/assignments/:assignmentId/students/:studentId', removeStudentExtension);
+
+module.exports = router;
@@ -6,8 +6,12 @@
 const express = require('express');
 const router = express.Router();
 
+// Model imports
+const Gallery = require('../models/Gallery');
+
 // Middleware imports
-const { teacherOnly, verifyToken, authorizeRoles } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditSnapshot } = require('../middleware/audit');
 const { uploadGallery, handleMulterError } = require('../middleware/upload');
 const { 
   validateGallery, 
@@ -42,10 +46,10 @@ router.get('/:id', getGallery);
 
 // @route   POST /api/gallery
 // @desc    Yeni galeri oluştur
-// @access  Özel (Teacher/Student/Admin)
+// @access  Özel (gallery:write)
 router.post('/',
-  verifyToken,
-  authorizeRoles('teacher', 'student', 'admin'),
+  protect,
+  requirePermission('gallery:write'),
   uploadGallery.single('image'),
   handleMulterError,
   validateGallery,
@@ -54,10 +58,11 @@ router.post('/',
 
 // @route   PUT /api/gallery/:id
 // @desc    Galeri güncelle
-// @access  Özel (Teacher/Student/Admin - Kendi galerisi)
+// @access  Özel (gallery:write - kendi galerisi, gallery:moderate - tümü)
 router.put('/:id',
-  verifyToken,
-  authorizeRoles('teacher', 'student', 'admin'),
+  protect,
+  requirePermission('gallery:write'),
+  auditSnapshot(Gallery),
   uploadGallery.single('image'),
   handleMulterError,
   validateGalleryUpdate,
@@ -66,19 +71,21 @@ router.put('/:id',
 
 // @route   DELETE /api/gallery/:id/image/:imageId
 // @desc    Galeriden resim sil
-// @access  Özel (Teacher/Student/Admin - Kendi galerisi)
+// @access  Özel (gallery:write - kendi galerisi, gallery:moderate - tümü)
 router.delete('/:id/image/:imageId',
-  verifyToken,
-  authorizeRoles('teacher', 'student', 'admin'),
+  protect,
+  requirePermission('gallery:write'),
+  auditSnapshot(Gallery),
   deleteImage
 );
 
 // @route   DELETE /api/gallery/:id
 // @desc    Galeri sil
-// @access  Özel (Teacher/Student/Admin - Kendi galerisi)
+// @access  Özel (gallery:write - kendi galerisi, gallery:moderate - tümü)
 router.delete('/:id',
-  verifyToken,
-  authorizeRoles('teacher', 'student', 'admin'),
+  protect,
+  requirePermission('gallery:write'),
+  auditSnapshot(Gallery),
   deleteGallery
 );
 
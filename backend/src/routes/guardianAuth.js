@@ -0,0 +1,39 @@
+/**
+ * Guardian Auth Routes
+ * Veli girişi ve davet kabulü (çıkış, yenileme ve şifre değiştirme /api/auth altındadır)
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  login,
+  getInvitation,
+  acceptInvitation
+} = require('../controllers/guardianController');
+const { loginThrottle, byEmail } = require('../middleware/loginThrottle');
+
+// @route   POST /api/auth/guardian/login
+// @desc    Veli girişi
+// @access  Genel
+router.post('/login', [
+  body('email', 'Geçerli bir e-posta adresi giriniz').isEmail().normalizeEmail(),
+  body('password', 'Şifre gereklidir').notEmpty()
+], loginThrottle(byEmail('guardian')), login);
+
+// @route   GET /api/auth/guardian/invitations/:token
+// @desc    Davet bilgilerini getir
+// @access  Genel (geçerli davet token'ı gerekli)
+router.get('/invitations/:token', getInvitation);
+
+// @route   POST /api/auth/guardian/invitations/:token/accept
+// @desc    Daveti kabul et ve giriş yap
+// @access  Genel (geçerli davet token'ı gerekli)
+router.post('/invitations/:token/accept', [
+  body('password', 'Şifre en az 6 karakter olmalıdır').isLength({ min: 6 }),
+  body('name').optional().trim().escape().isLength({ max: 50 }).withMessage('İsim 50 karakterden fazla olamaz'),
+  body('surname').optional().trim().escape().isLength({ max: 50 }).withMessage('Soyisim 50 karakterden fazla olamaz'),
+  body('phone').optional({ checkFalsy: true }).matches(/^[0-9]{10,11}$/).withMessage('Geçerli bir telefon numarası giriniz')
+], acceptInvitation);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getChildren,
+  getChildAssignments,
+  getChildGrades,
+  getChildAttendance,
+  getAnnouncements
+} = require('../controllers/guardianController');
+
+const router = express.Router();
+
+// Tüm route'lar için token doğrulama ve veli yetkisi gerekli
+// Veli portalı sadece okumalıdır, her istek velinin kendi çocuklarıyla sınırlıdır
+router.use(protect);
+router.use(requirePermission('portal:guardian'));
+
+// @desc    Velinin çocuklarını getir
+// @route   GET /api/guardian/children
+// @access  Özel (portal:guardian)
+router.get('/children', getChildren);
+
+// @desc    Çocuğun ödevlerini teslim durumlarıyla getir
+// @route   GET /api/guardian/children/:studentId/assignments
+// @access  Özel (portal:guardian)
+router.get('/children/:studentId/assignments', getChildAssignments);
+
+// @desc    Çocuğun notlarını getir
+// @route   GET /api/guardian/children/:studentId/grades
+// @access  Özel (portal:guardian)
+router.get('/children/:studentId/grades', getChildGrades);
+
+// @desc    Çocuğun devamsızlık özetini getir
+// @route   GET /api/guardian/children/:studentId/attendance
+// @access  Özel (portal:guardian)
+router.get('/children/:studentId/attendance', getChildAttendance);
+
+// @desc    Veliye yönelik duyuruları getir
+// @route   GET /api/guardian/announcements
+// @access  Özel (portal:guardian)
+router.get('/announcements', getAnnouncements);
+
+module.exports = router;
@@ -6,8 +6,12 @@
 const express = require('express');
 const router = express.Router();
 
+// Model imports
+const News = require('../models/News');
+
 // Middleware imports
-const { verifyToken, teacherOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditSnapshot } = require('../middleware/audit');
 const { uploadNews, handleMulterError } = require('../middleware/upload');
 const { 
   validateNews, 
@@ -50,9 +54,10 @@ router.get('/:id', getSingleNews);
 
 // @route   POST /api/news
 // @desc    Yeni haber oluştur
-// @access  Özel (Teacher/Admin)
+// @access  Özel (news:write)
 router.post('/',
-  teacherOnly,
+  protect,
+  requirePermission('news:write'),
   uploadNews.single('featuredImage'),
   handleMulterError,
   validateNews,
@@ -61,9 +66,11 @@ router.post('/',
 
 // @route   PUT /api/news/:id
 // @desc    Haber güncelle
-// @access  Özel (Teacher/Admin - Kendi haberi)
+// @access  Özel (news:write - kendi haberi, news:moderate - tümü)
 router.put('/:id',
-  teacherOnly,
+  protect,
+  requirePermission('news:write'),
+  auditSnapshot(News),
   uploadNews.single('featuredImage'),
   handleMulterError,
   validateNewsUpdate,
@@ -72,26 +79,29 @@ router.put('/:id',
 
 // @route   DELETE /api/news/:id
 // @desc    Haber sil
-// @access  Özel (Teacher/Admin - Kendi haberi)
+// @access  Özel (news:write - kendi haberi, news:moderate - tümü)
 router.delete('/:id',
-  teacherOnly,
+  protect,
+  requirePermission('news:write'),
+  auditSnapshot(News),
   deleteNews
 );
 
 // @route   POST /api/news/:id/comment
 // @desc    Habere yorum ekle
-// @access  Özel (Giriş yapmış kullanıcılar)
+// @access  Özel (content:interact)
 router.post('/:id/comment',
-  verifyToken,
+  protect,
+  requirePermission('content:interact'),
   validateComment,
   addComment
 );
 
 // @route   DELETE /api/news/:id/comment/:commentId
 // @desc    Yorumu sil
-// @access  Özel (Yorum sahibi veya admin)
+// @access  Özel (Yorum sahibi veya news:moderate)
 router.delete('/:id/comment/:commentId',
-  verifyToken,
+  protect,
   deleteComment
 );
 
@@ -0,0 +1,100 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  getRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric
+} = require('../controllers/rubricController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Rubrik oluşturma ve güncellemede ortak kurallar (güncellemede tüm alanlar isteğe bağlı)
+const rubricRules = (optional) => [
+  (optional ? body('title').optional() : body('title', 'Rubrik adı gereklidir'))
+    .notEmpty()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Rubrik adı 100 karakterden fazla olamaz')
+    .escape(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Açıklama 500 karakterden fazla olamaz')
+    .escape(),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Ders adı 50 karakterden fazla olamaz')
+    .escape(),
+  body('isShared').optional().isBoolean().toBoolean(),
+  (optional ? body('criteria').optional() : body('criteria', 'Ölçütler gereklidir'))
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Rubrikte 1-20 ölçüt olmalıdır'),
+  body('criteria.*.title')
+    .notEmpty()
+    .withMessage('Ölçüt adı gereklidir')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Ölçüt adı 100 karakterden fazla olamaz')
+    .escape(),
+  body('criteria.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Ölçüt açıklaması 500 karakterden fazla olamaz')
+    .escape(),
+  body('criteria.*.levels')
+    .isArray({ min: 2, max: 6 })
+    .withMessage('Her ölçütte 2-6 performans seviyesi olmalıdır'),
+  body('criteria.*.levels.*.title')
+    .notEmpty()
+    .withMessage('Seviye adı gereklidir')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Seviye adı 50 karakterden fazla olamaz')
+    .escape(),
+  body('criteria.*.levels.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Seviye açıklaması 300 karakterden fazla olamaz')
+    .escape(),
+  body('criteria.*.levels.*.points')
+    .isFloat({ min: 0 })
+    .withMessage('Seviye puanı 0 veya daha büyük bir sayı olmalıdır')
+    .toFloat()
+];
+
+// @desc    Kullanılabilir rubrikleri listele
+// @route   GET /api/rubrics
+// @access  Özel (assignments:read)
+router.get('/', requirePermission('assignments:read'), getRubrics);
+
+// @desc    Rubrik detayı
+// @route   GET /api/rubrics/:id
+// @access  Özel (assignments:read)
+router.get('/:id', requirePermission('assignments:read'), getRubric);
+
+// @desc    Rubrik oluştur
+// @route   POST /api/rubrics
+// @access  Özel (assignments:write)
+router.post('/', requirePermission('assignments:write'), rubricRules(false), createRubric);
+
+// @desc    Rubriği güncelle
+// @route   PUT /api/rubrics/:id
+// @access  Özel (assignments:write)
+router.put('/:id', requirePermission('assignments:write'), rubricRules(true), updateRubric);
+
+// @desc    Rubriği sil
+// @route   DELETE /api/rubrics/:id
+// @access  Özel (assignments:write)
+router.delete('/:id', requirePermission('assignments:write'), deleteRubric);
+
+module.exports = router;
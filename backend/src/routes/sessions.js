@@ -0,0 +1,29 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const {
+  getMySessions,
+  revokeMySession,
+  revokeMySessions
+} = require('../controllers/sessionController');
+
+const router = express.Router();
+
+// Her kullanıcı tipi yalnızca kendi oturumlarını yönetir
+router.use(protect);
+
+// @desc    Açık oturumlarımı cihaz, tarayıcı ve konum bilgisiyle getir
+// @route   GET /api/auth/sessions
+// @access  Özel
+router.get('/', getMySessions);
+
+// @desc    Tüm oturumlarımı sonlandır (varsayılan olarak bu oturum hariç)
+// @route   DELETE /api/auth/sessions
+// @access  Özel
+router.delete('/', revokeMySessions);
+
+// @desc    Tek bir oturumu sonlandır
+// @route   DELETE /api/auth/sessions/:id
+// @access  Özel
+router.delete('/:id', revokeMySession);
+
+module.exports = router;
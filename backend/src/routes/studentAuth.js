@@ -3,19 +3,25 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const Student = require('../models/Student');
 const User = require('../models/User');
-const { sendTokenResponse } = require('../utils/jwtHelper');
-const { protect, authorize } = require('../middleware/auth');
+const { sendTokenResponse, clearAuthCookies, logoutSession, revokeAllSessions } = require('../utils/jwtHelper');
+const { requestPasswordReset, resetPasswordWithToken } = require('../utils/passwordReset');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loginThrottle, byStudentNumber } = require('../middleware/loginThrottle');
+const { assignInitialPassword } = require('../utils/initialPassword');
+const { hasPermission } = require('../utils/permissions');
+const { resolveClassroom, startEnrollment } = require('../utils/classrooms');
+const { uniqueConflictMessage } = require('../utils/recycleBin');
 
 const router = express.Router();
 
 // @desc    Öğrenci kaydı (Öğretmen tarafından)
 // @route   POST /api/auth/student/register
-// @access  Özel (Sadece öğretmen ve admin)
-router.post('/register', protect, authorize('teacher', 'admin'), [
+// @access  Özel (students:write)
+router.post('/register', protect, requirePermission('students:write'), [
   body('ad', 'Ad gereklidir').notEmpty().trim().escape(),
   body('soyad', 'Soyad gereklidir').notEmpty().trim().escape(),
   body('numara', 'Öğrenci numarası gereklidir').notEmpty().trim().isNumeric().withMessage('Öğrenci numarası sadece rakam içermelidir'),
-  body('sifre', 'Şifre en az 6 karakter olmalıdır').isLength({ min: 6 }),
+  body('sifre', 'Şifre en az 6 karakter olmalıdır').optional().isLength({ min: 6 }),
   body('sinif', 'Sınıf bilgisi gereklidir').notEmpty().trim().escape(),
   body('ogretmenId', 'Öğretmen ID gereklidir').notEmpty().isMongoId(),
   body('email').optional().isEmail().normalizeEmail(),
@@ -44,16 +50,16 @@ router.post('/register', protect, authorize('teacher', 'admin'), [
     } = req.body;
 
     // Öğrenci numarasının benzersiz olup olmadığını kontrol et
-    const existingStudent = await Student.findOne({ numara });
+    const existingStudent = await Student.findOne({ studentNumber: numara }).withDeleted();
     if (existingStudent) {
       return res.status(400).json({
         success: false,
-        message: 'Bu öğrenci numarası zaten kullanılıyor'
+        message: uniqueConflictMessage(existingStudent, 'Bu öğrenci numarası zaten kullanılıyor')
       });
     }
 
     // Öğretmenin var olup olmadığını kontrol et
-    const teacher = await Teacher.findById(ogretmenId);
+    const teacher = await User.findOne({ _id: ogretmenId, userType: 'teacher' });
     if (!teacher) {
       return res.status(400).json({
         success: false,
@@ -69,33 +75,65 @@ router.post('/register', protect, authorize('teacher', 'admin'), [
       });
     }
 
-    // Öğrenci oluştur
-    const student = await Student.create({
-      ad,
-      soyad,
-      numara,
-      sifre,
-      sinif,
-      ogretmenId,
+    // Sınıf bilgisi Classroom kaydına çözülür
+    let classroom;
+    try {
+      classroom = await resolveClassroom(
+        { className: sinif },
+        { create: hasPermission(req, 'classrooms:write'), createdBy: req.user._id }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const veli = veliUyeBilgisi || {};
+
+    // Öğrenci oluştur (form alanları modeldeki karşılıklarına eşlenir)
+    const student = new Student({
+      name: ad,
+      surname: soyad,
+      studentNumber: numara,
+      class: classroom.name,
+      classroom: classroom._id,
+      teacher: ogretmenId,
       email,
-      telefon,
-      adres,
-      dogumTarihi,
-      veliUyeBilgisi
+      phone: telefon,
+      address: adres,
+      birthDate: dogumTarihi,
+      parentInfo: {
+        motherName: veli.anneAdi,
+        fatherName: veli.babaAdi,
+        parentPhone: veli.veliTelefonu,
+        parentEmail: veli.veliEmail
+      }
     });
 
+    // Şifre girilmediyse yazdırılabilir bir ilk şifre üretilir
+    const initialPassword = assignInitialPassword(student, sifre);
+    await student.save();
+    await startEnrollment(student._id, classroom, { createdBy: req.user._id });
+
     res.status(201).json({
       success: true,
       message: 'Öğrenci başarıyla oluşturuldu',
       data: {
         id: student._id,
-        ad: student.ad,
-        soyad: student.soyad,
-        tamAd: student.tamAd,
-        numara: student.numara,
-        sinif: student.sinif,
-        ogretmenId: student.ogretmenId,
-        slug: student.slug
+        ad: student.name,
+        soyad: student.surname,
+        tamAd: student.fullName,
+        numara: student.studentNumber,
+        sinif: student.class,
+        ogretmenId: student.teacher,
+        slug: student.slug,
+        mustChangePassword: true,
+        // Sadece sistem ürettiyse bir kez gösterilir
+        initialPassword: sifre ? undefined : initialPassword
       }
     });
     
@@ -116,7 +154,7 @@ router.post('/register', protect, authorize('teacher', 'admin'), [
 router.post('/login', [
   body('numara', 'Öğrenci numarası gereklidir').notEmpty().trim().isNumeric(),
   body('sifre', 'Şifre gereklidir').notEmpty()
-], async (req, res, next) => {
+], loginThrottle(byStudentNumber('numara')), async (req, res, next) => {
   try {
     // Doğrulama hatalarını kontrol et
     const errors = validationResult(req);
@@ -130,10 +168,10 @@ router.post('/login', [
 
     const { numara, sifre } = req.body;
 
-    // Öğrenciyi kontrol et (şifre ile birlikte)
-    const student = await Student.findOne({ numara })
-      .select('+sifre')
-      .populate('ogretmenId', 'ad soyad email telefon');
+    // Öğrenciyi kontrol et (form alanları modeldeki karşılıklarına eşlenir, şifre ile birlikte)
+    const student = await Student.findOne({ studentNumber: numara })
+      .select('+password')
+      .populate('teacher', 'name surname email phone');
 
     if (!student) {
       return res.status(401).json({
@@ -143,7 +181,7 @@ router.post('/login', [
     }
 
     // Öğrencinin aktif olup olmadığını kontrol et
-    if (!student.aktif) {
+    if (!student.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Hesabınız deaktif durumda'
@@ -151,7 +189,7 @@ router.post('/login', [
     }
 
     // Şifreyi kontrol et
-    const isPasswordMatch = await student.sifreKarsilastir(sifre);
+    const isPasswordMatch = await student.matchPassword(sifre);
     if (!isPasswordMatch) {
       return res.status(401).json({
         success: false,
@@ -160,11 +198,11 @@ router.post('/login', [
     }
 
     // Son giriş tarihini güncelle
-    student.sonGiris = new Date();
+    student.lastLogin = new Date();
     await student.save();
 
     // Token yanıtı gönder
-    sendTokenResponse(student, 200, res, 'student');
+    await sendTokenResponse(student, 200, res, 'student');
     
   } catch (error) {
     next(error);
@@ -173,8 +211,8 @@ router.post('/login', [
 
 // @desc    Mevcut giriş yapmış öğrenciyi getir
 // @route   GET /api/auth/student/me
-// @access  Özel (Sadece öğrenci)
-router.get('/me', protect, authorize('student'), async (req, res, next) => {
+// @access  Özel (portal:student)
+router.get('/me', protect, requirePermission('portal:student'), async (req, res, next) => {
   try {
     const student = await Student.findById(req.user._id)
       .populate('ogretmenId', 'ad soyad email telefon brans')
@@ -223,8 +261,8 @@ router.get('/me', protect, authorize('student'), async (req, res, next) => {
 
 // @desc    Öğrenci şifre güncelle
 // @route   PUT /api/auth/student/updatepassword
-// @access  Özel (Sadece öğrenci)
-router.put('/updatepassword', protect, authorize('student'), [
+// @access  Özel (portal:student)
+router.put('/updatepassword', protect, requirePermission('portal:student'), [
   body('eskiSifre', 'Mevcut şifre gereklidir').notEmpty(),
   body('yeniSifre', 'Yeni şifre en az 6 karakter olmalıdır').isLength({ min: 6 })
 ], async (req, res, next) => {
@@ -242,10 +280,10 @@ router.put('/updatepassword', protect, authorize('student'), [
     const { eskiSifre, yeniSifre } = req.body;
 
     // Öğrenciyi şifre ile birlikte getir
-    const student = await Student.findById(req.user._id).select('+sifre');
+    const student = await Student.findById(req.user._id).select('+password');
 
     // Mevcut şifreyi kontrol et
-    const isCurrentPasswordValid = await student.sifreKarsilastir(eskiSifre);
+    const isCurrentPasswordValid = await student.matchPassword(eskiSifre);
     if (!isCurrentPasswordValid) {
       return res.status(400).json({
         success: false,
@@ -253,12 +291,27 @@ router.put('/updatepassword', protect, authorize('student'), [
       });
     }
 
+    // Zorunlu değişiklikte öğretmenin bildiği şifre tekrar kullanılamaz
+    if (student.mustChangePassword) {
+      if (eskiSifre === yeniSifre) {
+        return res.status(400).json({
+          success: false,
+          message: 'Yeni şifre mevcut şifreden farklı olmalıdır'
+        });
+      }
+      student.mustChangePassword = false;
+      student.passwordChangedAt = new Date();
+    }
+
     // Yeni şifreyi ayarla
-    student.sifre = yeniSifre;
+    student.password = yeniSifre;
     await student.save();
 
+    // Eski şifreyle açılmış tüm oturumları sonlandır; bu istek için yeni oturum açılır
+    await revokeAllSessions(student._id, 'password_changed');
+
     // Token yanıtı gönder
-    sendTokenResponse(student, 200, res, 'student');
+    await sendTokenResponse(student, 200, res, 'student');
     
   } catch (error) {
     next(error);
@@ -267,8 +320,8 @@ router.put('/updatepassword', protect, authorize('student'), [
 
 // @desc    Öğrenci bilgilerini güncelle (kısıtlı)
 // @route   PUT /api/auth/student/updateprofile
-// @access  Özel (Sadece öğrenci)
-router.put('/updateprofile', protect, authorize('student'), [
+// @access  Özel (portal:student)
+router.put('/updateprofile', protect, requirePermission('portal:student'), [
   body('email').optional().isEmail().normalizeEmail(),
   body('telefon').optional().matches(/^[0-9]{10,11}$/),
   body('adres').optional().trim().escape(),
@@ -313,19 +366,101 @@ router.put('/updateprofile', protect, authorize('student'), [
   }
 });
 
+// @desc    Şifremi unuttum - sıfırlama bağlantısı gönder
+// @route   POST /api/auth/student/forgot-password
+// @access  Genel
+router.post('/forgot-password', [
+  body('studentNumber', 'Öğrenci numarası gereklidir').notEmpty().trim().isNumeric()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findOne({ studentNumber: req.body.studentNumber });
+
+    // Öğrencinin e-postası yoksa veli e-postasına gönder
+    const email = student && (student.email || (student.parentInfo && student.parentInfo.parentEmail));
+
+    // Hesabın var olup olmadığı yanıttan anlaşılmamalı
+    if (student && student.isActive && email) {
+      // Gönderim arka planda yapılır; yanıt süresi hesabın varlığını ele vermemeli
+      requestPasswordReset({
+        account: student,
+        userModel: 'Student',
+        email,
+        req
+      }).catch(error => console.error('Şifre sıfırlama e-postası gönderilemedi:', error.message));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Bu numaraya kayıtlı bir hesap varsa şifre sıfırlama bağlantısı kayıtlı e-posta adresine gönderildi'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Token ile şifre sıfırla
+// @route   POST /api/auth/student/reset-password/:token
+// @access  Genel
+router.post('/reset-password/:token', [
+  body('password', 'Şifre en az 6 karakter olmalıdır').isLength({ min: 6 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const student = await resetPasswordWithToken({
+      token: req.params.token,
+      Model: Student,
+      userModel: 'Student',
+      newPassword: req.body.password
+    });
+
+    if (!student) {
+      return res.status(400).json({
+        success: false,
+        message: 'Şifre sıfırlama bağlantısı geçersiz veya süresi dolmuş'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Şifreniz başarıyla sıfırlandı, yeni şifrenizle giriş yapabilirsiniz'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Çıkış yap
 // @route   POST /api/auth/student/logout
 // @access  Özel
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-
-  res.status(200).json({
-    success: true,
-    message: 'Başarıyla çıkış yapıldı'
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await logoutSession(req);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Başarıyla çıkış yapıldı'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
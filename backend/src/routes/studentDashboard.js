@@ -1,6 +1,6 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { verifyToken, studentOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   getDashboard,
   getMyAssignments,
@@ -8,36 +8,44 @@ const {
   submitAssignment,
   getMySubmissions,
   getMyGrades,
+  getMyAttendance,
+  getMyBehaviour,
   getProfile
 } = require('../controllers/studentController');
+const { getMyTimetable, exportMyTimetable } = require('../controllers/timetableController');
+const {
+  requestExtension,
+  getMyExtensionRequests,
+  cancelMyExtensionRequest
+} = require('../controllers/extensionController');
 
 const router = express.Router();
 
 // Tüm route'lar için token doğrulama ve öğrenci yetkisi gerekli
-router.use(verifyToken);
-router.use(studentOnly);
+router.use(protect);
+router.use(requirePermission('portal:student'));
 
 // @desc    Öğrenci dashboard'u
 // @route   GET /api/student/dashboard
-// @access  Özel (Student)
+// @access  Özel (portal:student)
 router.get('/dashboard', getDashboard);
 
 // ============ ÖDEV YÖNETİMİ (SADECE OKUMA VE TESLİM) ============
 
 // @desc    Öğrencinin ödevlerini getir
 // @route   GET /api/student/assignments
-// @access  Özel (Student)
+// @access  Özel (portal:student)
 router.get('/assignments', getMyAssignments);
 
 // @desc    Tek bir ödevin detaylarını getir
 // @route   GET /api/student/assignments/:id
-// @access  Özel (Student)
+// @access  Özel (portal:student)
 router.get('/assignments/:id', getAssignmentDetail);
 
 // @desc    Ödev teslim et
 // @route   POST /api/student/assignments/:id/submit
-// @access  Özel (Student)
-router.post('/assignments/:id/submit', [
+// @access  Özel (portal:student, submissions:submit)
+router.post('/assignments/:id/submit', requirePermission('submissions:submit'), [
   body('content')
     .optional()
     .trim()
@@ -46,25 +54,78 @@ router.post('/assignments/:id/submit', [
     .escape()
 ], submitAssignment);
 
+// ============ EK SÜRE TALEPLERİ ============
+
+// @desc    Ödev için ek süre talep et
+// @route   POST /api/student/assignments/:id/extension-requests
+// @access  Özel (portal:student)
+router.post('/assignments/:id/extension-requests', [
+  body('reason', 'Talep gerekçesi gereklidir')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Talep gerekçesi 500 karakterden fazla olamaz'),
+  body('requestedDueDate', 'İstenen teslim tarihi gereklidir')
+    .isISO8601()
+    .withMessage('Geçerli bir tarih giriniz')
+    .toDate()
+], requestExtension);
+
+// @desc    Öğrencinin ek süre talepleri
+// @route   GET /api/student/extension-requests
+// @access  Özel (portal:student)
+router.get('/extension-requests', getMyExtensionRequests);
+
+// @desc    Bekleyen ek süre talebini geri çek
+// @route   DELETE /api/student/extension-requests/:id
+// @access  Özel (portal:student)
+router.delete('/extension-requests/:id', cancelMyExtensionRequest);
+
 // ============ TESLİM YÖNETİMİ (SADECE OKUMA) ============
 
 // @desc    Öğrencinin teslimlerini getir
 // @route   GET /api/student/submissions
-// @access  Özel (Student)
+// @access  Özel (portal:student)
 router.get('/submissions', getMySubmissions);
 
 // ============ NOT YÖNETİMİ (SADECE OKUMA) ============
 
 // @desc    Öğrencinin notlarını getir
 // @route   GET /api/student/grades
-// @access  Özel (Student)
+// @access  Özel (portal:student)
 router.get('/grades', getMyGrades);
 
+// ============ DEVAMSIZLIK (SADECE OKUMA) ============
+
+// @desc    Öğrencinin devamsızlık özetini getir
+// @route   GET /api/student/attendance
+// @access  Özel (portal:student)
+router.get('/attendance', getMyAttendance);
+
+// ============ DAVRANIŞ (SADECE OKUMA) ============
+
+// @desc    Öğrencinin davranış kayıtları ve puanı
+// @route   GET /api/student/behaviour
+// @access  Özel (portal:student)
+router.get('/behaviour', getMyBehaviour);
+
+// ============ DERS PROGRAMI ============
+
+// @desc    Sınıfın haftalık ders programı
+// @route   GET /api/student/timetable
+// @access  Özel (portal:student)
+router.get('/timetable', getMyTimetable);
+
+// @desc    Haftalık ders programını iCalendar olarak indir
+// @route   GET /api/student/timetable/ical
+// @access  Özel (portal:student)
+router.get('/timetable/ical', exportMyTimetable);
+
 // ============ PROFİL (SADECE OKUMA) ============
 
 // @desc    Öğrencinin profil bilgilerini getir
 // @route   GET /api/student/profile
-// @access  Özel (Student)
+// @access  Özel (portal:student)
 router.get('/profile', getProfile);
 
 // ============ YASAK İŞLEMLER ============
@@ -1,14 +1,31 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Student = require('../models/Student');
-const { protect, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const StudentTransfer = require('../models/StudentTransfer');
+const { protect, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { revokeAllSessions } = require('../utils/jwtHelper');
+const { assignInitialPassword, renderCredentialSlips } = require('../utils/initialPassword');
+const { buildStudentFilter, resolveColumns, getRosterRows } = require('../utils/roster');
+const { EXPORT_FORMATS, sendTable } = require('../utils/tableExport');
+const { hasPermission } = require('../utils/permissions');
+const { resolveClassroom, startEnrollment } = require('../utils/classrooms');
+const { subjectKey, teacherStudentScope, findAccessibleStudent, canTeachSubject } = require('../utils/teacherAccess');
+const { ASSIGNMENT_POLICIES, findPendingAssignments, transferStudent, streamStudentPackage } = require('../utils/transfers');
+const { uniqueConflictMessage } = require('../utils/recycleBin');
+
+// Dışa aktarımda en fazla öğrenci sayısı
+const ROSTER_EXPORT_LIMIT = parseInt(process.env.ROSTER_EXPORT_LIMIT) || 5000;
 
 const router = express.Router();
 
 // @desc    Get student profile (for logged in student)
 // @route   GET /api/students/profile
-// @access  Private (students only)
-router.get('/profile', protect, authorize('student'), async (req, res) => {
+// @access  Özel (portal:student)
+router.get('/profile', protect, requirePermission('portal:student'), async (req, res) => {
   try {
     const student = await Student.findById(req.user._id).select('-password');
     
@@ -34,34 +51,16 @@ router.get('/profile', protect, authorize('student'), async (req, res) => {
 
 // @desc    Tüm öğrencileri listele
 // @route   GET /api/students
-// @access  Öğretmen ve Admin
-router.get('/', protect, authorize('teacher', 'admin'), async (req, res, next) => {
+// @access  Özel (students:read)
+router.get('/', protect, requirePermission('students:read'), async (req, res, next) => {
   try {
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    let query = {};
-    
-    // Öğretmen sadece kendi öğrencilerini görebilir
-    if (req.user.userType === 'teacher') {
-      query.teacher = req.user._id;
-    }
-
-    // Arama filtresi
-    if (req.query.search) {
-      query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { surname: { $regex: req.query.search, $options: 'i' } },
-        { studentNumber: { $regex: req.query.search, $options: 'i' } }
-      ];
-    }
-
-    // Aktiflik durumu filtresi
-    if (req.query.isActive !== undefined) {
-      query.isActive = req.query.isActive === 'true';
-    }
+    // Öğretmen sadece sorumlu, sınıf veya ders öğretmeni olduğu öğrencileri görebilir
+    const query = await buildStudentFilter(req.query, req.user);
 
     const students = await Student.find(query)
       .populate('teacher', 'name surname')
@@ -84,29 +83,71 @@ router.get('/', protect, authorize('teacher', 'admin'), async (req, res, next) =
   }
 });
 
-// @desc    Öğrenci detayını getir
-// @route   GET /api/students/:id
-// @access  Öğretmen ve Admin
-router.get('/:id', protect, authorize('teacher', 'admin'), async (req, res, next) => {
+// @desc    Öğrenci listesini dışa aktar (öğretmen, sınıf veya tüm okul)
+// @route   GET /api/students/export?format=csv|xlsx|pdf&columns=name,surname,...
+// @access  Özel (students:read)
+// Liste ile aynı filtreler geçerlidir: search, class, isActive, teacher (sadece admin)
+router.get('/export', protect, requirePermission('students:read'), async (req, res, next) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // Öğretmen sadece kendi öğrencilerini görebilir
-    if (req.user.userType === 'teacher') {
-      query.teacher = req.user._id;
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Geçersiz format (csv, xlsx veya pdf)'
+      });
     }
 
-    const student = await Student.findOne(query)
-      .populate('teacher', 'name surname')
-      .select('-password');
+    const { keys, columns, error } = resolveColumns(req.query.columns);
 
-    if (!student) {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const filter = await buildStudentFilter(req.query, req.user);
+    const students = await getRosterRows(filter, keys, ROSTER_EXPORT_LIMIT);
+
+    const scope = filter.class ? `${filter.class} Sınıfı` : (filter.teacher || filter.$and ? 'Öğretmen' : 'Tüm Okul');
+    const date = new Date().toISOString().slice(0, 10);
+
+    await sendTable(res, {
+      format,
+      filename: `ogrenci-listesi-${date}`,
+      title: `Öğrenci Listesi - ${scope}`,
+      rows: students,
+      columns
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Öğrenci detayını getir
+// @route   GET /api/students/:id
+// @access  Özel (students:read)
+router.get('/:id', protect, requirePermission('students:read'), async (req, res, next) => {
+  try {
+    // Öğretmen sadece sorumlu, sınıf veya ders öğretmeni olduğu öğrencileri görebilir
+    const result = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Öğrenci bulunamadı'
       });
     }
 
+    const { student, access } = result;
+    await student.populate('teacher', 'name surname');
+
+    // Ders öğretmeni sadece kendi derslerinin notlarını görür
+    if (!access.full) {
+      student.grades = student.grades.filter(grade => canTeachSubject(access, grade.subject));
+    }
+
     res.status(200).json({
       success: true,
       student
@@ -118,13 +159,14 @@ router.get('/:id', protect, authorize('teacher', 'admin'), async (req, res, next
 
 // @desc    Yeni öğrenci oluştur
 // @route   POST /api/students
-// @access  Öğretmen ve Admin
-router.post('/', protect, authorize('teacher', 'admin'), [
+// @access  Özel (students:write)
+router.post('/', protect, requirePermission('students:write'), [
   body('name', 'İsim gereklidir').notEmpty().trim().escape(),
   body('surname', 'Soyisim gereklidir').notEmpty().trim().escape(),
-  body('class', 'Sınıf gereklidir').notEmpty().trim(),
+  body('classroom').optional().isMongoId().withMessage('Geçersiz sınıf ID formatı'),
+  body('class', 'Sınıf gereklidir').if((value, { req }) => !req.body.classroom).notEmpty().trim(),
   body('studentNumber', 'Öğrenci numarası gereklidir').notEmpty().trim().isNumeric().withMessage('Öğrenci numarası sadece rakam içermelidir'),
-  body('password', 'Şifre gereklidir').isLength({ min: 6 }).withMessage('Şifre en az 6 karakter olmalıdır')
+  body('password').optional().isLength({ min: 6 }).withMessage('Şifre en az 6 karakter olmalıdır')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -139,19 +181,36 @@ router.post('/', protect, authorize('teacher', 'admin'), [
     const { name, surname, class: studentClass, studentNumber, password } = req.body;
 
     // Öğrenci numarasının benzersiz olup olmadığını kontrol et
-    const existingStudentByNumber = await Student.findOne({ studentNumber });
+    const existingStudentByNumber = await Student.findOne({ studentNumber }).withDeleted();
     if (existingStudentByNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Bu öğrenci numarası zaten kullanılıyor'
+        message: uniqueConflictMessage(existingStudentByNumber, 'Bu öğrenci numarası zaten kullanılıyor')
       });
     }
 
+    // Sınıf bilgisi Classroom kaydına çözülür (classroom ID veya "9-A" gibi sınıf adı)
+    let classroom;
+    try {
+      classroom = await resolveClassroom(
+        { classroom: req.body.classroom, className: studentClass },
+        { create: hasPermission(req, 'classrooms:write'), createdBy: req.user._id }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
     // Aynı öğretmende aynı isim+soyisim+sınıf kontrolü
     const existingStudent = await Student.findOne({ 
       name, 
       surname, 
-      class: studentClass,
+      classroom: classroom._id,
       teacher: req.user._id 
     });
     
@@ -163,16 +222,19 @@ router.post('/', protect, authorize('teacher', 'admin'), [
     }
     
     // Öğrenciyi oluştur
-    const student = await Student.create({
+    const student = new Student({
       name,
       surname,
-      class: studentClass,
+      class: classroom.name,
+      classroom: classroom._id,
       studentNumber,
-      teacher: req.user._id,
-      password: password
+      teacher: req.user._id
     });
 
-
+    // Şifre girilmediyse yazdırılabilir bir ilk şifre üretilir
+    const initialPassword = assignInitialPassword(student, password);
+    await student.save();
+    await startEnrollment(student._id, classroom, { createdBy: req.user._id });
 
     // Şifreyi gizle
     student.password = undefined;
@@ -180,7 +242,9 @@ router.post('/', protect, authorize('teacher', 'admin'), [
     res.status(201).json({
       success: true,
       message: 'Öğrenci başarıyla oluşturuldu',
-      student
+      student,
+      // Sadece sistem ürettiyse bir kez gösterilir
+      initialPassword: password ? undefined : initialPassword
     });
   } catch (error) {
     next(error);
@@ -189,8 +253,8 @@ router.post('/', protect, authorize('teacher', 'admin'), [
 
 // @desc    Öğrenci güncelle
 // @route   PUT /api/students/:id
-// @access  Öğretmen ve Admin
-router.put('/:id', protect, authorize('teacher', 'admin'), [
+// @access  Özel (students:write)
+router.put('/:id', protect, requirePermission('students:write'), [
   body('name').optional().trim().escape(),
   body('surname').optional().trim().escape(),
   body('studentNumber').optional().trim(),
@@ -210,12 +274,8 @@ router.put('/:id', protect, authorize('teacher', 'admin'), [
       });
     }
 
-    let query = { _id: req.params.id };
-    
-    // Öğretmen sadece kendi öğrencilerini güncelleyebilir
-    if (req.user.userType === 'teacher') {
-      query.teacher = req.user._id;
-    }
+    // Profil işlemlerini sadece sorumlu öğretmen ve sınıf öğretmeni yapabilir
+    const query = { _id: req.params.id, ...await teacherStudentScope(req.user, { fullOnly: true }) };
 
     let student = await Student.findOne(query);
 
@@ -230,11 +290,11 @@ router.put('/:id', protect, authorize('teacher', 'admin'), [
 
     // Öğrenci numarası değiştiriliyorsa benzersizlik kontrolü
     if (studentNumber && studentNumber !== student.studentNumber) {
-      const existingStudent = await Student.findOne({ studentNumber });
+      const existingStudent = await Student.findOne({ studentNumber }).withDeleted();
       if (existingStudent) {
         return res.status(400).json({
           success: false,
-          message: 'Bu öğrenci numarası zaten kullanılıyor'
+          message: uniqueConflictMessage(existingStudent, 'Bu öğrenci numarası zaten kullanılıyor')
         });
       }
     }
@@ -266,11 +326,21 @@ router.put('/:id', protect, authorize('teacher', 'admin'), [
       updateData.isActive = isActive;
     }
 
+    const previous = student;
+
     student = await Student.findOneAndUpdate(query, updateData, {
       new: true,
       runValidators: true
     }).populate('teacher', 'name surname').select('-password');
 
+    await recordAudit(req, {
+      action: 'student.update',
+      targetType: 'Student',
+      targetId: student._id,
+      before: previous,
+      after: student
+    });
+
     res.status(200).json({
       success: true,
       message: 'Öğrenci başarıyla güncellendi',
@@ -283,15 +353,11 @@ router.put('/:id', protect, authorize('teacher', 'admin'), [
 
 // @desc    Öğrenci sil
 // @route   DELETE /api/students/:id
-// @access  Öğretmen ve Admin
-router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res, next) => {
+// @access  Özel (students:delete)
+router.delete('/:id', protect, requirePermission('students:delete'), async (req, res, next) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // Öğretmen sadece kendi öğrencilerini silebilir
-    if (req.user.userType === 'teacher') {
-      query.teacher = req.user._id;
-    }
+    // Profil işlemlerini sadece sorumlu öğretmen ve sınıf öğretmeni yapabilir
+    const query = { _id: req.params.id, ...await teacherStudentScope(req.user, { fullOnly: true }) };
 
     const student = await Student.findOne(query);
 
@@ -302,11 +368,89 @@ router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res, n
       });
     }
 
-    await Student.findOneAndDelete(query);
+    // Öğrenci geri dönüşüm kutusuna taşınır, saklama süresi sonunda kalıcı silinir
+    await student.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'student.delete',
+      targetType: 'Student',
+      targetId: student._id,
+      before: student
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Öğrenci başarıyla silindi'
+      message: 'Öğrenci geri dönüşüm kutusuna taşındı'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Seçilen öğrencilere tek kullanımlık ilk şifre üret ve giriş kartlarını yazdır
+// @route   POST /api/students/credentials
+// @access  Özel (students:credentials)
+router.post('/credentials', protect, requirePermission('students:credentials'), [
+  body('studentIds', 'En az bir öğrenci seçilmelidir').isArray({ min: 1, max: 200 }),
+  body('studentIds.*', 'Geçersiz öğrenci ID').isMongoId(),
+  body('format').optional().isIn(['json', 'html']).withMessage('Geçersiz çıktı formatı')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    // Öğretmen sadece sorumlu veya sınıf öğretmeni olduğu öğrencilerin şifresini üretebilir
+    const query = { _id: { $in: req.body.studentIds }, ...await teacherStudentScope(req.user, { fullOnly: true }) };
+
+    const students = await Student.find(query).sort({ class: 1, studentNumber: 1 });
+
+    if (students.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    const credentials = [];
+    for (const student of students) {
+      const password = assignInitialPassword(student);
+      await student.save();
+      await revokeAllSessions(student._id, 'password_reset');
+
+      credentials.push({
+        id: student._id,
+        name: student.name,
+        surname: student.surname,
+        studentNumber: student.studentNumber,
+        class: student.class,
+        password
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'student.password.generate',
+      targetType: 'Student',
+      metadata: { studentNumbers: credentials.map(entry => entry.studentNumber) }
+    });
+
+    // Şifreler kaydedilmediği için bu yanıt önbelleğe alınmamalı
+    res.set('Cache-Control', 'no-store');
+
+    if (req.body.format === 'html') {
+      return res.type('html').send(renderCredentialSlips(credentials));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${credentials.length} öğrenci için ilk şifre üretildi`,
+      count: credentials.length,
+      data: credentials
     });
   } catch (error) {
     next(error);
@@ -315,15 +459,11 @@ router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res, n
 
 // @desc    Öğrenci şifresini sıfırla
 // @route   PUT /api/students/:id/reset-password
-// @access  Öğretmen ve Admin
-router.put('/:id/reset-password', protect, authorize('teacher', 'admin'), async (req, res, next) => {
+// @access  Özel (students:credentials)
+router.put('/:id/reset-password', protect, requirePermission('students:credentials'), async (req, res, next) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // Öğretmen sadece kendi öğrencilerinin şifresini sıfırlayabilir
-    if (req.user.userType === 'teacher') {
-      query.teacher = req.user._id;
-    }
+    // Profil işlemlerini sadece sorumlu öğretmen ve sınıf öğretmeni yapabilir
+    const query = { _id: req.params.id, ...await teacherStudentScope(req.user, { fullOnly: true }) };
 
     const student = await Student.findOne(query);
 
@@ -334,17 +474,342 @@ router.put('/:id/reset-password', protect, authorize('teacher', 'admin'), async
       });
     }
 
-    // Şifreyi öğrenci numarasına sıfırla
-    student.password = student.studentNumber;
+    // Tek kullanımlık yeni şifre, öğrenci ilk girişte kendi şifresini belirler
+    const initialPassword = assignInitialPassword(student);
     await student.save();
+    await revokeAllSessions(student._id, 'password_reset');
+
+    // Şifrenin kendisi kaydedilmez, sadece sıfırlandığı bilgisi tutulur
+    await recordAudit(req, {
+      action: 'student.password.reset',
+      targetType: 'Student',
+      targetId: student._id,
+      metadata: { studentNumber: student.studentNumber }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Öğrenci şifresi sıfırlandı, öğrenci ilk girişte yeni şifre belirleyecek',
+      data: {
+        studentNumber: student.studentNumber,
+        initialPassword
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Öğrencinin öğretmenlerini getir (sorumlu, sınıf ve ders öğretmenleri)
+// @route   GET /api/students/:id/teachers
+// @access  Özel (students:read)
+router.get('/:id/teachers', protect, requirePermission('students:read'), async (req, res, next) => {
+  try {
+    const result = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    const { student } = result;
+    await student.populate([
+      { path: 'teacher', select: 'name surname email' },
+      { path: 'subjectTeachers.teacher', select: 'name surname email' }
+    ]);
+
+    const classroom = student.classroom
+      ? await Classroom.findById(student.classroom)
+        .populate('homeroomTeacher', 'name surname email')
+        .populate('subjectTeachers.teacher', 'name surname email')
+      : null;
 
     res.status(200).json({
       success: true,
-      message: 'Öğrenci şifresi başarıyla sıfırlandı (yeni şifre: öğrenci numarası)'
+      data: {
+        teacher: student.teacher,
+        homeroomTeacher: classroom ? classroom.homeroomTeacher : null,
+        // Sınıf üzerinden gelen ders öğretmenleri (sınıf yönetiminden değiştirilir)
+        classroomSubjectTeachers: classroom ? classroom.subjectTeachers : [],
+        // Öğrenciye özel ders öğretmenleri
+        subjectTeachers: student.subjectTeachers
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
+// @desc    Öğrenciye ders öğretmeni ata
+// @route   POST /api/students/:id/teachers
+// @access  Özel (students:assign-teachers)
+router.post('/:id/teachers', protect, requirePermission('students:assign-teachers'), [
+  body('teacher', 'Öğretmen gereklidir').isMongoId().withMessage('Geçersiz öğretmen ID'),
+  body('subject', 'Ders adı gereklidir')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Ders adı 50 karakterden fazla olamaz')
+    .escape()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const { teacher: teacherId, subject } = req.body;
+
+    const [student, teacher] = await Promise.all([
+      Student.findById(req.params.id),
+      User.findOne({ _id: teacherId, userType: 'teacher' })
+    ]);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    if (!teacher) {
+      return res.status(400).json({
+        success: false,
+        message: 'Geçersiz öğretmen ID'
+      });
+    }
+
+    const exists = student.subjectTeachers.some(entry =>
+      entry.teacher.toString() === teacherId && subjectKey(entry.subject) === subjectKey(subject));
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bu öğretmen bu derste öğrenciye zaten atanmış'
+      });
+    }
+
+    student.subjectTeachers.push({ teacher: teacherId, subject, assignedBy: req.user._id });
+    await student.save();
+
+    const entry = student.subjectTeachers[student.subjectTeachers.length - 1];
+
+    await recordAudit(req, {
+      action: 'student.teacher.assign',
+      targetType: 'Student',
+      targetId: student._id,
+      after: { subjectTeacher: entry.toObject() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${teacher.name} ${teacher.surname} öğrenciye ${subject} öğretmeni olarak atandı`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Öğrencinin ders öğretmeni atamasını kaldır
+// @route   DELETE /api/students/:id/teachers/:entryId
+// @access  Özel (students:assign-teachers)
+router.delete('/:id/teachers/:entryId', protect, requirePermission('students:assign-teachers'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    const entry = student && student.subjectTeachers.id(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ders öğretmeni ataması bulunamadı'
+      });
+    }
+
+    const before = entry.toObject();
+    entry.deleteOne();
+    await student.save();
+
+    await recordAudit(req, {
+      action: 'student.teacher.unassign',
+      targetType: 'Student',
+      targetId: student._id,
+      before: { subjectTeacher: before }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ders öğretmeni ataması kaldırıldı'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Öğrencinin nakil geçmişini getir
+// @route   GET /api/students/:id/transfers
+// @access  Özel (students:read)
+router.get('/:id/transfers', protect, requirePermission('students:read'), async (req, res, next) => {
+  try {
+    const result = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    const transfers = await StudentTransfer.find({ student: result.student._id })
+      .populate('fromTeacher toTeacher performedBy', 'name surname')
+      .populate('assignments.teacher', 'name surname')
+      .sort({ effectiveDate: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Nakilden etkilenecek teslim edilmemiş ödevleri getir (nakil öncesi önizleme)
+// @route   GET /api/students/:id/transfer/pending-assignments
+// @access  Özel (students:transfer)
+router.get('/:id/transfer/pending-assignments', protect, requirePermission('students:transfer'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id).select('teacher classroom');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    const assignments = await findPendingAssignments(student._id);
+    await Assignment.populate(assignments, { path: 'teacher', select: 'name surname' });
+
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      data: assignments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Öğrenciyi başka öğretmene/sınıfa nakil et veya okuldan ayrılışını işle
+// @route   POST /api/students/:id/transfer
+// @access  Özel (students:transfer)
+router.post('/:id/transfer', protect, requirePermission('students:transfer'), [
+  body('teacher').optional().isMongoId().withMessage('Geçersiz öğretmen ID'),
+  body('classroom').optional().isMongoId().withMessage('Geçersiz sınıf ID formatı'),
+  body('class').optional().trim().escape(),
+  body('leaveSchool').optional().isBoolean().toBoolean(),
+  body('destinationSchool')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Okul adı 200 karakterden fazla olamaz')
+    .escape(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Nakil nedeni 500 karakterden fazla olamaz')
+    .escape(),
+  body('effectiveDate').optional().isISO8601().withMessage('Geçersiz nakil tarihi'),
+  body('assignmentPolicy', 'Ödev politikası gereklidir')
+    .isIn(ASSIGNMENT_POLICIES)
+    .withMessage(`Ödev politikası şunlardan biri olmalıdır: ${ASSIGNMENT_POLICIES.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    let transfer;
+    try {
+      transfer = await transferStudent(student, {
+        ...req.body,
+        className: req.body.class
+      }, req.user._id);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: transfer.type === 'school' ? 'student.leave' : 'student.transfer',
+      targetType: 'Student',
+      targetId: student._id,
+      after: transfer
+    });
+
+    res.status(201).json({
+      success: true,
+      message: transfer.type === 'school'
+        ? 'Öğrencinin okuldan ayrılışı kaydedildi'
+        : 'Öğrenci nakli tamamlandı',
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Öğrencinin tüm kayıtlarını ZIP paketi olarak indir (okuldan ayrılan öğrenciler için)
+// @route   GET /api/students/:id/export-package
+// @access  Özel (students:transfer)
+router.get('/:id/export-package', protect, requirePermission('students:transfer'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Öğrenci bulunamadı'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'student.export-package',
+      targetType: 'Student',
+      targetId: student._id
+    });
+
+    await streamStudentPackage(res, student);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -2,15 +2,34 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
-const { verifyToken, teacherOnly, studentOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
 const { uploadSubmissions, handleMulterError } = require('../middleware/upload');
+const { recordAudit } = require('../utils/audit');
+const { scoreRubric } = require('../utils/rubrics');
+const {
+  returnSubmission,
+  applyResubmission,
+  findVersion,
+  diffLines,
+  diffFiles
+} = require('../utils/resubmissions');
+const { assertSubmissionAccepted, gradeWithLatePenalty } = require('../utils/latePolicy');
 
 const router = express.Router();
 
+// Teslimi ödevin öğretmeni, admin ve teslimin sahibi öğrenci görebilir
+// submission.assignment teacher alanıyla populate edilmiş olmalıdır
+const canViewSubmission = (req, submission) => {
+  const studentId = submission.student._id || submission.student;
+  return (req.user.userType === 'teacher' && submission.assignment.teacher.toString() === req.user._id.toString()) ||
+    req.user.userType === 'admin' ||
+    (req.user.userType === 'student' && studentId.toString() === req.user._id.toString());
+};
+
 // @desc    Tüm ödev teslimlerini listele
 // @route   GET /api/submissions
-// @access  Öğretmen ve Admin
-router.get('/', teacherOnly, async (req, res, next) => {
+// @access  Özel (submissions:read)
+router.get('/', protect, requirePermission('submissions:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -59,7 +78,7 @@ router.get('/', teacherOnly, async (req, res, next) => {
 // @desc    Ödev teslimi detayını getir
 // @route   GET /api/submissions/:id
 // @access  Öğretmen, Admin ve ilgili öğrenci
-router.get('/:id', verifyToken, async (req, res, next) => {
+router.get('/:id', protect, async (req, res, next) => {
   try {
     let submission = await Submission.findById(req.params.id)
       .populate('student', 'name surname studentNumber')
@@ -73,11 +92,7 @@ router.get('/:id', verifyToken, async (req, res, next) => {
     }
 
     // Yetki kontrolü
-    const isTeacher = req.user.userType === 'teacher' && submission.assignment.teacher.toString() === req.user._id.toString();
-    const isAdmin = req.user.userType === 'admin';
-    const isStudent = req.user.userType === 'student' && submission.student._id.toString() === req.user._id.toString();
-
-    if (!isTeacher && !isAdmin && !isStudent) {
+    if (!canViewSubmission(req, submission)) {
       return res.status(403).json({
         success: false,
         message: 'Bu teslimi görme yetkiniz yok'
@@ -95,9 +110,10 @@ router.get('/:id', verifyToken, async (req, res, next) => {
 
 // @desc    Yeni ödev teslimi oluştur (Öğrenci)
 // @route   POST /api/submissions
-// @access  Öğrenci
+// @access  Özel (submissions:submit)
 router.post('/', 
-  studentOnly,
+  protect,
+  requirePermission('submissions:submit'),
   uploadSubmissions.array('files', 5), // En fazla 5 dosya
   handleMulterError,
   [
@@ -157,27 +173,58 @@ router.post('/',
       });
     }
 
-    // Teslim tarihi geçmiş mi kontrol et
-    if (new Date() > new Date(assignment.dueDate)) {
-      return res.status(400).json({
+    // Nakil sonrası sadece görüntülenebilen ödevler
+    if (assignment.readOnlyStudents.includes(req.user._id)) {
+      return res.status(403).json({
         success: false,
-        message: 'Teslim tarihi geçmiş'
+        message: 'Nakil nedeniyle bu ödeve teslim yapamazsınız'
       });
     }
 
-    // Daha önce teslim yapmış mı kontrol et
+    // Daha önce teslim yapmışsa sadece iade edilen teslim, iadedeki son tarihe kadar yeniden teslim edilebilir
     const existingSubmission = await Submission.findOne({
       assignment: assignmentId,
       student: req.user._id
     });
 
     if (existingSubmission) {
-      return res.status(400).json({
-        success: false,
-        message: 'Bu ödev için zaten teslim yapmışsınız'
+      try {
+        applyResubmission(existingSubmission, { content, files });
+      } catch (error) {
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+      await existingSubmission.save();
+
+      const resubmitted = await Submission.findById(existingSubmission._id)
+        .populate('student', 'name surname studentNumber')
+        .populate('assignment', 'title subject dueDate');
+
+      return res.status(200).json({
+        success: true,
+        message: `Ödev yeniden teslim edildi (${resubmitted.attempt}. deneme)`,
+        submission: resubmitted
       });
     }
 
+    // Teslim tarihi (öğrenciye verilen ek süre dahil) geçmişse ödevin geç teslim politikası uygulanır
+    try {
+      assertSubmissionAccepted(assignment, assignment.getDueDateFor(req.user._id));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
     // Teslim oluştur
     const submission = await Submission.create({
       assignment: assignmentId,
@@ -204,10 +251,18 @@ router.post('/',
 
 // @desc    Ödev teslimini güncelle (Öğrenci)
 // @route   PUT /api/submissions/:id
-// @access  Öğrenci (sadece kendi teslimi)
-router.put('/:id', studentOnly, [
-  body('content').optional().trim()
-], async (req, res, next) => {
+// @access  Özel (submissions:submit - sadece kendi teslimi)
+// Sadece notlandırılmamış ve zamanında yapılmış teslim düzenlenebilir; iade edilen teslim
+// POST /api/submissions ile yeniden teslim edilir (deneme geçmişi ve deneme sınırı için)
+router.put('/:id',
+  protect,
+  requirePermission('submissions:submit'),
+  uploadSubmissions.array('files', 5),
+  handleMulterError,
+  [
+    body('content').optional().trim()
+  ],
+  async (req, res, next) => {
   try {
     // Sadece öğrenciler güncelleme yapabilir
     if (req.user.userType !== 'student') {
@@ -218,7 +273,7 @@ router.put('/:id', studentOnly, [
     }
 
     let submission = await Submission.findById(req.params.id)
-      .populate('assignment', 'dueDate');
+      .populate('assignment', 'dueDate dueDateOverrides');
 
     if (!submission) {
       return res.status(404).json({
@@ -235,28 +290,39 @@ router.put('/:id', studentOnly, [
       });
     }
 
-    // Teslim tarihi geçmiş mi kontrol et
-    if (new Date() > new Date(submission.assignment.dueDate)) {
+    // Teslim tarihi (öğrenciye verilen ek süre dahil) geçmiş mi kontrol et
+    if (new Date() > submission.assignment.getDueDateFor(submission.student)) {
       return res.status(400).json({
         success: false,
         message: 'Teslim tarihi geçtiği için güncelleme yapamazsınız'
       });
     }
 
-    // Notlandırılmış teslimleri güncelleme yapılamaz
-    if (submission.status === 'graded') {
+    // Notlandırılmış, geç veya iade edilmiş teslimlerde değişiklik yapılamaz
+    if (submission.status !== 'submitted') {
       return res.status(400).json({
         success: false,
-        message: 'Notlandırılmış teslimlerde değişiklik yapamazsınız'
+        message: submission.status === 'returned'
+          ? 'İade edilen teslim yeniden teslim edilmelidir'
+          : 'Bu teslimde değişiklik yapamazsınız'
       });
     }
 
-    const { content, files } = req.body;
+    const { content } = req.body;
 
-    // Güncelleme verilerini hazırla
+    // Güncelleme verilerini hazırla; dosyalar sadece yüklenen dosyalardan alınır
     const updateData = {};
     if (content) updateData.content = content;
-    if (files) updateData.files = files;
+    if (req.files && req.files.length > 0) {
+      updateData.files = req.files.map(file => ({
+        originalName: file.originalname,
+        filename: file.filename,
+        path: file.path,
+        size: file.size,
+        mimeType: file.mimetype,
+        url: `/uploads/submissions/${file.filename}`
+      }));
+    }
     updateData.submissionDate = new Date();
 
     submission = await Submission.findByIdAndUpdate(req.params.id, updateData, {
@@ -275,12 +341,53 @@ router.put('/:id', studentOnly, [
   }
 });
 
+// Geç teslim kesintisini elle belirleme kuralları
+const latePenaltyRules = [
+  body('latePenaltyPercent')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Kesinti oranı 0-100 arasında olmalıdır')
+    .toFloat(),
+  body('latePenaltyReason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Kesinti açıklaması 300 karakterden fazla olamaz')
+];
+
 // @desc    Ödev teslimini notlandır (Öğretmen)
 // @route   PATCH /api/submissions/:id/grade
-// @access  Öğretmen ve Admin
-router.patch('/:id/grade', teacherOnly, [
-  body('score', 'Puan gereklidir').isNumeric().withMessage('Puan sayısal olmalıdır'),
-  body('feedback').optional().trim()
+// @access  Özel (grades:publish)
+// Rubrikli ödevlerde score yerine rubricScores gönderilir, puan ölçüt puanlarının toplamıdır
+// Geç teslim kesintisi ödevin politikasından otomatik hesaplanır; latePenaltyPercent ile değiştirilebilir
+router.patch('/:id/grade', protect, requirePermission('grades:publish'), [
+  body('score', 'Puan gereklidir')
+    .if(body('rubricScores').not().exists())
+    .isNumeric()
+    .withMessage('Puan sayısal olmalıdır'),
+  body('rubricScores')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Ölçüt puanları dizi olmalıdır'),
+  body('rubricScores.*.criterion')
+    .isMongoId()
+    .withMessage('Geçersiz ölçüt ID'),
+  body('rubricScores.*.level')
+    .optional()
+    .isMongoId()
+    .withMessage('Geçersiz seviye ID'),
+  body('rubricScores.*.points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Ölçüt puanı 0 veya daha büyük olmalıdır')
+    .toFloat(),
+  body('rubricScores.*.comment')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Ölçüt yorumu 300 karakterden fazla olamaz'),
+  body('feedback').optional().trim(),
+  ...latePenaltyRules
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -293,7 +400,7 @@ router.patch('/:id/grade', teacherOnly, [
     }
 
     let submission = await Submission.findById(req.params.id)
-      .populate('assignment', 'teacher maxScore');
+      .populate('assignment', 'teacher maxScore rubric dueDate dueDateOverrides latePolicy allowLateSubmission');
 
     if (!submission) {
       return res.status(404).json({
@@ -310,7 +417,53 @@ router.patch('/:id/grade', teacherOnly, [
       });
     }
 
-    const { score, feedback } = req.body;
+    // İade edilen teslimde öğrencinin yeniden teslimi beklenir; notlandırma bu hakkı sessizce kapatmasın
+    if (submission.status === 'returned') {
+      return res.status(409).json({
+        success: false,
+        message: 'İade edilen teslim notlandırılamaz; öğrencinin yeniden teslimini bekleyin'
+      });
+    }
+
+    const { feedback } = req.body;
+    let { score } = req.body;
+    let rubricScores = [];
+    const previousGrade = {
+      score: submission.score,
+      rawScore: submission.rawScore,
+      latePenalty: submission.latePenalty,
+      rubricScores: submission.rubricScores,
+      feedback: submission.feedback,
+      status: submission.status
+    };
+
+    // Rubrikli ödevde puan ölçüt puanlarından hesaplanır
+    const { rubric } = submission.assignment;
+    if (rubric) {
+      if (!req.body.rubricScores) {
+        return res.status(400).json({
+          success: false,
+          message: 'Bu ödev rubrikle notlandırılır, ölçüt puanlarını (rubricScores) gönderin'
+        });
+      }
+
+      try {
+        ({ rubricScores, total: score } = scoreRubric(rubric, req.body.rubricScores));
+      } catch (error) {
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    } else if (req.body.rubricScores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bu ödeve rubrik eklenmemiş'
+      });
+    }
 
     // Puan kontrolleri
     if (score < 0) {
@@ -327,9 +480,19 @@ router.patch('/:id/grade', teacherOnly, [
       });
     }
 
+    // Geç teslim kesintisi; score kesinti sonrası, rawScore kesinti öncesi puandır
+    const graded = gradeWithLatePenalty(submission.assignment, submission, score, {
+      override: req.body.latePenaltyPercent,
+      reason: req.body.latePenaltyReason,
+      userId: req.user._id
+    });
+
     // Notlandır
     submission = await Submission.findByIdAndUpdate(req.params.id, {
-      score,
+      score: graded.score,
+      rawScore: graded.rawScore,
+      latePenalty: graded.latePenalty,
+      rubricScores,
       feedback,
       status: 'graded',
       gradedAt: new Date(),
@@ -341,6 +504,22 @@ router.patch('/:id/grade', teacherOnly, [
       .populate('assignment', 'title subject maxScore')
       .populate('gradedBy', 'name surname');
 
+    await recordAudit(req, {
+      action: 'submission.grade',
+      targetType: 'Submission',
+      targetId: submission._id,
+      before: previousGrade,
+      after: {
+        score: submission.score,
+        rawScore: submission.rawScore,
+        latePenalty: submission.latePenalty,
+        rubricScores: submission.rubricScores,
+        feedback: submission.feedback,
+        status: submission.status
+      },
+      metadata: { student: submission.student && submission.student._id }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Teslim başarıyla notlandırıldı',
@@ -351,13 +530,256 @@ router.patch('/:id/grade', teacherOnly, [
   }
 });
 
+// @desc    Notlandırılmış teslimin geç teslim kesintisini değiştir (Öğretmen)
+// @route   PATCH /api/submissions/:id/late-penalty
+// @access  Özel (grades:publish)
+// latePenaltyPercent gönderilmezse kesinti ödevin politikasından yeniden hesaplanır
+router.patch('/:id/late-penalty', protect, requirePermission('grades:publish'), latePenaltyRules, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('assignment', 'teacher dueDate dueDateOverrides latePolicy allowLateSubmission');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teslim bulunamadı'
+      });
+    }
+
+    if (req.user.userType === 'teacher' && submission.assignment.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Bu teslimi notlandırma yetkiniz yok'
+      });
+    }
+
+    if (submission.score === undefined || !submission.gradedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kesinti sadece notlandırılmış teslimlerde değiştirilebilir'
+      });
+    }
+
+    const before = { score: submission.score, rawScore: submission.rawScore, latePenalty: submission.latePenalty };
+
+    // Politika öncesi notlandırılmış teslimlerde ham puan güncel puandır
+    const graded = gradeWithLatePenalty(submission.assignment, submission, submission.rawScore !== undefined ? submission.rawScore : submission.score, {
+      override: req.body.latePenaltyPercent,
+      reason: req.body.latePenaltyReason,
+      userId: req.user._id
+    });
+    Object.assign(submission, graded);
+    await submission.save();
+
+    await recordAudit(req, {
+      action: 'submission.late-penalty',
+      targetType: 'Submission',
+      targetId: submission._id,
+      before,
+      after: { score: submission.score, rawScore: submission.rawScore, latePenalty: submission.latePenalty },
+      metadata: { student: submission.student }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Geç teslim kesintisi güncellendi',
+      submission
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Notlandırılmış teslimi yorum ve yeni son tarihle öğrenciye iade et
+// @route   POST /api/submissions/:id/return
+// @access  Özel (grades:publish)
+router.post('/:id/return', protect, requirePermission('grades:publish'), [
+  body('comment', 'İade açıklaması gereklidir')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('İade açıklaması 1000 karakterden fazla olamaz'),
+  body('resubmissionDeadline', 'Yeniden teslim tarihi gereklidir')
+    .isISO8601()
+    .withMessage('Geçerli bir tarih giriniz')
+    .toDate()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Girilen bilgilerde hata var',
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('assignment', 'teacher maxAttempts');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teslim bulunamadı'
+      });
+    }
+
+    // Öğretmen sadece kendi ödevlerine ait teslimleri iade edebilir
+    if (req.user.userType === 'teacher' && submission.assignment.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Bu teslimi iade etme yetkiniz yok'
+      });
+    }
+
+    try {
+      returnSubmission(submission, submission.assignment, {
+        comment: req.body.comment,
+        deadline: req.body.resubmissionDeadline,
+        userId: req.user._id
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    await submission.save();
+
+    await recordAudit(req, {
+      action: 'submission.return',
+      targetType: 'Submission',
+      targetId: submission._id,
+      after: {
+        attempt: submission.attempt,
+        returnComment: submission.returnComment,
+        resubmissionDeadline: submission.resubmissionDeadline
+      },
+      metadata: { student: submission.student }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Teslim öğrenciye iade edildi',
+      submission
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Teslimin tüm denemeleri (önceki versiyonlar ve güncel deneme)
+// @route   GET /api/submissions/:id/versions
+// @access  Öğretmen, Admin ve ilgili öğrenci
+router.get('/:id/versions', protect, async (req, res, next) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('student', 'name surname studentNumber')
+      .populate('assignment', 'title subject teacher maxAttempts')
+      .populate('versions.gradedBy versions.returnedBy gradedBy returnedBy', 'name surname');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teslim bulunamadı'
+      });
+    }
+
+    if (!canViewSubmission(req, submission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Bu teslimi görme yetkiniz yok'
+      });
+    }
+
+    const versions = [...submission.versions.map(version => version.toObject()), findVersion(submission, submission.attempt)];
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: {
+        assignment: submission.assignment,
+        student: submission.student,
+        status: submission.status,
+        maxAttempts: submission.assignment.maxAttempts,
+        resubmissionDeadline: submission.resubmissionDeadline,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    İki deneme arasındaki fark (içerik satırları ve dosyalar)
+// @route   GET /api/submissions/:id/diff?from=1&to=2
+// @access  Öğretmen, Admin ve ilgili öğrenci
+// Varsayılan: bir önceki deneme ile güncel deneme
+router.get('/:id/diff', protect, async (req, res, next) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('assignment', 'teacher');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teslim bulunamadı'
+      });
+    }
+
+    if (!canViewSubmission(req, submission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Bu teslimi görme yetkiniz yok'
+      });
+    }
+
+    const to = parseInt(req.query.to) || submission.attempt;
+    const from = parseInt(req.query.from) || to - 1;
+    const before = findVersion(submission, from);
+    const after = findVersion(submission, to);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: `Karşılaştırılacak deneme bulunamadı (1-${submission.attempt})`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        content: diffLines(before.content, after.content),
+        files: diffFiles(before.files, after.files),
+        score: { from: before.score, to: after.score }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Ödev teslimini sil
 // @route   DELETE /api/submissions/:id
 // @access  Öğrenci (kendi teslimi) ve Öğretmen/Admin
-router.delete('/:id', verifyToken, async (req, res, next) => {
+router.delete('/:id', protect, async (req, res, next) => {
   try {
     let submission = await Submission.findById(req.params.id)
-      .populate('assignment', 'teacher dueDate');
+      .populate('assignment', 'teacher dueDate dueDateOverrides');
 
     if (!submission) {
       return res.status(404).json({
@@ -367,19 +789,17 @@ router.delete('/:id', verifyToken, async (req, res, next) => {
     }
 
     // Yetki kontrolü
-    const isTeacher = req.user.userType === 'teacher' && submission.assignment.teacher.toString() === req.user._id.toString();
-    const isAdmin = req.user.userType === 'admin';
     const isStudent = req.user.userType === 'student' && submission.student.toString() === req.user._id.toString();
 
-    if (!isTeacher && !isAdmin && !isStudent) {
+    if (!canViewSubmission(req, submission)) {
       return res.status(403).json({
         success: false,
         message: 'Bu teslimi silme yetkiniz yok'
       });
     }
 
-    // Öğrenci kendi teslimini sadece teslim tarihi geçmemişse silebilir
-    if (isStudent && new Date() > new Date(submission.assignment.dueDate)) {
+    // Öğrenci kendi teslimini sadece teslim tarihi (ek süre dahil) geçmemişse silebilir
+    if (isStudent && new Date() > submission.assignment.getDueDateFor(submission.student)) {
       return res.status(400).json({
         success: false,
         message: 'Teslim tarihi geçtiği için silme yapamazsınız'
@@ -388,6 +808,13 @@ router.delete('/:id', verifyToken, async (req, res, next) => {
 
     await Submission.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'submission.delete',
+      targetType: 'Submission',
+      targetId: submission._id,
+      before: submission
+    });
+
     res.status(200).json({
       success: true,
       message: 'Teslim başarıyla silindi'
@@ -2,8 +2,11 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { sendTokenResponse } = require('../utils/jwtHelper');
-const { verifyToken, teacherOnly } = require('../middleware/verifyToken');
+const { sendTokenResponse, clearAuthCookies, logoutSession, revokeAllSessions } = require('../utils/jwtHelper');
+const { getLoginChallenge } = require('../utils/twoFactor');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loginThrottle, byEmail, byStudentNumber } = require('../middleware/loginThrottle');
+const { uniqueConflictMessage } = require('../utils/recycleBin');
 
 const router = express.Router();
 
@@ -41,11 +44,11 @@ router.post('/register', [
     const department = uzmanlikAlani;
 
     // Öğretmenin var olup olmadığını kontrol et
-    const existingUser = await User.findOne({ email });
+    const existingUser = await User.findOne({ email }).withDeleted();
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'Bu e-posta adresi zaten kullanılıyor'
+        message: uniqueConflictMessage(existingUser, 'Bu e-posta adresi zaten kullanılıyor')
       });
     }
 
@@ -68,7 +71,7 @@ router.post('/register', [
     await user.save();
 
     // Token yanıtı gönder
-    sendTokenResponse(user, 201, res, 'teacher');
+    await sendTokenResponse(user, 201, res, 'teacher');
     
   } catch (error) {
     if (error.code === 11000) {
@@ -90,7 +93,7 @@ router.post('/register', [
 router.post('/login', [
   body('email', 'Geçerli bir e-posta adresi giriniz').isEmail().normalizeEmail(),
   body('password', 'Şifre gereklidir').notEmpty()
-], async (req, res, next) => {
+], loginThrottle(byEmail('user')), async (req, res, next) => {
   try {
     // Doğrulama hatalarını kontrol et
     const errors = validationResult(req);
@@ -137,12 +140,26 @@ router.post('/login', [
       });
     }
 
+    const userType = user.userType || user.role || 'teacher';
+
+    // İki adımlı doğrulama gerekiyorsa oturum açmadan önce kod iste
+    const challenge = await getLoginChallenge(user, userType);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        message: challenge.enrollmentRequired
+          ? 'Hesabınız için iki adımlı doğrulama kurulumu zorunludur'
+          : 'İki adımlı doğrulama kodu gerekli',
+        data: challenge
+      });
+    }
+
     // Son giriş tarihini güncelle
     user.lastLogin = new Date();
     await user.save();
 
     // Token yanıtı gönder
-    sendTokenResponse(user, 200, res, user.userType || user.role || 'teacher');
+    await sendTokenResponse(user, 200, res, userType);
     
   } catch (error) {
     next(error);
@@ -155,7 +172,7 @@ router.post('/login', [
 router.post('/student-login', [
   body('studentNumber', 'Öğrenci numarası gereklidir').notEmpty(),
   body('sifre', 'Şifre gereklidir').notEmpty()
-], async (req, res, next) => {
+], loginThrottle(byStudentNumber()), async (req, res, next) => {
   try {
     // Doğrulama hatalarını kontrol et
     const errors = validationResult(req);
@@ -197,19 +214,12 @@ router.post('/student-login', [
       });
     }
 
-    // Student objesini User formatına dönüştür
-    const studentData = {
-      _id: student._id,
-      name: student.name,
-      surname: student.surname,
-      studentNumber: student.studentNumber,
-      class: student.class,
-      userType: 'student',
-      isActive: student.isActive
-    };
+    // Son giriş tarihini güncelle
+    student.lastLogin = new Date();
+    await student.save();
 
-    // Token yanıtı gönder
-    sendTokenResponse(studentData, 200, res, 'student');
+    // Token yanıtı gönder (mustChangePassword dahil öğrenci alanları belgeden okunur)
+    await sendTokenResponse(student, 200, res, 'student');
     
   } catch (error) {
     console.error('Student login error:', error);
@@ -222,8 +232,8 @@ router.post('/student-login', [
 
 // @desc    Mevcut giriş yapmış öğretmeni getir
 // @route   GET /api/auth/teacher/me
-// @access  Özel (Sadece öğretmen)
-router.get('/me', teacherOnly, async (req, res, next) => {
+// @access  Özel (portal:teacher)
+router.get('/me', protect, requirePermission('portal:teacher'), async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id)
       .populate('students', 'name surname studentNumber class isActive')
@@ -264,8 +274,8 @@ router.get('/me', teacherOnly, async (req, res, next) => {
 
 // @desc    Şifre güncelle
 // @route   PUT /api/auth/teacher/updatepassword
-// @access  Özel (Sadece öğretmen)
-router.put('/updatepassword', teacherOnly, [
+// @access  Özel (portal:teacher)
+router.put('/updatepassword', protect, requirePermission('portal:teacher'), [
   body('oldPassword', 'Mevcut şifre gereklidir').notEmpty(),
   body('newPassword', 'Yeni şifre en az 6 karakter olmalıdır').isLength({ min: 6 })
 ], async (req, res, next) => {
@@ -298,8 +308,11 @@ router.put('/updatepassword', teacherOnly, [
     user.password = newPassword;
     await user.save();
 
+    // Eski şifreyle açılmış tüm oturumları sonlandır; bu istek için yeni oturum açılır
+    await revokeAllSessions(user._id, 'password_changed');
+
     // Token yanıtı gönder
-    sendTokenResponse(user, 200, res, user.role);
+    await sendTokenResponse(user, 200, res, user.userType);
     
   } catch (error) {
     next(error);
@@ -309,16 +322,18 @@ router.put('/updatepassword', teacherOnly, [
 // @desc    Çıkış yap
 // @route   POST /api/auth/teacher/logout
 // @access  Özel
-router.post('/logout', verifyToken, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-
-  res.status(200).json({
-    success: true,
-    message: 'Başarıyla çıkış yapıldı'
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await logoutSession(req);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Başarıyla çıkış yapıldı'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -1,10 +1,13 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { verifyToken, teacherOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateStudent, validateLatePolicy } = require('../middleware/validation');
+const { uploadImport, handleMulterError } = require('../middleware/upload');
 const {
   getDashboard,
   getMyStudents,
   addStudent,
+  importStudents,
   updateStudent,
   deleteStudent,
   addGradeToStudent,
@@ -14,65 +17,50 @@ const {
   updateAssignment,
   assignToStudents
 } = require('../controllers/teacherController');
+const { inviteGuardian, getStudentGuardians } = require('../controllers/guardianController');
+const { getMyTimetable, exportMyTimetable } = require('../controllers/timetableController');
 
 const router = express.Router();
 
-router.use(verifyToken);
-router.use(teacherOnly);
+router.use(protect);
+router.use(requirePermission('portal:teacher'));
 
 // @desc    Öğretmen dashboard'u
 // @route   GET /api/teacher/dashboard
-// @access  Özel (Teacher/Admin)
+// @access  Özel (portal:teacher)
 router.get('/dashboard', getDashboard);
 
+// @desc    Öğretmenin haftalık ders programı (güncel eğitim yılı)
+// @route   GET /api/teacher/timetable
+// @access  Özel (portal:teacher)
+router.get('/timetable', getMyTimetable);
+
+// @desc    Haftalık ders programını iCalendar olarak indir
+// @route   GET /api/teacher/timetable/ical
+// @access  Özel (portal:teacher)
+router.get('/timetable/ical', exportMyTimetable);
+
 // ============ ÖĞRENCİ YÖNETİMİ ============
 
 // @desc    Öğretmene bağlı öğrencileri getir
 // @route   GET /api/teacher/students
-// @access  Özel (Teacher/Admin)
-router.get('/students', getMyStudents);
+// @access  Özel (students:read)
+router.get('/students', requirePermission('students:read'), getMyStudents);
 
 // @desc    Yeni öğrenci ekle
 // @route   POST /api/teacher/students
-// @access  Özel (Teacher/Admin)
-router.post('/students', [
-  body('name', 'İsim gereklidir').notEmpty().trim().escape(),
-  body('surname', 'Soyisim gereklidir').notEmpty().trim().escape(),
-  body('studentNumber', 'Öğrenci numarası gereklidir')
-    .notEmpty()
-    .trim()
-    .matches(/^[0-9]+$/)
-    .withMessage('Öğrenci numarası sadece rakam içermelidir'),
-  body('password', 'Şifre en az 6 karakter olmalıdır').isLength({ min: 6 }),
-  body('class', 'Sınıf bilgisi gereklidir').notEmpty().trim().escape(),
-  body('email')
-    .optional()
-    .isEmail()
-    .withMessage('Geçerli bir e-posta adresi giriniz')
-    .normalizeEmail(),
-  body('phone')
-    .optional()
-    .matches(/^[0-9]{10,11}$/)
-    .withMessage('Geçerli bir telefon numarası giriniz'),
-  body('address').optional().trim().escape(),
-  body('birthDate').optional().isISO8601().toDate(),
-  body('parentInfo.motherName').optional().trim().escape(),
-  body('parentInfo.fatherName').optional().trim().escape(),
-  body('parentInfo.parentPhone')
-    .optional()
-    .matches(/^[0-9]{10,11}$/)
-    .withMessage('Geçerli bir veli telefon numarası giriniz'),
-  body('parentInfo.parentEmail')
-    .optional()
-    .isEmail()
-    .withMessage('Geçerli bir veli e-posta adresi giriniz')
-    .normalizeEmail()
-], addStudent);
+// @access  Özel (students:write)
+router.post('/students', requirePermission('students:write'), validateStudent, addStudent);
+
+// @desc    CSV/XLSX dosyasından toplu öğrenci içe aktar (dry-run raporu veya kayıt)
+// @route   POST /api/teacher/students/import
+// @access  Özel (students:write)
+router.post('/students/import', requirePermission('students:write'), uploadImport.single('file'), handleMulterError, importStudents);
 
 // @desc    Öğrenci bilgilerini güncelle
 // @route   PUT /api/teacher/students/:id
-// @access  Özel (Teacher/Admin)
-router.put('/students/:id', [
+// @access  Özel (students:write)
+router.put('/students/:id', requirePermission('students:write'), [
   body('name').optional().trim().escape(),
   body('surname').optional().trim().escape(),
   body('email')
@@ -85,26 +73,39 @@ router.put('/students/:id', [
     .matches(/^[0-9]{10,11}$/)
     .withMessage('Geçerli bir telefon numarası giriniz'),
   body('class').optional().trim().escape(),
+  body('classroom').optional().isMongoId().withMessage('Geçersiz sınıf ID formatı'),
   body('address').optional().trim().escape(),
   body('isActive').optional().isBoolean()
 ], updateStudent);
 
 // @desc    Öğrenci sil
 // @route   DELETE /api/teacher/students/:id
-// @access  Özel (Teacher/Admin)
-router.delete('/students/:id', deleteStudent);
+// @access  Özel (students:delete)
+router.delete('/students/:id', requirePermission('students:delete'), deleteStudent);
+
+// ============ VELİ YÖNETİMİ ============
+
+// @desc    Öğrencinin velilerini ve bekleyen daveti getir
+// @route   GET /api/teacher/students/:id/guardians
+// @access  Özel (students:read)
+router.get('/students/:id/guardians', requirePermission('students:read'), getStudentGuardians);
+
+// @desc    Öğrencinin veli e-postasına portal daveti gönder
+// @route   POST /api/teacher/students/:id/guardian-invitation
+// @access  Özel (guardians:invite)
+router.post('/students/:id/guardian-invitation', requirePermission('guardians:invite'), inviteGuardian);
 
 // ============ NOT YÖNETİMİ ============
 
 // @desc    Öğrencinin notlarını getir
 // @route   GET /api/teacher/students/:id/grades
-// @access  Özel (Teacher/Admin)
-router.get('/students/:id/grades', getStudentGrades);
+// @access  Özel (grades:read)
+router.get('/students/:id/grades', requirePermission('grades:read'), getStudentGrades);
 
 // @desc    Öğrenciye not ver
 // @route   POST /api/teacher/students/:id/grades
-// @access  Özel (Teacher/Admin)
-router.post('/students/:id/grades', [
+// @access  Özel (grades:publish)
+router.post('/students/:id/grades', requirePermission('grades:publish'), [
   body('ders', 'Ders adı gereklidir').notEmpty().trim().escape(),
   body('not', 'Not değeri gereklidir')
     .isNumeric()
@@ -127,13 +128,13 @@ router.post('/students/:id/grades', [
 
 // @desc    Öğretmenin ödevlerini getir
 // @route   GET /api/teacher/assignments
-// @access  Özel (Teacher/Admin)
-router.get('/assignments', getMyAssignments);
+// @access  Özel (assignments:read)
+router.get('/assignments', requirePermission('assignments:read'), getMyAssignments);
 
 // @desc    Yeni ödev oluştur
 // @route   POST /api/teacher/assignments
-// @access  Özel (Teacher/Admin)
-router.post('/assignments', [
+// @access  Özel (assignments:write)
+router.post('/assignments', requirePermission('assignments:write'), [
   body('title', 'Ödev başlığı gereklidir')
     .notEmpty()
     .trim()
@@ -152,7 +153,12 @@ router.post('/assignments', [
     .isLength({ max: 50 })
     .withMessage('Ders adı 50 karakterden fazla olamaz')
     .escape(),
-  body('class', 'Sınıf bilgisi gereklidir').notEmpty().trim().escape(),
+  body('classroom').optional().isMongoId().withMessage('Geçersiz sınıf ID formatı'),
+  body('class', 'Sınıf bilgisi gereklidir')
+    .if((value, { req }) => !req.body.classroom)
+    .notEmpty()
+    .trim()
+    .escape(),
   body('dueDate', 'Teslim tarihi gereklidir')
     .isISO8601()
     .withMessage('Geçerli bir tarih giriniz')
@@ -176,6 +182,12 @@ router.post('/assignments', [
     .isInt({ min: 1 })
     .withMessage('Maksimum puan en az 1 olmalıdır'),
   body('allowLateSubmission').optional().isBoolean(),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Deneme hakkı 1-10 arasında olmalıdır')
+    .toInt(),
+  ...validateLatePolicy,
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
@@ -197,8 +209,8 @@ router.post('/assignments', [
 
 // @desc    Ödev güncelle
 // @route   PUT /api/teacher/assignments/:id
-// @access  Özel (Teacher/Admin)
-router.put('/assignments/:id', [
+// @access  Özel (assignments:write)
+router.put('/assignments/:id', requirePermission('assignments:write'), [
   body('title')
     .optional()
     .trim()
@@ -229,6 +241,12 @@ router.put('/assignments/:id', [
     .isInt({ min: 1 })
     .withMessage('Maksimum puan en az 1 olmalıdır'),
   body('allowLateSubmission').optional().isBoolean(),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Deneme hakkı 1-10 arasında olmalıdır')
+    .toInt(),
+  ...validateLatePolicy,
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
@@ -238,8 +256,8 @@ router.put('/assignments/:id', [
 
 // @desc    Öğrencilere ödev ata
 // @route   POST /api/teacher/assignments/:id/assign
-// @access  Özel (Teacher/Admin)
-router.post('/assignments/:id/assign', [
+// @access  Özel (assignments:write)
+router.post('/assignments/:id/assign', requirePermission('assignments:write'), [
   body('studentIds', 'Öğrenci ID\'leri gereklidir')
     .isArray({ min: 1 })
     .withMessage('En az bir öğrenci seçmelisiniz')
@@ -0,0 +1,110 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission } = require('../middleware/auth');
+const TimetableSlot = require('../models/TimetableSlot');
+const {
+  createSlot,
+  updateSlot,
+  deleteSlot,
+  getConflicts,
+  getClassroomTimetable,
+  exportClassroomTimetable,
+  getTeacherTimetable,
+  getPeriods,
+  updatePeriods
+} = require('../controllers/timetableController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Ders ekleme ve güncellemede ortak kurallar (güncellemede tüm alanlar isteğe bağlı)
+const slotRules = (optional) => {
+  const field = (name, message) => (optional ? body(name).optional() : body(name, message));
+
+  return [
+    field('classroom', 'Sınıf gereklidir')
+      .isMongoId()
+      .withMessage('Geçersiz sınıf ID'),
+    field('day', 'Gün gereklidir')
+      .isIn(TimetableSlot.DAYS)
+      .withMessage('Gün 1 (Pazartesi) ile 7 (Pazar) arasında olmalıdır')
+      .toInt(),
+    field('period', 'Ders saati gereklidir')
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Ders saati 1-12 arasında olmalıdır')
+      .toInt(),
+    field('subject', 'Ders adı gereklidir')
+      .notEmpty()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Ders adı 50 karakterden fazla olamaz')
+      .escape(),
+    field('teacher', 'Öğretmen gereklidir')
+      .isMongoId()
+      .withMessage('Geçersiz öğretmen ID'),
+    body('room')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Derslik adı 30 karakterden fazla olamaz')
+      .escape()
+  ];
+};
+
+// @desc    Ders saatlerinin zamanları
+// @route   GET /api/timetable/periods
+// @access  Özel
+router.get('/periods', getPeriods);
+
+// @desc    Ders saatlerinin zamanlarını güncelle
+// @route   PUT /api/timetable/periods
+// @access  Özel (settings:manage)
+router.put('/periods', requirePermission('settings:manage'), [
+  body('periods')
+    .isArray({ min: 1, max: 12 })
+    .withMessage('Ders saatleri 1-12 elemanlı bir dizi olmalıdır'),
+  body('periods.*.start')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Başlangıç saati SS:DD biçiminde olmalıdır'),
+  body('periods.*.end')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Bitiş saati SS:DD biçiminde olmalıdır')
+], updatePeriods);
+
+// @desc    Öğretmen ve derslik çakışmaları
+// @route   GET /api/timetable/conflicts
+// @access  Özel (timetable:manage)
+router.get('/conflicts', requirePermission('timetable:manage'), getConflicts);
+
+// @desc    Sınıfın haftalık ders programı
+// @route   GET /api/timetable/classrooms/:classroomId
+// @access  Özel (classrooms:read)
+router.get('/classrooms/:classroomId', requirePermission('classrooms:read'), getClassroomTimetable);
+
+// @desc    Sınıfın ders programını iCalendar olarak indir
+// @route   GET /api/timetable/classrooms/:classroomId/ical
+// @access  Özel (classrooms:read)
+router.get('/classrooms/:classroomId/ical', requirePermission('classrooms:read'), exportClassroomTimetable);
+
+// @desc    Öğretmenin haftalık ders programı
+// @route   GET /api/timetable/teachers/:teacherId
+// @access  Özel (classrooms:read)
+router.get('/teachers/:teacherId', requirePermission('classrooms:read'), getTeacherTimetable);
+
+// @desc    Programa ders ekle (öğretmen, derslik ve sınıf çakışması 409 döner)
+// @route   POST /api/timetable
+// @access  Özel (timetable:manage)
+router.post('/', requirePermission('timetable:manage'), slotRules(false), createSlot);
+
+// @desc    Dersi güncelle
+// @route   PUT /api/timetable/:id
+// @access  Özel (timetable:manage)
+router.put('/:id', requirePermission('timetable:manage'), slotRules(true), updateSlot);
+
+// @desc    Dersi programdan kaldır
+// @route   DELETE /api/timetable/:id
+// @access  Özel (timetable:manage)
+router.delete('/:id', requirePermission('timetable:manage'), deleteSlot);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * Two-Factor Routes
+ * Öğretmen ve admin hesapları için TOTP iki adımlı doğrulama route'ları
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  getStatus,
+  setup,
+  enable,
+  verifyLogin,
+  disable,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+
+const { protect, requirePermission, protectOrMfaPending } = require('../middleware/auth');
+const { loginThrottle, byMfaToken } = require('../middleware/loginThrottle');
+
+const codeRule = body('code', 'Doğrulama kodu 6 haneli olmalıdır').isString().matches(/^\d{6}$/);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Girişin ikinci adımı
+// @access  Genel (MFA token'ı gerekli)
+router.post('/verify', [
+  // Dizi veya nesne gönderilen alanlar doğrulama yardımcılarına ulaşmadan reddedilir
+  body('mfaToken', 'Doğrulama token\'ı gereklidir').isString().notEmpty(),
+  body('code').optional().isString().withMessage('Doğrulama kodu metin olmalıdır')
+    .matches(/^\d{6}$/).withMessage('Doğrulama kodu 6 haneli olmalıdır'),
+  body('recoveryCode').optional().isString().withMessage('Kurtarma kodu metin olmalıdır').trim(),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Doğrulama kodu veya kurtarma kodu gereklidir');
+    }
+    return true;
+  })
+], loginThrottle(byMfaToken), verifyLogin);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Kurulumu başlat
+// @access  Özel (account:two-factor) veya MFA token'ı
+router.post('/setup', protectOrMfaPending, requirePermission('account:two-factor'), setup);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Kurulumu onayla
+// @access  Özel (account:two-factor) veya MFA token'ı
+router.post('/enable', protectOrMfaPending, requirePermission('account:two-factor'), [codeRule], enable);
+
+// @route   GET /api/auth/2fa/status
+// @desc    2FA durumunu getir
+// @access  Özel (account:two-factor)
+router.get('/status', protect, requirePermission('account:two-factor'), getStatus);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    2FA'yı kapat
+// @access  Özel (account:two-factor)
+router.post('/disable', protect, requirePermission('account:two-factor'), [
+  body('password', 'Şifre gereklidir').notEmpty(),
+  codeRule
+], disable);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Kurtarma kodlarını yeniden üret
+// @access  Özel (account:two-factor)
+router.post('/recovery-codes', protect, requirePermission('account:two-factor'), [codeRule], regenerateRecoveryCodes);
+
+module.exports = router;
@@ -1,14 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { verifyToken, adminOnly } = require('../middleware/verifyToken');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditSnapshot } = require('../middleware/audit');
+const { hasPermission } = require('../utils/permissions');
+const { revokeAllSessions } = require('../utils/jwtHelper');
+const { uniqueConflictMessage } = require('../utils/recycleBin');
 
 const router = express.Router();
 
 // @desc    Tüm kullanıcıları listele
 // @route   GET /api/users
-// @access  Sadece Admin
-router.get('/', adminOnly, async (req, res, next) => {
+// @access  Özel (users:read)
+router.get('/', protect, requirePermission('users:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -36,8 +40,8 @@ router.get('/', adminOnly, async (req, res, next) => {
 
 // @desc    Kullanıcı detayını getir
 // @route   GET /api/users/:id
-// @access  Özel (kendi bilgilerini görme) / Admin (hepsini görme)
-router.get('/:id', verifyToken, async (req, res, next) => {
+// @access  Özel (kendi bilgilerini görme) / users:read (hepsini görme)
+router.get('/:id', protect, async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
 
@@ -48,8 +52,8 @@ router.get('/:id', verifyToken, async (req, res, next) => {
       });
     }
 
-    // Sadece kendi bilgilerini görebilir veya admin olmalı
-    if (req.user._id.toString() !== user._id.toString() && req.user.userType !== 'admin') {
+    // Sadece kendi bilgilerini görebilir veya users:read yetkisi olmalı
+    if (req.user._id.toString() !== user._id.toString() && !hasPermission(req, 'users:read')) {
       return res.status(403).json({
         success: false,
         message: 'Bu işlem için yetkiniz yok'
@@ -67,8 +71,8 @@ router.get('/:id', verifyToken, async (req, res, next) => {
 
 // @desc    Kullanıcı güncelle
 // @route   PUT /api/users/:id
-// @access  Özel (kendi bilgilerini güncelleme) / Admin (hepsini güncelleme)
-router.put('/:id', verifyToken, [
+// @access  Özel (kendi bilgilerini güncelleme) / users:write (hepsini güncelleme)
+router.put('/:id', protect, auditSnapshot(User), [
   body('name').optional().trim().escape(),
   body('surname').optional().trim().escape(),
   body('email').optional().isEmail().normalizeEmail(),
@@ -94,8 +98,8 @@ router.put('/:id', verifyToken, [
       });
     }
 
-    // Sadece kendi bilgilerini güncelleyebilir veya admin olmalı
-    if (req.user._id.toString() !== user._id.toString() && req.user.userType !== 'admin') {
+    // Sadece kendi bilgilerini güncelleyebilir veya users:write yetkisi olmalı
+    if (req.user._id.toString() !== user._id.toString() && !hasPermission(req, 'users:write')) {
       return res.status(403).json({
         success: false,
         message: 'Bu işlem için yetkiniz yok'
@@ -106,11 +110,11 @@ router.put('/:id', verifyToken, [
 
     // Email değiştiriliyorsa, başka kullanıcıda aynı email var mı kontrol et
     if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email });
+      const existingUser = await User.findOne({ email }).withDeleted();
       if (existingUser) {
         return res.status(400).json({
           success: false,
-          message: 'Bu email adresi zaten kullanılıyor'
+          message: uniqueConflictMessage(existingUser, 'Bu email adresi zaten kullanılıyor')
         });
       }
     }
@@ -123,8 +127,8 @@ router.put('/:id', verifyToken, [
     if (phone) updateData.phone = phone;
     if (department) updateData.department = department;
     
-    // Sadece admin isActive durumunu değiştirebilir
-    if (req.user.userType === 'admin' && typeof isActive !== 'undefined') {
+    // Sadece users:write yetkisi olan isActive durumunu değiştirebilir
+    if (hasPermission(req, 'users:write') && typeof isActive !== 'undefined') {
       updateData.isActive = isActive;
     }
 
@@ -133,6 +137,11 @@ router.put('/:id', verifyToken, [
       runValidators: true
     }).select('-password');
 
+    // Deaktif edilen kullanıcının tüm oturumlarını sonlandır
+    if (updateData.isActive !== undefined && !user.isActive) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'Kullanıcı başarıyla güncellendi',
@@ -145,8 +154,8 @@ router.put('/:id', verifyToken, [
 
 // @desc    Kullanıcı sil
 // @route   DELETE /api/users/:id
-// @access  Sadece Admin
-router.delete('/:id', adminOnly, async (req, res, next) => {
+// @access  Özel (users:delete)
+router.delete('/:id', protect, requirePermission('users:delete'), auditSnapshot(User), async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -165,11 +174,12 @@ router.delete('/:id', adminOnly, async (req, res, next) => {
       });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    // Kullanıcı geri dönüşüm kutusuna taşınır, saklama süresi sonunda kalıcı silinir
+    await user.softDelete(req.user._id);
 
     res.status(200).json({
       success: true,
-      message: 'Kullanıcı başarıyla silindi'
+      message: 'Kullanıcı geri dönüşüm kutusuna taşındı'
     });
   } catch (error) {
     next(error);
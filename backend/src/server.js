@@ -1,5 +1,7 @@
 // Ana Express uygulamasını import et
 const app = require('../app');
+const { scheduleRecycleBinPurge } = require('./utils/recycleBin');
+const { checkMailerConfig } = require('./utils/mailer');
 
 const PORT = process.env.PORT || 5000;
 
@@ -7,6 +9,12 @@ const server = app.listen(PORT, () => {
   console.log(`Server ${process.env.NODE_ENV} modunda ${PORT} portunda çalışıyor`);
 });
 
+// Production'da SMTP yapılandırılmamışsa açılışta uyar
+checkMailerConfig();
+
+// Saklama süresi dolan silinmiş kayıtları açılışta ve günlük olarak temizle
+scheduleRecycleBinPurge();
+
 // İşlenmemiş promise redlerini yakala
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Hata: ${err.message}`);
@@ -0,0 +1,191 @@
+/**
+ * Yoklama Yardımcıları
+ * Devamsızlık politikası, dönem hesabı ve öğrenci bazında devamsızlık toplamları.
+ * Devamsızlık gün olarak sayılır: bir günde en az bir derse "absent" işaretlenen öğrenci o gün
+ * özürsüz devamsız, sadece "excused"/"medical" işaretlenen öğrenci özürlü devamsız sayılır.
+ */
+
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Classroom = require('../models/Classroom');
+const Setting = require('../models/Setting');
+const { ACADEMIC_YEAR_START_MONTH, getCurrentAcademicYear } = require('./classrooms');
+
+const ATTENDANCE_POLICY_KEY = 'attendance.policy';
+
+// Setting kaydı yoksa kullanılan varsayılanlar
+const DEFAULT_POLICY = {
+  // Özürsüz devamsızlık sınırı (gün)
+  maxUnexcusedDays: parseInt(process.env.ATTENDANCE_MAX_UNEXCUSED_DAYS) || 10,
+  // Bu güne ulaşan öğrenciler için uyarı verilir
+  warningDays: parseInt(process.env.ATTENDANCE_WARNING_DAYS) || 8,
+  // İkinci dönemin başladığı gün (AA-GG)
+  secondTermStart: process.env.ATTENDANCE_SECOND_TERM_START || '02-01'
+};
+
+const getAttendancePolicy = async () => ({
+  ...DEFAULT_POLICY,
+  ...(await Setting.getValue(ATTENDANCE_POLICY_KEY, {}))
+});
+
+// "2024-09-16" -> o günün UTC başlangıcı, geçersizse null
+const parseAttendanceDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Tarihin eğitim yılındaki dönemi (1 veya 2)
+const termForDate = (date, policy) => {
+  const month = date.getUTCMonth() + 1;
+  if (month >= ACADEMIC_YEAR_START_MONTH) {
+    return 1;
+  }
+  return date.toISOString().slice(5, 10) >= policy.secondTermStart ? 2 : 1;
+};
+
+const emptyTotals = () => ({
+  periods: { present: 0, absent: 0, late: 0, excused: 0, medical: 0 },
+  unexcusedDays: 0,
+  excusedDays: 0
+});
+
+// Bir günün ders saati sayılarını toplamlara ekle
+const addDay = (totals, day) => {
+  Object.keys(totals.periods).forEach(status => {
+    totals.periods[status] += day[status];
+  });
+
+  if (day.absent > 0) {
+    totals.unexcusedDays++;
+  } else if (day.excused + day.medical > 0) {
+    totals.excusedDays++;
+  }
+};
+
+// Özürsüz devamsızlık uyarı seviyesi: null, 'warning' (sınıra yaklaştı) veya 'limit' (sınır aşıldı)
+const warningLevel = (unexcusedDays, policy) => {
+  if (unexcusedDays >= policy.maxUnexcusedDays) {
+    return 'limit';
+  }
+  if (unexcusedDays >= policy.warningDays) {
+    return 'warning';
+  }
+  return null;
+};
+
+// Öğrencilerin devamsızlık toplamları (yıl geneli ve dönem bazında)
+// Dönüş: Map<studentId, { total, terms: { 1, 2 }, warning }>
+const getAttendanceTotals = async (ids, { academicYear, term } = {}) => {
+  // Aggregate sorguları ID'leri otomatik dönüştürmez
+  const studentIds = ids.map(id => new mongoose.Types.ObjectId(id));
+  const policy = await getAttendancePolicy();
+  const match = { 'records.student': { $in: studentIds } };
+  if (academicYear) {
+    match.academicYear = academicYear;
+  }
+  if (term) {
+    match.term = term;
+  }
+
+  const countStatus = status => ({ $sum: { $cond: [{ $eq: ['$records.status', status] }, 1, 0] } });
+
+  // Öğrenci + gün bazında ders saati sayıları
+  const days = await Attendance.aggregate([
+    { $match: match },
+    { $unwind: '$records' },
+    { $match: { 'records.student': { $in: studentIds } } },
+    {
+      $group: {
+        _id: { student: '$records.student', date: '$date', term: '$term' },
+        present: countStatus('present'),
+        absent: countStatus('absent'),
+        late: countStatus('late'),
+        excused: countStatus('excused'),
+        medical: countStatus('medical')
+      }
+    }
+  ]);
+
+  const totals = new Map(studentIds.map(id => [id.toString(), {
+    total: emptyTotals(),
+    terms: { 1: emptyTotals(), 2: emptyTotals() }
+  }]));
+
+  days.forEach(day => {
+    const entry = totals.get(day._id.student.toString());
+    addDay(entry.total, day);
+    addDay(entry.terms[day._id.term], day);
+  });
+
+  totals.forEach(entry => {
+    entry.warning = warningLevel(entry.total.unexcusedDays, policy);
+  });
+
+  return totals;
+};
+
+// Öğrencinin devamsızlıklarının gösterileceği eğitim yılı: kayıtlı olduğu sınıfın yılı, yoksa güncel yıl
+const getStudentAcademicYear = async (student) => {
+  if (student.classroom) {
+    const classroom = await Classroom.findById(student.classroom).select('academicYear');
+    if (classroom) {
+      return classroom.academicYear;
+    }
+  }
+  return getCurrentAcademicYear();
+};
+
+// Öğrenci veya veli paneli için tek öğrencinin devamsızlık özeti
+const getStudentAttendanceSummary = async (id, academicYear) => {
+  const studentId = new mongoose.Types.ObjectId(id);
+  const [policy, totals, recent] = await Promise.all([
+    getAttendancePolicy(),
+    getAttendanceTotals([studentId], { academicYear }),
+    // Son devamsızlık kayıtları (derse katıldığı saatler hariç)
+    Attendance.aggregate([
+      { $match: { academicYear, 'records.student': studentId } },
+      { $unwind: '$records' },
+      { $match: { 'records.student': studentId, 'records.status': { $ne: 'present' } } },
+      { $sort: { date: -1, period: -1 } },
+      { $limit: 20 },
+      {
+        $project: {
+          _id: 0,
+          date: 1,
+          period: 1,
+          subject: 1,
+          term: 1,
+          status: '$records.status',
+          note: '$records.note'
+        }
+      }
+    ])
+  ]);
+
+  const entry = totals.get(studentId.toString());
+
+  return {
+    academicYear,
+    policy: {
+      maxUnexcusedDays: policy.maxUnexcusedDays,
+      warningDays: policy.warningDays
+    },
+    ...entry,
+    remainingUnexcusedDays: Math.max(0, policy.maxUnexcusedDays - entry.total.unexcusedDays),
+    recent
+  };
+};
+
+module.exports = {
+  ATTENDANCE_POLICY_KEY,
+  DEFAULT_POLICY,
+  getAttendancePolicy,
+  parseAttendanceDate,
+  termForDate,
+  getAttendanceTotals,
+  getStudentAcademicYear,
+  getStudentAttendanceSummary
+};
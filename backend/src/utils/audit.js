@@ -0,0 +1,84 @@
+/**
+ * Denetim Kaydı Yardımcıları
+ * Yetkili işlemleri kim, ne zaman, neyi, nasıl değiştirdi bilgisiyle AuditLog'a yazar
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { getUserModelName } = require('./jwtHelper');
+
+// Denetim kaydına asla yazılmayacak alanlar
+const SENSITIVE_FIELDS = ['password', 'sifre', 'twoFactor', '__v'];
+
+// Mongoose dokümanını düz nesneye çevir ve hassas alanları çıkar
+const toPlain = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  const plain = typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true, virtuals: false })
+    : { ...value };
+
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+// İki durum arasında sadece değişen alanları döndür
+const buildDiff = (before, after) => {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const diff = { before: {}, after: {} };
+
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  keys.forEach(key => {
+    if (key === 'updatedAt') return;
+
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      diff.before[key] = previous[key];
+      diff.after[key] = next[key];
+    }
+  });
+
+  return diff;
+};
+
+// İşlemi denetim kaydına yaz
+// Kayıt hatası asıl işlemi bozmamalı, sadece loglanır
+const recordAudit = async (req, { action, targetType, targetId, before, after, metadata, statusCode }) => {
+  req.auditRecorded = true;
+
+  const entry = {
+    action,
+    targetType,
+    targetId: targetId ? targetId.toString() : undefined,
+    metadata,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+
+  if (req.user) {
+    entry.actor = req.user._id;
+    entry.actorRole = req.user.userType;
+    entry.actorModel = getUserModelName(req.user.userType);
+  }
+
+  if (before !== undefined || after !== undefined) {
+    entry.changes = buildDiff(before, after);
+  }
+
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Denetim kaydı yazılamadı:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  buildDiff,
+  recordAudit
+};
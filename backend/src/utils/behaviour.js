@@ -0,0 +1,164 @@
+/**
+ * Davranış Kayıtları Yardımcıları
+ * Veli bildirimi, öğrenci bazında puan toplamları, sınıf sıralaması ve not + davranış zaman çizelgesi
+ */
+
+const mongoose = require('mongoose');
+const BehaviourEntry = require('../models/BehaviourEntry');
+const Enrollment = require('../models/Enrollment');
+const Guardian = require('../models/Guardian');
+const { sendEmail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const CATEGORY_LABELS = {
+  participation: 'Derse katılım',
+  helpfulness: 'Yardımseverlik',
+  leadership: 'Liderlik',
+  achievement: 'Başarı',
+  responsibility: 'Sorumluluk',
+  disruption: 'Dersi bölme',
+  lateness: 'Geç kalma',
+  homework: 'Ödev eksikliği',
+  respect: 'Saygısızlık',
+  conflict: 'Arkadaşlarıyla çatışma',
+  other: 'Diğer'
+};
+
+// Kaydı öğrencinin velilerine e-posta ile bildir
+// Alıcılar: öğrenciye bağlı aktif veli hesapları ve öğrenci kaydındaki veli e-postası
+// Dönüş: e-posta gönderilen adres sayısı
+const notifyGuardians = async (entry, student, teacher) => {
+  const guardians = await Guardian.find({ students: student._id, isActive: true }).select('email');
+  const emails = new Set(guardians.map(guardian => guardian.email));
+  if (student.parentInfo && student.parentInfo.parentEmail) {
+    emails.add(student.parentInfo.parentEmail);
+  }
+
+  const studentName = `${student.name} ${student.surname}`;
+  const typeLabel = entry.type === 'positive' ? 'olumlu' : 'olumsuz';
+  const category = CATEGORY_LABELS[entry.category];
+
+  for (const email of emails) {
+    await sendEmail({
+      to: email,
+      subject: `${studentName} için davranış bildirimi`,
+      text: 'Merhaba,\n\n' +
+        `${teacher.name} ${teacher.surname}, ${studentName} için ${typeLabel} bir davranış kaydı girdi.\n\n` +
+        `Kategori: ${category}\nPuan: ${entry.points}\nAçıklama: ${entry.description}`,
+      html: '<p>Merhaba,</p>' +
+        `<p>${escapeHtml(teacher.name)} ${escapeHtml(teacher.surname)}, <strong>${escapeHtml(studentName)}</strong> için ${typeLabel} bir davranış kaydı girdi.</p>` +
+        `<p>Kategori: ${category}<br>Puan: ${entry.points}<br>Açıklama: ${escapeHtml(entry.description)}</p>`
+    });
+  }
+
+  return emails.size;
+};
+
+const emptyTotals = () => ({
+  points: 0,
+  positive: 0,
+  negative: 0
+});
+
+// Öğrencilerin davranış puanı toplamları
+// Dönüş: Map<studentId, { points, positive, negative }>
+const getBehaviourTotals = async (ids, { academicYear } = {}) => {
+  // Aggregate sorguları ID'leri otomatik dönüştürmez
+  const studentIds = ids.map(id => new mongoose.Types.ObjectId(id));
+  const match = { student: { $in: studentIds } };
+  if (academicYear) {
+    match.academicYear = academicYear;
+  }
+
+  const rows = await BehaviourEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$student',
+        points: { $sum: '$points' },
+        positive: { $sum: { $cond: [{ $eq: ['$type', 'positive'] }, 1, 0] } },
+        negative: { $sum: { $cond: [{ $eq: ['$type', 'negative'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const totals = new Map(studentIds.map(id => [id.toString(), emptyTotals()]));
+  rows.forEach(({ _id, ...row }) => totals.set(_id.toString(), row));
+
+  return totals;
+};
+
+// Öğrenci paneli ve öğretmen görünümleri için tek öğrencinin davranış özeti
+const getStudentBehaviourSummary = async (studentId, academicYear, { limit = 5 } = {}) => {
+  const [totals, recent] = await Promise.all([
+    getBehaviourTotals([studentId], { academicYear }),
+    BehaviourEntry.find({ student: studentId, academicYear })
+      .select('-guardianNotification')
+      .populate('teacher', 'name surname')
+      .sort({ date: -1 })
+      .limit(limit)
+  ]);
+
+  return {
+    academicYear,
+    ...totals.get(studentId.toString()),
+    recent
+  };
+};
+
+// Sınıfa aktif kayıtlı öğrencilerin davranış puanı sıralaması
+const getClassroomLeaderboard = async (classroom) => {
+  const enrollments = await Enrollment.find({ classroom: classroom._id, status: 'active' })
+    .populate('student', 'name surname studentNumber');
+  const students = enrollments.map(enrollment => enrollment.student).filter(Boolean);
+
+  const totals = await getBehaviourTotals(students.map(student => student._id), {
+    academicYear: classroom.academicYear
+  });
+
+  const rows = students
+    .map(student => ({ student, ...totals.get(student._id.toString()) }))
+    .sort((a, b) => b.points - a.points ||
+      `${a.student.name} ${a.student.surname}`.localeCompare(`${b.student.name} ${b.student.surname}`, 'tr'));
+
+  // Eşit puanlı öğrenciler aynı sırayı paylaşır
+  rows.forEach((row, index) => {
+    row.rank = index > 0 && rows[index - 1].points === row.points ? rows[index - 1].rank : index + 1;
+  });
+
+  return rows;
+};
+
+// Notlar ve davranış kayıtlarından tarihe göre (yeniden eskiye) birleşik zaman çizelgesi
+// grades: öğretmenin görebildiği notlar (teacher alanı populate edilmiş olabilir)
+const buildTimeline = (grades, entries) => [
+  ...grades.map(grade => ({
+    kind: 'grade',
+    date: grade.date,
+    subject: grade.subject,
+    grade: grade.grade,
+    examType: grade.examType,
+    description: grade.description,
+    teacher: grade.teacher
+  })),
+  ...entries.map(entry => ({
+    kind: 'behaviour',
+    id: entry._id,
+    date: entry.date,
+    subject: entry.subject,
+    type: entry.type,
+    category: entry.category,
+    points: entry.points,
+    description: entry.description,
+    teacher: entry.teacher
+  }))
+].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+module.exports = {
+  CATEGORY_LABELS,
+  notifyGuardians,
+  getBehaviourTotals,
+  getStudentBehaviourSummary,
+  getClassroomLeaderboard,
+  buildTimeline
+};
@@ -0,0 +1,189 @@
+/**
+ * Sınıf (Classroom) Yardımcıları
+ * Serbest metin sınıf adlarını (örn. "9a", "9/A") Classroom kayıtlarına çözer ve
+ * öğrenci kayıtlarını (Enrollment) yönetir. Student.class, Assignment.class ve
+ * Announcement.targetClass alanları geriye dönük uyumluluk için sınıf adıyla senkron tutulur.
+ */
+
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Setting = require('../models/Setting');
+const { subjectKey, isRestricted } = require('./teacherAccess');
+const { httpError } = require('./httpError');
+
+// Eğitim yılının başladığı ay (1-12); Setting kaydı yoksa güncel yıl buna göre hesaplanır
+const ACADEMIC_YEAR_START_MONTH = parseInt(process.env.ACADEMIC_YEAR_START_MONTH) || 9;
+
+const ACADEMIC_YEAR_SETTING = 'academicYear.current';
+
+// Tarihe göre eğitim yılı ("2024-2025")
+const academicYearForDate = (date = new Date()) => {
+  const year = date.getFullYear();
+  const startYear = date.getMonth() + 1 >= ACADEMIC_YEAR_START_MONTH ? year : year - 1;
+  return `${startYear}-${startYear + 1}`;
+};
+
+// Güncel eğitim yılı: yönetici tarafından ayarlandıysa Setting kaydı, yoksa tarihe göre
+const getCurrentAcademicYear = async () => {
+  const value = await Setting.getValue(ACADEMIC_YEAR_SETTING);
+  return value || academicYearForDate();
+};
+
+// "2024-2025" -> "2025-2026"
+const nextAcademicYear = (academicYear) => {
+  const startYear = parseInt(academicYear.split('-')[1]);
+  return `${startYear}-${startYear + 1}`;
+};
+
+// Ödev listelerinde yıl filtresi: academicYear verilirse o yılın ödevleri,
+// verilmezse yıl devrinde arşivlenmemiş (güncel) ödevler
+const applyAcademicYearFilter = (filter, query) => {
+  if (query.academicYear) {
+    filter.academicYear = query.academicYear;
+  } else {
+    filter.archivedAt = { $exists: false };
+  }
+  return filter;
+};
+
+// Serbest metin sınıf adını standart biçime çevir ("9a" -> "9-A"), çözülemezse null
+const normalizeClassName = (value) => {
+  const parsed = Classroom.parseName(value);
+  return parsed ? Classroom.formatName(parsed.gradeLevel, parsed.section) : null;
+};
+
+// İstek gövdesindeki sınıf bilgisini Classroom kaydına çöz
+// classroom (ID) öncelikli; yoksa className güncel (veya verilen) eğitim yılında aranır.
+// create true ise tanımlı olmayan sınıf oluşturulur.
+const resolveClassroom = async ({ classroom, className }, options = {}) => {
+  const { create = false, createdBy, session, academicYear } = options;
+
+  if (classroom) {
+    if (!mongoose.Types.ObjectId.isValid(classroom)) {
+      throw httpError('Geçersiz sınıf ID formatı');
+    }
+    const found = await Classroom.findById(classroom).session(session || null);
+    if (!found) {
+      throw httpError('Sınıf bulunamadı', 404);
+    }
+    return found;
+  }
+
+  const parsed = Classroom.parseName(className);
+  if (!parsed) {
+    throw httpError('Sınıf bilgisi 9-A biçiminde olmalıdır');
+  }
+
+  const year = academicYear || await getCurrentAcademicYear();
+  const query = { academicYear: year, gradeLevel: parsed.gradeLevel, section: parsed.section };
+
+  const found = await Classroom.findOne(query).session(session || null);
+  if (found) {
+    return found;
+  }
+
+  if (!create) {
+    throw httpError(`${Classroom.formatName(parsed.gradeLevel, parsed.section)} sınıfı ${year} eğitim yılında tanımlı değil`);
+  }
+
+  const [created] = await Classroom.create([{ ...query, createdBy }], { session });
+  return created;
+};
+
+// Öğrencinin bu eğitim yılındaki aktif kaydını kapatıp yeni sınıfa kayıt aç
+// Öğrenci belgesi çağıran tarafından güncellenir (bkz. enrollStudent)
+// date: nakil tarihi (geriye dönük nakillerde eski kaydın bitişi ve yeni kaydın başlangıcı)
+const startEnrollment = async (studentId, classroom, { createdBy, session, date = new Date() } = {}) => {
+  await Enrollment.updateMany(
+    { student: studentId, academicYear: classroom.academicYear, status: 'active' },
+    { status: 'transferred', endDate: date, endedBy: createdBy },
+    { session }
+  );
+
+  const [enrollment] = await Enrollment.create([{
+    student: studentId,
+    classroom: classroom._id,
+    academicYear: classroom.academicYear,
+    startDate: date,
+    createdBy
+  }], { session });
+
+  return enrollment;
+};
+
+// Öğrenciyi sınıfa kaydet (başka sınıftaysa nakil olarak işlenir)
+// Öğrenci zaten bu sınıftaysa null döner
+const enrollStudent = async (student, classroom, options = {}) => {
+  if (student.classroom && student.classroom.toString() === classroom._id.toString()) {
+    return null;
+  }
+
+  student.classroom = classroom._id;
+  student.class = classroom.name;
+  await student.save({ session: options.session });
+
+  return startEnrollment(student._id, classroom, options);
+};
+
+// Öğrencinin sınıftaki aktif kaydını sonlandır
+const withdrawStudent = async (student, classroom, { endedBy, status = 'withdrawn', session, date = new Date() } = {}) => {
+  const result = await Enrollment.updateMany(
+    { student: student._id, classroom: classroom._id, status: 'active' },
+    { status, endDate: date, endedBy },
+    { session }
+  );
+
+  if (student.classroom && student.classroom.toString() === classroom._id.toString()) {
+    student.classroom = undefined;
+    await student.save({ session });
+  }
+
+  return result.modifiedCount;
+};
+
+// Sınıfa aktif olarak kayıtlı öğrencilerin ID'leri
+const getClassroomStudentIds = (classroomId) => Enrollment
+  .find({ classroom: classroomId, status: 'active' })
+  .distinct('student');
+
+// Sınıfa verilen ödevin hedef öğrencileri
+// Kısıtsız kullanıcılar (admin, students:all), sınıf öğretmeni ve sınıfta bu dersin öğretmeni
+// tüm kayıtlı öğrencilere atar; diğerleri sadece sorumlu veya bu derste ders öğretmeni oldukları öğrencilere
+const getClassroomTargets = async (classroom, user, subject) => {
+  const filter = { _id: { $in: await getClassroomStudentIds(classroom._id) } };
+
+  if (isRestricted(user)) {
+    const teacherId = user._id.toString();
+    const key = subjectKey(subject);
+    const teachesClass = (classroom.homeroomTeacher && classroom.homeroomTeacher.toString() === teacherId) ||
+      classroom.subjectTeachers.some(entry => entry.teacher.toString() === teacherId && subjectKey(entry.subject) === key);
+
+    if (!teachesClass) {
+      const students = await Student.find(filter).select('teacher subjectTeachers');
+      return students
+        .filter(student => student.teacher.toString() === teacherId ||
+          student.subjectTeachers.some(entry => entry.teacher.toString() === teacherId && subjectKey(entry.subject) === key))
+        .map(student => student._id);
+    }
+  }
+
+  return Student.find(filter).distinct('_id');
+};
+
+module.exports = {
+  ACADEMIC_YEAR_START_MONTH,
+  ACADEMIC_YEAR_SETTING,
+  academicYearForDate,
+  getCurrentAcademicYear,
+  nextAcademicYear,
+  applyAcademicYearFilter,
+  normalizeClassName,
+  resolveClassroom,
+  startEnrollment,
+  enrollStudent,
+  withdrawStudent,
+  getClassroomStudentIds,
+  getClassroomTargets
+};
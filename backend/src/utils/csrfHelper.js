@@ -62,13 +62,13 @@ class CSRFHelper {
   }
 
   /**
-   * CSRF token ile birlikte form data oluştur
+   * Dosya yükleme için form data oluştur
+   * Multipart isteklerde token gövdeden okunamaz; istek getHeaders() ile X-CSRF-Token header'ı taşımalıdır
    */
   async getFormData(data = {}) {
-    const token = await this.ensureToken();
+    await this.ensureToken();
     
     const formData = new FormData();
-    formData.append('_csrf', token);
     
     // Diğer verileri ekle
     Object.keys(data).forEach(key => {
@@ -0,0 +1,103 @@
+/**
+ * CSV Yardımcıları
+ * Excel'in Türkçe karakterleri doğru açması için çıktı UTF-8 BOM ile başlar
+ */
+
+const BOM = '\uFEFF';
+
+// Tek hücreyi CSV'ye uygun hale getir
+// =, +, @, sekme ve satır başı ile başlayan değerler tablo programlarında formül olarak
+// çalışmasın diye kaçırılır; - ile başlayan değerler sadece sayı değilse kaçırılır (örn. -2.5 kalır)
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+@\t\r]/.test(text) || (text.startsWith('-') && !/^-\d+([.,]\d+)?$/.test(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Satırları CSV metnine çevir
+// columns: [{ header: 'Başlık', value: (row) => ... }]
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+
+  return BOM + lines.join('\r\n');
+};
+
+// CSV metnini satır dizilerine çevir (tırnaklı alanlar ve alan içi satır sonları desteklenir)
+// Türkçe Excel çıktıları ';' ile ayrıldığı için ayraç başlık satırından tespit edilir
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// CSV dosyasını indirme olarak gönder
+const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+};
+
+module.exports = {
+  escapeCell,
+  toCsv,
+  parseCsv,
+  sendCsv
+};
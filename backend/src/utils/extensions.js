@@ -0,0 +1,99 @@
+/**
+ * Ek Süre Yardımcıları
+ * Öğrenciye özel teslim tarihlerinin ödeve işlenmesi ve ek süre talebi bildirimleri
+ */
+
+const Guardian = require('../models/Guardian');
+const { sendEmail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const formatDate = date => new Date(date).toLocaleString('tr-TR', { dateStyle: 'long', timeStyle: 'short' });
+
+// Öğrenciye özel teslim tarihini ödeve işle (varsa günceller); kaydetmek çağırana aittir
+const setDueDateOverride = (assignment, studentId, { dueDate, reason, userId, requestId }) => {
+  const override = {
+    student: studentId,
+    dueDate,
+    reason,
+    grantedBy: userId,
+    grantedAt: new Date(),
+    request: requestId
+  };
+
+  const index = assignment.dueDateOverrides.findIndex(item => item.student.toString() === studentId.toString());
+  if (index === -1) {
+    assignment.dueDateOverrides.push(override);
+  } else {
+    assignment.dueDateOverrides.set(index, override);
+  }
+};
+
+// Öğrenciye özel teslim tarihini kaldır; kaldırıldıysa true
+const removeDueDateOverride = (assignment, studentId) => {
+  const before = assignment.dueDateOverrides.length;
+  assignment.dueDateOverrides = assignment.dueDateOverrides
+    .filter(item => item.student.toString() !== studentId.toString());
+  return assignment.dueDateOverrides.length < before;
+};
+
+// Yeni talebi ödevin öğretmenine e-posta ile bildir
+// assignment.teacher name, surname ve email alanlarıyla populate edilmiş olmalıdır
+const notifyTeacherOfRequest = async (request, assignment, student) => {
+  const teacher = assignment.teacher;
+  if (!teacher || !teacher.email) {
+    return 0;
+  }
+
+  const studentName = `${student.name} ${student.surname}`;
+
+  await sendEmail({
+    to: teacher.email,
+    subject: `${studentName} ek süre talep etti: ${assignment.title}`,
+    text: `Merhaba ${teacher.name} ${teacher.surname},\n\n` +
+      `${studentName}, "${assignment.title}" ödevi için ${formatDate(request.requestedDueDate)} tarihine kadar ek süre talep etti.\n\n` +
+      `Gerekçe: ${request.reason}`,
+    html: `<p>Merhaba ${escapeHtml(teacher.name)} ${escapeHtml(teacher.surname)},</p>` +
+      `<p><strong>${escapeHtml(studentName)}</strong>, "${escapeHtml(assignment.title)}" ödevi için ${formatDate(request.requestedDueDate)} tarihine kadar ek süre talep etti.</p>` +
+      `<p>Gerekçe: ${escapeHtml(request.reason)}</p>`
+  });
+
+  return 1;
+};
+
+// Kararı öğrenciye ve velilerine e-posta ile bildir
+// Alıcılar: öğrencinin e-postası ve öğrenciye bağlı aktif veli hesapları
+// Dönüş: e-posta gönderilen adres sayısı
+const notifyDecision = async (request, assignment, student) => {
+  const guardians = await Guardian.find({ students: student._id, isActive: true }).select('email');
+  const emails = new Set(guardians.map(guardian => guardian.email));
+  if (student.email) {
+    emails.add(student.email);
+  }
+
+  const studentName = `${student.name} ${student.surname}`;
+  const decision = request.status === 'approved'
+    ? `onaylandı. Yeni teslim tarihi: ${formatDate(request.grantedDueDate)}`
+    : 'reddedildi';
+  const note = request.decisionNote ? `\n\nÖğretmen notu: ${request.decisionNote}` : '';
+
+  for (const email of emails) {
+    await sendEmail({
+      to: email,
+      subject: `Ek süre talebi ${request.status === 'approved' ? 'onaylandı' : 'reddedildi'}: ${assignment.title}`,
+      text: 'Merhaba,\n\n' +
+        `${studentName} için "${assignment.title}" ödevindeki ek süre talebi ${decision}.${note}`,
+      html: '<p>Merhaba,</p>' +
+        `<p><strong>${escapeHtml(studentName)}</strong> için "${escapeHtml(assignment.title)}" ödevindeki ek süre talebi ${decision}.</p>` +
+        (request.decisionNote ? `<p>Öğretmen notu: ${escapeHtml(request.decisionNote)}</p>` : '')
+    });
+  }
+
+  return emails.size;
+};
+
+module.exports = {
+  setDueDateOverride,
+  removeDueDateOverride,
+  notifyTeacherOfRequest,
+  notifyDecision
+};
@@ -0,0 +1,76 @@
+/**
+ * Veli Davet Yardımcıları
+ * Öğrencinin veli e-postasına tek kullanımlık, süreli davet bağlantısı gönderir
+ */
+
+const crypto = require('crypto');
+const GuardianInvitation = require('../models/GuardianInvitation');
+const { sendEmail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+// Davet geçerlilik süresi (saat)
+const INVITATION_HOURS = parseInt(process.env.GUARDIAN_INVITE_EXPIRE_HOURS) || 72;
+
+// Davet oluştur ve veliye e-posta gönder
+const sendGuardianInvitation = async ({ student, email, invitedBy }) => {
+  // Aynı öğrenci için bekleyen davetleri iptal et
+  await GuardianInvitation.updateMany(
+    { student: student._id, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = await GuardianInvitation.create({
+    tokenHash: GuardianInvitation.hashToken(token),
+    student: student._id,
+    email,
+    invitedBy: invitedBy._id,
+    expiresAt: new Date(Date.now() + INVITATION_HOURS * 60 * 60 * 1000)
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const inviteUrl = `${frontendUrl}/guardian/invite/${token}`;
+  const studentName = `${student.name} ${student.surname}`;
+
+  await sendEmail({
+    to: email,
+    subject: 'Veli Portalı Daveti',
+    text: 'Merhaba,\n\n' +
+      `${invitedBy.name} ${invitedBy.surname} sizi ${studentName} için veli portalına davet etti.\n` +
+      `Hesabınızı oluşturmak veya mevcut hesabınıza bağlamak için aşağıdaki bağlantıyı kullanın:\n${inviteUrl}\n\n` +
+      `Bağlantı ${INVITATION_HOURS} saat geçerlidir ve yalnızca bir kez kullanılabilir.`,
+    html: '<p>Merhaba,</p>' +
+      `<p>${escapeHtml(invitedBy.name)} ${escapeHtml(invitedBy.surname)} sizi <strong>${escapeHtml(studentName)}</strong> için veli portalına davet etti.</p>` +
+      `<p>Hesabınızı oluşturmak veya mevcut hesabınıza bağlamak için <a href="${inviteUrl}">buraya tıklayın</a>.</p>` +
+      `<p>Bağlantı ${INVITATION_HOURS} saat geçerlidir ve yalnızca bir kez kullanılabilir.</p>`
+  });
+
+  return invitation;
+};
+
+// Kullanılabilir daveti bul (kabul edilmemiş, iptal edilmemiş, süresi dolmamış)
+const findPendingInvitation = (token) => {
+  return GuardianInvitation.findOne({
+    tokenHash: GuardianInvitation.hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Daveti atomik olarak kabul edildi işaretle (tek kullanım garantisi)
+// Davet bu arada kullanıldıysa null döner
+const markInvitationAccepted = (invitation, guardianId) => {
+  return GuardianInvitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { acceptedAt: new Date(), guardian: guardianId },
+    { new: true }
+  );
+};
+
+module.exports = {
+  sendGuardianInvitation,
+  findPendingInvitation,
+  markInvitationAccepted
+};
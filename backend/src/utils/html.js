@@ -0,0 +1,16 @@
+/**
+ * HTML Yardımcıları
+ * Kullanıcı girdisinin HTML e-posta ve sayfalara güvenli şekilde yazılması
+ */
+
+// HTML özel karakterlerini kaçır
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
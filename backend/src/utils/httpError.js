@@ -0,0 +1,15 @@
+/**
+ * HTTP Hata Yardımcısı
+ * Yardımcı modüllerin fırlattığı, controller'ın statusCode ile yanıta çevirdiği hatalar
+ */
+
+// Hata, controller tarafından statusCode ile yanıta çevrilir
+const httpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = {
+  httpError
+};
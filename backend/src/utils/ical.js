@@ -0,0 +1,77 @@
+/**
+ * iCalendar (RFC 5545) Oluşturucu
+ * Ders programı gibi tekrarlayan etkinlikleri .ics dosyası olarak dışa aktarmak için
+ */
+
+// Metin alanlarında özel karakterleri kaçır
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// 75 bayttan uzun satırları katla (devam satırı boşlukla başlar)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Date -> 20240916T083000Z (UTC)
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Etkinlik: { uid, start, end, rrule, summary, location, description }
+// start/end: saat dilimine göre yerel "20240916T083000" biçiminde
+const buildCalendar = ({ name, timezone, events }) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ogrenci Takip//Ders Programi//TR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timezone}:${event.start}`,
+      `DTEND;TZID=${timezone}:${event.end}`
+    );
+    if (event.rrule) {
+      lines.push(`RRULE:${event.rrule}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  formatUtc,
+  buildCalendar
+};
@@ -0,0 +1,75 @@
+/**
+ * Öğrenci İlk Şifreleri
+ * Öğretmenin belirlediği veya sistemin ürettiği şifreler tek kullanımlıktır:
+ * öğrenci ilk girişte kendi şifresini belirleyene kadar diğer API'ler kapalıdır.
+ */
+
+const crypto = require('crypto');
+const { escapeHtml } = require('./html');
+
+// Kağıttan okunurken karışabilecek karakterler (0/O, 1/l/I) çıkarıldı
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const PASSWORD_LENGTH = parseInt(process.env.INITIAL_PASSWORD_LENGTH) || 8;
+
+// Yazdırılabilir rastgele ilk şifre üret (örn. "k7mp-x3ra")
+const generateInitialPassword = () => {
+  let password = '';
+  for (let i = 0; i < PASSWORD_LENGTH; i++) {
+    password += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+  }
+  // Okunabilirlik için ortadan ikiye böl
+  const half = Math.ceil(PASSWORD_LENGTH / 2);
+  return `${password.slice(0, half)}-${password.slice(half)}`;
+};
+
+// Öğrenciye öğretmenin bildiği bir şifre ata
+// password verilmezse rastgele üretilir; üretilen şifre sadece bu yanıtta görülebilir
+const assignInitialPassword = (student, password) => {
+  const initialPassword = password || generateInitialPassword();
+  student.password = initialPassword;
+  student.mustChangePassword = true;
+  return initialPassword;
+};
+
+// Yazdırılabilir giriş kartları (HTML); yazdırma public/print-credentials.js ile başlatılır (CSP satır içi betiğe izin vermez)
+// entries: [{ name, surname, studentNumber, class, password }]
+const renderCredentialSlips = (entries) => {
+  const loginUrl = `${process.env.FRONTEND_URL || ''}/login`;
+
+  const slips = entries.map(entry => `
+    <div class="slip">
+      <h2>${escapeHtml(entry.name)} ${escapeHtml(entry.surname)}</h2>
+      <p>Sınıf: <strong>${escapeHtml(entry.class)}</strong></p>
+      <p>Öğrenci No: <strong>${escapeHtml(entry.studentNumber)}</strong></p>
+      <p>İlk Şifre: <code>${escapeHtml(entry.password)}</code></p>
+      <p class="note">Giriş: ${escapeHtml(loginUrl)} - İlk girişte kendi şifrenizi belirlemeniz istenecektir.</p>
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+  <meta charset="utf-8">
+  <title>Öğrenci Giriş Bilgileri</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 1cm; }
+    .slip { border: 1px dashed #555; padding: 0.5cm; margin-bottom: 0.5cm; page-break-inside: avoid; }
+    .slip h2 { margin: 0 0 0.3cm; font-size: 16pt; }
+    .slip p { margin: 0.1cm 0; }
+    .slip code { font-size: 14pt; letter-spacing: 2px; }
+    .note { font-size: 9pt; color: #555; }
+    .toolbar { margin-bottom: 0.5cm; }
+    @media print { .toolbar { display: none; } }
+  </style>
+  <script src="/print-credentials.js" defer></script>
+</head>
+<body>
+  <div class="toolbar"><button type="button" id="print-button">Yazdır</button></div>${slips}
+</body>
+</html>`;
+};
+
+module.exports = {
+  generateInitialPassword,
+  assignInitialPassword,
+  renderCredentialSlips
+};
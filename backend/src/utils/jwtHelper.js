@@ -1,36 +1,149 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const { recordSession, touchSession } = require('./sessions');
 
-// JWT Token oluştur
-const generateToken = (user, userType = 'teacher') => {
+// Yenileme token'ı ömrü (gün)
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 7;
+
+// Yenileme token'ı cookie'si sadece auth route'larına gönderilir
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Şimdi üretilen yenileme token'ının bitiş zamanı
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Kullanıcı tipinin saklandığı model
+const getUserModelName = (userType) => {
+  if (userType === 'student') return 'Student';
+  if (userType === 'guardian') return 'Guardian';
+  return 'User';
+};
+
+// Hesabın veritabanındaki güncel kullanıcı tipi (öğretmen/admin rolü token'dan sonra değişmiş olabilir)
+const getAccountUserType = (user) => {
+  const modelName = user.constructor.modelName;
+  if (modelName === 'Student') return 'student';
+  if (modelName === 'Guardian') return 'guardian';
+  return user.userType;
+};
+
+// JWT erişim token'ı oluştur (kısa ömürlü, oturum ailesine bağlı)
+const generateToken = (user, userType = 'teacher', family) => {
   return jwt.sign(
     { 
       id: user._id,
-      userType: userType
+      userType: userType,
+      fam: family
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+    }
+  );
+};
+
+// İki adımlı doğrulama bekleyen giriş için kısa ömürlü token
+// Oturum ailesi içermediği için korumalı route'larda kabul edilmez
+const generateMfaToken = (user, userType) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      userType,
+      purpose: 'mfa'
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.MFA_TOKEN_EXPIRE || '5m'
     }
   );
 };
 
-// Token yanıtı gönder
-const sendTokenResponse = (user, statusCode, res, userType = 'teacher') => {
-  // Token oluştur
-  const token = generateToken(user, userType);
+// İki adımlı doğrulama token'ını doğrula
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'mfa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Yeni yenileme token'ı üret ve veritabanına kaydet
+const issueRefreshToken = async (user, userType, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    tokenHash: RefreshToken.hashToken(token),
+    user: user._id,
+    userModel: getUserModelName(userType),
+    userType,
+    family,
+    expiresAt: refreshTokenExpiry(),
+    createdByIp: req ? req.ip : undefined,
+    userAgent: req ? req.get('User-Agent') : undefined
+  });
 
+  return token;
+};
+
+// Cookie seçenekleri
+const cookieOptions = (expires, path) => {
   const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
-    ),
+    expires,
     httpOnly: true,
     sameSite: 'lax'
   };
 
+  if (path) {
+    options.path = path;
+  }
+
   if (process.env.NODE_ENV === 'production') {
     options.secure = true;
   }
 
+  return options;
+};
+
+// Erişim ve yenileme token'larını cookie olarak yaz
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  const { exp } = jwt.decode(accessToken);
+
+  res.cookie('token', accessToken, cookieOptions(new Date(exp * 1000)));
+  res.cookie(
+    'refreshToken',
+    refreshToken,
+    cookieOptions(refreshTokenExpiry(), REFRESH_COOKIE_PATH)
+  );
+};
+
+// Çıkışta auth cookie'lerini temizle
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+  // Yeni oturum yeni CSRF anahtarıyla başlasın
+  res.clearCookie('csrfSecret');
+};
+
+// Token yanıtı gönder (yeni oturum ailesi başlatır)
+const sendTokenResponse = async (user, statusCode, res, userType = 'teacher') => {
+  // Her giriş yeni bir token ailesi başlatır
+  const family = crypto.randomUUID();
+  const refreshToken = await issueRefreshToken(user, userType, family, res.req);
+  const token = generateToken(user, userType, family);
+
+  // Oturumu cihaz ve konum bilgisiyle kaydet
+  await recordSession({
+    user,
+    userModel: getUserModelName(userType),
+    userType,
+    family,
+    expiresAt: refreshTokenExpiry()
+  }, res.req);
+
   // Şifreyi çıktıdan kaldır
   user.sifre = undefined;
   user.password = undefined;
@@ -59,7 +172,8 @@ const sendTokenResponse = (user, statusCode, res, userType = 'teacher') => {
       ogretmenId: user.ogretmenId,
       ortalamaNot: user.ortalamaNot,
       tamamlananOdevSayisi: user.tamamlananOdevSayisi,
-      bekleyenOdevSayisi: user.bekleyenOdevSayisi
+      bekleyenOdevSayisi: user.bekleyenOdevSayisi,
+      mustChangePassword: Boolean(user.mustChangePassword)
     };
   }
   // Öğretmen için özel alanlar
@@ -78,20 +192,142 @@ const sendTokenResponse = (user, statusCode, res, userType = 'teacher') => {
       lastLogin: user.lastLogin
     };
   }
+  // Veli için özel alanlar
+  else if (userType === 'guardian') {
+    userData = {
+      ...userData,
+      name: user.name,
+      surname: user.surname,
+      fullName: user.fullName,
+      email: user.email,
+      phone: user.phone,
+      students: user.students
+    };
+  }
+
+  const loginMessages = {
+    student: 'Öğrenci girişi başarılı',
+    guardian: 'Veli girişi başarılı'
+  };
 
   const responseData = {
     success: true,
-    message: userType === 'student' ? 'Öğrenci girişi başarılı' : 'Öğretmen girişi başarılı',
+    message: loginMessages[userType] || 'Öğretmen girişi başarılı',
     data: {
       token,
+      refreshToken,
       user: userData
     }
   };
 
-  res
-    .status(statusCode)
-    .cookie('token', token, options)
-    .json(responseData);
+  setAuthCookies(res, token, refreshToken);
+  res.status(statusCode).json(responseData);
+};
+
+// Yenileme token'ını döndür: eskisini iptal et, aynı ailede yenisini üret.
+// İptal edilmiş bir token tekrar kullanılırsa tüm aile iptal edilir.
+const rotateRefreshToken = async (token, req) => {
+  const fail = (message, code) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    error.code = code;
+    return error;
+  };
+
+  if (!token) {
+    throw fail('Yenileme token\'ı bulunamadı', 'NO_REFRESH_TOKEN');
+  }
+
+  const tokenHash = RefreshToken.hashToken(token);
+  const stored = await RefreshToken.findOne({ tokenHash });
+
+  if (!stored) {
+    throw fail('Geçersiz yenileme token\'ı', 'REFRESH_TOKEN_INVALID');
+  }
+
+  // Token'ı atomik olarak iptal et; eşzamanlı iki yenilemeden sadece biri başarılı olur
+  const now = new Date();
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!claimed) {
+    if (!stored.revokedAt && stored.expiresAt <= now) {
+      throw fail('Yenileme token\'ının süresi dolmuş', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    // Tekrar kullanım tespiti - token çalınmış olabilir
+    await RefreshToken.revokeFamily(stored.family, 'reuse_detected');
+    throw fail('Oturum güvenlik nedeniyle sonlandırıldı, lütfen tekrar giriş yapın', 'REFRESH_TOKEN_REUSED');
+  }
+
+  const Model = require(`../models/${claimed.userModel}`);
+  const user = await Model.findById(claimed.user);
+
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(claimed.family, 'deactivated');
+    throw fail('Hesabınız deaktif durumda', 'ACCOUNT_DEACTIVATED');
+  }
+
+  // Rol token verildikten sonra değişmiş olabilir; kayıttaki tip değil hesabın güncel tipi kullanılır
+  const userType = getAccountUserType(user);
+  const refreshToken = await issueRefreshToken(user, userType, claimed.family, req);
+
+  await RefreshToken.updateOne({ _id: claimed._id }, { replacedBy: RefreshToken.hashToken(refreshToken) });
+
+  await touchSession(claimed.family, refreshTokenExpiry(), req);
+
+  return {
+    user,
+    userType,
+    token: generateToken(user, userType, claimed.family),
+    refreshToken
+  };
+};
+
+// Tek bir oturumu (token ailesini) iptal et
+const revokeSession = (family, reason = 'logout') => {
+  return RefreshToken.revokeFamily(family, reason);
+};
+
+// Kullanıcının tüm oturumlarını iptal et
+const revokeAllSessions = (userId, reason = 'logout') => {
+  return RefreshToken.revokeAllForUser(userId, reason);
+};
+
+// Çözülmüş erişim token'ının oturumu hâlâ geçerli mi
+const isSessionActive = async (decoded) => {
+  if (!decoded || !decoded.fam) {
+    return false;
+  }
+  return RefreshToken.isFamilyActive(decoded.fam);
+};
+
+// Çıkış isteğindeki oturumu bul ve iptal et
+const logoutSession = async (req) => {
+  const token = req.cookies.refreshToken || (req.body && req.body.refreshToken);
+
+  if (token) {
+    const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(token) });
+    if (stored) {
+      return revokeSession(stored.family);
+    }
+  }
+
+  // Yenileme token'ı gönderilmediyse erişim token'ındaki aileyi kullan
+  let accessToken;
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    accessToken = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies.token) {
+    accessToken = req.cookies.token;
+  }
+
+  const decoded = accessToken ? decodeToken(accessToken) : null;
+  if (decoded && decoded.fam) {
+    return revokeSession(decoded.fam);
+  }
 };
 
 // Token'ı doğrula
@@ -113,8 +349,19 @@ const decodeToken = (token) => {
 };
 
 module.exports = {
+  getUserModelName,
+  getAccountUserType,
   generateToken,
+  generateMfaToken,
+  verifyMfaToken,
   sendTokenResponse,
+  setAuthCookies,
+  clearAuthCookies,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  logoutSession,
   verifyToken,
   decodeToken
 }; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Geç Teslim Politikası Yardımcıları
+ * Ödevin geç teslim politikasına göre teslimin kabulü ve notlandırmada otomatik kesinti
+ */
+
+const { httpError } = require('./httpError');
+
+const UNIT_MS = {
+  day: 24 * 60 * 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+const POLICY_FIELDS = ['mode', 'graceMinutes', 'penaltyPercent', 'penaltyUnit', 'maxPenaltyPercent'];
+
+// İstekteki politikadan sadece izin verilen alanları al; politika yoksa undefined
+// Güncellemede gönderilmeyen alanlar ödevin mevcut politikasından korunur
+const pickLatePolicy = (latePolicy, current) => {
+  if (!latePolicy || typeof latePolicy !== 'object') {
+    return undefined;
+  }
+
+  return POLICY_FIELDS
+    .filter(field => latePolicy[field] !== undefined)
+    .reduce((policy, field) => ({ ...policy, [field]: latePolicy[field] }), current ? current.toObject() : {});
+};
+
+// Ödevin geçerli politikası; politika girilmemiş eski ödevlerde
+// allowLateSubmission geç teslimi cezasız kabul eder
+const getLatePolicy = (assignment) => {
+  if (assignment.latePolicy && assignment.latePolicy.mode) {
+    return assignment.latePolicy;
+  }
+
+  return assignment.allowLateSubmission
+    ? { mode: 'penalty', graceMinutes: 0, penaltyPercent: 0, penaltyUnit: 'day', maxPenaltyPercent: 0 }
+    : { mode: 'hard_close', graceMinutes: 0 };
+};
+
+// Teslimin son tarihe göre durumu
+// Dönüş: { isLate, accepted, minutesLate, penaltyPercent }
+// Ek süre içindeki teslimler geç sayılmaz
+const evaluateLateness = (policy, dueDate, submittedAt = new Date()) => {
+  const lateMs = new Date(submittedAt) - new Date(dueDate);
+  const graceMs = (policy.graceMinutes || 0) * 60 * 1000;
+
+  if (lateMs <= graceMs) {
+    return { isLate: false, accepted: true, minutesLate: 0, penaltyPercent: 0 };
+  }
+
+  const minutesLate = Math.ceil(lateMs / (60 * 1000));
+
+  if (policy.mode !== 'penalty') {
+    return { isLate: true, accepted: false, minutesLate, penaltyPercent: 0 };
+  }
+
+  // Başlamış her gün/saat tam birim sayılır
+  const units = Math.ceil((lateMs - graceMs) / UNIT_MS[policy.penaltyUnit || 'day']);
+  const penaltyPercent = Math.min(units * policy.penaltyPercent, policy.maxPenaltyPercent);
+
+  return { isLate: true, accepted: true, minutesLate, penaltyPercent };
+};
+
+// Ödevin politikasına göre teslim alınabilir mi? Alınamıyorsa hata fırlatır
+// dueDate: öğrencinin teslim tarihi (assignment.getDueDateFor)
+const assertSubmissionAccepted = (assignment, dueDate, submittedAt = new Date()) => {
+  const result = evaluateLateness(getLatePolicy(assignment), dueDate, submittedAt);
+
+  if (!result.accepted) {
+    throw httpError('Teslim tarihi geçmiş');
+  }
+
+  return result;
+};
+
+// Ham puana kesinti uygula (2 ondalık basamak)
+// Dönüş: { rawScore, percent, points, score }
+const applyLatePenalty = (rawScore, percent) => {
+  const points = Math.round(rawScore * percent) / 100;
+
+  return {
+    rawScore,
+    percent,
+    points,
+    score: Math.round((rawScore - points) * 100) / 100
+  };
+};
+
+// Teslimin notlandırmadaki geç teslim kesintisi
+// override: öğretmenin elle belirlediği oran (0-100); verilmezse politikadan hesaplanır
+// Teslim anında geç sayılmayan teslimlere (ek süre içi, iade sonrası yeniden teslim) kesinti hesaplanmaz
+const gradeWithLatePenalty = (assignment, submission, rawScore, { override, reason, userId } = {}) => {
+  const dueDate = assignment.getDueDateFor(submission.student);
+  const { minutesLate, penaltyPercent } = submission.isLate
+    ? evaluateLateness(getLatePolicy(assignment), dueDate, submission.submissionDate)
+    : { minutesLate: 0, penaltyPercent: 0 };
+  const overridden = override !== undefined && override !== null;
+  const result = applyLatePenalty(rawScore, overridden ? override : penaltyPercent);
+
+  return {
+    rawScore: result.rawScore,
+    score: result.score,
+    latePenalty: {
+      percent: result.percent,
+      points: result.points,
+      minutesLate,
+      calculatedPercent: penaltyPercent,
+      overridden,
+      overriddenBy: overridden ? userId : undefined,
+      reason: overridden ? reason : undefined
+    }
+  };
+};
+
+module.exports = {
+  pickLatePolicy,
+  getLatePolicy,
+  evaluateLateness,
+  assertSubmissionAccepted,
+  applyLatePenalty,
+  gradeWithLatePenalty
+};
@@ -0,0 +1,191 @@
+/**
+ * Başarısız Giriş Sayaçları
+ * Hesap ve IP bazında başarısız denemeleri sayar; hesap için artan bekleme süresi,
+ * eşik aşıldığında hem hesap hem IP için geçici kilit uygular.
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+const { recordAudit } = require('./audit');
+
+// Bu süre içinde yeni başarısızlık olmazsa sayaç sıfırlanır (dakika)
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60;
+
+// Hesap için bu kadar başarısızlıktan sonra artan bekleme başlar (1, 2, 4, ... sn)
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+
+// Kilit eşikleri - okullarda çok sayıda öğrenci aynı IP'yi paylaştığı için IP eşiği yüksek tutulur
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 100;
+
+// İlk kilit süresi (dakika), her yeni kilitte iki katına çıkar
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Başarısızlık sayısına göre hesabın bekleme süresi (saniye)
+const getDelaySeconds = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+const IP_LOCKED = {
+  code: 'IP_LOCKED',
+  message: 'Bu ağdan çok fazla başarısız giriş denemesi yapıldı, lütfen daha sonra tekrar deneyin'
+};
+
+const ACCOUNT_LOCKED = {
+  code: 'ACCOUNT_LOCKED',
+  message: 'Çok fazla başarısız deneme nedeniyle hesap geçici olarak kilitlendi'
+};
+
+// Kilitli ya da kilitlenmek üzere olan (eşiği aşmış) kayıt için bekleme yanıtı
+const lockBlock = (record, block) => ({
+  ...block,
+  retryAfter: record.isLocked ? secondsUntil(record.lockedUntil) : LOCK_MINUTES * 60
+});
+
+// Giriş denemesine izin var mı
+// İzin varsa null, yoksa { code, message, retryAfter } döner
+const checkLoginAllowed = async (accountKey, ip) => {
+  const [ipRecord, accountRecord] = await Promise.all([
+    LoginThrottle.findOne({ scope: 'ip', key: ip }),
+    accountKey ? LoginThrottle.findOne({ scope: 'account', key: accountKey }) : null
+  ]);
+
+  if (ipRecord && ipRecord.isLocked) {
+    return lockBlock(ipRecord, IP_LOCKED);
+  }
+
+  if (!accountRecord) {
+    return null;
+  }
+
+  if (accountRecord.isLocked) {
+    return lockBlock(accountRecord, ACCOUNT_LOCKED);
+  }
+
+  const windowStart = Date.now() - FAILURE_WINDOW_MINUTES * 60 * 1000;
+  if (accountRecord.lastFailureAt && accountRecord.lastFailureAt > windowStart) {
+    const delay = getDelaySeconds(accountRecord.failures);
+    const nextAttemptAt = new Date(accountRecord.lastFailureAt.getTime() + delay * 1000);
+
+    if (nextAttemptAt > Date.now()) {
+      return {
+        code: 'LOGIN_DELAYED',
+        message: 'Çok fazla başarısız deneme, lütfen biraz bekleyip tekrar deneyin',
+        retryAfter: secondsUntil(nextAttemptAt)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Sayacı atomik olarak artır (pencere dışındaki eski başarısızlıklar sıfırlanır)
+const incrementFailures = (scope, key, ip) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  return LoginThrottle.findOneAndUpdate(
+    { scope, key },
+    [{
+      $set: {
+        failures: {
+          $cond: [
+            { $gt: ['$lastFailureAt', windowStart] },
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+            1
+          ]
+        },
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        lastFailureAt: now,
+        lastIp: ip,
+        createdAt: { $ifNull: ['$createdAt', now] },
+        updatedAt: now
+      }
+    }],
+    { upsert: true, new: true, timestamps: false }
+  );
+};
+
+// Eşik aşıldıysa kaydı kilitle ve olayı denetim kaydına yaz
+const lockIfNeeded = async (req, record, threshold) => {
+  if (record.failures < threshold || record.isLocked) {
+    return;
+  }
+
+  const minutes = Math.min(LOCK_MINUTES * 2 ** record.lockCount, MAX_LOCK_MINUTES);
+  record.lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  record.lockCount += 1;
+  record.failures = 0;
+  await record.save();
+
+  await recordAudit(req, {
+    action: 'auth.lockout',
+    targetType: 'LoginThrottle',
+    targetId: record._id,
+    metadata: {
+      scope: record.scope,
+      key: record.key,
+      lockedUntil: record.lockedUntil,
+      lockCount: record.lockCount
+    }
+  });
+};
+
+// Denemeyi kimlik bilgileri doğrulanmadan önce başarısız olarak say; sayaç atomik arttığı için
+// eşzamanlı denemeler kilit eşiğini aşamaz. Eşiği aşan veya kilitlenmiş kayda düşen deneme reddedilir.
+// Dönüş: { ipRecord, accountRecord, block } - block null değilse deneme reddedilir
+const reserveLoginAttempt = async (req, accountKey) => {
+  const ipRecord = await incrementFailures('ip', req.ip, req.ip);
+  const accountRecord = accountKey ? await incrementFailures('account', accountKey, req.ip) : null;
+
+  let block = null;
+  if (ipRecord.isLocked || ipRecord.failures > IP_LOCK_THRESHOLD) {
+    block = lockBlock(ipRecord, IP_LOCKED);
+  } else if (accountRecord && (accountRecord.isLocked || accountRecord.failures > ACCOUNT_LOCK_THRESHOLD)) {
+    block = lockBlock(accountRecord, ACCOUNT_LOCKED);
+  }
+
+  return { ipRecord, accountRecord, block };
+};
+
+// Başarısız girişte eşik aşıldıysa kilitle (deneme reserveLoginAttempt ile zaten sayıldı)
+const recordLoginFailure = async (req, { ipRecord, accountRecord }) => {
+  await lockIfNeeded(req, ipRecord, IP_LOCK_THRESHOLD);
+
+  if (accountRecord) {
+    await lockIfNeeded(req, accountRecord, ACCOUNT_LOCK_THRESHOLD);
+  }
+};
+
+// Başarısız sayılmayan denemenin (doğrulama hatası vb.) sayacını geri al
+const releaseLoginAttempt = async (req, accountKey) => {
+  await Promise.all([
+    LoginThrottle.updateOne({ scope: 'ip', key: req.ip, failures: { $gt: 0 } }, { $inc: { failures: -1 } }),
+    accountKey
+      ? LoginThrottle.updateOne({ scope: 'account', key: accountKey, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+      : null
+  ]);
+};
+
+// Başarılı girişte hesabın sayacını sıfırla ve IP sayacından denemeyi geri al
+// (IP sayacı pencere dolunca kendiliğinden sıfırlanır)
+const recordLoginSuccess = async (req, accountKey) => {
+  await Promise.all([
+    LoginThrottle.updateOne({ scope: 'ip', key: req.ip, failures: { $gt: 0 } }, { $inc: { failures: -1 } }),
+    accountKey ? LoginThrottle.deleteOne({ scope: 'account', key: accountKey }) : null
+  ]);
+};
+
+module.exports = {
+  checkLoginAllowed,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  recordLoginSuccess
+};
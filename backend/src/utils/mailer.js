@@ -0,0 +1,99 @@
+/**
+ * E-posta Gönderim Yardımcısı
+ * MAIL_TRANSPORT ile seçilebilen taşıyıcılar:
+ *  - smtp: Gerçek SMTP sunucusu (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ *  - json: E-postayı göndermeden konsola yazar (yerel geliştirme)
+ *  - file: E-postayı MAIL_FILE_DIR klasörüne JSON dosyası olarak kaydeder (test)
+ * json ve file taşıyıcıları e-postayı (şifre sıfırlama bağlantıları dahil) açık olarak yazdığı için
+ * production'da kullanılmaz; SMTP yapılandırılmamışsa gönderim hata verir.
+ */
+
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+let transporter = null;
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Seçili taşıyıcı tipini belirle
+const getTransportType = () => {
+  if (isProduction()) {
+    return 'smtp';
+  }
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  return process.env.SMTP_HOST ? 'smtp' : 'json';
+};
+
+// Açılışta taşıyıcı yapılandırmasını denetle; production'da SMTP yoksa uyarı yaz
+// Dönüş: yapılandırma geçerliyse true
+const checkMailerConfig = () => {
+  if (!isProduction() || process.env.SMTP_HOST) {
+    return true;
+  }
+
+  console.error('UYARI: SMTP_HOST tanımlı değil; production ortamında e-postalar (şifre sıfırlama, ' +
+    'bildirimler) gönderilemeyecek. MAIL_TRANSPORT=json/file production\'da kullanılamaz.');
+  return false;
+};
+
+// Nodemailer taşıyıcısını oluştur (tek sefer)
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (getTransportType() === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP yapılandırılmamış (SMTP_HOST), e-posta gönderilemedi');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  } else {
+    // json ve file taşıyıcıları mesajı sadece serileştirir
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+// E-posta gönder
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Öğrenci Takip <no-reply@ogrencitakip.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  const transportType = getTransportType();
+
+  if (transportType === 'file') {
+    const dir = process.env.MAIL_FILE_DIR || 'tmp/mails';
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    fs.writeFileSync(path.join(dir, fileName), info.message);
+  } else if (transportType === 'json') {
+    console.log('E-posta (gönderilmedi):', info.message);
+  }
+
+  return info;
+};
+
+module.exports = {
+  checkMailerConfig,
+  sendEmail
+};
@@ -0,0 +1,145 @@
+/**
+ * Sınıf Geçişi
+ * Serbest metin sınıf alanlarını (Student.class, Assignment.class, Announcement.targetClass)
+ * Classroom kayıtlarına taşır ve öğrenciler için kayıt (Enrollment) oluşturur.
+ * Tekrar çalıştırılabilir: sadece henüz sınıf kaydına bağlanmamış belgeler işlenir.
+ *
+ * Kullanım:
+ *   npm run migrate:classrooms -- --dry-run
+ *   npm run migrate:classrooms -- --year=2024-2025
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Classroom = require('../models/Classroom');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Assignment = require('../models/Assignment');
+const Announcement = require('../models/Announcement');
+const { getCurrentAcademicYear, normalizeClassName } = require('./classrooms');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const yearArg = args.find(arg => arg.startsWith('--year='));
+
+// Henüz Classroom'a bağlanmamış tüm sınıf adları
+const collectClassNames = async () => {
+  const [studentClasses, assignmentClasses, announcementClasses] = await Promise.all([
+    Student.distinct('class', { classroom: { $exists: false } }),
+    Assignment.distinct('class', { classroom: { $exists: false } }),
+    Announcement.distinct('targetClass', { targetAudience: 'class', targetClassroom: { $exists: false } })
+  ]);
+
+  return [...new Set([...studentClasses, ...assignmentClasses, ...announcementClasses].filter(Boolean))];
+};
+
+// Sınıftaki öğrencilerin en çok bağlı olduğu öğretmen sınıf öğretmeni kabul edilir
+const guessHomeroomTeacher = async (rawNames) => {
+  const [top] = await Student.aggregate([
+    { $match: { class: { $in: rawNames } } },
+    { $group: { _id: '$teacher', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 1 }
+  ]);
+  return top ? top._id : undefined;
+};
+
+const migrate = async () => {
+  const academicYear = yearArg ? yearArg.split('=')[1] : await getCurrentAcademicYear();
+  console.log(`Eğitim yılı: ${academicYear}${dryRun ? ' (deneme modu, değişiklik yapılmayacak)' : ''}`);
+
+  // Farklı yazımlar ("9a", "9-A", "9/A") aynı sınıfa toplanır
+  const groups = new Map();
+  const unparsed = [];
+
+  (await collectClassNames()).forEach(raw => {
+    const name = normalizeClassName(raw);
+    if (!name) {
+      unparsed.push(raw);
+      return;
+    }
+    groups.set(name, [...(groups.get(name) || []), raw]);
+  });
+
+  const summary = { classroomsCreated: 0, students: 0, assignments: 0, announcements: 0 };
+
+  for (const [name, rawNames] of groups) {
+    const { gradeLevel, section } = Classroom.parseName(name);
+    let classroom = await Classroom.findOne({ academicYear, gradeLevel, section });
+
+    const studentFilter = { class: { $in: rawNames }, classroom: { $exists: false } };
+    const assignmentFilter = { class: { $in: rawNames }, classroom: { $exists: false } };
+    const announcementFilter = { targetAudience: 'class', targetClass: { $in: rawNames }, targetClassroom: { $exists: false } };
+
+    const [studentCount, assignmentCount, announcementCount] = await Promise.all([
+      Student.countDocuments(studentFilter),
+      Assignment.countDocuments(assignmentFilter),
+      Announcement.countDocuments(announcementFilter)
+    ]);
+
+    console.log(`${rawNames.join(', ')} -> ${name}${classroom ? '' : ' (yeni)'}: ${studentCount} öğrenci, ${assignmentCount} ödev, ${announcementCount} duyuru`);
+
+    if (!classroom) {
+      summary.classroomsCreated++;
+    }
+    summary.students += studentCount;
+    summary.assignments += assignmentCount;
+    summary.announcements += announcementCount;
+
+    if (dryRun) {
+      continue;
+    }
+
+    if (!classroom) {
+      classroom = await Classroom.create({
+        gradeLevel,
+        section,
+        academicYear,
+        homeroomTeacher: await guessHomeroomTeacher(rawNames)
+      });
+    }
+
+    const students = await Student.find(studentFilter).select('_id createdAt');
+
+    // Öğrencinin bu yıl başka bir aktif kaydı varsa yenisi açılmaz
+    const enrolled = new Set((await Enrollment.find({
+      student: { $in: students.map(student => student._id) },
+      academicYear,
+      status: 'active'
+    }).distinct('student')).map(id => id.toString()));
+
+    const enrollments = students
+      .filter(student => !enrolled.has(student._id.toString()))
+      .map(student => ({
+        student: student._id,
+        classroom: classroom._id,
+        academicYear,
+        startDate: student.createdAt
+      }));
+
+    if (enrollments.length > 0) {
+      await Enrollment.insertMany(enrollments);
+    }
+
+    await Promise.all([
+      Student.updateMany(studentFilter, { classroom: classroom._id, class: classroom.name }),
+      Assignment.updateMany(assignmentFilter, { classroom: classroom._id, class: classroom.name }),
+      Announcement.updateMany(announcementFilter, { targetClassroom: classroom._id, targetClass: classroom.name })
+    ]);
+  }
+
+  console.log(`Sınıf: ${summary.classroomsCreated} yeni, öğrenci: ${summary.students}, ödev: ${summary.assignments}, duyuru: ${summary.announcements}`);
+
+  if (unparsed.length > 0) {
+    console.log(`Çözülemeyen sınıf adları (elle düzeltilmeli): ${unparsed.join(', ')}`);
+  }
+};
+
+connectDB()
+  .then(migrate)
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error('Sınıf geçişi başarısız:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
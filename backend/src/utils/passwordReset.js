@@ -0,0 +1,109 @@
+/**
+ * Şifre Sıfırlama Yardımcıları
+ * Tek kullanımlık, süreli ve hash'lenmiş sıfırlama token'ları üretir ve doğrular
+ */
+
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendEmail } = require('./mailer');
+const { escapeHtml } = require('./html');
+const { revokeAllSessions } = require('./jwtHelper');
+
+// Token geçerlilik süresi (dakika)
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+// Hesap başına saatlik en fazla sıfırlama isteği
+const MAX_REQUESTS_PER_HOUR = parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR) || 3;
+
+// Sıfırlama isteği oluştur ve e-posta gönder
+// Hız sınırı aşılırsa false döner, e-posta gönderilmez
+const requestPasswordReset = async ({ account, userModel, email, req }) => {
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const recentRequests = await PasswordResetToken.countDocuments({
+    user: account._id,
+    createdAt: { $gte: oneHourAgo }
+  });
+
+  if (recentRequests >= MAX_REQUESTS_PER_HOUR) {
+    return false;
+  }
+
+  // Önceki kullanılmamış token'ları geçersiz kıl
+  await PasswordResetToken.updateMany(
+    { user: account._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await PasswordResetToken.create({
+    tokenHash: PasswordResetToken.hashToken(token),
+    user: account._id,
+    userModel,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+    requestedIp: req.ip
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const type = userModel === 'Student' ? 'student' : 'teacher';
+  const resetUrl = `${frontendUrl}/reset-password/${token}?type=${type}`;
+
+  await sendEmail({
+    to: email,
+    subject: 'Şifre Sıfırlama İsteği',
+    text: `Merhaba ${account.name} ${account.surname},\n\n` +
+      `Şifrenizi sıfırlamak için aşağıdaki bağlantıyı kullanın:\n${resetUrl}\n\n` +
+      `Bağlantı ${RESET_TOKEN_MINUTES} dakika geçerlidir ve yalnızca bir kez kullanılabilir.\n` +
+      'Bu isteği siz yapmadıysanız bu e-postayı dikkate almayın.',
+    html: `<p>Merhaba ${escapeHtml(account.name)} ${escapeHtml(account.surname)},</p>` +
+      `<p>Şifrenizi sıfırlamak için <a href="${resetUrl}">buraya tıklayın</a>.</p>` +
+      `<p>Bağlantı ${RESET_TOKEN_MINUTES} dakika geçerlidir ve yalnızca bir kez kullanılabilir.</p>` +
+      '<p>Bu isteği siz yapmadıysanız bu e-postayı dikkate almayın.</p>'
+  });
+
+  return true;
+};
+
+// Token ile şifreyi sıfırla
+// Başarılı olursa güncellenen hesabı, token geçersizse null döner
+const resetPasswordWithToken = async ({ token, Model, userModel, newPassword }) => {
+  // Token'ı atomik olarak kullanıldı işaretle (tek kullanım garantisi)
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: PasswordResetToken.hashToken(token),
+      userModel,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!resetToken) {
+    return null;
+  }
+
+  const account = await Model.findById(resetToken.user).select('+password');
+
+  if (!account || !account.isActive) {
+    return null;
+  }
+
+  account.password = newPassword;
+  // Şifreyi öğrencinin kendisi belirlediği için zorunlu değişiklik kalkar
+  if (account.mustChangePassword) {
+    account.mustChangePassword = false;
+    account.passwordChangedAt = new Date();
+  }
+  await account.save();
+
+  // Şifre değiştiği için açık oturumları sonlandır
+  await revokeAllSessions(account._id, 'password_reset');
+
+  return account;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPasswordWithToken
+};
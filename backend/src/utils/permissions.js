@@ -0,0 +1,57 @@
+/**
+ * Yetki Motoru
+ * Rolleri yetkilere eşler. Veritabanındaki Role kayıtları varsayılanları ezer,
+ * sonuçlar her istekte sorgu yapılmaması için kısa süreli önbelleklenir.
+ */
+
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Önbellek süresi (ms)
+const CACHE_TTL = 60 * 1000;
+
+let cache = null;
+let cacheExpiresAt = 0;
+
+// Tüm rollerin yetkilerini getir (varsayılanlar + veritabanı)
+const getRolePermissionMap = async () => {
+  if (cache && Date.now() < cacheExpiresAt) {
+    return cache;
+  }
+
+  const roles = await Role.find().lean();
+  const map = { ...DEFAULT_ROLE_PERMISSIONS };
+
+  roles.forEach(role => {
+    map[role.name] = role.permissions;
+  });
+
+  cache = map;
+  cacheExpiresAt = Date.now() + CACHE_TTL;
+  return map;
+};
+
+// Rolün yetkilerini getir
+const getPermissionsForRole = async (role) => {
+  const map = await getRolePermissionMap();
+  return map[role] || [];
+};
+
+// Rol yetkileri değiştiğinde önbelleği temizle
+const clearPermissionCache = () => {
+  cache = null;
+  cacheExpiresAt = 0;
+};
+
+// İstekteki kullanıcı yetkiye sahip mi (protect middleware'inden sonra)
+const hasPermission = (req, permission) => {
+  const permissions = req.permissions || [];
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
+
+module.exports = {
+  getRolePermissionMap,
+  getPermissionsForRole,
+  clearPermissionCache,
+  hasPermission
+};
@@ -0,0 +1,173 @@
+/**
+ * Geri Dönüşüm Kutusu
+ * Silinen öğrenci, kullanıcı, haber ve galerilerin listelenmesi, geri yüklenmesi ve
+ * saklama süresi dolanların kalıcı olarak silinmesi (dosyalarıyla birlikte).
+ */
+
+const Student = require('../models/Student');
+const User = require('../models/User');
+const News = require('../models/News');
+const Gallery = require('../models/Gallery');
+const Enrollment = require('../models/Enrollment');
+const Submission = require('../models/Submission');
+const BehaviourEntry = require('../models/BehaviourEntry');
+const ExtensionRequest = require('../models/ExtensionRequest');
+const Assignment = require('../models/Assignment');
+const Attendance = require('../models/Attendance');
+const StudentTransfer = require('../models/StudentTransfer');
+const Guardian = require('../models/Guardian');
+const GuardianInvitation = require('../models/GuardianInvitation');
+const Setting = require('../models/Setting');
+const { deleteFile, resolveSubmissionFile } = require('../middleware/upload');
+
+const RETENTION_SETTING = 'recycleBin.retentionDays';
+
+// Setting kaydı yoksa silinen kayıtların saklanma süresi (gün)
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 30;
+
+// Silinen kayıtlar benzersiz alanlarını korur; aynı numara/e-posta ile yeni kayıt açılamaz,
+// silinen kayıt geri yüklenmelidir. existing: withDeleted() ile bulunan kayıt
+const uniqueConflictMessage = (existing, message) => (existing.deletedAt
+  ? `${message} (geri dönüşüm kutusundaki silinmiş bir kayıt; kaydı geri yükleyin)`
+  : message);
+
+// Kalıcı silmede kayda bağlı dosya ve belgeleri temizle
+const purgeStudent = async (student) => {
+  const submissions = await Submission.find({ student: student._id });
+  // Önceki denemelerin dosyaları da silinir (aynı dosya birden fazla denemede olabilir);
+  // sadece teslim yükleme klasöründeki dosyalar silinir
+  submissions.forEach(submission => [submission, ...submission.versions]
+    .forEach(version => version.files.forEach((file) => {
+      const filePath = resolveSubmissionFile(file.path);
+      if (filePath) {
+        deleteFile(filePath);
+      }
+    })));
+
+  await Promise.all([
+    Submission.deleteMany({ student: student._id }),
+    Enrollment.deleteMany({ student: student._id }),
+    BehaviourEntry.deleteMany({ student: student._id }),
+    ExtensionRequest.deleteMany({ student: student._id }),
+    StudentTransfer.deleteMany({ student: student._id }),
+    GuardianInvitation.deleteMany({ student: student._id }),
+    Attendance.updateMany(
+      { 'records.student': student._id },
+      { $pull: { records: { student: student._id } } }
+    ),
+    Guardian.updateMany(
+      { students: student._id },
+      { $pull: { students: student._id } }
+    ),
+    Assignment.updateMany(
+      {
+        $or: [
+          { 'dueDateOverrides.student': student._id },
+          { targetStudents: student._id },
+          { readOnlyStudents: student._id }
+        ]
+      },
+      {
+        $pull: {
+          dueDateOverrides: { student: student._id },
+          targetStudents: student._id,
+          readOnlyStudents: student._id
+        }
+      }
+    )
+  ]);
+};
+
+// Kayıt tipleri; permission tüm silinmiş kayıtlar, ownPermission sadece kullanıcının kendi
+// kayıtları (ownerField) için listeleme, geri yükleme ve kalıcı silme yetkisidir
+const RECYCLE_BIN_TYPES = {
+  students: {
+    model: Student,
+    permission: 'students:delete',
+    select: 'name surname studentNumber class',
+    label: doc => `${doc.name} ${doc.surname} (${doc.studentNumber})`,
+    purge: purgeStudent
+  },
+  users: {
+    model: User,
+    permission: 'users:delete',
+    select: 'name surname email userType',
+    label: doc => `${doc.name} ${doc.surname} (${doc.email})`
+  },
+  news: {
+    model: News,
+    permission: 'news:moderate',
+    ownPermission: 'news:write',
+    ownerField: 'author',
+    select: 'title category author',
+    label: doc => doc.title,
+    purge: async (news) => {
+      if (news.featuredImage && news.featuredImage.path) {
+        deleteFile(news.featuredImage.path);
+      }
+    }
+  },
+  gallery: {
+    model: Gallery,
+    permission: 'gallery:moderate',
+    ownPermission: 'gallery:write',
+    ownerField: 'uploadedBy',
+    select: 'title category uploadedBy',
+    label: doc => doc.title,
+    purge: async (gallery) => {
+      gallery.images.forEach(image => deleteFile(image.path));
+    }
+  }
+};
+
+const getRetentionDays = () => Setting.getValue(RETENTION_SETTING, DEFAULT_RETENTION_DAYS);
+
+// Kaydı dosyaları ve bağlı belgeleriyle kalıcı olarak sil
+const purgeDocument = async (type, doc) => {
+  const { model, purge } = RECYCLE_BIN_TYPES[type];
+  if (purge) {
+    await purge(doc);
+  }
+  await model.deleteOne({ _id: doc._id });
+};
+
+// Saklama süresi dolan kayıtları kalıcı olarak sil
+// Dönüş: { students: 2, users: 0, ... }
+const purgeExpired = async () => {
+  const retentionDays = await getRetentionDays();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const result = {};
+
+  for (const [type, { model }] of Object.entries(RECYCLE_BIN_TYPES)) {
+    const docs = await model.find({ deletedAt: { $ne: null, $lt: cutoff } });
+    for (const doc of docs) {
+      await purgeDocument(type, doc);
+    }
+    result[type] = docs.length;
+  }
+
+  return result;
+};
+
+// Açılıştan kısa süre sonra (veritabanı bağlantısı kurulduktan sonra) ve ardından günde bir kez
+// süresi dolan kayıtları temizle; sunucu günden sık yeniden başlatılsa da temizlik yapılır
+const PURGE_STARTUP_DELAY_MS = 60 * 1000;
+
+const scheduleRecycleBinPurge = () => {
+  const run = () => purgeExpired()
+    .then(result => console.log('Geri dönüşüm kutusu temizlendi:', result))
+    .catch(error => console.error('Geri dönüşüm kutusu temizleme hatası:', error));
+
+  setTimeout(run, PURGE_STARTUP_DELAY_MS).unref();
+  setInterval(run, 24 * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  RETENTION_SETTING,
+  RECYCLE_BIN_TYPES,
+  uniqueConflictMessage,
+  getRetentionDays,
+  purgeDocument,
+  purgeExpired,
+  scheduleRecycleBinPurge
+};
@@ -0,0 +1,141 @@
+/**
+ * Yeniden Teslim Yardımcıları
+ * Notlandırılmış teslimin öğrenciye iadesi, yeniden teslimde önceki denemenin saklanması
+ * ve iki deneme arasındaki farkların (içerik satırları ve dosyalar) çıkarılması
+ */
+
+const { httpError } = require('./httpError');
+
+const VERSION_FIELDS = [
+  'attempt', 'content', 'files', 'submissionDate', 'isLate', 'score', 'rawScore', 'latePenalty', 'rubricScores',
+  'feedback', 'gradedAt', 'gradedBy', 'returnedAt', 'returnedBy', 'returnComment'
+];
+
+// Teslimin güncel denemesini versiyon kaydına çevir
+const snapshotVersion = (submission) => VERSION_FIELDS.reduce((version, field) => {
+  const value = submission[field];
+  version[field] = value && value.toObject ? value.toObject() : value;
+  return version;
+}, {});
+
+// İade edilen teslim yeniden teslim edilebilir mi?
+const canResubmit = (submission, now = new Date()) => submission.status === 'returned' &&
+  submission.resubmissionAllowed &&
+  (!submission.resubmissionDeadline || now <= submission.resubmissionDeadline);
+
+// Notlandırılmış teslimi yorum ve yeni son tarihle öğrenciye iade et
+const returnSubmission = (submission, assignment, { comment, deadline, userId }) => {
+  if (!submission.gradedAt) {
+    throw httpError('Sadece notlandırılmış teslimler iade edilebilir');
+  }
+
+  if (submission.status === 'returned') {
+    throw httpError('Teslim zaten öğrenciye iade edildi');
+  }
+
+  if (submission.attempt >= assignment.maxAttempts) {
+    throw httpError(`Bu ödev için en fazla ${assignment.maxAttempts} deneme yapılabilir`);
+  }
+
+  if (deadline <= new Date()) {
+    throw httpError('Yeniden teslim tarihi gelecekte olmalıdır');
+  }
+
+  submission.status = 'returned';
+  submission.resubmissionAllowed = true;
+  submission.resubmissionDeadline = deadline;
+  submission.returnComment = comment;
+  submission.returnedAt = new Date();
+  submission.returnedBy = userId;
+};
+
+// Yeniden teslim: güncel deneme versiyonlara eklenir, yeni içerik ve dosyalarla yeni deneme başlar
+// Dosya yüklenmezse önceki denemenin dosyaları yeni denemede de kullanılır
+const applyResubmission = (submission, { content, files }) => {
+  if (!canResubmit(submission)) {
+    throw httpError(submission.status === 'returned' && submission.resubmissionAllowed
+      ? 'Yeniden teslim süresi dolmuş'
+      : 'Bu ödev zaten teslim edilmiş ve yeniden teslime izin verilmiyor');
+  }
+
+  const previousFiles = submission.files.map(file => file.toObject());
+  submission.versions.push(snapshotVersion(submission));
+
+  submission.attempt += 1;
+  submission.resubmissionCount += 1;
+  submission.content = content;
+  submission.files = files && files.length > 0 ? files : previousFiles;
+  submission.submissionDate = new Date();
+  submission.isLate = false;
+  submission.status = 'submitted';
+  submission.resubmissionAllowed = false;
+  submission.rubricScores = [];
+  ['score', 'rawScore', 'latePenalty', 'feedback', 'gradedAt', 'gradedBy', 'returnedAt', 'returnedBy', 'returnComment', 'resubmissionDeadline']
+    .forEach(field => {
+      submission[field] = undefined;
+    });
+};
+
+// Deneme numarasına göre versiyon (güncel deneme dahil); yoksa null
+const findVersion = (submission, attempt) => {
+  if (attempt === submission.attempt) {
+    return snapshotVersion(submission);
+  }
+  return submission.versions.find(version => version.attempt === attempt) || null;
+};
+
+// İki metin arasındaki satır farkı (en uzun ortak alt dizi)
+// Dönüş: [{ type: 'equal' | 'added' | 'removed', line }]
+const diffLines = (before, after) => {
+  const a = String(before || '').split(/\r?\n/);
+  const b = String(after || '').split(/\r?\n/);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      changes.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      changes.push({ type: 'added', line: b[j] });
+      j++;
+    } else {
+      changes.push({ type: 'removed', line: a[i] });
+      i++;
+    }
+  }
+
+  return changes;
+};
+
+// İki denemenin dosya farkı (dosya adı ve boyutuna göre)
+const diffFiles = (before = [], after = []) => {
+  const key = file => `${file.originalName || file.filename}:${file.size}`;
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+
+  return {
+    added: after.filter(file => !beforeKeys.has(key(file))),
+    removed: before.filter(file => !afterKeys.has(key(file))),
+    unchanged: after.filter(file => beforeKeys.has(key(file)))
+  };
+};
+
+module.exports = {
+  snapshotVersion,
+  canResubmit,
+  returnSubmission,
+  applyResubmission,
+  findVersion,
+  diffLines,
+  diffFiles
+};
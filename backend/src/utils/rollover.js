@@ -0,0 +1,432 @@
+/**
+ * Eğitim Yılı Devri
+ * Yıl sonunda öğrencileri sınıf seviyesi eşlemesine göre yeni yılın sınıflarına geçirir,
+ * son sınıfları mezun eder, kapanan yılın ödev, teslim ve notlarını o yıl altında arşivler.
+ * Önizleme aynı planı değişiklik yapmadan raporlar; uygulanan devir belirli bir süre geri alınabilir.
+ */
+
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Attendance = require('../models/Attendance');
+const Setting = require('../models/Setting');
+const YearRollover = require('../models/YearRollover');
+const {
+  ACADEMIC_YEAR_SETTING,
+  getCurrentAcademicYear,
+  nextAcademicYear
+} = require('./classrooms');
+const { httpError } = require('./httpError');
+const { assertTransactionsSupported } = require('./transactions');
+
+// Devirden sonra geri alma süresi (gün)
+const ROLLOVER_ROLLBACK_DAYS = parseInt(process.env.ROLLOVER_ROLLBACK_DAYS) || 14;
+
+// Eşlemede belirtilmezse bu seviyedeki öğrenciler mezun olur
+const FINAL_GRADE_LEVEL = parseInt(process.env.FINAL_GRADE_LEVEL) || 12;
+
+// Seviye -> yeni seviye (null: mezun). Eşlemede olmayan seviyeler bir üst sınıfa geçer.
+const resolveMapping = (gradeLevels, mapping, finalGrade) => {
+  const result = new Map();
+
+  mapping.forEach(({ fromGrade, toGrade }) => {
+    if (result.has(fromGrade)) {
+      throw httpError(`${fromGrade}. sınıf eşlemede birden fazla kez geçiyor`);
+    }
+    result.set(fromGrade, toGrade === undefined ? null : toGrade);
+  });
+
+  gradeLevels.forEach(gradeLevel => {
+    if (!result.has(gradeLevel)) {
+      result.set(gradeLevel, gradeLevel >= finalGrade ? null : gradeLevel + 1);
+    }
+  });
+
+  return result;
+};
+
+const actionFor = (fromGrade, toGrade) => {
+  if (toGrade === null) {
+    return 'graduated';
+  }
+  return toGrade === fromGrade ? 'retained' : 'promoted';
+};
+
+// Kapanan yılın arşivlenecek ödevleri (yılı işaretlenmemiş eski ödevler dahil)
+const archivableAssignments = (fromYear) => Assignment.find({
+  archivedAt: { $exists: false },
+  $or: [
+    { academicYear: fromYear },
+    { academicYear: { $exists: false } }
+  ]
+}).distinct('_id');
+
+// Devir planı: hangi sınıfın öğrencileri nereye gidecek, neler arşivlenecek
+const buildRolloverPlan = async (options = {}) => {
+  const fromYear = options.fromYear || await getCurrentAcademicYear();
+  const toYear = options.toYear || nextAcademicYear(fromYear);
+
+  if (toYear <= fromYear) {
+    throw httpError('Yeni eğitim yılı kapanan yıldan sonra olmalıdır');
+  }
+
+  if (await YearRollover.exists({ fromYear, status: 'applied' })) {
+    throw httpError(`${fromYear} eğitim yılı zaten devredildi`);
+  }
+
+  const classrooms = await Classroom.find({ academicYear: fromYear }).sort({ gradeLevel: 1, section: 1 });
+  const gradeMap = resolveMapping(
+    [...new Set(classrooms.map(classroom => classroom.gradeLevel))],
+    options.mapping || [],
+    options.finalGrade || FINAL_GRADE_LEVEL
+  );
+
+  const [targets, enrollments, alreadyEnrolled, assignmentIds] = await Promise.all([
+    Classroom.find({ academicYear: toYear }),
+    Enrollment.find({ academicYear: fromYear, status: 'active' })
+      .populate('student', 'name surname studentNumber class classroom isActive'),
+    // Yeni yılda zaten aktif kaydı olan öğrenciler devre dahil edilmez
+    Enrollment.find({ academicYear: toYear, status: 'active' }).distinct('student'),
+    archivableAssignments(fromYear)
+  ]);
+
+  const targetsByName = new Map(targets.map(classroom => [classroom.name, classroom]));
+  const skip = new Set(alreadyEnrolled.map(id => id.toString()));
+
+  const byClassroom = new Map();
+  enrollments.filter(enrollment => enrollment.student).forEach(enrollment => {
+    const key = enrollment.classroom.toString();
+    byClassroom.set(key, [...(byClassroom.get(key) || []), enrollment]);
+  });
+
+  const classroomPlans = classrooms.map(classroom => {
+    const toGrade = gradeMap.get(classroom.gradeLevel);
+    const targetName = toGrade === null ? null : Classroom.formatName(toGrade, classroom.section);
+    const all = byClassroom.get(classroom._id.toString()) || [];
+    const included = all.filter(enrollment => !skip.has(enrollment.student._id.toString()));
+
+    return {
+      classroom,
+      action: actionFor(classroom.gradeLevel, toGrade),
+      toGrade,
+      targetName,
+      target: targetName ? targetsByName.get(targetName) || null : null,
+      enrollments: included,
+      skipped: all.filter(enrollment => skip.has(enrollment.student._id.toString()))
+    };
+  });
+
+  const [submissionCount, gradeCount] = await Promise.all([
+    Submission.countDocuments({ assignment: { $in: assignmentIds }, academicYear: { $exists: false } }),
+    Student.aggregate([
+      { $unwind: '$grades' },
+      { $match: { 'grades.academicYear': { $exists: false } } },
+      { $count: 'count' }
+    ])
+  ]);
+
+  return {
+    fromYear,
+    toYear,
+    mapping: [...gradeMap].sort((a, b) => a[0] - b[0]).map(([fromGrade, toGrade]) => ({ fromGrade, toGrade })),
+    classrooms: classroomPlans,
+    assignmentIds,
+    submissionCount,
+    gradeCount: gradeCount.length > 0 ? gradeCount[0].count : 0
+  };
+};
+
+// Önizleme ve devir sonucu için plan özeti
+const summarizePlan = (plan) => {
+  const count = action => plan.classrooms
+    .filter(entry => entry.action === action)
+    .reduce((sum, entry) => sum + entry.enrollments.length, 0);
+
+  const toCreate = new Set(plan.classrooms
+    .filter(entry => entry.targetName && !entry.target && entry.enrollments.length > 0)
+    .map(entry => entry.targetName));
+
+  return {
+    fromYear: plan.fromYear,
+    toYear: plan.toYear,
+    mapping: plan.mapping,
+    classrooms: plan.classrooms.map(entry => ({
+      _id: entry.classroom._id,
+      name: entry.classroom.name,
+      action: entry.action,
+      target: entry.targetName,
+      targetExists: Boolean(entry.target),
+      students: entry.enrollments.length,
+      // Yeni yılda zaten kaydı olduğu için devredilmeyecek öğrenciler
+      skipped: entry.skipped.map(enrollment => ({
+        _id: enrollment.student._id,
+        name: enrollment.student.name,
+        surname: enrollment.student.surname,
+        studentNumber: enrollment.student.studentNumber
+      }))
+    })),
+    totals: {
+      promoted: count('promoted'),
+      retained: count('retained'),
+      graduated: count('graduated'),
+      skipped: plan.classrooms.reduce((sum, entry) => sum + entry.skipped.length, 0),
+      classroomsToCreate: toCreate.size,
+      assignmentsToArchive: plan.assignmentIds.length,
+      submissionsToArchive: plan.submissionCount,
+      gradesToArchive: plan.gradeCount
+    }
+  };
+};
+
+// Planı tek transaction içinde uygula
+// MongoDB transaction'ları replica set gerektirir; standalone sunucuda 503 fırlatılır
+const applyRolloverPlan = async (plan, userId) => {
+  await assertTransactionsSupported();
+  const session = await mongoose.startSession();
+  let rollover;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const targets = new Map();
+      const classroomsCreated = [];
+      const entries = [];
+      const newEnrollments = [];
+      const studentOps = [];
+
+      for (const entry of plan.classrooms) {
+        let target = null;
+
+        if (entry.targetName && entry.enrollments.length > 0) {
+          target = targets.get(entry.targetName) || entry.target;
+          if (!target) {
+            // Sınıf öğretmeni sınıfıyla birlikte devam eder; ders öğretmenleri yeni yılda atanır
+            [target] = await Classroom.create([{
+              gradeLevel: entry.toGrade,
+              section: entry.classroom.section,
+              academicYear: plan.toYear,
+              homeroomTeacher: entry.classroom.homeroomTeacher,
+              createdBy: userId
+            }], { session });
+            classroomsCreated.push(target._id);
+          }
+          targets.set(entry.targetName, target);
+        }
+
+        for (const enrollment of entry.enrollments) {
+          const student = enrollment.student;
+          const record = {
+            student: student._id,
+            action: entry.action,
+            previousEnrollment: enrollment._id,
+            previousClassroom: student.classroom,
+            previousClass: student.class,
+            previousIsActive: student.isActive
+          };
+
+          if (target) {
+            record.newEnrollment = new mongoose.Types.ObjectId();
+            newEnrollments.push({
+              _id: record.newEnrollment,
+              student: student._id,
+              classroom: target._id,
+              academicYear: plan.toYear,
+              startDate: now,
+              createdBy: userId
+            });
+            studentOps.push({
+              updateOne: {
+                filter: { _id: student._id },
+                update: { $set: { classroom: target._id, class: target.name } }
+              }
+            });
+          } else {
+            // Mezunların son sınıf adı kalır, hesapları pasif yapılır
+            studentOps.push({
+              updateOne: {
+                filter: { _id: student._id },
+                update: {
+                  $set: { isActive: false, graduation: { academicYear: plan.fromYear, date: now } },
+                  $unset: { classroom: '' }
+                }
+              }
+            });
+          }
+
+          entries.push(record);
+        }
+      }
+
+      await Enrollment.updateMany(
+        { _id: { $in: entries.map(entry => entry.previousEnrollment) } },
+        { status: 'completed', endDate: now, endedBy: userId },
+        { session }
+      );
+
+      if (newEnrollments.length > 0) {
+        await Enrollment.insertMany(newEnrollments, { session });
+      }
+      if (studentOps.length > 0) {
+        await Student.bulkWrite(studentOps, { session });
+      }
+
+      // Kapanan yılın sınıfları pasif yapılır (öğretmen erişimi de sona erer)
+      const classroomsClosed = plan.classrooms
+        .filter(entry => entry.classroom.isActive)
+        .map(entry => entry.classroom._id);
+      await Classroom.updateMany({ _id: { $in: classroomsClosed } }, { isActive: false }, { session });
+
+      // Ödev, teslim ve notlar kapanan yıl altında arşivlenir
+      await Assignment.updateMany(
+        { _id: { $in: plan.assignmentIds } },
+        { academicYear: plan.fromYear, archivedAt: now },
+        { session }
+      );
+      await Submission.updateMany(
+        { assignment: { $in: plan.assignmentIds }, academicYear: { $exists: false } },
+        { academicYear: plan.fromYear },
+        { session }
+      );
+      await Student.updateMany(
+        { grades: { $elemMatch: { academicYear: { $exists: false } } } },
+        { $set: { 'grades.$[grade].academicYear': plan.fromYear } },
+        { arrayFilters: [{ 'grade.academicYear': { $exists: false } }], session }
+      );
+
+      const previousSetting = await Setting.findOne({ key: ACADEMIC_YEAR_SETTING }).session(session);
+      await Setting.findOneAndUpdate(
+        { key: ACADEMIC_YEAR_SETTING },
+        { value: plan.toYear, updatedBy: userId },
+        { upsert: true, session }
+      );
+
+      const summary = summarizePlan(plan).totals;
+
+      [rollover] = await YearRollover.create([{
+        fromYear: plan.fromYear,
+        toYear: plan.toYear,
+        mapping: plan.mapping,
+        students: entries,
+        classroomsCreated,
+        classroomsClosed,
+        assignmentsArchived: plan.assignmentIds,
+        previousCurrentYear: previousSetting ? previousSetting.value : undefined,
+        summary: {
+          promoted: summary.promoted,
+          retained: summary.retained,
+          graduated: summary.graduated,
+          classroomsCreated: classroomsCreated.length,
+          assignmentsArchived: summary.assignmentsToArchive,
+          submissionsArchived: summary.submissionsToArchive,
+          gradesArchived: summary.gradesToArchive
+        },
+        rollbackUntil: new Date(now.getTime() + ROLLOVER_ROLLBACK_DAYS * 24 * 60 * 60 * 1000),
+        performedBy: userId
+      }], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return rollover;
+};
+
+// Devri geri al: kayıtlar, öğrenciler, sınıflar, arşiv ve güncel yıl ayarı eski haline döner
+// Teslim ve notlardaki yıl işaretleri kalır; bu kayıtlar zaten kapanan yıla aittir
+const rollbackRollover = async (rollover, userId) => {
+  if (rollover.status !== 'applied') {
+    throw httpError('Bu devir zaten geri alınmış');
+  }
+
+  if (rollover.rollbackUntil < new Date()) {
+    throw httpError('Geri alma süresi dolmuş');
+  }
+
+  if (await YearRollover.exists({ fromYear: rollover.toYear, status: 'applied' })) {
+    throw httpError(`Önce ${rollover.toYear} eğitim yılının devri geri alınmalıdır`);
+  }
+
+  const newEnrollmentIds = rollover.students.map(entry => entry.newEnrollment).filter(Boolean);
+
+  // Devirden sonra yeni yılda yapılan işlemler geri almayı engeller
+  const [laterEnrollments, changedEnrollments, attendance, assignments] = await Promise.all([
+    Enrollment.countDocuments({
+      academicYear: rollover.toYear,
+      _id: { $nin: newEnrollmentIds },
+      createdAt: { $gt: rollover.createdAt }
+    }),
+    Enrollment.countDocuments({ _id: { $in: newEnrollmentIds }, status: { $ne: 'active' } }),
+    Attendance.countDocuments({ academicYear: rollover.toYear }),
+    Assignment.countDocuments({ classroom: { $in: rollover.classroomsCreated } })
+  ]);
+
+  if (laterEnrollments + changedEnrollments + attendance + assignments > 0) {
+    throw httpError(`${rollover.toYear} eğitim yılında devirden sonra kayıt, yoklama veya ödev işlemi yapılmış; devir geri alınamaz`, 409);
+  }
+
+  await assertTransactionsSupported();
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await Enrollment.deleteMany({ _id: { $in: newEnrollmentIds } }, { session });
+      await Enrollment.updateMany(
+        { _id: { $in: rollover.students.map(entry => entry.previousEnrollment) } },
+        { $set: { status: 'active' }, $unset: { endDate: '', endedBy: '' } },
+        { session }
+      );
+
+      const studentOps = rollover.students.map(entry => {
+        const update = {
+          $set: { class: entry.previousClass, isActive: entry.previousIsActive },
+          $unset: { graduation: '' }
+        };
+        if (entry.previousClassroom) {
+          update.$set.classroom = entry.previousClassroom;
+        } else {
+          update.$unset.classroom = '';
+        }
+        return { updateOne: { filter: { _id: entry.student }, update } };
+      });
+      if (studentOps.length > 0) {
+        await Student.bulkWrite(studentOps, { session });
+      }
+
+      await Classroom.deleteMany({ _id: { $in: rollover.classroomsCreated } }, { session });
+      await Classroom.updateMany({ _id: { $in: rollover.classroomsClosed } }, { isActive: true }, { session });
+      await Assignment.updateMany(
+        { _id: { $in: rollover.assignmentsArchived } },
+        { $unset: { archivedAt: '' } },
+        { session }
+      );
+
+      // Ayar devirden önce yoksa tarihe göre yıl yeni yılı gösterebilir; kapanan yıl sabitlenir
+      await Setting.findOneAndUpdate(
+        { key: ACADEMIC_YEAR_SETTING },
+        { value: rollover.previousCurrentYear || rollover.fromYear, updatedBy: userId },
+        { upsert: true, session }
+      );
+
+      rollover.status = 'rolled_back';
+      rollover.rolledBackBy = userId;
+      rollover.rolledBackAt = new Date();
+      await rollover.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return rollover;
+};
+
+module.exports = {
+  ROLLOVER_ROLLBACK_DAYS,
+  FINAL_GRADE_LEVEL,
+  buildRolloverPlan,
+  summarizePlan,
+  applyRolloverPlan,
+  rollbackRollover
+};
@@ -0,0 +1,137 @@
+/**
+ * Öğrenci Listesi (Roster)
+ * Liste ve dışa aktarma uç noktalarının ortak filtreleri ve seçilebilir sütunları
+ */
+
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { normalizeClassName } = require('./classrooms');
+const { isRestricted, teacherStudentScope } = require('./teacherAccess');
+
+// Liste uç noktalarıyla aynı sorgu parametreleri: search, class (veya classroom), isActive (veya active), teacher
+// Öğretmen sorumlu, sınıf veya ders öğretmeni olduğu öğrencileri görür; kısıtsız kullanıcı teacher parametresiyle daraltabilir
+const buildStudentFilter = async (query, user) => {
+  const filter = {};
+
+  if (isRestricted(user)) {
+    filter.$and = [await teacherStudentScope(user)];
+  } else if (query.teacher && mongoose.Types.ObjectId.isValid(query.teacher)) {
+    filter.teacher = query.teacher;
+  }
+
+  if (query.classroom && mongoose.Types.ObjectId.isValid(query.classroom)) {
+    filter.classroom = query.classroom;
+  } else if (query.class) {
+    // "9a" ile "9-A" aynı sınıfı gösterir
+    filter.class = normalizeClassName(query.class) || query.class;
+  }
+
+  const isActive = query.isActive !== undefined ? query.isActive : query.active;
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  if (query.search) {
+    filter.$or = [
+      { name: { $regex: query.search, $options: 'i' } },
+      { surname: { $regex: query.search, $options: 'i' } },
+      { studentNumber: { $regex: query.search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+const percentage = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+// Seçilebilir sütunlar; stats gerektirenler ödev/teslim istatistiklerini kullanır
+const ROSTER_COLUMNS = {
+  studentNumber: { header: 'Öğrenci No', value: s => s.studentNumber },
+  name: { header: 'Ad', value: s => s.name },
+  surname: { header: 'Soyad', value: s => s.surname },
+  class: { header: 'Sınıf', value: s => s.class },
+  teacher: { header: 'Öğretmen', value: s => (s.teacher && s.teacher.name ? `${s.teacher.name} ${s.teacher.surname}` : '') },
+  email: { header: 'E-posta', value: s => s.email },
+  phone: { header: 'Telefon', value: s => s.phone },
+  birthDate: { header: 'Doğum Tarihi', value: s => s.birthDate },
+  motherName: { header: 'Anne Adı', value: s => s.parentInfo && s.parentInfo.motherName },
+  fatherName: { header: 'Baba Adı', value: s => s.parentInfo && s.parentInfo.fatherName },
+  parentPhone: { header: 'Veli Telefonu', value: s => s.parentInfo && s.parentInfo.parentPhone },
+  parentEmail: { header: 'Veli E-posta', value: s => s.parentInfo && s.parentInfo.parentEmail },
+  isActive: { header: 'Durum', value: s => (s.isActive ? 'Aktif' : 'Pasif') },
+  averageGrade: { header: 'Not Ortalaması', value: s => s.averageGrade },
+  gradeCount: { header: 'Not Sayısı', value: s => (s.grades ? s.grades.length : 0) },
+  assignedCount: { header: 'Atanan Ödev', value: s => s.stats.assigned, stats: true },
+  submittedCount: { header: 'Teslim Edilen', value: s => s.stats.submitted, stats: true },
+  missingCount: { header: 'Teslim Edilmeyen', value: s => s.stats.assigned - s.stats.submitted, stats: true },
+  completionRate: { header: 'Tamamlama (%)', value: s => percentage(s.stats.submitted, s.stats.assigned), stats: true },
+  createdAt: { header: 'Kayıt Tarihi', value: s => s.createdAt }
+};
+
+const DEFAULT_ROSTER_COLUMNS = ['studentNumber', 'name', 'surname', 'class', 'averageGrade', 'assignedCount', 'submittedCount'];
+
+// "name,surname,class" biçimindeki sütun seçimini çöz
+// Bilinmeyen sütun varsa { error } döner
+const resolveColumns = (param) => {
+  const keys = param ? String(param).split(',').map(key => key.trim()).filter(Boolean) : DEFAULT_ROSTER_COLUMNS;
+  const unknown = keys.filter(key => !ROSTER_COLUMNS[key]);
+
+  if (unknown.length > 0) {
+    return { error: `Geçersiz sütun: ${unknown.join(', ')}` };
+  }
+
+  return {
+    keys,
+    columns: keys.map(key => ROSTER_COLUMNS[key])
+  };
+};
+
+// Öğrencilerin ödev ve teslim sayılarını tek seferde hesapla
+const getAssignmentStats = async (studentIds) => {
+  const [assigned, submitted] = await Promise.all([
+    Assignment.aggregate([
+      { $match: { targetStudents: { $in: studentIds } } },
+      { $unwind: '$targetStudents' },
+      { $match: { targetStudents: { $in: studentIds } } },
+      { $group: { _id: '$targetStudents', count: { $sum: 1 } } }
+    ]),
+    Submission.aggregate([
+      { $match: { student: { $in: studentIds } } },
+      { $group: { _id: '$student', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const stats = new Map(studentIds.map(id => [id.toString(), { assigned: 0, submitted: 0 }]));
+  assigned.forEach(item => { stats.get(item._id.toString()).assigned = item.count; });
+  submitted.forEach(item => { stats.get(item._id.toString()).submitted = item.count; });
+
+  return stats;
+};
+
+// Dışa aktarılacak öğrencileri seçilen sütunlara göre hazırla
+const getRosterRows = async (filter, keys, limit) => {
+  const students = await Student.find(filter)
+    .select('-password -assignments')
+    .populate('teacher', 'name surname')
+    .sort({ class: 1, studentNumber: 1 })
+    .limit(limit);
+
+  if (keys.some(key => ROSTER_COLUMNS[key].stats)) {
+    const stats = await getAssignmentStats(students.map(student => student._id));
+    students.forEach(student => {
+      student.stats = stats.get(student._id.toString());
+    });
+  }
+
+  return students;
+};
+
+module.exports = {
+  ROSTER_COLUMNS,
+  DEFAULT_ROSTER_COLUMNS,
+  buildStudentFilter,
+  resolveColumns,
+  getRosterRows
+};
@@ -0,0 +1,115 @@
+/**
+ * Rubrik Yardımcıları
+ * Rubriğin ödeve kopyalanması, ölçüt bazında puanlamanın doğrulanması ve
+ * öğrenciye gösterilecek doldurulmuş rubrik
+ */
+
+const { httpError } = require('./httpError');
+
+// Öğretmen kendi rubriklerini ve paylaşılan rubrikleri kullanabilir, admin tümünü
+const canUseRubric = (user, rubric) => user.userType === 'admin' ||
+  rubric.isShared ||
+  rubric.owner.toString() === user._id.toString();
+
+// Rubrik sadece sahibi veya admin tarafından değiştirilebilir
+const canEditRubric = (user, rubric) => user.userType === 'admin' ||
+  rubric.owner.toString() === user._id.toString();
+
+// Ödeve eklenecek kopya (ölçüt ve seviye ID'leri korunur)
+const snapshotRubric = (rubric) => ({
+  source: rubric._id,
+  title: rubric.title,
+  criteria: rubric.criteria.map(criterion => criterion.toObject())
+});
+
+// Ölçüt bazında puanları doğrula ve toplamı hesapla
+// scores: [{ criterion, level?, points?, comment? }]; level verilirse puan seviyenin puanıdır
+// Dönüş: { rubricScores, total }
+const scoreRubric = (rubric, scores) => {
+  const criteria = new Map(rubric.criteria.map(criterion => [criterion._id.toString(), criterion]));
+  const seen = new Set();
+
+  const rubricScores = scores.map(score => {
+    const criterionId = String(score.criterion);
+    const criterion = criteria.get(criterionId);
+
+    if (!criterion) {
+      throw httpError(`Ölçüt bu ödevin rubriğinde yok: ${criterionId}`);
+    }
+    if (seen.has(criterionId)) {
+      throw httpError(`"${criterion.title}" ölçütü birden fazla kez puanlandı`);
+    }
+    seen.add(criterionId);
+
+    let points = score.points;
+    if (score.level) {
+      const level = criterion.levels.id(score.level);
+      if (!level) {
+        throw httpError(`"${criterion.title}" ölçütünde seçilen seviye bulunamadı`);
+      }
+      points = level.points;
+    }
+
+    if (typeof points !== 'number' || points < 0 || points > criterion.maxPoints) {
+      throw httpError(`"${criterion.title}" ölçütünün puanı 0-${criterion.maxPoints} arasında olmalıdır`);
+    }
+
+    return {
+      criterion: criterion._id,
+      level: score.level || undefined,
+      points,
+      comment: score.comment
+    };
+  });
+
+  const missing = rubric.criteria.filter(criterion => !seen.has(criterion._id.toString()));
+  if (missing.length > 0) {
+    throw httpError(`Puanlanmayan ölçütler: ${missing.map(criterion => criterion.title).join(', ')}`);
+  }
+
+  return {
+    rubricScores,
+    total: rubricScores.reduce((total, score) => total + score.points, 0)
+  };
+};
+
+// Öğrenciye gösterilecek doldurulmuş rubrik: her ölçütte seçilen seviye, puan ve yorum
+// Teslim notlandırılmamışsa sadece ölçütler ve seviyeler döner
+const fillRubric = (rubric, rubricScores = []) => {
+  const scores = new Map(rubricScores.map(score => [score.criterion.toString(), score]));
+  const graded = rubricScores.length > 0;
+
+  const criteria = rubric.criteria.map(criterion => {
+    const score = scores.get(criterion._id.toString());
+    return {
+      _id: criterion._id,
+      title: criterion.title,
+      description: criterion.description,
+      maxPoints: criterion.maxPoints,
+      levels: criterion.levels.map(level => ({
+        _id: level._id,
+        title: level.title,
+        description: level.description,
+        points: level.points,
+        selected: Boolean(score && score.level && score.level.toString() === level._id.toString())
+      })),
+      points: score ? score.points : undefined,
+      comment: score ? score.comment : undefined
+    };
+  });
+
+  return {
+    title: rubric.title,
+    maxPoints: rubric.maxPoints,
+    total: graded ? rubricScores.reduce((total, score) => total + score.points, 0) : undefined,
+    criteria
+  };
+};
+
+module.exports = {
+  canUseRubric,
+  canEditRubric,
+  snapshotRubric,
+  scoreRubric,
+  fillRubric
+};
@@ -0,0 +1,110 @@
+/**
+ * Oturum (Cihaz) Yönetimi
+ * Girişte cihaz, tarayıcı ve konum bilgisi kaydedilir; bir oturumun aktif olup olmadığı
+ * yenileme token ailesinden okunur, böylece çıkış, şifre sıfırlama veya token tekrar
+ * kullanımı ile iptal edilen oturumlar listeden de düşer.
+ */
+
+const LoginSession = require('../models/LoginSession');
+const RefreshToken = require('../models/RefreshToken');
+const { analyzeUserAgent, getLocationInfo } = require('../middleware/visitorTracking');
+
+// İstekten cihaz ve konum bilgisini çıkar
+const describeClient = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  const { browser, os, device } = analyzeUserAgent(userAgent);
+  const { country, region, city } = getLocationInfo(req.ip || '127.0.0.1');
+
+  return {
+    device,
+    browser,
+    os,
+    location: { country, region, city },
+    ip: req.ip,
+    userAgent
+  };
+};
+
+// Yeni girişi oturum olarak kaydet
+// Kayıt yazılamazsa giriş engellenmez
+const recordSession = async ({ user, userModel, userType, family, expiresAt }, req) => {
+  try {
+    await LoginSession.create({
+      family,
+      user: user._id,
+      userModel,
+      userType,
+      expiresAt,
+      lastActiveAt: new Date(),
+      ...(req ? describeClient(req) : {})
+    });
+  } catch (error) {
+    console.error('Oturum kaydı yazılamadı:', error.message);
+  }
+};
+
+// Token yenilendiğinde oturumun son etkinlik bilgisini güncelle
+const touchSession = async (family, expiresAt, req) => {
+  try {
+    await LoginSession.updateOne(
+      { family },
+      { lastActiveAt: new Date(), expiresAt, ip: req ? req.ip : undefined }
+    );
+  } catch (error) {
+    console.error('Oturum güncellenemedi:', error.message);
+  }
+};
+
+// Kullanıcının geçerli token ailesi olan oturumlarını getir
+// currentFamily verilirse isteği yapan oturum işaretlenir
+const getActiveSessions = async (userId, currentFamily) => {
+  const activeFamilies = await RefreshToken.distinct('family', {
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  const sessions = await LoginSession.find({
+    user: userId,
+    family: { $in: activeFamilies }
+  })
+    .sort({ lastActiveAt: -1 })
+    .lean();
+
+  return sessions.map(({ family, userAgent, ...session }) => ({
+    ...session,
+    current: Boolean(currentFamily) && family === currentFamily
+  }));
+};
+
+// Kullanıcının tek bir oturumunu bul (başka kullanıcının oturumu bulunamaz)
+const findUserSession = (userId, sessionId) => {
+  return LoginSession.findOne({ _id: sessionId, user: userId });
+};
+
+// Kullanıcının oturumlarını iptal et, exceptFamily verilirse o oturum korunur
+// Sonlandırılan oturum sayısını döner
+const revokeUserSessions = async (userId, reason, exceptFamily) => {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptFamily) {
+    filter.family = { $ne: exceptFamily };
+  }
+
+  const families = await RefreshToken.distinct('family', filter);
+
+  await RefreshToken.updateMany(
+    { family: { $in: families }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return families.length;
+};
+
+module.exports = {
+  recordSession,
+  touchSession,
+  getActiveSessions,
+  findUserSession,
+  revokeUserSessions
+};
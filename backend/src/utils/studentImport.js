@@ -0,0 +1,354 @@
+/**
+ * Toplu Öğrenci İçe Aktarma
+ * CSV/XLSX dosyasındaki satırlar Student alanlarına eşlenir ve tekli öğrenci eklemeyle
+ * aynı kurallarla doğrulanır. Deneme modunda sadece rapor üretilir; kayıt modunda
+ * tüm satırlar tek bir transaction içinde eklenir (bir satır bile hatalıysa hiçbiri eklenmez).
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const Classroom = require('../models/Classroom');
+const { parseCsv } = require('./csv');
+const { validateStudent } = require('../middleware/validation');
+const { assignInitialPassword, generateInitialPassword } = require('./initialPassword');
+const { getCurrentAcademicYear, normalizeClassName, resolveClassroom, startEnrollment } = require('./classrooms');
+const { assertTransactionsSupported } = require('./transactions');
+const { uniqueConflictMessage } = require('./recycleBin');
+
+// Bir dosyada en fazla kaç öğrenci içe aktarılabilir
+const IMPORT_MAX_ROWS = parseInt(process.env.STUDENT_IMPORT_MAX_ROWS) || 1000;
+
+// İçe aktarılabilen alanlar ve kabul edilen başlıklar (normalize edilmiş halleriyle)
+const FIELD_ALIASES = {
+  name: ['name', 'ad', 'adi', 'isim'],
+  surname: ['surname', 'soyad', 'soyadi', 'soyisim'],
+  studentNumber: ['studentnumber', 'numara', 'no', 'ogrencino', 'ogrencinumarasi'],
+  class: ['class', 'sinif', 'sube'],
+  password: ['password', 'sifre'],
+  email: ['email', 'eposta'],
+  phone: ['phone', 'telefon'],
+  address: ['address', 'adres'],
+  birthDate: ['birthdate', 'dogumtarihi'],
+  'parentInfo.motherName': ['parentinfomothername', 'mothername', 'anneadi'],
+  'parentInfo.fatherName': ['parentinfofathername', 'fathername', 'babaadi'],
+  'parentInfo.parentPhone': ['parentinfoparentphone', 'parentphone', 'velitelefonu', 'velitelefon'],
+  'parentInfo.parentEmail': ['parentinfoparentemail', 'parentemail', 'veliemail', 'velieposta']
+};
+
+const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+
+// Başlığı karşılaştırma için sadeleştir ("Öğrenci No" -> "ogrencino")
+const normalizeHeader = (header) => String(header)
+  .toLocaleLowerCase('tr-TR')
+  .replace(/ç/g, 'c')
+  .replace(/ğ/g, 'g')
+  .replace(/ı/g, 'i')
+  .replace(/ö/g, 'o')
+  .replace(/ş/g, 's')
+  .replace(/ü/g, 'u')
+  .replace(/[^a-z0-9]/g, '');
+
+// Hata, controller tarafından 400 yanıtına çevrilir
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// XLSX hücresini metne çevir (tarihler YYYY-AA-GG olarak)
+const cellText = (cell) => {
+  if (cell.value instanceof Date) {
+    return cell.value.toISOString().slice(0, 10);
+  }
+  return cell.text || '';
+};
+
+// Yüklenen dosyayı başlık + satır dizilerine çevir
+const readRows = async (file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ext === '.csv') {
+    return parseCsv(file.buffer.toString('utf8'));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch (error) {
+    throw importError('XLSX dosyası okunamadı');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = [];
+    for (let i = 1; i <= worksheet.columnCount; i++) {
+      values.push(cellText(row.getCell(i)));
+    }
+    rows.push(values);
+  });
+
+  return rows;
+};
+
+// Başlıkları alanlara eşle
+// mapping verilirse ({ "Başlık": "alan" }) otomatik tanımanın önüne geçer
+const mapHeaders = (headers, mapping = {}) => {
+  const explicit = {};
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw importError(`Geçersiz eşleme alanı: ${field}`);
+    }
+    explicit[normalizeHeader(header)] = field;
+  });
+
+  return headers.map(header => {
+    const key = normalizeHeader(header);
+    if (explicit[key]) {
+      return explicit[key];
+    }
+    return IMPORT_FIELDS.find(field => FIELD_ALIASES[field].includes(key)) || null;
+  });
+};
+
+// Satırı addStudent'in beklediği gövdeye çevir (boş hücreler gönderilmemiş sayılır)
+const buildBody = (values, fields) => {
+  const body = {};
+
+  fields.forEach((field, index) => {
+    const value = values[index] === undefined ? '' : String(values[index]).trim();
+    if (!field || value === '') {
+      return;
+    }
+
+    if (field.startsWith('parentInfo.')) {
+      body.parentInfo = body.parentInfo || {};
+      body.parentInfo[field.split('.')[1]] = value;
+    } else {
+      body[field] = value;
+    }
+  });
+
+  return body;
+};
+
+// Gövdeyi tekli eklemedeki express-validator kurallarıyla doğrula
+const validateBody = async (body) => {
+  const req = { body };
+  await Promise.all(validateStudent.map(rule => rule.run(req)));
+
+  return validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+};
+
+// Doğrulanmış gövdeden öğrenci belgesi oluştur
+const buildStudent = (body, teacherId) => new Student({
+  name: body.name,
+  surname: body.surname,
+  studentNumber: body.studentNumber,
+  class: body.class,
+  teacher: teacherId,
+  email: body.email,
+  phone: body.phone,
+  address: body.address,
+  birthDate: body.birthDate,
+  parentInfo: body.parentInfo
+});
+
+// Dosyayı ayrıştır, her satırı doğrula ve satır bazında rapor üret
+// generatePasswords false ise her satırda şifre sütunu gereklidir
+// canCreateClassrooms false ise sınıflar güncel eğitim yılında tanımlı olmalıdır
+const prepareImport = async (file, { teacherId, mapping, generatePasswords, canCreateClassrooms }) => {
+  // Boş satırlar atlanır, rapordaki satır numarası dosyadaki satırı gösterir
+  const rows = (await readRows(file))
+    .map((values, index) => ({ line: index + 1, values }))
+    .filter(({ values }) => values.some(value => String(value).trim() !== ''));
+
+  if (rows.length < 2) {
+    throw importError('Dosyada başlık satırı ve en az bir öğrenci satırı olmalıdır');
+  }
+
+  if (rows.length - 1 > IMPORT_MAX_ROWS) {
+    throw importError(`Bir dosyada en fazla ${IMPORT_MAX_ROWS} öğrenci içe aktarılabilir`);
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const fields = mapHeaders(headerRow.values, mapping);
+
+  const missing = ['name', 'surname', 'studentNumber', 'class'].filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    throw importError(`Zorunlu sütunlar bulunamadı: ${missing.join(', ')}`);
+  }
+
+  const report = [];
+  const seenNumbers = new Map();
+
+  for (const { line, values } of dataRows) {
+    const body = buildBody(values, fields);
+    const errors = await validateBody(body);
+
+    if (!generatePasswords && !body.password) {
+      errors.push({ field: 'password', message: 'Şifre gereklidir (veya ilk şifre üretimini seçin)' });
+    }
+
+    // Model seviyesindeki kurallar (örn. uzunluk sınırları)
+    if (errors.length === 0) {
+      const student = buildStudent(body, teacherId);
+      student.password = body.password || generateInitialPassword();
+      const modelErrors = student.validateSync();
+      if (modelErrors) {
+        Object.values(modelErrors.errors).forEach(error => {
+          errors.push({ field: error.path, message: error.message });
+        });
+      }
+    }
+
+    // Dosya içinde tekrar eden numaralar
+    let duplicate = false;
+    if (body.studentNumber) {
+      if (seenNumbers.has(body.studentNumber)) {
+        duplicate = true;
+        errors.push({
+          field: 'studentNumber',
+          message: `Numara dosyada tekrar ediyor (satır ${seenNumbers.get(body.studentNumber)})`
+        });
+      } else {
+        seenNumbers.set(body.studentNumber, line);
+      }
+    }
+
+    report.push({
+      row: line,
+      studentNumber: body.studentNumber,
+      name: body.name,
+      surname: body.surname,
+      class: body.class,
+      body,
+      duplicate,
+      errors
+    });
+  }
+
+  // Sistemde zaten kayıtlı numaralar (geri dönüşüm kutusundakiler dahil)
+  const existing = await Student.find({ studentNumber: { $in: [...seenNumbers.keys()] } })
+    .withDeleted()
+    .select('studentNumber deletedAt');
+  const existingByNumber = new Map(existing.map(student => [student.studentNumber, student]));
+
+  report.forEach(entry => {
+    const existingStudent = existingByNumber.get(entry.studentNumber);
+    if (existingStudent) {
+      entry.duplicate = true;
+      entry.errors.push({
+        field: 'studentNumber',
+        message: uniqueConflictMessage(existingStudent, 'Bu öğrenci numarası zaten kullanılıyor')
+      });
+    }
+  });
+
+  // Sınıf adları standart biçime çevrilir ve güncel eğitim yılındaki sınıflarla eşleştirilir
+  const academicYear = await getCurrentAcademicYear();
+  const classrooms = await Classroom.find({ academicYear }).select('name');
+  const knownClassrooms = new Set(classrooms.map(classroom => classroom.name));
+
+  report.forEach(entry => {
+    if (!entry.body.class) {
+      return;
+    }
+
+    const className = normalizeClassName(entry.body.class);
+    if (!className) {
+      entry.errors.push({ field: 'class', message: 'Sınıf bilgisi 9-A biçiminde olmalıdır' });
+    } else if (!knownClassrooms.has(className) && !canCreateClassrooms) {
+      entry.errors.push({ field: 'class', message: `${className} sınıfı ${academicYear} eğitim yılında tanımlı değil` });
+    } else {
+      entry.body.class = className;
+      entry.class = className;
+    }
+  });
+
+  return report;
+};
+
+// Raporu istemciye dönülecek hale getir
+const summarizeReport = (report) => {
+  const rows = report.map(({ body, errors, ...entry }) => ({
+    ...entry,
+    status: errors.length > 0 ? 'error' : 'valid',
+    errors
+  }));
+
+  return {
+    total: rows.length,
+    valid: rows.filter(row => row.status === 'valid').length,
+    invalid: rows.filter(row => row.status === 'error').length,
+    duplicates: rows.filter(row => row.duplicate).length,
+    rows
+  };
+};
+
+// Doğrulanmış satırları tek transaction içinde kaydet
+// MongoDB transaction'ları replica set gerektirir; standalone sunucuda 503 fırlatılır
+const commitImport = async (report, { teacherId, generatePasswords, canCreateClassrooms }) => {
+  // Şifreler transaction dışında üretilir; yeniden denemede aynı şifreler kullanılır
+  const passwords = report.map(entry => (generatePasswords ? generateInitialPassword() : entry.body.password));
+  const academicYear = await getCurrentAcademicYear();
+
+  await assertTransactionsSupported();
+  const session = await mongoose.startSession();
+  const created = [];
+
+  try {
+    await session.withTransaction(async () => {
+      created.length = 0;
+      const classrooms = new Map();
+
+      for (let index = 0; index < report.length; index++) {
+        const entry = report[index];
+
+        if (!classrooms.has(entry.body.class)) {
+          classrooms.set(entry.body.class, await resolveClassroom(
+            { className: entry.body.class },
+            { create: canCreateClassrooms, createdBy: teacherId, session, academicYear }
+          ));
+        }
+        const classroom = classrooms.get(entry.body.class);
+
+        const student = buildStudent(entry.body, teacherId);
+        student.classroom = classroom._id;
+        assignInitialPassword(student, passwords[index]);
+        await student.save({ session });
+        await startEnrollment(student._id, classroom, { createdBy: teacherId, session });
+
+        created.push({
+          id: student._id,
+          name: student.name,
+          surname: student.surname,
+          studentNumber: student.studentNumber,
+          class: student.class,
+          password: generatePasswords ? passwords[index] : undefined
+        });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return created;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  prepareImport,
+  summarizeReport,
+  commitImport
+};
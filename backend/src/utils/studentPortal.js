@@ -0,0 +1,143 @@
+/**
+ * Öğrenci Portalı Yardımcıları
+ * Öğrenci ve veli panellerinin ortak kullandığı ödev ve not sorguları
+ */
+
+const Student = require('../models/Student');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { applyAcademicYearFilter } = require('./classrooms');
+
+// Ödevi öğrencinin göreceği biçime çevir: dueDate öğrenciye verilen ek süreyi içerir,
+// isOverdue/daysRemaining bu tarihe göre hesaplanır, diğer öğrencilerin ek süreleri çıkarılır
+const toStudentAssignment = (assignment, studentId) => {
+  assignment.$locals.student = studentId;
+  const { dueDateOverrides, ...fields } = assignment.toObject();
+  const dueDate = assignment.getDueDateFor(studentId);
+
+  return {
+    ...fields,
+    dueDate,
+    originalDueDate: assignment.dueDate,
+    hasExtension: dueDate.getTime() !== assignment.dueDate.getTime()
+  };
+};
+
+// Öğrenciye atanan ödevleri teslim durumlarıyla birlikte getir
+const getAssignmentsWithStatus = async (studentId, query = {}) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Filtreleme seçenekleri
+  const filter = { targetStudents: studentId };
+
+  if (query.subject) {
+    filter.subject = query.subject;
+  }
+
+  // Öğrenciye verilen ek süre ödevin teslim tarihinden sonradır
+  if (query.status) {
+    const now = new Date();
+    const extended = { $elemMatch: { student: studentId, dueDate: { $gte: now } } };
+    if (query.status === 'pending') {
+      filter.$or = [{ dueDate: { $gte: now } }, { dueDateOverrides: extended }];
+    } else if (query.status === 'overdue') {
+      filter.dueDate = { $lt: now };
+      filter.dueDateOverrides = { $not: extended };
+    }
+  }
+
+  applyAcademicYearFilter(filter, query);
+
+  const [assignments, totalCount] = await Promise.all([
+    Assignment.find(filter)
+      .populate('teacher', 'name surname email')
+      .sort({ dueDate: 1 })
+      .skip(skip)
+      .limit(limit),
+    Assignment.countDocuments(filter)
+  ]);
+
+  // Her ödev için teslim durumunu kontrol et
+  const submissions = await Submission.find({
+    assignment: { $in: assignments.map(assignment => assignment._id) },
+    student: studentId
+  });
+
+  const data = assignments.map(assignment => {
+    const submission = submissions.find(s => s.assignment.toString() === assignment._id.toString());
+    const { readOnlyStudents, ...fields } = toStudentAssignment(assignment, studentId);
+
+    return {
+      ...fields,
+      // Nakil sonrası sadece görüntülenebilen ödev
+      readOnly: readOnlyStudents.some(id => id.toString() === studentId.toString()),
+      submissionStatus: submission ? submission.status : 'not_submitted',
+      submissionDate: submission ? submission.submissionDate : null,
+      isLate: submission ? submission.isLate : false,
+      grade: submission ? submission.score : null,
+      // Geç teslim kesintisi uygulandıysa kesinti öncesi puan ve kesinti ayrı gösterilir
+      rawGrade: submission && submission.rawScore !== undefined ? submission.rawScore : null,
+      latePenalty: submission && submission.latePenalty ? submission.latePenalty : null
+    };
+  });
+
+  return { data, totalCount, page, limit };
+};
+
+// Öğrencinin notlarını ders bazında özetle
+// Öğrenci bulunamazsa null döner
+const buildGradeReport = async (studentId) => {
+  const student = await Student.findById(studentId)
+    .select('name surname studentNumber grades')
+    .populate('grades.teacher', 'name surname');
+
+  if (!student) {
+    return null;
+  }
+
+  const allGrades = [...student.grades].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  // Notları ders bazında gruplandır
+  const gradesBySubject = {};
+  allGrades.forEach(grade => {
+    if (!gradesBySubject[grade.subject]) {
+      gradesBySubject[grade.subject] = [];
+    }
+    gradesBySubject[grade.subject].push(grade);
+  });
+
+  // Her ders için ortalama hesapla
+  const subjectAverages = Object.keys(gradesBySubject).map(subject => {
+    const grades = gradesBySubject[subject];
+    const average = grades.reduce((sum, grade) => sum + grade.grade, 0) / grades.length;
+    return {
+      ders: subject,
+      ortalama: Math.round(average * 100) / 100,
+      notSayisi: grades.length,
+      sonNot: grades[0]
+    };
+  });
+
+  return {
+    student: {
+      id: student._id,
+      ad: student.name,
+      soyad: student.surname,
+      tamAd: student.fullName,
+      numara: student.studentNumber,
+      ortalamaNot: student.averageGrade
+    },
+    allGrades,
+    gradesBySubject,
+    subjectAverages,
+    totalGrades: allGrades.length
+  };
+};
+
+module.exports = {
+  toStudentAssignment,
+  getAssignmentsWithStatus,
+  buildGradeReport
+};
@@ -0,0 +1,71 @@
+/**
+ * Teslim Arşivi
+ * Bir ödevin teslimlerini tek ZIP olarak indirme: her öğrenci için numara ve ad soyadıyla
+ * adlandırılmış klasör (teslim dosyaları ve metin içeriği) ve teslimlerin CSV listesi
+ */
+
+const fs = require('fs');
+const archiver = require('archiver');
+const { toCsv } = require('./csv');
+const { resolveSubmissionFile, safeArchiveName } = require('../middleware/upload');
+
+const studentFolder = student => safeArchiveName(`${student.studentNumber} - ${student.name} ${student.surname}`);
+
+const MANIFEST_COLUMNS = [
+  { header: 'Öğrenci No', value: submission => submission.student.studentNumber },
+  { header: 'Ad Soyad', value: submission => `${submission.student.name} ${submission.student.surname}` },
+  { header: 'Sınıf', value: submission => submission.student.class },
+  { header: 'Klasör', value: submission => studentFolder(submission.student) },
+  { header: 'Teslim Tarihi', value: submission => submission.submissionDate },
+  { header: 'Geç Teslim', value: submission => (submission.isLate ? 'Evet' : 'Hayır') },
+  { header: 'Durum', value: submission => submission.status },
+  { header: 'Deneme', value: submission => submission.attempt },
+  { header: 'Puan', value: submission => submission.score },
+  { header: 'Ham Puan', value: submission => submission.rawScore },
+  { header: 'Geç Teslim Kesintisi (%)', value: submission => (submission.latePenalty ? submission.latePenalty.percent : '') },
+  { header: 'Dosya Sayısı', value: submission => submission.files.length },
+  { header: 'Arşive Eklenmeyen Dosyalar', value: submission => submission.skippedFiles.join('; ') }
+];
+
+// Teslimleri ZIP olarak yanıta aktar
+// submissions: student (name surname studentNumber class) alanıyla populate edilmiş lean teslimler
+const streamSubmissionsArchive = async (res, assignment, submissions) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => res.destroy(error));
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${assignment.slug || assignment._id}-teslimler.zip"`);
+  archive.pipe(res);
+
+  const rows = submissions.map(submission => {
+    const folder = studentFolder(submission.student);
+    const skippedFiles = [];
+
+    if (submission.content) {
+      archive.append(submission.content, { name: `${folder}/teslim-metni.txt` });
+    }
+
+    // Aynı adlı dosyalar üzerine yazılmasın diye sıra numarası eklenir
+    submission.files.forEach((file, index) => {
+      const name = safeArchiveName(file.originalName || file.filename);
+      const filePath = resolveSubmissionFile(file.path);
+      if (!filePath) {
+        skippedFiles.push(`${name} (yükleme klasörü dışında)`);
+      } else if (!fs.existsSync(filePath)) {
+        skippedFiles.push(`${name} (diskte yok)`);
+      } else {
+        archive.file(filePath, { name: `${folder}/${index + 1}-${name}` });
+      }
+    });
+
+    return { ...submission, skippedFiles };
+  });
+
+  archive.append(toCsv(rows, MANIFEST_COLUMNS), { name: 'teslimler.csv' });
+
+  await archive.finalize();
+};
+
+module.exports = {
+  streamSubmissionsArchive
+};
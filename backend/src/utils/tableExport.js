@@ -0,0 +1,131 @@
+/**
+ * Tablo Dışa Aktarma
+ * Aynı sütun tanımlarından ({ header, value }) CSV, XLSX veya yazdırılabilir PDF üretir
+ */
+
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { toCsv, sendCsv } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+// Türkçe karakter içeren bir TrueType font (yoksa standart Helvetica kullanılır)
+const PDF_FONT_PATH = process.env.PDF_FONT_PATH || '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+const PDF_BOLD_FONT_PATH = process.env.PDF_BOLD_FONT_PATH || '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+
+// Standart PDF fontlarında bulunmayan Türkçe harfler
+const TURKISH_FALLBACK = { ğ: 'g', Ğ: 'G', ş: 's', Ş: 'S', ı: 'i', İ: 'I' };
+
+// Hücre değerini metne çevir
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toLocaleDateString('tr-TR');
+  }
+  return String(value);
+};
+
+// XLSX çalışma kitabı oluştur
+const buildXlsx = async (rows, columns, title) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(title.slice(0, 31));
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    width: Math.max(12, column.header.length + 2)
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    worksheet.addRow(columns.map(column => {
+      const value = column.value(row);
+      return value === undefined ? null : value;
+    }));
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// PDF tablosu çiz (yatay A4, sayfa taşarsa başlık tekrarlanır)
+const buildPdf = (rows, columns, title) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const hasFont = fs.existsSync(PDF_FONT_PATH);
+  const regular = hasFont ? PDF_FONT_PATH : 'Helvetica';
+  const bold = hasFont && fs.existsSync(PDF_BOLD_FONT_PATH) ? PDF_BOLD_FONT_PATH : (hasFont ? PDF_FONT_PATH : 'Helvetica-Bold');
+  const text = (value) => (hasFont ? value : value.replace(/[ğĞşŞıİ]/g, char => TURKISH_FALLBACK[char]));
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const columnWidth = tableWidth / columns.length;
+  const rowHeight = 16;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (values, font, y) => {
+    doc.font(font).fontSize(8);
+    values.forEach((value, index) => {
+      doc.text(text(value), left + index * columnWidth + 2, y + 4, {
+        width: columnWidth - 4,
+        height: rowHeight - 4,
+        lineBreak: false,
+        ellipsis: true
+      });
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight).strokeColor('#cccccc').stroke();
+  };
+
+  const headers = columns.map(column => column.header);
+
+  doc.font(bold).fontSize(14).text(text(title), left, doc.page.margins.top);
+  doc.font(regular).fontSize(8).text(text(`Oluşturulma: ${new Date().toLocaleString('tr-TR')} - ${rows.length} kayıt`));
+
+  let y = doc.y + 8;
+  drawRow(headers, bold, y);
+  y += rowHeight;
+
+  rows.forEach(row => {
+    if (y + rowHeight > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      drawRow(headers, bold, y);
+      y += rowHeight;
+    }
+    drawRow(columns.map(column => formatValue(column.value(row))), regular, y);
+    y += rowHeight;
+  });
+
+  doc.end();
+});
+
+// Tabloyu istenen formatta indirme olarak gönder
+// filename uzantısız verilir (örn. "ogrenci-listesi-2024-09-01")
+const sendTable = async (res, { format, filename, title, rows, columns }) => {
+  if (format === 'xlsx') {
+    const buffer = await buildXlsx(rows, columns, title);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.send(Buffer.from(buffer));
+  }
+
+  if (format === 'pdf') {
+    const buffer = await buildPdf(rows, columns, title);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(buffer);
+  }
+
+  return sendCsv(res, `${filename}.csv`, toCsv(rows, columns));
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  sendTable
+};
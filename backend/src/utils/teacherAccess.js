@@ -0,0 +1,155 @@
+/**
+ * Öğretmen - Öğrenci Erişimi
+ * Bir öğretmen öğrenciye üç yoldan bağlanır:
+ *  - Sorumlu öğretmen (Student.teacher) veya öğrencinin sınıfının sınıf öğretmeni: tüm dersler ve profil
+ *  - Sınıfın ders öğretmeni (Classroom.subjectTeachers): sınıftaki tüm öğrenciler, sadece kendi dersi
+ *  - Öğrenciye özel ders öğretmeni (Student.subjectTeachers): sadece o öğrenci ve kendi dersi
+ * Kısıtlama varsayılandır: sadece admin ve students:all yetkisi olan roller tüm öğrencilere erişir.
+ * Role koleksiyonunda students:read verilen diğer roller (örn. veli) sadece bu yollarla bağlı öğrencileri görür.
+ */
+
+const Classroom = require('../models/Classroom');
+const Student = require('../models/Student');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+const ALL_STUDENTS_PERMISSION = 'students:all';
+
+// Ders adlarını karşılaştırma için sadeleştir ("Matematik " ile "matematik" aynı ders)
+const subjectKey = (subject) => String(subject || '').trim().toLocaleLowerCase('tr-TR');
+
+// Kullanıcı öğretmen kapsamıyla kısıtlı mı; user.permissions protect middleware'inde eklenir
+const isRestricted = (user) => {
+  if (user.userType === 'admin') {
+    return false;
+  }
+  const permissions = user.permissions || [];
+  return !permissions.includes(ALL_PERMISSIONS) && !permissions.includes(ALL_STUDENTS_PERMISSION);
+};
+
+// Öğretmenin sınıf öğretmeni veya ders öğretmeni olduğu aktif sınıflar
+const getTeacherClassrooms = (teacherId) => Classroom.find({
+  isActive: true,
+  $or: [
+    { homeroomTeacher: teacherId },
+    { 'subjectTeachers.teacher': teacherId }
+  ]
+}).select('homeroomTeacher subjectTeachers');
+
+// Öğretmenin erişebildiği öğrenciler için sorgu koşulu (admin için boş)
+// fullOnly: sadece profil işlemleri yapabildiği (sorumlu veya sınıf öğretmeni olduğu) öğrenciler
+const teacherStudentScope = async (user, { fullOnly = false } = {}) => {
+  if (!isRestricted(user)) {
+    return {};
+  }
+
+  const teacherId = user._id.toString();
+  const classroomIds = (await getTeacherClassrooms(user._id))
+    .filter(classroom => !fullOnly || (classroom.homeroomTeacher && classroom.homeroomTeacher.toString() === teacherId))
+    .map(classroom => classroom._id);
+
+  const conditions = [
+    { teacher: user._id },
+    { classroom: { $in: classroomIds } }
+  ];
+  if (!fullOnly) {
+    conditions.push({ 'subjectTeachers.teacher': user._id });
+  }
+
+  return { $or: conditions };
+};
+
+// Öğretmenin öğrenci üzerindeki yetkisi
+// full: tüm dersler ve profil işlemleri, subjects: sadece bu derslerde not/ödev
+// Çok sayıda öğrenci kontrol edilirken sınıflar classrooms önbelleğinde tutulur
+const getStudentAccess = async (user, student, classrooms = new Map()) => {
+  if (!isRestricted(user)) {
+    return { full: true, subjects: [] };
+  }
+
+  const teacherId = user._id.toString();
+  if (student.teacher && student.teacher.toString() === teacherId) {
+    return { full: true, subjects: [] };
+  }
+
+  const subjects = (student.subjectTeachers || [])
+    .filter(entry => entry.teacher.toString() === teacherId)
+    .map(entry => entry.subject);
+
+  if (student.classroom) {
+    const classroomId = student.classroom.toString();
+    if (!classrooms.has(classroomId)) {
+      classrooms.set(classroomId, await Classroom.findById(classroomId).select('homeroomTeacher subjectTeachers isActive'));
+    }
+    const classroom = classrooms.get(classroomId);
+
+    if (classroom && classroom.isActive) {
+      if (classroom.homeroomTeacher && classroom.homeroomTeacher.toString() === teacherId) {
+        return { full: true, subjects: [] };
+      }
+
+      classroom.subjectTeachers
+        .filter(entry => entry.teacher.toString() === teacherId)
+        .forEach(entry => subjects.push(entry.subject));
+    }
+  }
+
+  return { full: false, subjects: [...new Set(subjects)] };
+};
+
+// Öğretmen bu derste öğrenciye not verebilir / ödev atayabilir mi?
+const canTeachSubject = (access, subject) => access.full ||
+  access.subjects.some(entry => subjectKey(entry) === subjectKey(subject));
+
+// Öğretmenin erişebildiği öğrenciyi yetkisiyle birlikte getir
+// Hiç erişimi yoksa null döner (öğrenci var olsa bile bulunamadı sayılır)
+const findAccessibleStudent = async (user, studentId, select) => {
+  const query = Student.findById(studentId);
+  if (select) {
+    query.select(`${select} teacher classroom subjectTeachers`);
+  }
+
+  const student = await query;
+  if (!student) {
+    return null;
+  }
+
+  const access = await getStudentAccess(user, student);
+  if (!access.full && access.subjects.length === 0) {
+    return null;
+  }
+
+  return { student, access };
+};
+
+// Öğrencilerden bu derste öğretmenin erişimi olmayanların ID'leri (bulunamayanlar dahil)
+const findStudentsOutsideSubject = async (user, studentIds, subject) => {
+  const students = await Student.find({ _id: { $in: studentIds } })
+    .select('teacher classroom subjectTeachers');
+
+  const found = new Set(students.map(student => student._id.toString()));
+  const denied = studentIds.filter(id => !found.has(id.toString()));
+
+  if (!isRestricted(user)) {
+    return denied;
+  }
+
+  const classrooms = new Map();
+  for (const student of students) {
+    const access = await getStudentAccess(user, student, classrooms);
+    if (!canTeachSubject(access, subject)) {
+      denied.push(student._id.toString());
+    }
+  }
+
+  return denied;
+};
+
+module.exports = {
+  subjectKey,
+  isRestricted,
+  teacherStudentScope,
+  getStudentAccess,
+  canTeachSubject,
+  findAccessibleStudent,
+  findStudentsOutsideSubject
+};
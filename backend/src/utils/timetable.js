@@ -0,0 +1,231 @@
+/**
+ * Ders Programı Yardımcıları
+ * Ders saati zamanları, öğretmen/derslik çakışma kontrolü, haftalık görünüm ve iCalendar dışa aktarma
+ */
+
+const TimetableSlot = require('../models/TimetableSlot');
+const Setting = require('../models/Setting');
+const { ACADEMIC_YEAR_START_MONTH } = require('./classrooms');
+const { formatUtc, buildCalendar } = require('./ical');
+
+const PERIODS_SETTING = 'timetable.periods';
+
+// Ders programı saatlerinin saat dilimi (iCalendar ve teslim tarihi çakışmaları için)
+const TIMETABLE_TIMEZONE = process.env.TIMETABLE_TIMEZONE || 'Europe/Istanbul';
+
+// Setting kaydı yoksa ders saatleri (sıra = ders saati)
+const DEFAULT_PERIOD_TIMES = [
+  { start: '08:30', end: '09:10' },
+  { start: '09:20', end: '10:00' },
+  { start: '10:10', end: '10:50' },
+  { start: '11:00', end: '11:40' },
+  { start: '11:50', end: '12:30' },
+  { start: '13:20', end: '14:00' },
+  { start: '14:10', end: '14:50' },
+  { start: '15:00', end: '15:40' }
+];
+
+const DAY_NAMES = {
+  1: 'Pazartesi',
+  2: 'Salı',
+  3: 'Çarşamba',
+  4: 'Perşembe',
+  5: 'Cuma',
+  6: 'Cumartesi',
+  7: 'Pazar'
+};
+
+const SLOT_POPULATE = [
+  { path: 'classroom', select: 'name academicYear' },
+  { path: 'teacher', select: 'name surname' }
+];
+
+const getPeriodTimes = () => Setting.getValue(PERIODS_SETTING, DEFAULT_PERIOD_TIMES);
+
+// Bir ders saatine aynı anda denk gelen kayıtlar
+// classroom: sınıfın o saatte başka dersi, teacher/room: aynı eğitim yılında başka sınıfta aynı öğretmen/derslik
+const findSlotConflicts = async ({ _id, classroom, academicYear, day, period, teacher, room }) => {
+  const base = { day, period };
+  if (_id) {
+    base._id = { $ne: _id };
+  }
+
+  const [classroomSlot, teacherSlots, roomSlots] = await Promise.all([
+    TimetableSlot.findOne({ ...base, classroom }).populate(SLOT_POPULATE),
+    TimetableSlot.find({ ...base, academicYear, teacher }).populate(SLOT_POPULATE),
+    room ? TimetableSlot.find({ ...base, academicYear, room }).populate(SLOT_POPULATE) : []
+  ]);
+
+  return [
+    ...(classroomSlot ? [{ type: 'classroom', slot: classroomSlot }] : []),
+    ...teacherSlots.map(slot => ({ type: 'teacher', slot })),
+    ...roomSlots.map(slot => ({ type: 'room', slot }))
+  ];
+};
+
+// Eğitim yılındaki mevcut çakışmalar (ör. toplu içe aktarma veya elle düzeltme sonrası)
+const listConflicts = async (academicYear) => {
+  const groupBy = async (field) => {
+    const groups = await TimetableSlot.aggregate([
+      { $match: { academicYear, [field]: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: { value: `$${field}`, day: '$day', period: '$period' },
+          slots: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { '_id.day': 1, '_id.period': 1 } }
+    ]);
+
+    return Promise.all(groups.map(async group => ({
+      type: field,
+      day: group._id.day,
+      period: group._id.period,
+      slots: await TimetableSlot.find({ _id: { $in: group.slots } }).populate(SLOT_POPULATE)
+    })));
+  };
+
+  return [...await groupBy('teacher'), ...await groupBy('room')];
+};
+
+// Haftalık program: günlere göre gruplu, ders saati zamanlarıyla
+const getWeek = async (filter) => {
+  const [slots, periodTimes] = await Promise.all([
+    TimetableSlot.find(filter).populate(SLOT_POPULATE).sort({ day: 1, period: 1 }),
+    getPeriodTimes()
+  ]);
+
+  const days = new Map();
+  slots.forEach(slot => {
+    if (!days.has(slot.day)) {
+      days.set(slot.day, { day: slot.day, name: DAY_NAMES[slot.day], slots: [] });
+    }
+    const times = periodTimes[slot.period - 1] || {};
+    days.get(slot.day).slots.push({
+      ...slot.toObject(),
+      startTime: times.start,
+      endTime: times.end
+    });
+  });
+
+  return {
+    periods: periodTimes,
+    days: [...days.values()],
+    slots
+  };
+};
+
+// Tarihin ders programı saat dilimindeki günü (1-7) ve saati ("HH:MM")
+const localDayAndTime = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMETABLE_TIMEZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = type => parts.find(part => part.type === type).value;
+  const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  return {
+    day: weekdays.indexOf(value('weekday')) + 1,
+    time: `${value('hour')}:${value('minute')}`
+  };
+};
+
+// Sınıfın verilen anda devam eden dersi (teslim tarihi ders saatine denk geliyor mu?)
+const findLessonAt = async (classroomId, date) => {
+  const { day, time } = localDayAndTime(date);
+  const periodTimes = await getPeriodTimes();
+  const index = periodTimes.findIndex(times => times.start <= time && time < times.end);
+
+  if (index === -1) {
+    return null;
+  }
+
+  return TimetableSlot.findOne({ classroom: classroomId, day, period: index + 1 })
+    .populate('teacher', 'name surname');
+};
+
+// Teslim tarihi sınıfın bir dersine denk geliyorsa uyarı mesajları (ödev oluşturma yanıtı için)
+const dueDateWarnings = async (classroomId, dueDate) => {
+  const lesson = classroomId ? await findLessonAt(classroomId, new Date(dueDate)) : null;
+  if (!lesson) {
+    return [];
+  }
+
+  return [`Teslim tarihi ${DAY_NAMES[lesson.day]} ${lesson.period}. ders (${lesson.subject}) saatine denk geliyor`];
+};
+
+// Yoklama günü (UTC 00:00) ve ders saatine denk gelen ders
+const findSlotForPeriod = (classroomId, date, period) => TimetableSlot.findOne({
+  classroom: classroomId,
+  day: date.getUTCDay() || 7,
+  period
+});
+
+// "2024-2025" -> eğitim yılının ilk günü ve son günü (UTC)
+const academicYearRange = (academicYear) => {
+  const [startYear, endYear] = academicYear.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(startYear, ACADEMIC_YEAR_START_MONTH - 1, 1)),
+    end: new Date(Date.UTC(endYear, ACADEMIC_YEAR_START_MONTH - 1, 0, 23, 59, 59))
+  };
+};
+
+// Date (UTC gün) + "08:30" -> "20240916T083000"
+const localDateTime = (date, time) => `${date.toISOString().slice(0, 10).replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// Haftalık programı eğitim yılı boyunca tekrarlanan etkinlikler olarak .ics içeriğine çevir
+const buildTimetableCalendar = async (name, slots, academicYear) => {
+  const periodTimes = await getPeriodTimes();
+  const { start, end } = academicYearRange(academicYear);
+  const until = formatUtc(end);
+
+  const events = slots
+    .filter(slot => periodTimes[slot.period - 1])
+    .map(slot => {
+      // Eğitim yılının başından itibaren dersin gününe denk gelen ilk tarih
+      const first = new Date(start);
+      first.setUTCDate(first.getUTCDate() + ((slot.day - (first.getUTCDay() || 7) + 7) % 7));
+      const times = periodTimes[slot.period - 1];
+      const classroom = slot.classroom && slot.classroom.name;
+      const teacher = slot.teacher && slot.teacher.name ? `${slot.teacher.name} ${slot.teacher.surname}` : '';
+
+      return {
+        uid: `${slot._id}@ogrencitakip`,
+        start: localDateTime(first, times.start),
+        end: localDateTime(first, times.end),
+        rrule: `FREQ=WEEKLY;UNTIL=${until}`,
+        summary: classroom ? `${slot.subject} (${classroom})` : slot.subject,
+        location: slot.room,
+        description: [`${slot.period}. ders`, teacher].filter(Boolean).join(' - ')
+      };
+    });
+
+  return buildCalendar({ name, timezone: TIMETABLE_TIMEZONE, events });
+};
+
+// .ics dosyasını indir
+const sendCalendar = (res, filename, content) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.ics"`);
+  res.send(content);
+};
+
+module.exports = {
+  PERIODS_SETTING,
+  DEFAULT_PERIOD_TIMES,
+  DAY_NAMES,
+  getPeriodTimes,
+  findSlotConflicts,
+  listConflicts,
+  getWeek,
+  findLessonAt,
+  dueDateWarnings,
+  findSlotForPeriod,
+  buildTimetableCalendar,
+  sendCalendar
+};
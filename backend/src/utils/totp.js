@@ -0,0 +1,125 @@
+/**
+ * TOTP (RFC 6238) Yardımcıları
+ * Google Authenticator, Microsoft Authenticator vb. uygulamalarla uyumlu
+ * 6 haneli, 30 saniyelik, HMAC-SHA1 tabanlı tek kullanımlık kodlar
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Buffer'ı base32 metne çevir
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Base32 metni buffer'a çevir
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Geçersiz base32 karakteri');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+// Yeni gizli anahtar üret (160 bit)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Belirli bir zaman adımı için kod üret (RFC 4226 HOTP)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+// Şu anki zaman adımı
+const currentStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+};
+
+// Kodu doğrula, saat kaymaları için ±window adım tolere edilir
+// Eşleşen zaman adımını, eşleşme yoksa null döner
+const verifyCode = (secret, code, window = 1) => {
+  if (!secret || !code || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const step = currentStep();
+
+  for (let i = -window; i <= window; i++) {
+    const expected = generateCode(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step + i;
+    }
+  }
+
+  return null;
+};
+
+// Kimlik doğrulayıcı uygulamalar için otpauth:// URI'si (QR kod içeriği)
+const buildOtpauthUrl = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'Öğrenci Takip') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUrl
+};
@@ -0,0 +1,51 @@
+/**
+ * Transaction Yardımcıları
+ * Öğrenci içe aktarma, nakil ve eğitim yılı devri/geri alma işlemleri MongoDB transaction'ı
+ * kullanır. Transaction'lar replica set (tek düğümlü olabilir) veya sharded cluster gerektirir;
+ * tek başına çalışan (standalone) mongod bu işlemleri reddeder.
+ */
+
+const mongoose = require('mongoose');
+const { httpError } = require('./httpError');
+
+const TRANSACTIONS_UNSUPPORTED_MESSAGE = 'Bu işlem MongoDB replica set gerektirir; veritabanı tek sunucu (standalone) ' +
+  'olarak çalışıyor. Yöneticinizden MONGODB_URI ayarını replica set olarak yapılandırmasını isteyin.';
+
+let supported = null;
+
+// Bağlı sunucu transaction destekliyor mu (sonuç bağlantı boyunca önbelleklenir)
+const supportsTransactions = async () => {
+  if (supported !== null) {
+    return supported;
+  }
+
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  supported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  return supported;
+};
+
+// Transaction kullanan işlemden önce çağrılır; destek yoksa sürücü hatası yerine 503 fırlatır
+const assertTransactionsSupported = async () => {
+  if (!(await supportsTransactions())) {
+    throw httpError(TRANSACTIONS_UNSUPPORTED_MESSAGE, 503);
+  }
+};
+
+// Açılışta bağlantıdan sonra çağrılır; standalone sunucuda uyarı yazar
+const warnIfTransactionsUnsupported = async () => {
+  try {
+    if (!(await supportsTransactions())) {
+      console.error('UYARI: MongoDB replica set olarak çalışmıyor; öğrenci içe aktarma, nakil ve ' +
+        'eğitim yılı devri/geri alma işlemleri 503 hatası verecek. Bkz. README "Veritabanı".');
+    }
+  } catch (error) {
+    console.error('MongoDB transaction desteği denetlenemedi:', error.message);
+  }
+};
+
+module.exports = {
+  TRANSACTIONS_UNSUPPORTED_MESSAGE,
+  supportsTransactions,
+  assertTransactionsSupported,
+  warnIfTransactionsUnsupported
+};
@@ -0,0 +1,290 @@
+/**
+ * Öğrenci Nakli
+ * Öğrencinin başka öğretmene/sınıfa aktarılması veya okuldan ayrılması, teslim edilmemiş ödevlerin
+ * seçilen politikaya göre işlenmesi ve ayrılan öğrenci için dışa aktarma paketi.
+ *
+ * Ödev politikaları:
+ *  - carry_over: öğrenci ödevlerde kalır, eski öğretmen teslimleri değerlendirmeye devam eder
+ *  - cancel: öğrenci ödevlerden çıkarılır
+ *  - read_only: öğrenci ödevleri görebilir ama teslim edemez
+ */
+
+const fs = require('fs');
+const archiver = require('archiver');
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Enrollment = require('../models/Enrollment');
+const Classroom = require('../models/Classroom');
+const StudentTransfer = require('../models/StudentTransfer');
+const { toCsv } = require('./csv');
+const { resolveClassroom, enrollStudent, withdrawStudent } = require('./classrooms');
+const { httpError } = require('./httpError');
+const { assertTransactionsSupported } = require('./transactions');
+const { getStudentAttendanceSummary } = require('./attendance');
+const { resolveSubmissionFile, safeArchiveName } = require('../middleware/upload');
+
+const ASSIGNMENT_POLICIES = ['carry_over', 'cancel', 'read_only'];
+
+// Öğrencinin teslim etmediği, arşivlenmemiş aktif ödevleri
+const findPendingAssignments = async (studentId, scope = {}) => {
+  const submitted = await Submission.find({ student: studentId }).distinct('assignment');
+
+  return Assignment.find({
+    ...scope,
+    targetStudents: studentId,
+    status: 'active',
+    archivedAt: { $exists: false },
+    _id: { $nin: submitted }
+  }).select('title subject dueDate teacher classroom');
+};
+
+// Ödev politikasını uygula
+const applyAssignmentPolicy = async (studentId, assignmentIds, policy, session) => {
+  if (assignmentIds.length === 0 || policy === 'carry_over') {
+    return;
+  }
+
+  if (policy === 'cancel') {
+    await Assignment.updateMany(
+      { _id: { $in: assignmentIds } },
+      { $pull: { targetStudents: studentId, readOnlyStudents: studentId } },
+      { session }
+    );
+    await Student.updateOne(
+      { _id: studentId },
+      { $pull: { assignments: { assignmentId: { $in: assignmentIds } } } },
+      { session }
+    );
+    return;
+  }
+
+  await Assignment.updateMany(
+    { _id: { $in: assignmentIds } },
+    { $addToSet: { readOnlyStudents: studentId } },
+    { session }
+  );
+};
+
+// Öğrenciyi nakil et
+// options: { teacher, classroom, className, leaveSchool, destinationSchool, reason, effectiveDate, assignmentPolicy }
+// MongoDB transaction'ları replica set gerektirir; standalone sunucuda 503 fırlatılır
+const transferStudent = async (student, options, userId) => {
+  const effectiveDate = options.effectiveDate ? new Date(options.effectiveDate) : new Date();
+
+  if (effectiveDate > new Date()) {
+    throw httpError('Nakil tarihi ileri bir tarih olamaz');
+  }
+
+  if (!student.isActive) {
+    throw httpError('Pasif öğrenci nakil edilemez');
+  }
+
+  const leaveSchool = Boolean(options.leaveSchool);
+  if (leaveSchool && (options.teacher || options.classroom || options.className)) {
+    throw httpError('Okuldan ayrılışta yeni öğretmen veya sınıf seçilemez');
+  }
+
+  let teacher = null;
+  if (options.teacher && options.teacher.toString() !== student.teacher.toString()) {
+    teacher = await User.findOne({ _id: options.teacher, userType: 'teacher', isActive: true });
+    if (!teacher) {
+      throw httpError('Yeni öğretmen bulunamadı', 404);
+    }
+  }
+
+  let classroom = null;
+  if (options.classroom || options.className) {
+    classroom = await resolveClassroom({ classroom: options.classroom, className: options.className });
+    if (!classroom.isActive) {
+      throw httpError('Pasif sınıfa nakil yapılamaz');
+    }
+    if (student.classroom && student.classroom.toString() === classroom._id.toString()) {
+      classroom = null;
+    }
+  }
+
+  if (!leaveSchool && !teacher && !classroom) {
+    throw httpError('Öğrencinin öğretmeni veya sınıfı değişmiyor');
+  }
+
+  // Etkilenecek ödevler: okuldan ayrılışta tümü, okul içi nakilde eski öğretmenin veya eski sınıfın ödevleri
+  const scopes = [];
+  if (teacher) {
+    scopes.push({ teacher: student.teacher });
+  }
+  if (classroom && student.classroom) {
+    scopes.push({ classroom: student.classroom });
+  }
+  const pending = leaveSchool || scopes.length > 0
+    ? await findPendingAssignments(student._id, leaveSchool ? {} : { $or: scopes })
+    : [];
+
+  const previousClassroom = student.classroom ? await Classroom.findById(student.classroom) : null;
+  const transferData = {
+    student: student._id,
+    type: leaveSchool ? 'school' : 'internal',
+    fromTeacher: student.teacher,
+    toTeacher: teacher ? teacher._id : undefined,
+    fromClassroom: student.classroom,
+    toClassroom: classroom ? classroom._id : undefined,
+    fromClass: student.class,
+    toClass: classroom ? classroom.name : undefined,
+    effectiveDate,
+    reason: options.reason,
+    destinationSchool: leaveSchool ? options.destinationSchool : undefined,
+    assignmentPolicy: options.assignmentPolicy,
+    assignments: pending.map(assignment => ({
+      assignment: assignment._id,
+      title: assignment.title,
+      teacher: assignment.teacher
+    })),
+    performedBy: userId
+  };
+
+  await assertTransactionsSupported();
+  const session = await mongoose.startSession();
+  let transfer;
+
+  try {
+    await session.withTransaction(async () => {
+      if (teacher) {
+        student.teacher = teacher._id;
+      }
+
+      if (leaveSchool) {
+        student.isActive = false;
+        if (previousClassroom) {
+          await withdrawStudent(student, previousClassroom, { endedBy: userId, session, date: effectiveDate });
+        }
+        await student.save({ session });
+      } else if (classroom) {
+        await enrollStudent(student, classroom, { createdBy: userId, session, date: effectiveDate });
+      } else {
+        await student.save({ session });
+      }
+
+      await applyAssignmentPolicy(student._id, pending.map(assignment => assignment._id), options.assignmentPolicy, session);
+
+      [transfer] = await StudentTransfer.create([transferData], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return transfer;
+};
+
+const GRADE_COLUMNS = [
+  { header: 'Eğitim Yılı', value: grade => grade.academicYear },
+  { header: 'Ders', value: grade => grade.subject },
+  { header: 'Not', value: grade => grade.grade },
+  { header: 'Sınav Türü', value: grade => grade.examType },
+  { header: 'Tarih', value: grade => grade.date },
+  { header: 'Öğretmen', value: grade => (grade.teacher ? `${grade.teacher.name} ${grade.teacher.surname}` : '') },
+  { header: 'Açıklama', value: grade => grade.description }
+];
+
+const SUBMISSION_COLUMNS = [
+  { header: 'Ödev', value: submission => (submission.assignment ? submission.assignment.title : '') },
+  { header: 'Ders', value: submission => (submission.assignment ? submission.assignment.subject : '') },
+  { header: 'Teslim Tarihi', value: submission => submission.submissionDate },
+  { header: 'Durum', value: submission => submission.status },
+  { header: 'Puan', value: submission => submission.score },
+  { header: 'Geç Teslim', value: submission => (submission.isLate ? 'Evet' : 'Hayır') },
+  { header: 'Geri Bildirim', value: submission => submission.feedback }
+];
+
+const HISTORY_COLUMNS = [
+  { header: 'Eğitim Yılı', value: enrollment => enrollment.academicYear },
+  { header: 'Sınıf', value: enrollment => (enrollment.classroom ? enrollment.classroom.name : '') },
+  { header: 'Durum', value: enrollment => enrollment.status },
+  { header: 'Başlangıç', value: enrollment => enrollment.startDate },
+  { header: 'Bitiş', value: enrollment => enrollment.endDate }
+];
+
+const ATTENDANCE_COLUMNS = [
+  { header: 'Eğitim Yılı', value: row => row.academicYear },
+  { header: 'Özürsüz (gün)', value: row => row.total.unexcusedDays },
+  { header: 'Özürlü (gün)', value: row => row.total.excusedDays },
+  { header: 'Geç (ders)', value: row => row.total.periods.late }
+];
+
+// Okuldan ayrılan öğrenci için ZIP paketi: bilgiler (JSON), notlar, teslimler, sınıf geçmişi,
+// devamsızlık (CSV) ve teslim dosyaları
+const streamStudentPackage = async (res, student) => {
+  await student.populate([
+    { path: 'teacher', select: 'name surname email' },
+    { path: 'grades.teacher', select: 'name surname' }
+  ]);
+
+  const [enrollments, transfers, submissions] = await Promise.all([
+    Enrollment.find({ student: student._id }).populate('classroom', 'name').sort({ startDate: 1 }),
+    StudentTransfer.find({ student: student._id })
+      .populate('fromTeacher toTeacher', 'name surname')
+      .sort({ effectiveDate: 1 }),
+    Submission.find({ student: student._id })
+      .populate('assignment', 'title subject dueDate')
+      .sort({ submissionDate: 1 })
+  ]);
+
+  const years = [...new Set(enrollments.map(enrollment => enrollment.academicYear))];
+  const attendance = await Promise.all(years.map(year => getStudentAttendanceSummary(student._id, year)));
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => res.destroy(error));
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="ogrenci-${student.studentNumber}.zip"`);
+  archive.pipe(res);
+
+  archive.append(JSON.stringify({
+    student: {
+      name: student.name,
+      surname: student.surname,
+      studentNumber: student.studentNumber,
+      email: student.email,
+      phone: student.phone,
+      class: student.class,
+      birthDate: student.birthDate,
+      address: student.address,
+      parentInfo: student.parentInfo,
+      teacher: student.teacher,
+      isActive: student.isActive,
+      graduation: student.graduation,
+      createdAt: student.createdAt
+    },
+    enrollments,
+    transfers,
+    exportedAt: new Date()
+  }, null, 2), { name: 'ogrenci.json' });
+
+  archive.append(toCsv(student.grades, GRADE_COLUMNS), { name: 'notlar.csv' });
+  archive.append(toCsv(submissions, SUBMISSION_COLUMNS), { name: 'teslimler.csv' });
+  archive.append(toCsv(enrollments, HISTORY_COLUMNS), { name: 'sinif-gecmisi.csv' });
+  archive.append(toCsv(attendance, ATTENDANCE_COLUMNS), { name: 'devamsizlik.csv' });
+
+  // Diskte bulunan teslim dosyaları ödev bazında klasörlenir
+  // Sadece teslim yükleme klasöründeki dosyalar eklenir; aynı adlı dosyalar sıra numarasıyla ayrılır
+  submissions.forEach((submission, index) => {
+    const title = safeArchiveName(submission.assignment ? submission.assignment.title : 'odev');
+    const folder = `teslim-dosyalari/${index + 1}-${title}`;
+    submission.files.forEach((file, fileIndex) => {
+      const filePath = resolveSubmissionFile(file.path);
+      if (filePath && fs.existsSync(filePath)) {
+        archive.file(filePath, { name: `${folder}/${fileIndex + 1}-${safeArchiveName(file.originalName || file.filename)}` });
+      }
+    });
+  });
+
+  await archive.finalize();
+};
+
+module.exports = {
+  ASSIGNMENT_POLICIES,
+  findPendingAssignments,
+  transferStudent,
+  streamStudentPackage
+};
@@ -0,0 +1,53 @@
+/**
+ * İki Adımlı Doğrulama Politikası
+ * Hangi rollerin 2FA kullanmak zorunda olduğu Setting koleksiyonunda tutulur
+ */
+
+const Setting = require('../models/Setting');
+const { generateMfaToken } = require('./jwtHelper');
+
+const TWO_FACTOR_POLICY_KEY = 'security.twoFactorRequiredRoles';
+
+// 2FA kullanabilen roller
+const TWO_FACTOR_ROLES = ['admin', 'teacher'];
+
+// 2FA zorunlu rolleri getir
+const getRequiredRoles = () => {
+  return Setting.getValue(TWO_FACTOR_POLICY_KEY, []);
+};
+
+// Rol için 2FA zorunlu mu
+const isTwoFactorRequired = async (userType) => {
+  const roles = await getRequiredRoles();
+  return roles.includes(userType);
+};
+
+// Şifre doğrulandıktan sonra ikinci adım gerekiyorsa yanıt verisini döndür
+// Gerekmiyorsa null döner ve normal oturum açılır
+const getLoginChallenge = async (user, userType) => {
+  if (!TWO_FACTOR_ROLES.includes(userType)) {
+    return null;
+  }
+
+  const enabled = !!(user.twoFactor && user.twoFactor.enabled);
+  const required = await isTwoFactorRequired(userType);
+
+  if (!enabled && !required) {
+    return null;
+  }
+
+  return {
+    mfaRequired: true,
+    // Politika gereği zorunlu ama henüz kurulmamışsa önce kurulum yapılmalı
+    enrollmentRequired: !enabled,
+    mfaToken: generateMfaToken(user, userType)
+  };
+};
+
+module.exports = {
+  TWO_FACTOR_POLICY_KEY,
+  TWO_FACTOR_ROLES,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  getLoginChallenge
+};
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { resolveSubmissionFile, safeArchiveName } = require('../../src/middleware/upload');
+
+const SUBMISSIONS_DIR = path.resolve('public/uploads/submissions');
+
+test('resolveSubmissionFile teslim klasöründeki dosyanın mutlak yolunu döner', () => {
+  assert.equal(
+    resolveSubmissionFile('public/uploads/submissions/odev-1.pdf'),
+    path.join(SUBMISSIONS_DIR, 'odev-1.pdf')
+  );
+  assert.equal(
+    resolveSubmissionFile(path.join(SUBMISSIONS_DIR, 'alt', 'odev-2.pdf')),
+    path.join(SUBMISSIONS_DIR, 'alt', 'odev-2.pdf')
+  );
+});
+
+test('resolveSubmissionFile teslim klasörü dışındaki yollar için null döner', () => {
+  assert.equal(resolveSubmissionFile('.env'), null);
+  assert.equal(resolveSubmissionFile('public/uploads/submissions/../../../.env'), null);
+  assert.equal(resolveSubmissionFile('public/uploads/avatars/avatar.png'), null);
+  assert.equal(resolveSubmissionFile('/etc/passwd'), null);
+});
+
+test('resolveSubmissionFile klasörün kendisini ve benzer adlı klasörleri kabul etmez', () => {
+  assert.equal(resolveSubmissionFile('public/uploads/submissions'), null);
+  assert.equal(resolveSubmissionFile('public/uploads/submissions-eski/odev.pdf'), null);
+});
+
+test('resolveSubmissionFile boş yol için null döner', () => {
+  assert.equal(resolveSubmissionFile(undefined), null);
+  assert.equal(resolveSubmissionFile(''), null);
+});
+
+test('safeArchiveName yol ayırıcılarını ve geçersiz karakterleri temizler', () => {
+  assert.equal(safeArchiveName('../../etc/passwd'), '.._.._etc_passwd');
+  assert.equal(safeArchiveName('C:\\Windows\\odev.pdf'), 'C__Windows_odev.pdf');
+  assert.equal(safeArchiveName('soru*?"<>|.txt'), 'soru______.txt');
+});
+
+test('safeArchiveName Türkçe adları korur ve boşlukları kırpar', () => {
+  assert.equal(safeArchiveName('  Çağla Şahin - Ödev 1  '), 'Çağla Şahin - Ödev 1');
+  assert.equal(safeArchiveName(null), '');
+  assert.equal(safeArchiveName(42), '42');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCell, toCsv, parseCsv } = require('../../src/utils/csv');
+
+test('escapeCell boş değerleri boş hücreye çevirir', () => {
+  assert.equal(escapeCell(null), '');
+  assert.equal(escapeCell(undefined), '');
+  assert.equal(escapeCell(0), '0');
+});
+
+test('escapeCell tarihleri ISO biçiminde yazar', () => {
+  assert.equal(escapeCell(new Date('2024-09-16T08:30:00Z')), '2024-09-16T08:30:00.000Z');
+});
+
+test('escapeCell virgül, tırnak ve satır sonu içeren değerleri tırnaklar', () => {
+  assert.equal(escapeCell('Yılmaz, Ali'), '"Yılmaz, Ali"');
+  assert.equal(escapeCell('5"A" şubesi'), '"5""A"" şubesi"');
+  assert.equal(escapeCell('satır\nsatır'), '"satır\nsatır"');
+});
+
+test('escapeCell formül olarak çalışabilecek değerleri kaçırır', () => {
+  assert.equal(escapeCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(escapeCell('+90 555'), '\'+90 555');
+  assert.equal(escapeCell('@SUM(A1)'), '\'@SUM(A1)');
+  assert.equal(escapeCell('\tsekme'), '\'\tsekme');
+  assert.equal(escapeCell('-1+2'), '\'-1+2');
+});
+
+test('escapeCell negatif sayıları olduğu gibi bırakır', () => {
+  assert.equal(escapeCell(-2.5), '-2.5');
+  assert.equal(escapeCell('-3'), '-3');
+  assert.equal(escapeCell('-2,5'), '"-2,5"');
+});
+
+test('toCsv BOM ile başlar ve satırları CRLF ile ayırır', () => {
+  const csv = toCsv(
+    [{ name: 'Ayşe', score: 90 }, { name: 'Can, Efe', score: null }],
+    [
+      { header: 'Ad', value: row => row.name },
+      { header: 'Puan', value: row => row.score }
+    ]
+  );
+
+  assert.equal(csv, '\uFEFFAd,Puan\r\nAyşe,90\r\n"Can, Efe",');
+});
+
+test('parseCsv virgülle ayrılmış metni ve BOM\'u okur', () => {
+  assert.deepEqual(parseCsv('\uFEFFad,soyad\nAli,Yılmaz\n'), [
+    ['ad', 'soyad'],
+    ['Ali', 'Yılmaz']
+  ]);
+});
+
+test('parseCsv noktalı virgül ayracını başlık satırından tespit eder', () => {
+  assert.deepEqual(parseCsv('ad;soyad;not\r\nAli;Yılmaz;2,5'), [
+    ['ad', 'soyad', 'not'],
+    ['Ali', 'Yılmaz', '2,5']
+  ]);
+});
+
+test('parseCsv tırnaklı alanları, kaçırılmış tırnakları ve alan içi satır sonlarını okur', () => {
+  assert.deepEqual(parseCsv('ad,adres\n"Yılmaz, Ali","1. ""A"" Sok.\nNo: 5"'), [
+    ['ad', 'adres'],
+    ['Yılmaz, Ali', '1. "A" Sok.\nNo: 5']
+  ]);
+});
+
+test('parseCsv toCsv çıktısını geri okur', () => {
+  const columns = [{ header: 'Ad', value: row => row }];
+  const values = ['Ali', 'Can, Efe', 'Tırnak "x"'];
+
+  assert.deepEqual(parseCsv(toCsv(values, columns)), [['Ad'], ...values.map(value => [value])]);
+});
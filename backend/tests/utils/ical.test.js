@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatUtc, buildCalendar } = require('../../src/utils/ical');
+
+const TIMEZONE = 'Europe/Istanbul';
+
+const lessonEvent = (overrides = {}) => ({
+  uid: 'ders-1@ogrenci-takip',
+  start: '20240916T083000',
+  end: '20240916T091000',
+  rrule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250620T205959Z',
+  summary: 'Matematik',
+  ...overrides
+});
+
+// Katlanmış satırları birleştirip satır dizisine çevir
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('formatUtc tarihi UTC temel biçiminde yazar', () => {
+  assert.equal(formatUtc(new Date('2024-09-16T08:30:00.123Z')), '20240916T083000Z');
+});
+
+test('buildCalendar takvim ve etkinlik bloklarını CRLF ile oluşturur', () => {
+  const ics = buildCalendar({ name: '5-A Ders Programı', timezone: TIMEZONE, events: [lessonEvent()] });
+  const lines = ics.split('\r\n');
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(lines.includes('VERSION:2.0'));
+  assert.ok(lines.includes('X-WR-CALNAME:5-A Ders Programı'));
+  assert.ok(lines.includes(`X-WR-TIMEZONE:${TIMEZONE}`));
+  assert.ok(lines.includes('UID:ders-1@ogrenci-takip'));
+  assert.ok(lines.includes(`DTSTART;TZID=${TIMEZONE}:20240916T083000`));
+  assert.ok(lines.includes(`DTEND;TZID=${TIMEZONE}:20240916T091000`));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250620T205959Z'));
+  assert.ok(lines.includes('SUMMARY:Matematik'));
+  assert.ok(lines.some(line => /^DTSTAMP:\d{8}T\d{6}Z$/.test(line)));
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+});
+
+test('buildCalendar boş alanları ve tekrar kuralı olmayan etkinliği atlar', () => {
+  const ics = buildCalendar({ name: 'Takvim', timezone: TIMEZONE, events: [lessonEvent({ rrule: undefined })] });
+
+  assert.doesNotMatch(ics, /RRULE:/);
+  assert.doesNotMatch(ics, /LOCATION:/);
+  assert.doesNotMatch(ics, /DESCRIPTION:/);
+});
+
+test('buildCalendar metin alanlarındaki özel karakterleri kaçırır', () => {
+  const ics = buildCalendar({
+    name: 'Takvim',
+    timezone: TIMEZONE,
+    events: [lessonEvent({
+      summary: 'Fen; Teknoloji, Tasarım',
+      location: 'Lab\\1',
+      description: 'Önlük getirin\nGözlük getirin'
+    })]
+  });
+  const lines = unfold(ics);
+
+  assert.ok(lines.includes('SUMMARY:Fen\\; Teknoloji\\, Tasarım'));
+  assert.ok(lines.includes('LOCATION:Lab\\\\1'));
+  assert.ok(lines.includes('DESCRIPTION:Önlük getirin\\nGözlük getirin'));
+});
+
+test('buildCalendar 75 bayttan uzun satırları katlar', () => {
+  const description = 'Ödev teslimi öncesi çalışma saati, ğüşıöç karakterleri dahil. '.repeat(4).trim();
+  const ics = buildCalendar({
+    name: 'Takvim',
+    timezone: TIMEZONE,
+    events: [lessonEvent({ description })]
+  });
+
+  ics.split('\r\n').forEach(line => {
+    assert.ok(Buffer.byteLength(line) <= 75, `satır 75 baytı aşıyor: ${line}`);
+  });
+  assert.ok(unfold(ics).includes(`DESCRIPTION:${description.replace(/,/g, '\\,')}`));
+});
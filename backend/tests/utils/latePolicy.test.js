@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pickLatePolicy,
+  getLatePolicy,
+  evaluateLateness,
+  assertSubmissionAccepted,
+  applyLatePenalty,
+  gradeWithLatePenalty
+} = require('../../src/utils/latePolicy');
+
+const DUE = new Date('2024-10-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const after = ms => new Date(DUE.getTime() + ms);
+
+const PENALTY_POLICY = { mode: 'penalty', graceMinutes: 10, penaltyPercent: 10, penaltyUnit: 'day', maxPenaltyPercent: 30 };
+
+// getDueDateFor'u olan ödev belgesi yerine geçen nesne
+const assignmentWith = (fields = {}) => ({
+  getDueDateFor: () => DUE,
+  ...fields
+});
+
+test('pickLatePolicy politika yoksa undefined döner', () => {
+  assert.equal(pickLatePolicy(undefined), undefined);
+  assert.equal(pickLatePolicy('penalty'), undefined);
+});
+
+test('pickLatePolicy sadece izin verilen alanları alır ve mevcut politikayı korur', () => {
+  const current = { toObject: () => ({ mode: 'penalty', graceMinutes: 5, penaltyPercent: 10 }) };
+
+  assert.deepEqual(
+    pickLatePolicy({ penaltyPercent: 20, owner: 'x' }, current),
+    { mode: 'penalty', graceMinutes: 5, penaltyPercent: 20 }
+  );
+  assert.deepEqual(pickLatePolicy({ mode: 'hard_close', extra: true }), { mode: 'hard_close' });
+});
+
+test('getLatePolicy ödevin politikasını döner', () => {
+  assert.equal(getLatePolicy({ latePolicy: PENALTY_POLICY }), PENALTY_POLICY);
+});
+
+test('getLatePolicy politikasız eski ödevlerde allowLateSubmission\'a göre varsayılan verir', () => {
+  assert.equal(getLatePolicy({ allowLateSubmission: true }).mode, 'penalty');
+  assert.equal(getLatePolicy({ allowLateSubmission: true }).penaltyPercent, 0);
+  assert.equal(getLatePolicy({ allowLateSubmission: false }).mode, 'hard_close');
+  assert.equal(getLatePolicy({ latePolicy: {}, allowLateSubmission: false }).mode, 'hard_close');
+});
+
+test('evaluateLateness zamanında ve ek süre içindeki teslimleri geç saymaz', () => {
+  const onTime = { isLate: false, accepted: true, minutesLate: 0, penaltyPercent: 0 };
+
+  assert.deepEqual(evaluateLateness(PENALTY_POLICY, DUE, after(-HOUR)), onTime);
+  assert.deepEqual(evaluateLateness(PENALTY_POLICY, DUE, after(10 * MINUTE)), onTime);
+});
+
+test('evaluateLateness kesintiyi başlamış her birim için hesaplar ve üst sınırla keser', () => {
+  assert.deepEqual(
+    evaluateLateness(PENALTY_POLICY, DUE, after(11 * MINUTE)),
+    { isLate: true, accepted: true, minutesLate: 11, penaltyPercent: 10 }
+  );
+  assert.equal(evaluateLateness(PENALTY_POLICY, DUE, after(DAY + 10 * MINUTE)).penaltyPercent, 10);
+  assert.equal(evaluateLateness(PENALTY_POLICY, DUE, after(DAY + 11 * MINUTE)).penaltyPercent, 20);
+  assert.equal(evaluateLateness(PENALTY_POLICY, DUE, after(10 * DAY)).penaltyPercent, 30);
+});
+
+test('evaluateLateness saatlik birimi destekler', () => {
+  const hourly = { ...PENALTY_POLICY, graceMinutes: 0, penaltyUnit: 'hour', penaltyPercent: 5, maxPenaltyPercent: 100 };
+
+  assert.equal(evaluateLateness(hourly, DUE, after(3 * HOUR + MINUTE)).penaltyPercent, 20);
+});
+
+test('evaluateLateness kapalı politikada geç teslimi kabul etmez', () => {
+  assert.deepEqual(
+    evaluateLateness({ mode: 'hard_close', graceMinutes: 0 }, DUE, after(90 * 1000)),
+    { isLate: true, accepted: false, minutesLate: 2, penaltyPercent: 0 }
+  );
+});
+
+test('assertSubmissionAccepted kabul edilmeyen teslimde 400 hatası fırlatır', () => {
+  const assignment = assignmentWith({ latePolicy: { mode: 'hard_close', graceMinutes: 0 } });
+
+  assert.throws(
+    () => assertSubmissionAccepted(assignment, DUE, after(MINUTE)),
+    { message: 'Teslim tarihi geçmiş', statusCode: 400 }
+  );
+  assert.equal(assertSubmissionAccepted(assignment, DUE, after(-MINUTE)).isLate, false);
+});
+
+test('applyLatePenalty kesintiyi iki ondalık basamakla uygular', () => {
+  assert.deepEqual(applyLatePenalty(85, 10), { rawScore: 85, percent: 10, points: 8.5, score: 76.5 });
+  assert.deepEqual(applyLatePenalty(77, 15), { rawScore: 77, percent: 15, points: 11.55, score: 65.45 });
+  assert.deepEqual(applyLatePenalty(90, 0), { rawScore: 90, percent: 0, points: 0, score: 90 });
+});
+
+test('gradeWithLatePenalty geç teslime politikadaki kesintiyi uygular', () => {
+  const assignment = assignmentWith({ latePolicy: PENALTY_POLICY });
+  const submission = { student: 'ogrenci', isLate: true, submissionDate: after(3 * DAY) };
+
+  assert.deepEqual(gradeWithLatePenalty(assignment, submission, 80), {
+    rawScore: 80,
+    score: 56,
+    latePenalty: {
+      percent: 30,
+      points: 24,
+      minutesLate: 3 * 24 * 60,
+      calculatedPercent: 30,
+      overridden: false,
+      overriddenBy: undefined,
+      reason: undefined
+    }
+  });
+});
+
+test('gradeWithLatePenalty öğretmenin belirlediği oranı kullanır', () => {
+  const assignment = assignmentWith({ latePolicy: PENALTY_POLICY });
+  const submission = { student: 'ogrenci', isLate: true, submissionDate: after(3 * DAY) };
+  const result = gradeWithLatePenalty(assignment, submission, 80, { override: 0, reason: 'Rapor', userId: 'ogretmen' });
+
+  assert.equal(result.score, 80);
+  assert.equal(result.latePenalty.calculatedPercent, 30);
+  assert.equal(result.latePenalty.overridden, true);
+  assert.equal(result.latePenalty.overriddenBy, 'ogretmen');
+  assert.equal(result.latePenalty.reason, 'Rapor');
+});
+
+test('gradeWithLatePenalty geç sayılmayan teslime kesinti uygulamaz', () => {
+  const assignment = assignmentWith({ latePolicy: PENALTY_POLICY });
+  const submission = { student: 'ogrenci', isLate: false, submissionDate: after(2 * DAY) };
+  const result = gradeWithLatePenalty(assignment, submission, 80);
+
+  assert.equal(result.score, 80);
+  assert.equal(result.latePenalty.minutesLate, 0);
+  assert.equal(result.latePenalty.calculatedPercent, 0);
+});
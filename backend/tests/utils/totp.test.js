@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../../src/utils/totp');
+
+// RFC 6238 Ek B test anahtarı ("12345678901234567890") base32 olarak
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('generateSecret 160 bitlik base32 anahtar üretir', () => {
+  const secret = generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test('generateCode RFC 6238 test vektörlerini üretir', () => {
+  assert.equal(generateCode(RFC_SECRET, currentStep(59 * 1000)), '287082');
+  assert.equal(generateCode(RFC_SECRET, currentStep(1111111109 * 1000)), '081804');
+  assert.equal(generateCode(RFC_SECRET, currentStep(1234567890 * 1000)), '005924');
+});
+
+test('currentStep 30 saniyelik adımları sayar', () => {
+  assert.equal(currentStep(0), 0);
+  assert.equal(currentStep(29999), 0);
+  assert.equal(currentStep(30000), 1);
+});
+
+// Adım sınırında testin kararsız olmaması için saat sabitlenir
+const NOW = 1700000000000;
+
+test('verifyCode ±1 adım içindeki kodu kabul eder ve adımı döner', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  const secret = generateSecret();
+  const step = currentStep(NOW);
+
+  assert.equal(verifyCode(secret, generateCode(secret, step)), step);
+  assert.equal(verifyCode(secret, generateCode(secret, step - 1)), step - 1);
+  assert.equal(verifyCode(secret, generateCode(secret, step + 1)), step + 1);
+});
+
+test('verifyCode pencere dışındaki ve geçersiz kodları reddeder', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  const secret = generateSecret();
+  const step = currentStep(NOW);
+
+  assert.equal(verifyCode(secret, generateCode(secret, step - 2)), null);
+  assert.equal(verifyCode(secret, generateCode(secret, step + 1), 0), null);
+  assert.equal(verifyCode(secret, '12345'), null);
+  assert.equal(verifyCode(secret, 'abcdef'), null);
+  assert.equal(verifyCode(secret, ''), null);
+  assert.equal(verifyCode('', '123456'), null);
+});
+
+test('buildOtpauthUrl kimlik doğrulayıcı URI\'si oluşturur', () => {
+  const url = new URL(buildOtpauthUrl(RFC_SECRET, 'ogretmen@okul.com', 'Okul'));
+
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.host, 'totp');
+  assert.equal(decodeURIComponent(url.pathname), '/Okul:ogretmen@okul.com');
+  assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(url.searchParams.get('issuer'), 'Okul');
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
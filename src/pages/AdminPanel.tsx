@@ -16,7 +16,9 @@ import {
   AlertTriangle,
   CheckCircle,
   Eye,
-  Settings
+  Settings,
+  Lock,
+  Unlock
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { Navigate } from 'react-router-dom';
@@ -43,9 +45,59 @@ interface SystemStats {
     active: number;
     inactive: number;
   };
+  security?: {
+    activeLockouts: number;
+  };
   recentUsers: User[];
 }
 
+type ExportFormat = 'csv' | 'xlsx' | 'pdf';
+
+// Öğrenci listesi dışa aktarımında seçilebilen sütunlar
+const ROSTER_COLUMNS: { key: string; label: string }[] = [
+  { key: 'studentNumber', label: 'Öğrenci No' },
+  { key: 'name', label: 'Ad' },
+  { key: 'surname', label: 'Soyad' },
+  { key: 'class', label: 'Sınıf' },
+  { key: 'teacher', label: 'Öğretmen' },
+  { key: 'email', label: 'E-posta' },
+  { key: 'phone', label: 'Telefon' },
+  { key: 'parentPhone', label: 'Veli Telefonu' },
+  { key: 'isActive', label: 'Durum' },
+  { key: 'averageGrade', label: 'Not Ortalaması' },
+  { key: 'assignedCount', label: 'Atanan Ödev' },
+  { key: 'submittedCount', label: 'Teslim Edilen' },
+  { key: 'completionRate', label: 'Tamamlama (%)' }
+];
+
+interface LoginLockout {
+  _id: string;
+  scope: 'account' | 'ip';
+  key: string;
+  failures: number;
+  lastFailureAt?: string;
+  lastIp?: string;
+  lockedUntil?: string;
+  lockCount: number;
+  isLocked: boolean;
+}
+
+interface LockoutEvent {
+  _id: string;
+  action: 'auth.lockout' | 'auth.unlock';
+  ip?: string;
+  createdAt: string;
+  metadata?: {
+    scope: 'account' | 'ip';
+    key: string;
+    lockedUntil?: string;
+  };
+  actor?: {
+    name: string;
+    surname: string;
+  };
+}
+
 const AdminPanel: React.FC = () => {
   const { user, token } = useAuth();
   const [users, setUsers] = useState<User[]>([]);
@@ -58,6 +110,12 @@ const AdminPanel: React.FC = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [lockouts, setLockouts] = useState<LoginLockout[]>([]);
+  const [lockoutEvents, setLockoutEvents] = useState<LockoutEvent[]>([]);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('xlsx');
+  const [exportClass, setExportClass] = useState('');
+  const [exportColumns, setExportColumns] = useState<string[]>(['studentNumber', 'name', 'surname', 'class', 'averageGrade', 'assignedCount', 'submittedCount']);
+  const [exporting, setExporting] = useState(false);
 
   // Admin kontrolü
   if (!user || user.userType !== 'admin') {
@@ -125,6 +183,107 @@ const AdminPanel: React.FC = () => {
     }
   };
 
+  // Giriş kilitlerini getir
+  const fetchLockouts = async () => {
+    try {
+      const response = await fetch('/api/admin/security/lockouts', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setLockouts(data.data.records);
+        setLockoutEvents(data.data.recentEvents);
+      }
+    } catch (error) {
+      console.error('Giriş kilitleri yüklenemedi:', error);
+    }
+  };
+
+  // Giriş kilidini kaldır
+  const unlockLogin = async (lockoutId: string) => {
+    try {
+      const response = await fetch(`/api/admin/security/lockouts/${lockoutId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        showMessage('success', data.message);
+        fetchLockouts();
+        fetchStats();
+      } else {
+        showMessage('error', data.message || 'Kilit kaldırılamadı');
+      }
+    } catch (error) {
+      console.error('Kilit kaldırma hatası:', error);
+      showMessage('error', 'Kilit kaldırılırken hata oluştu');
+    }
+  };
+
+  // Öğrenci listesini dışa aktar
+  const exportRoster = async () => {
+    if (exportColumns.length === 0) {
+      showMessage('error', 'Lütfen en az bir sütun seçin');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      const queryParams = new URLSearchParams({
+        format: exportFormat,
+        columns: exportColumns.join(',')
+      });
+
+      if (exportClass) {
+        queryParams.append('class', exportClass);
+      }
+
+      const response = await fetch(`/api/students/export?${queryParams}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        showMessage('error', data.message || 'Dışa aktarma başarısız');
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ogrenci-listesi.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Dışa aktarma hatası:', error);
+      showMessage('error', 'Dışa aktarma sırasında hata oluştu');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Dışa aktarma sütunu seçimi
+  const toggleExportColumn = (key: string) => {
+    setExportColumns(prev =>
+      prev.includes(key)
+        ? prev.filter(column => column !== key)
+        : [...prev, key]
+    );
+  };
+
   // Kullanıcı güncelle
   const updateUser = async (userId: string, updates: Partial<User>) => {
     try {
@@ -258,6 +417,10 @@ const AdminPanel: React.FC = () => {
     fetchStats();
   }, [filterType, filterStatus]);
 
+  useEffect(() => {
+    fetchLockouts();
+  }, []);
+
   if (loading && !users.length) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -284,7 +447,10 @@ const AdminPanel: React.FC = () => {
             </div>
             <div className="flex items-center space-x-4">
               <button
-                onClick={() => fetchUsers(currentPage)}
+                onClick={() => {
+                  fetchUsers(currentPage);
+                  fetchLockouts();
+                }}
                 className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center"
               >
                 <RefreshCw className="w-4 h-4 mr-2" />
@@ -589,6 +755,157 @@ const AdminPanel: React.FC = () => {
             </div>
           )}
         </div>
+
+        {/* Öğrenci Listesi Dışa Aktarma */}
+        <div className="bg-white p-6 rounded-lg shadow mt-8">
+          <div className="flex items-center mb-4">
+            <Download className="w-5 h-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Öğrenci Listesi Dışa Aktar</h2>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Sınıf</label>
+              <input
+                type="text"
+                placeholder="Tüm okul için boş bırakın"
+                value={exportClass}
+                onChange={(e) => setExportClass(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="xlsx">Excel (XLSX)</option>
+                <option value="csv">CSV</option>
+                <option value="pdf">PDF (yazdırılabilir)</option>
+              </select>
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={exportRoster}
+                disabled={exporting}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center disabled:opacity-50"
+              >
+                {exporting ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+                İndir
+              </button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {ROSTER_COLUMNS.map((column) => (
+              <label key={column.key} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={exportColumns.includes(column.key)}
+                  onChange={() => toggleExportColumn(column.key)}
+                  className="h-4 w-4 text-blue-600 rounded mr-2"
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Giriş Kilitleri */}
+        <div className="bg-white rounded-lg shadow overflow-hidden mt-8">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div className="flex items-center">
+              <Lock className="w-5 h-5 text-red-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Giriş Kilitleri</h2>
+            </div>
+            {stats?.security && (
+              <span className="text-sm text-gray-500">
+                {stats.security.activeLockouts} aktif kilit
+              </span>
+            )}
+          </div>
+
+          {lockouts.length === 0 ? (
+            <p className="px-6 py-4 text-sm text-gray-500">Aktif giriş kilidi yok</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Tür
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Hesap / IP
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Son IP
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Kilit Bitişi
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Kilit Sayısı
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      İşlemler
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {lockouts.map((lockout) => (
+                    <tr key={lockout._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {lockout.scope === 'ip' ? 'IP' : 'Hesap'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {lockout.key}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {lockout.lastIp || '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {lockout.lockedUntil ? new Date(lockout.lockedUntil).toLocaleString('tr-TR') : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {lockout.lockCount}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <button
+                          onClick={() => unlockLogin(lockout._id)}
+                          className="inline-flex items-center px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+                        >
+                          <Unlock className="w-4 h-4 mr-1" />
+                          Kilidi Kaldır
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Son Kilit Olayları */}
+          {lockoutEvents.length > 0 && (
+            <div className="border-t border-gray-200 px-6 py-4">
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Son Olaylar</h3>
+              <ul className="space-y-1">
+                {lockoutEvents.map((event) => (
+                  <li key={event._id} className="text-sm text-gray-600">
+                    <span className="text-gray-400 mr-2">
+                      {new Date(event.createdAt).toLocaleString('tr-TR')}
+                    </span>
+                    {event.action === 'auth.lockout' ? 'Kilitlendi' : 'Kilit kaldırıldı'}:{' '}
+                    <span className="font-medium">{event.metadata?.key}</span>
+                    {event.action === 'auth.lockout' && event.ip && ` (${event.ip})`}
+                    {event.action === 'auth.unlock' && event.actor && ` - ${event.actor.name} ${event.actor.surname}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );